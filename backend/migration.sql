@@ -1,63 +0,0 @@
--- Migration script to add dob and role columns to users table
--- Run this if your users table is missing these columns
-
-USE vickhardth_ops;
-
--- Add dob column if it doesn't exist
-SET @dbname = DATABASE();
-SET @tablename = 'users';
-SET @columnname = 'dob';
-SET @preparedStatement = (SELECT IF(
-  (
-    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
-    WHERE
-      (TABLE_SCHEMA = @dbname)
-      AND (TABLE_NAME = @tablename)
-      AND (COLUMN_NAME = @columnname)
-  ) > 0,
-  'SELECT 1',
-  CONCAT('ALTER TABLE ', @tablename, ' ADD COLUMN ', @columnname, ' DATE')
-));
-PREPARE alterIfNotExists FROM @preparedStatement;
-EXECUTE alterIfNotExists;
-DEALLOCATE PREPARE alterIfNotExists;
-
--- Add role column if it doesn't exist
-SET @columnname = 'role';
-SET @preparedStatement = (SELECT IF(
-  (
-    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
-    WHERE
-      (TABLE_SCHEMA = @dbname)
-      AND (TABLE_NAME = @tablename)
-      AND (COLUMN_NAME = @columnname)
-  ) > 0,
-  'SELECT 1',
-  CONCAT('ALTER TABLE ', @tablename, ' ADD COLUMN ', @columnname, ' VARCHAR(80)')
-));
-PREPARE alterIfNotExists FROM @preparedStatement;
-EXECUTE alterIfNotExists;
-DEALLOCATE PREPARE alterIfNotExists;
-
--- Add report_date column to daily_target_reports table
-SET @tablename = 'daily_target_reports';
-
--- Add report_date column
-SET @columnname = 'report_date';
-SET @preparedStatement = (SELECT IF(
-  (
-    SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS
-    WHERE
-      (TABLE_SCHEMA = @dbname)
-      AND (TABLE_NAME = @tablename)
-      AND (COLUMN_NAME = @columnname)
-  ) > 0,
-  'SELECT 1',
-  CONCAT('ALTER TABLE ', @tablename, ' ADD COLUMN ', @columnname, ' DATE NOT NULL DEFAULT CURDATE()')
-));
-PREPARE alterIfNotExists FROM @preparedStatement;
-EXECUTE alterIfNotExists;
-DEALLOCATE PREPARE alterIfNotExists;
-
-SELECT 'Migration completed. All new columns added to daily_target_reports table.' AS result;
-
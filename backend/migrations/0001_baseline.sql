@@ -0,0 +1,317 @@
+-- Baseline schema: every table the API uses, in its current shape.
+-- This file replaces schema.sql, migration.sql and the ALTER TABLE attempts server.js used to run
+-- on every boot. Do not edit it once applied; add a new numbered migration instead.
+
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(80) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  dob DATE,
+  role VARCHAR(80),
+  manager_id INT NULL,
+  email VARCHAR(255) UNIQUE,
+  mobile VARCHAR(20),
+  joining_date DATE,
+  employee_id VARCHAR(20) UNIQUE,
+  phone_no VARCHAR(20),
+  site_assignment VARCHAR(255) NULL,
+  -- Self-registrations wait as 'pending' until approved; 'inactive' accounts cannot sign in
+  status ENUM('active','pending','inactive') NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Named counters, e.g. for sequential employee IDs
+CREATE TABLE IF NOT EXISTS sequences (
+  name VARCHAR(50) PRIMARY KEY,
+  next_value INT NOT NULL DEFAULT 1
+);
+
+INSERT IGNORE INTO sequences (name, next_value) VALUES ('employee_id', 1);
+
+CREATE TABLE IF NOT EXISTS site_activity (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NULL,
+  log_date DATE NOT NULL,
+  log_time TIME NOT NULL,
+  project_name VARCHAR(120) NOT NULL,
+  daily_target TEXT,
+  hourly_activity TEXT,
+  problems_faced TEXT,
+  resolution_status TEXT,
+  problem_start TIME NULL,
+  problem_end TIME NULL,
+  support_problem TEXT,
+  support_start TIME NULL,
+  support_end TIME NULL,
+  support_engineer VARCHAR(120),
+  engineer_remark TEXT,
+  incharge_remark TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS hourly_reports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NULL,
+  report_date DATE NOT NULL,
+  time_period VARCHAR(50) NOT NULL, -- e.g. '9am-10am'
+  project_name VARCHAR(120) NOT NULL,
+  daily_target TEXT,
+  hourly_activity TEXT NOT NULL,
+  problem_faced_by_engineer_hourly TEXT,
+  problem_resolved_or_not VARCHAR(10), -- 'Yes' or 'No'
+  problem_occur_start_time TIME NULL,
+  problem_resolved_end_time TIME NULL,
+  online_support_required_for_which_problem TEXT,
+  online_support_time TIME NULL,
+  online_support_end_time TIME NULL,
+  engineer_name_who_gives_online_support VARCHAR(120),
+  engineer_remark TEXT,
+  project_incharge_remark TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS daily_target_reports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT,
+  report_date DATE NOT NULL,
+  in_time TIME NOT NULL,
+  out_time TIME NOT NULL,
+  customer_name VARCHAR(120) NOT NULL,
+  customer_person VARCHAR(120) NOT NULL,
+  customer_contact VARCHAR(20) NOT NULL,
+  end_customer_name VARCHAR(120) NOT NULL,
+  end_customer_person VARCHAR(120) NOT NULL,
+  end_customer_contact VARCHAR(20) NOT NULL,
+  project_no VARCHAR(120) NOT NULL,
+  location_type VARCHAR(20) NOT NULL,
+  site_location VARCHAR(255),
+  location_lat DECIMAL(10, 8),
+  location_lng DECIMAL(11, 8),
+  mom_report_path VARCHAR(255),
+  daily_target_planned TEXT NOT NULL,
+  daily_target_achieved TEXT NOT NULL,
+  additional_activity TEXT,
+  who_added_activity VARCHAR(120),
+  daily_pending_target TEXT,
+  reason_pending_target TEXT,
+  problem_faced TEXT,
+  problem_resolved TEXT,
+  online_support_required TEXT,
+  support_engineer_name VARCHAR(120),
+  site_start_date DATE NOT NULL,
+  site_end_date DATE,
+  incharge VARCHAR(120) NOT NULL,
+  remark TEXT,
+  -- Leave application a report marked as leave belongs to
+  leave_application_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS leave_applications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  leave_type ENUM('casual', 'sick', 'paid') NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  -- Working-day leave accounting: half-day leaves and the day count charged to the balance
+  half_day ENUM('first_half', 'second_half') NULL,
+  leave_days DECIMAL(5,1) NULL,
+  reason TEXT NOT NULL,
+  status ENUM('pending', 'approved', 'rejected', 'cancelled', 'cancellation_requested') DEFAULT 'pending',
+  -- Approval chain, routed through users.manager_id
+  current_approver_id INT NULL,
+  approval_level TINYINT NOT NULL DEFAULT 1,
+  required_levels TINYINT NOT NULL DEFAULT 1,
+  approved_by INT NULL,
+  approved_at TIMESTAMP NULL,
+  cancellation_reason TEXT NULL,
+  cancelled_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Audit trail of every decision on a leave or on its cancellation request
+CREATE TABLE IF NOT EXISTS leave_approval_steps (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  leave_id INT NOT NULL,
+  kind ENUM('approval', 'cancellation') NOT NULL DEFAULT 'approval',
+  level TINYINT NOT NULL,
+  approver_id INT NULL,
+  action ENUM('approved', 'rejected') NOT NULL,
+  comment TEXT,
+  acted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (leave_id) REFERENCES leave_applications(id) ON DELETE CASCADE,
+  FOREIGN KEY (approver_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS leave_balances (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  leave_year YEAR NOT NULL,
+  casual_leaves DECIMAL(5,1) DEFAULT 12,
+  sick_leaves DECIMAL(5,1) DEFAULT 12,
+  paid_leaves DECIMAL(5,1) DEFAULT 0,
+  used_casual DECIMAL(5,1) DEFAULT 0,
+  used_sick DECIMAL(5,1) DEFAULT 0,
+  used_paid DECIMAL(5,1) DEFAULT 0,
+  carried_casual DECIMAL(5,1) DEFAULT 0,
+  carried_sick DECIMAL(5,1) DEFAULT 0,
+  carried_paid DECIMAL(5,1) DEFAULT 0,
+  encashed_casual DECIMAL(5,1) DEFAULT 0,
+  encashed_sick DECIMAL(5,1) DEFAULT 0,
+  encashed_paid DECIMAL(5,1) DEFAULT 0,
+  closed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_user_year (user_id, leave_year)
+);
+
+-- Entitlement, accrual, carry-forward and encashment per role;
+-- role '*' applies to everyone without a row of their own
+CREATE TABLE IF NOT EXISTS leave_policies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  role VARCHAR(50) NOT NULL DEFAULT '*',
+  leave_type ENUM('casual', 'sick', 'paid') NOT NULL,
+  annual_entitlement DECIMAL(5,1) NOT NULL DEFAULT 0,
+  accrual ENUM('yearly', 'monthly') NOT NULL DEFAULT 'yearly',
+  carry_forward_cap DECIMAL(5,1) NOT NULL DEFAULT 0,
+  encashment_limit DECIMAL(5,1) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_role_leave_type (role, leave_type)
+);
+
+INSERT IGNORE INTO leave_policies (role, leave_type, annual_entitlement) VALUES
+  ('*', 'casual', 12), ('*', 'sick', 12), ('*', 'paid', 0);
+
+-- Every debit and reversal against leave_balances, so a cancelled leave gives back exactly
+-- what was taken, from the year it was taken
+CREATE TABLE IF NOT EXISTS leave_balance_transactions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  leave_id INT NOT NULL,
+  user_id INT NOT NULL,
+  leave_year YEAR NOT NULL,
+  leave_type ENUM('casual', 'sick', 'paid') NOT NULL,
+  days DECIMAL(5,1) NOT NULL,
+  entry_type ENUM('debit', 'reversal') NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (leave_id) REFERENCES leave_applications(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_leave_id (leave_id)
+);
+
+-- Company holiday calendar, skipped when counting leave days
+CREATE TABLE IF NOT EXISTS holidays (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  holiday_date DATE NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE KEY unique_holiday_date (holiday_date)
+);
+
+-- Role-based access control. users.role stays a role name; grants are looked up through roles.name.
+-- Permission rows are kept in step with PERMISSIONS in src/auth.js at startup.
+CREATE TABLE IF NOT EXISTS roles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(64) NOT NULL UNIQUE,
+  description VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id INT NOT NULL,
+  permission_id INT NOT NULL,
+  PRIMARY KEY (role_id, permission_id),
+  FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+  FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+-- One row per login, holding the hash of its current refresh token
+CREATE TABLE IF NOT EXISTS sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  expires_at DATETIME NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  last_used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_sessions_user (user_id)
+);
+
+-- Single-use, expiring password reset tokens (stored hashed)
+CREATE TABLE IF NOT EXISTS password_resets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at DATETIME NOT NULL,
+  used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Manager changes with an effective date
+CREATE TABLE IF NOT EXISTS reporting_transfers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  from_manager_id INT NULL,
+  to_manager_id INT NOT NULL,
+  effective_date DATE NOT NULL,
+  reason TEXT,
+  status ENUM('scheduled','applied','cancelled') NOT NULL DEFAULT 'scheduled',
+  created_by INT NULL,
+  applied_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (from_manager_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (to_manager_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_transfers_due (status, effective_date)
+);
+
+-- Minutes of Meeting documents
+CREATE TABLE IF NOT EXISTS moms (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  client_ref VARCHAR(64) NULL,
+  customer_name VARCHAR(120) NOT NULL,
+  customer_person VARCHAR(120),
+  customer_contact VARCHAR(20),
+  customer_country_code VARCHAR(6) DEFAULT '+91',
+  end_customer_name VARCHAR(120),
+  end_customer_person VARCHAR(120),
+  end_customer_contact VARCHAR(20),
+  end_customer_country_code VARCHAR(6) DEFAULT '+91',
+  engineer_name VARCHAR(120),
+  site_location VARCHAR(255),
+  mom_date DATE,
+  reporting_time TIME NULL,
+  close_time TIME NULL,
+  man_hours VARCHAR(10),
+  man_hours_more_than_9 VARCHAR(3),
+  billing_days VARCHAR(10),
+  site_start_date DATE,
+  site_end_date DATE,
+  project_name VARCHAR(120),
+  project_no VARCHAR(120),
+  observations TEXT,
+  solutions TEXT,
+  conclusion TEXT,
+  location_lat DECIMAL(10, 8),
+  location_lng DECIMAL(11, 8),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_user_client_ref (user_id, client_ref)
+);
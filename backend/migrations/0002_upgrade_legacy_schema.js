@@ -0,0 +1,133 @@
+// Bring databases created by schema.sql or by the old startup migrations up to the baseline.
+// On a fresh database the baseline already created everything and this finds nothing to do.
+
+const LEGACY_COLUMNS = {
+  site_activity: [['user_id', 'INT NULL AFTER id']],
+  users: [
+    ['dob', 'DATE'],
+    ['role', 'VARCHAR(80)'],
+    ['manager_id', 'INT NULL'],
+    ['email', 'VARCHAR(255) UNIQUE'],
+    ['mobile', 'VARCHAR(20)'],
+    ['joining_date', 'DATE'],
+    ['employee_id', 'VARCHAR(20) UNIQUE'],
+    ['phone_no', 'VARCHAR(20)'],
+    ['site_assignment', 'VARCHAR(255) NULL'],
+    ['status', "ENUM('active','pending','inactive') NOT NULL DEFAULT 'active'"],
+  ],
+  // The old startup migration created hourly_reports with a different column set from schema.sql
+  hourly_reports: [
+    ['user_id', 'INT NULL'],
+    ['time_period', 'VARCHAR(50) NULL'],
+    ['problem_faced_by_engineer_hourly', 'TEXT'],
+    ['problem_resolved_or_not', 'VARCHAR(10)'],
+    ['problem_occur_start_time', 'TIME NULL'],
+    ['problem_resolved_end_time', 'TIME NULL'],
+    ['online_support_required_for_which_problem', 'TEXT'],
+    ['online_support_time', 'TIME NULL'],
+    ['online_support_end_time', 'TIME NULL'],
+    ['engineer_name_who_gives_online_support', 'VARCHAR(120)'],
+    ['engineer_remark', 'TEXT'],
+    ['project_incharge_remark', 'TEXT'],
+  ],
+  daily_target_reports: [
+    ['user_id', 'INT'],
+    ['report_date', 'DATE'],
+    ['end_customer_name', 'VARCHAR(120) DEFAULT ""'],
+    ['end_customer_person', 'VARCHAR(120) DEFAULT ""'],
+    ['end_customer_contact', 'VARCHAR(20) DEFAULT ""'],
+    ['project_no', 'VARCHAR(120) DEFAULT ""'],
+    ['location_type', 'VARCHAR(20) DEFAULT ""'],
+    ['site_location', 'VARCHAR(255)'],
+    ['location_lat', 'DECIMAL(10, 8)'],
+    ['location_lng', 'DECIMAL(11, 8)'],
+    ['mom_report_path', 'VARCHAR(255)'],
+    ['daily_target_planned', 'TEXT'],
+    ['daily_target_achieved', 'TEXT'],
+    ['additional_activity', 'TEXT'],
+    ['who_added_activity', 'VARCHAR(120)'],
+    ['daily_pending_target', 'TEXT'],
+    ['reason_pending_target', 'TEXT'],
+    ['problem_faced', 'TEXT'],
+    ['problem_resolved', 'TEXT'],
+    ['online_support_required', 'TEXT'],
+    ['support_engineer_name', 'VARCHAR(120)'],
+    ['site_start_date', 'DATE'],
+    ['site_end_date', 'DATE'],
+    ['incharge', 'VARCHAR(120) DEFAULT ""'],
+    ['remark', 'TEXT'],
+    ['leave_application_id', 'INT NULL'],
+  ],
+  leave_applications: [
+    ['current_approver_id', 'INT NULL'],
+    ['approval_level', 'TINYINT NOT NULL DEFAULT 1'],
+    ['required_levels', 'TINYINT NOT NULL DEFAULT 1'],
+    ['half_day', "ENUM('first_half', 'second_half') NULL"],
+    ['leave_days', 'DECIMAL(5,1) NULL'],
+    ['cancellation_reason', 'TEXT NULL'],
+    ['cancelled_at', 'TIMESTAMP NULL'],
+  ],
+  leave_approval_steps: [['kind', "ENUM('approval', 'cancellation') NOT NULL DEFAULT 'approval'"]],
+  leave_balances: [
+    ['carried_casual', 'DECIMAL(5,1) DEFAULT 0'],
+    ['carried_sick', 'DECIMAL(5,1) DEFAULT 0'],
+    ['carried_paid', 'DECIMAL(5,1) DEFAULT 0'],
+    ['encashed_casual', 'DECIMAL(5,1) DEFAULT 0'],
+    ['encashed_sick', 'DECIMAL(5,1) DEFAULT 0'],
+    ['encashed_paid', 'DECIMAL(5,1) DEFAULT 0'],
+    ['closed_at', 'TIMESTAMP NULL'],
+  ],
+}
+
+export async function up(db) {
+  for (const [table, columns] of Object.entries(LEGACY_COLUMNS)) {
+    const [rows] = await db.query(
+      'SELECT COLUMN_NAME AS name FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+      [table]
+    )
+    const existing = new Set(rows.map((row) => row.name))
+    for (const [column, definition] of columns) {
+      if (existing.has(column)) continue
+      await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+      console.log(`  added ${table}.${column}`)
+    }
+  }
+
+  // Column types that changed after the table was first created; MODIFY is a no-op when they already match
+  await db.query(`
+    ALTER TABLE leave_applications
+      MODIFY status ENUM('pending', 'approved', 'rejected', 'cancelled', 'cancellation_requested') DEFAULT 'pending'
+  `)
+  await db.query(`
+    ALTER TABLE leave_balances
+      MODIFY casual_leaves DECIMAL(5,1) DEFAULT 12,
+      MODIFY sick_leaves DECIMAL(5,1) DEFAULT 12,
+      MODIFY paid_leaves DECIMAL(5,1) DEFAULT 0,
+      MODIFY used_casual DECIMAL(5,1) DEFAULT 0,
+      MODIFY used_sick DECIMAL(5,1) DEFAULT 0,
+      MODIFY used_paid DECIMAL(5,1) DEFAULT 0
+  `)
+
+  // Team and Group Leaders used to be seeded with activity.view_all, which showed them every
+  // employee's reports; team.view now gives them their reporting tree's. A database still
+  // describing team.view the old way predates that, so take the wider grant back.
+  const [[teamView]] = await db.query("SELECT description FROM permissions WHERE name = 'team.view'")
+  if (teamView?.description === 'View direct reports') {
+    await db.query(`
+      DELETE rp
+        FROM role_permissions rp
+        JOIN roles r ON r.id = rp.role_id
+        JOIN permissions p ON p.id = rp.permission_id
+       WHERE r.name IN ('Team Leader', 'Group Leader')
+         AND p.name = 'activity.view_all'
+    `)
+  }
+
+  // Route pending applications created before the approval chain to the applicant's manager
+  await db.query(`
+    UPDATE leave_applications la
+    JOIN users u ON la.user_id = u.id
+    SET la.current_approver_id = u.manager_id
+    WHERE la.status = 'pending' AND la.current_approver_id IS NULL AND u.manager_id IS NOT NULL
+  `)
+}
@@ -0,0 +1,43 @@
+-- Project master data. Reports keep their free-text project fields for history and display,
+-- and point at the project they belong to through project_id once picked or reconciled.
+
+CREATE TABLE IF NOT EXISTS projects (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  project_no VARCHAR(120) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  customer_name VARCHAR(120),
+  customer_person VARCHAR(120),
+  customer_contact VARCHAR(20),
+  end_customer_name VARCHAR(120),
+  end_customer_person VARCHAR(120),
+  end_customer_contact VARCHAR(20),
+  site_address VARCHAR(255),
+  location_lat DECIMAL(10, 8),
+  location_lng DECIMAL(11, 8),
+  start_date DATE,
+  end_date DATE,
+  incharge_id INT NULL,
+  status ENUM('active', 'closed') NOT NULL DEFAULT 'active',
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (incharge_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_projects_name (name)
+);
+
+ALTER TABLE daily_target_reports
+  ADD COLUMN project_id INT NULL,
+  ADD CONSTRAINT fk_daily_target_reports_project FOREIGN KEY (project_id) REFERENCES projects(id);
+
+ALTER TABLE hourly_reports
+  ADD COLUMN project_id INT NULL,
+  ADD CONSTRAINT fk_hourly_reports_project FOREIGN KEY (project_id) REFERENCES projects(id);
+
+ALTER TABLE site_activity
+  ADD COLUMN project_id INT NULL,
+  ADD CONSTRAINT fk_site_activity_project FOREIGN KEY (project_id) REFERENCES projects(id);
+
+ALTER TABLE moms
+  ADD COLUMN project_id INT NULL,
+  ADD CONSTRAINT fk_moms_project FOREIGN KEY (project_id) REFERENCES projects(id);
@@ -0,0 +1,112 @@
+-- Customer and contact-person master data. Reports and projects keep their customer text columns,
+-- which are rewritten from these tables whenever a customer or contact is edited, and point at
+-- the records through the *_customer_id / *_contact_id columns.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(120) NOT NULL UNIQUE,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS customer_contacts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  customer_id INT NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  country_code VARCHAR(6) NOT NULL DEFAULT '+91',
+  phone VARCHAR(20),
+  email VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_customer_contact (customer_id, name)
+);
+
+ALTER TABLE daily_target_reports
+  ADD COLUMN customer_country_code VARCHAR(6) DEFAULT '+91' AFTER customer_contact,
+  ADD COLUMN end_customer_country_code VARCHAR(6) DEFAULT '+91' AFTER end_customer_contact,
+  ADD COLUMN customer_id INT NULL,
+  ADD COLUMN customer_contact_id INT NULL,
+  ADD COLUMN end_customer_id INT NULL,
+  ADD COLUMN end_customer_contact_id INT NULL,
+  ADD CONSTRAINT fk_daily_target_reports_customer FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_daily_target_reports_contact FOREIGN KEY (customer_contact_id) REFERENCES customer_contacts(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_daily_target_reports_end_customer FOREIGN KEY (end_customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_daily_target_reports_end_contact FOREIGN KEY (end_customer_contact_id) REFERENCES customer_contacts(id) ON DELETE SET NULL;
+
+ALTER TABLE moms
+  ADD COLUMN customer_id INT NULL,
+  ADD COLUMN customer_contact_id INT NULL,
+  ADD COLUMN end_customer_id INT NULL,
+  ADD COLUMN end_customer_contact_id INT NULL,
+  ADD CONSTRAINT fk_moms_customer FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_moms_contact FOREIGN KEY (customer_contact_id) REFERENCES customer_contacts(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_moms_end_customer FOREIGN KEY (end_customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_moms_end_contact FOREIGN KEY (end_customer_contact_id) REFERENCES customer_contacts(id) ON DELETE SET NULL;
+
+ALTER TABLE projects
+  ADD COLUMN customer_country_code VARCHAR(6) DEFAULT '+91' AFTER customer_contact,
+  ADD COLUMN end_customer_country_code VARCHAR(6) DEFAULT '+91' AFTER end_customer_contact,
+  ADD COLUMN customer_id INT NULL,
+  ADD COLUMN customer_contact_id INT NULL,
+  ADD COLUMN end_customer_id INT NULL,
+  ADD COLUMN end_customer_contact_id INT NULL,
+  ADD CONSTRAINT fk_projects_customer FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_projects_contact FOREIGN KEY (customer_contact_id) REFERENCES customer_contacts(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_projects_end_customer FOREIGN KEY (end_customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_projects_end_contact FOREIGN KEY (end_customer_contact_id) REFERENCES customer_contacts(id) ON DELETE SET NULL;
+
+-- Seed customers from the names already typed on reports and projects. Names compare
+-- case-insensitively, so "ACME power" and "Acme Power" become one customer.
+INSERT IGNORE INTO customers (name)
+SELECT TRIM(name) FROM (
+  SELECT customer_name AS name FROM projects
+  UNION ALL SELECT end_customer_name FROM projects
+  UNION ALL SELECT customer_name FROM moms
+  UNION ALL SELECT end_customer_name FROM moms
+  UNION ALL SELECT customer_name FROM daily_target_reports
+  UNION ALL SELECT end_customer_name FROM daily_target_reports
+) typed
+WHERE name IS NOT NULL AND TRIM(name) NOT IN ('', 'N/A', 'NA', '-');
+
+UPDATE projects t JOIN customers c ON c.name = TRIM(t.customer_name) SET t.customer_id = c.id;
+UPDATE projects t JOIN customers c ON c.name = TRIM(t.end_customer_name) SET t.end_customer_id = c.id;
+UPDATE moms t JOIN customers c ON c.name = TRIM(t.customer_name) SET t.customer_id = c.id;
+UPDATE moms t JOIN customers c ON c.name = TRIM(t.end_customer_name) SET t.end_customer_id = c.id;
+UPDATE daily_target_reports t JOIN customers c ON c.name = TRIM(t.customer_name) SET t.customer_id = c.id;
+UPDATE daily_target_reports t JOIN customers c ON c.name = TRIM(t.end_customer_name) SET t.end_customer_id = c.id;
+
+-- Contact people per customer, with the most recently recorded number. MoMs go first as the
+-- only source that already carries a country code; later duplicates are ignored.
+INSERT IGNORE INTO customer_contacts (customer_id, name, country_code, phone)
+SELECT customer_id, person, country_code, phone FROM (
+  SELECT customer_id, TRIM(customer_person) AS person, customer_country_code AS country_code,
+         customer_contact AS phone, updated_at AS recorded_at, 1 AS source
+    FROM moms
+  UNION ALL
+  SELECT end_customer_id, TRIM(end_customer_person), end_customer_country_code, end_customer_contact, updated_at, 1
+    FROM moms
+  UNION ALL
+  SELECT customer_id, TRIM(customer_person), '+91', customer_contact, created_at, 2
+    FROM daily_target_reports
+  UNION ALL
+  SELECT end_customer_id, TRIM(end_customer_person), '+91', end_customer_contact, created_at, 2
+    FROM daily_target_reports
+) typed
+WHERE customer_id IS NOT NULL AND person IS NOT NULL AND person NOT IN ('', 'N/A', 'NA', '-')
+ORDER BY source ASC, recorded_at DESC;
+
+UPDATE moms t JOIN customer_contacts cc ON cc.customer_id = t.customer_id AND cc.name = TRIM(t.customer_person)
+   SET t.customer_contact_id = cc.id;
+UPDATE moms t JOIN customer_contacts cc ON cc.customer_id = t.end_customer_id AND cc.name = TRIM(t.end_customer_person)
+   SET t.end_customer_contact_id = cc.id;
+UPDATE daily_target_reports t JOIN customer_contacts cc ON cc.customer_id = t.customer_id AND cc.name = TRIM(t.customer_person)
+   SET t.customer_contact_id = cc.id;
+UPDATE daily_target_reports t JOIN customer_contacts cc ON cc.customer_id = t.end_customer_id AND cc.name = TRIM(t.end_customer_person)
+   SET t.end_customer_contact_id = cc.id;
+UPDATE projects t JOIN customer_contacts cc ON cc.customer_id = t.customer_id AND cc.name = TRIM(t.customer_person)
+   SET t.customer_contact_id = cc.id;
+UPDATE projects t JOIN customer_contacts cc ON cc.customer_id = t.end_customer_id AND cc.name = TRIM(t.end_customer_person)
+   SET t.end_customer_contact_id = cc.id;
@@ -0,0 +1,23 @@
+-- Engineer deployments: who is assigned to which project or site, and for which dates. Daily and
+-- hourly report forms prefill the project and site from the assignment covering the report date.
+
+CREATE TABLE IF NOT EXISTS deployments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  project_id INT NULL,
+  -- Site name or address; defaults to the project's site address
+  site_name VARCHAR(255),
+  location_lat DECIMAL(10, 8),
+  location_lng DECIMAL(11, 8),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  notes VARCHAR(500),
+  assigned_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
+  FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_deployments_user_dates (user_id, start_date, end_date),
+  INDEX idx_deployments_dates (start_date, end_date)
+);
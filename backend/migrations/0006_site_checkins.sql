@@ -0,0 +1,30 @@
+-- Geofenced site attendance. A project site (projects.location_lat/location_lng) gets a fence
+-- radius; engineers check in and out at the site, and every event records where they were and
+-- whether that was outside the fence. Site reports take their in and out times from these events.
+
+ALTER TABLE projects
+  ADD COLUMN geofence_radius_m INT NULL AFTER location_lng;
+
+CREATE TABLE IF NOT EXISTS site_checkins (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  -- The working day the event belongs to; a check-out after midnight stays on the check-in's day
+  report_date DATE NOT NULL,
+  event ENUM('check_in', 'check_out') NOT NULL,
+  project_id INT NULL,
+  deployment_id INT NULL,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  accuracy_m DECIMAL(8, 1) NULL,
+  -- The fence the event was checked against, NULL when the site has no coordinates
+  fence_lat DECIMAL(10, 8) NULL,
+  fence_lng DECIMAL(11, 8) NULL,
+  fence_radius_m INT NULL,
+  distance_m INT NULL,
+  outside_fence TINYINT(1) NULL,
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
+  FOREIGN KEY (deployment_id) REFERENCES deployments(id) ON DELETE SET NULL,
+  INDEX idx_site_checkins_user_date (user_id, report_date)
+);
@@ -0,0 +1,44 @@
+// Uploaded files get their own table and are stored by key (a path relative to the storage
+// root) instead of an absolute server path. Reports point at a files row.
+//
+// MoM PDFs uploaded so far sit directly in backend/uploads, so their key is the file name.
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS files (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      storage_key VARCHAR(255) NOT NULL UNIQUE,
+      original_name VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      size_bytes INT NULL,
+      uploaded_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `)
+  await db.query(`
+    ALTER TABLE daily_target_reports
+      ADD COLUMN mom_file_id INT NULL,
+      ADD CONSTRAINT fk_daily_target_reports_mom_file FOREIGN KEY (mom_file_id) REFERENCES files(id) ON DELETE SET NULL
+  `)
+
+  const [reports] = await db.query(
+    "SELECT id, user_id, mom_report_path FROM daily_target_reports WHERE mom_report_path IS NOT NULL AND mom_report_path <> ''"
+  )
+  for (const report of reports) {
+    // Paths were written on Linux and Windows hosts alike
+    const key = report.mom_report_path.split(/[\\/]/).pop()
+    // LAST_INSERT_ID(id) makes insertId the existing row's id when two reports share a file
+    const [result] = await db.query(
+      `INSERT INTO files (storage_key, original_name, mime_type, uploaded_by) VALUES (?, ?, 'application/pdf', ?)
+       ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+      [key, key, report.user_id]
+    )
+    await db.query('UPDATE daily_target_reports SET mom_file_id = ? WHERE id = ?', [result.insertId, report.id])
+  }
+  if (reports.length > 0) {
+    console.log(`  moved ${reports.length} MoM report path(s) to files`)
+  }
+
+  await db.query('ALTER TABLE daily_target_reports DROP COLUMN mom_report_path')
+}
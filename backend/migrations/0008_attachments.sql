@@ -0,0 +1,19 @@
+-- Evidence attached to reports: photos, short videos and documents. An attachment belongs to
+-- one report of either kind (report_type + report_id), so there is no foreign key on report_id.
+-- Images and videos carry a small JPEG thumbnail for galleries.
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  report_type ENUM('daily', 'hourly') NOT NULL,
+  report_id INT NOT NULL,
+  file_id INT NOT NULL,
+  thumbnail_file_id INT NULL,
+  kind ENUM('image', 'video', 'document') NOT NULL,
+  caption VARCHAR(255) NULL,
+  uploaded_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE,
+  FOREIGN KEY (thumbnail_file_id) REFERENCES files(id) ON DELETE SET NULL,
+  FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_attachments_report (report_type, report_id)
+);
@@ -0,0 +1,23 @@
+-- Signatures captured on a MoM: one by the engineer and one by the customer representative.
+-- The drawn signature is stored as a PNG file, with who signed, when and where. A MoM is locked
+-- against edits from its first signature on (locked_at).
+
+CREATE TABLE IF NOT EXISTS mom_signatures (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  mom_id INT NOT NULL,
+  role ENUM('engineer', 'customer') NOT NULL,
+  signer_name VARCHAR(120) NOT NULL,
+  file_id INT NOT NULL,
+  signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  latitude DECIMAL(10, 8) NULL,
+  longitude DECIMAL(11, 8) NULL,
+  accuracy_m DECIMAL(8, 1) NULL,
+  captured_by INT NULL,
+  FOREIGN KEY (mom_id) REFERENCES moms(id) ON DELETE CASCADE,
+  FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE,
+  FOREIGN KEY (captured_by) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE KEY unique_mom_signature_role (mom_id, role)
+);
+
+ALTER TABLE moms
+  ADD COLUMN locked_at TIMESTAMP NULL;
@@ -0,0 +1,31 @@
+-- MoMs sent to customers. Share links open a MoM without a login until they expire or are
+-- revoked; only a hash of the link's token is kept. mom_events records every email sent and
+-- every opening of a share link against the MoM.
+
+CREATE TABLE IF NOT EXISTS mom_share_links (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  mom_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at DATETIME NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (mom_id) REFERENCES moms(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS mom_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  mom_id INT NOT NULL,
+  event ENUM('emailed', 'link_created', 'link_viewed', 'link_revoked') NOT NULL,
+  recipients VARCHAR(1000) NULL,
+  share_link_id INT NULL,
+  user_id INT NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (mom_id) REFERENCES moms(id) ON DELETE CASCADE,
+  FOREIGN KEY (share_link_id) REFERENCES mom_share_links(id) ON DELETE SET NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_mom_events_mom (mom_id, created_at)
+);
@@ -0,0 +1,176 @@
+import express from 'express'
+import cors from 'cors'
+import dotenv from 'dotenv'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import helmet from 'helmet'
+import compression from 'compression'
+import rateLimit from 'express-rate-limit'
+import activityRouter from './routes/activity.js'
+import authRouter from './routes/auth.js'
+import hourlyReportRouter from './routes/hourlyReport.js'
+import dailyTargetRouter from './routes/dailyTarget.js'
+import employeeActivityRouter from './routes/employeeActivity.js'
+import momRouter from './routes/mom.js'
+import holidaysRouter from './routes/holidays.js'
+import usersRouter from './routes/users.js'
+import orgRouter from './routes/org.js'
+import projectsRouter from './routes/projects.js'
+import customersRouter from './routes/customers.js'
+import deploymentsRouter from './routes/deployments.js'
+import siteCheckinsRouter from './routes/siteCheckins.js'
+import geoRouter from './routes/geo.js'
+import filesRouter from './routes/files.js'
+import attachmentsRouter from './routes/attachments.js'
+let leaveRouter
+try {
+  leaveRouter = (await import('./routes/leave.js')).default
+  console.log('Leave router imported successfully:', !!leaveRouter)
+} catch (error) {
+  console.error('Failed to import leave router:', error)
+  leaveRouter = null
+}
+
+dotenv.config()
+
+// ES Modules fix for __dirname
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// The Express app without a listening socket: server.js starts it, tests mount it on a random port
+const app = express()
+
+// Security middleware
+app.use(helmet({
+  contentSecurityPolicy: false, // Disable CSP for now, configure as needed
+  crossOriginEmbedderPolicy: false,
+}))
+
+// Rate limiting for API
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => req.method === 'OPTIONS' || process.env.NODE_ENV === 'test', // Skip OPTIONS requests and test runs
+})
+
+// Apply rate limiting to API routes
+app.use('/api', limiter)
+
+// CORS configuration - dynamically allow origins
+const allowedOrigins = process.env.NODE_ENV === 'production'
+  ? [
+      'https://vaweb.onrender.com',
+      'https://va-report-frontend.onrender.com', // Your frontend URL
+      'https://yourdomain.com', // Add your custom domain if any
+    ]
+  : [
+      'http://localhost:5173', // Added for Vite dev server
+      'http://localhost:5174', // Added for Vite dev server
+      'http://localhost:5175', // Added for Vite dev server
+      'http://localhost:3000',
+    ]
+
+// Enable CORS for all origins in development
+app.use(cors({
+  origin: process.env.NODE_ENV === 'production' ? allowedOrigins : true,
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  // Lets the frontend read the file name of downloads such as MoM PDFs
+  exposedHeaders: ['Content-Disposition'],
+}))
+
+// Compression middleware for production
+if (process.env.NODE_ENV === 'production') {
+  app.use(compression())
+}
+
+app.use(express.json({ limit: '10mb' })) // Increased limit for file uploads
+app.use(express.urlencoded({ extended: true, limit: '10mb' }))
+
+// Health check endpoint
+app.get('/health', (_req, res) => {
+  res.json({ 
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development',
+    uptime: process.uptime()
+  })
+})
+
+// API Routes
+app.use('/api/auth', authRouter)
+app.use('/api/activity', activityRouter)
+app.use('/api/hourly-report', hourlyReportRouter)
+app.use('/api/daily-target', dailyTargetRouter)
+app.use('/api/employee-activity', employeeActivityRouter)
+app.use('/api/mom', momRouter)
+app.use('/api/holidays', holidaysRouter)
+app.use('/api/users', usersRouter)
+app.use('/api/org', orgRouter)
+app.use('/api/projects', projectsRouter)
+app.use('/api/customers', customersRouter)
+app.use('/api/deployments', deploymentsRouter)
+app.use('/api/site-checkins', siteCheckinsRouter)
+app.use('/api/geo', geoRouter)
+app.use('/api/files', filesRouter)
+app.use('/api/attachments', attachmentsRouter)
+if (leaveRouter) {
+  app.use('/api/leave', leaveRouter)
+  console.log('Leave router mounted at /api/leave')
+} else {
+  console.error('Leave router not available, skipping mount')
+}
+
+// Serve frontend static files in production
+if (process.env.NODE_ENV === 'production') {
+  // Assuming frontend is built in a folder relative to backend
+  const frontendPath = path.join(__dirname, '../frontend/dist')
+  
+  // Serve static files from frontend build
+  app.use(express.static(frontendPath))
+  
+  // Handle SPA routing - return index.html for all non-API routes
+  app.get('*', (req, res) => {
+    if (!req.path.startsWith('/api')) {
+      res.sendFile(path.join(frontendPath, 'index.html'))
+    }
+  })
+  
+  console.log('✓ Serving frontend static files from:', frontendPath)
+}
+
+// 404 handler for API routes - commented out due to path-to-regexp compatibility issues
+// app.use('/api/:param(*)', (req, res) => {
+//   res.status(404).json({
+//     message: 'API endpoint not found',
+//     path: req.originalUrl,
+//     method: req.method
+//   })
+// })
+
+// Global error handler
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', {
+    error: err.message,
+    stack: err.stack,
+    path: req.path,
+    method: req.method,
+    timestamp: new Date().toISOString()
+  })
+  
+  const statusCode = err.status || 500
+  const message = process.env.NODE_ENV === 'production' 
+    ? 'Unexpected error occurred' 
+    : err.message
+    
+  res.status(statusCode).json({ 
+    message,
+    ...(process.env.NODE_ENV !== 'production' && { error: err.message, stack: err.stack })
+  })
+})
+
+export default app
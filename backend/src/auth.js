@@ -0,0 +1,323 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import pool from './db.js'
+
+// The fallback secret is only for local development; anyone who knows it can mint tokens
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production')
+}
+export const JWT_SECRET = process.env.JWT_SECRET ?? 'vickhardth-site-pulse-secret'
+
+// Access tokens are short-lived; clients renew them with the refresh token from their session
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30
+
+// Permission catalogue, kept in step with the permissions table by syncPermissions at startup
+export const PERMISSIONS = {
+  'activity.view_all': "View every employee's daily and hourly reports",
+  'employees.view_all': 'View any employee, not only direct reports',
+  'team.view': 'View the reports of everyone in their reporting tree',
+  'reports.edit_any': 'Edit daily and hourly reports filed by others',
+  'mom.manage_all': "View and edit everyone's Minutes of Meeting",
+  'leave.approve': 'Approve or reject leave for direct reports',
+  'leave.approve_final': 'Give final approval on escalated or unassigned leave',
+  'leave.manage_policy': 'Manage leave policies and the year-end rollover',
+  'holidays.manage': 'Maintain the holiday calendar',
+  'users.manage': 'Invite, approve and deactivate users and assign their role and manager',
+  'projects.manage': 'Create and edit projects and link report project names to them',
+  'customers.manage': 'Rename and delete customers and their contact people',
+  'deployments.manage': 'Deploy engineers in their team to projects and sites',
+}
+
+// Role grants seeded on first run; after that the role_permissions table is the source of truth
+export const DEFAULT_ROLE_PERMISSIONS = {
+  Manager: Object.keys(PERMISSIONS),
+  'Group Leader': [
+    'team.view',
+    'reports.edit_any',
+    'mom.manage_all',
+    'projects.manage',
+    'customers.manage',
+    'deployments.manage',
+  ],
+  'Team Leader': [
+    'team.view',
+    'reports.edit_any',
+    'mom.manage_all',
+    'leave.approve',
+    'projects.manage',
+    'customers.manage',
+    'deployments.manage',
+  ],
+  'Senior Engineer': [],
+  'Junior Engineer': [],
+  Trainee: [],
+}
+
+// Role -> permissions, keyed by lowercased role name and reloaded at most once a minute
+const CACHE_TTL_MS = 60 * 1000
+let rolePermissions = new Map()
+let loadedAt = 0
+
+async function loadRolePermissions() {
+  if (Date.now() - loadedAt < CACHE_TTL_MS) return rolePermissions
+
+  try {
+    const [rows] = await pool.execute(`
+      SELECT r.name AS role_name, p.name AS permission
+        FROM roles r
+        LEFT JOIN role_permissions rp ON rp.role_id = r.id
+        LEFT JOIN permissions p ON rp.permission_id = p.id
+    `)
+    const next = new Map()
+    for (const row of rows) {
+      const key = row.role_name.toLowerCase()
+      if (!next.has(key)) next.set(key, new Set())
+      if (row.permission) next.get(key).add(row.permission)
+    }
+    rolePermissions = next
+    loadedAt = Date.now()
+  } catch (error) {
+    // Keep serving the last good copy; with nothing loaded every permission check fails closed
+    console.error('Failed to load role permissions:', error.message)
+  }
+  return rolePermissions
+}
+
+// Bring the permissions table in line with PERMISSIONS. The tables themselves come from the
+// baseline migration; this only syncs rows, so it runs on every startup.
+export async function syncPermissions(db = pool) {
+  for (const [name, description] of Object.entries(PERMISSIONS)) {
+    const [result] = await db.execute('INSERT IGNORE INTO permissions (name, description) VALUES (?, ?)', [
+      name,
+      description,
+    ])
+    if (result.affectedRows === 0) {
+      await db.execute('UPDATE permissions SET description = ? WHERE name = ?', [description, name])
+      continue
+    }
+    // A permission added after roles were seeded goes to the roles that get it by default
+    for (const [roleName, grants] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+      if (!grants.includes(name)) continue
+      await db.execute(
+        `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+         SELECT r.id, p.id FROM roles r, permissions p WHERE r.name = ? AND p.name = ?`,
+        [roleName, name]
+      )
+    }
+  }
+
+  // Seed default grants only for roles that do not exist yet, so later edits are kept
+  for (const [roleName, grants] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    const [result] = await db.execute('INSERT IGNORE INTO roles (name) VALUES (?)', [roleName])
+    if (result.affectedRows === 0) continue
+    for (const permission of grants) {
+      await db.execute(
+        `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+         SELECT r.id, p.id FROM roles r, permissions p WHERE r.name = ? AND p.name = ?`,
+        [roleName, permission]
+      )
+    }
+  }
+
+  // Any other role already in use gets a row with no permissions
+  await db.execute(
+    "INSERT IGNORE INTO roles (name) SELECT DISTINCT role FROM users WHERE role IS NOT NULL AND role <> ''"
+  )
+  clearPermissionCache()
+}
+
+// Drop the cached grants, e.g. after role_permissions changes
+export function clearPermissionCache() {
+  loadedAt = 0
+}
+
+export async function permissionsForRole(role) {
+  const map = await loadRolePermissions()
+  return map.get((role || '').toLowerCase()) || new Set()
+}
+
+export async function roleHasPermission(role, permission) {
+  return (await permissionsForRole(role)).has(permission)
+}
+
+// True when the authenticated user has any of the given permissions
+export function can(user, ...permissions) {
+  return !!user?.permissions && permissions.some((p) => user.permissions.has(p))
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, username: user.username, role: user.role, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  })
+}
+
+// Single-use secrets (refresh and password-reset tokens) are stored only as a SHA-256 hash
+export const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex')
+
+// Refresh tokens are "<session id>.<random secret>"; only a hash of the secret is stored
+function newRefreshSecret(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url')
+  return { refreshToken: `${sessionId}.${secret}`, hash: hashToken(secret) }
+}
+
+function parseRefreshToken(refreshToken) {
+  const [id, secret] = String(refreshToken || '').split('.')
+  const sessionId = parseInt(id, 10)
+  if (!sessionId || !secret) return null
+  return { sessionId, secret }
+}
+
+// Start a session for a freshly authenticated user and return { token, refreshToken }
+export async function createSession(user, req) {
+  const [result] = await pool.execute(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, '', ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [user.id, (req.get('user-agent') || '').slice(0, 255), req.ip || null, REFRESH_TOKEN_TTL_DAYS]
+  )
+  const sessionId = result.insertId
+  const { refreshToken, hash } = newRefreshSecret(sessionId)
+  await pool.execute('UPDATE sessions SET refresh_token_hash = ? WHERE id = ?', [hash, sessionId])
+  return { token: signAccessToken(user, sessionId), refreshToken }
+}
+
+// Exchange a refresh token for a new access token and a new refresh token (rotation).
+// Presenting an already-rotated token means it was copied, so the whole session is revoked.
+// Returns { user, token, refreshToken }, or null when the token is not valid.
+export async function rotateSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return null
+
+  const [rows] = await pool.execute(
+    `SELECT s.id, s.refresh_token_hash, s.revoked_at, s.expires_at < NOW() AS expired,
+            u.id AS user_id, u.username, u.role, u.status
+       FROM sessions s
+       JOIN users u ON s.user_id = u.id
+      WHERE s.id = ?`,
+    [parsed.sessionId]
+  )
+  const session = rows[0]
+  if (!session || session.revoked_at || session.expired || session.status !== 'active') return null
+
+  if (session.refresh_token_hash !== hashToken(parsed.secret)) {
+    console.warn(`Refresh token reuse detected for session ${session.id}; revoking it`)
+    await revokeSession(session.id)
+    return null
+  }
+
+  const { refreshToken: nextToken, hash } = newRefreshSecret(session.id)
+  const [result] = await pool.execute(
+    `UPDATE sessions SET refresh_token_hash = ?, last_used_at = CURRENT_TIMESTAMP,
+            expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+      WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [hash, REFRESH_TOKEN_TTL_DAYS, session.id, session.refresh_token_hash]
+  )
+  // Lost a race with another refresh of the same token
+  if (result.affectedRows === 0) return null
+
+  const user = { id: session.user_id, username: session.username, role: session.role }
+  return { user, token: signAccessToken(user, session.id), refreshToken: nextToken }
+}
+
+export async function revokeSession(sessionId) {
+  await pool.execute(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [sessionId]
+  )
+}
+
+// Revoke the session a refresh token belongs to, provided the token is still the current one
+export async function revokeRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return false
+  const [result] = await pool.execute(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [parsed.sessionId, hashToken(parsed.secret)]
+  )
+  return result.affectedRows > 0
+}
+
+// Frontend address used to build links in emails
+export const APP_URL = process.env.APP_URL ?? 'http://localhost:5173'
+
+// Issue a single-use link for choosing a new password (forgotten passwords and invitations).
+// Any earlier unused link for the user stops working.
+export async function createPasswordResetLink(userId, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('base64url')
+  await pool.execute(
+    'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  )
+  await pool.execute(
+    `INSERT INTO password_resets (user_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [userId, hashToken(token), ttlMinutes]
+  )
+  return `${APP_URL}/?resetToken=${token}`
+}
+
+// Log a user out everywhere, optionally keeping one session; returns the number of sessions revoked
+export async function revokeAllSessions(userId, exceptSessionId = null) {
+  const [result] = await pool.execute(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL AND id <> ?',
+    [userId, exceptSessionId ?? 0]
+  )
+  return result.affectedRows
+}
+
+// Checked on every request so logging out, deactivation and role changes take effect
+// before the access token expires. Returns the user's current role, or null if the session is over.
+async function loadActiveSession(sessionId) {
+  const [rows] = await pool.execute(
+    `SELECT u.role FROM sessions s
+       JOIN users u ON s.user_id = u.id
+      WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.status = 'active'`,
+    [sessionId]
+  )
+  return rows[0] || null
+}
+
+// Verify the bearer token and its session, and attach { id, username, role, sid, permissions } to req.user
+export const requireAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ message: 'Missing or invalid token' })
+  }
+
+  const token = authHeader.slice(7)
+  let decoded
+  try {
+    decoded = jwt.verify(token, JWT_SECRET)
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid token' })
+  }
+
+  // Tokens issued before sessions existed carry no sid and are refused
+  const session = decoded.sid ? await loadActiveSession(decoded.sid) : null
+  if (!session) {
+    return res.status(401).json({ message: 'Session has ended' })
+  }
+
+  req.user = { ...decoded, role: session.role, permissions: await permissionsForRole(session.role) }
+  next()
+}
+
+// Allow only users whose role is one of `roles` (case-insensitive). Use after requireAuth.
+export const requireRole = (...roles) => {
+  const allowed = roles.map((r) => r.toLowerCase())
+  return (req, res, next) => {
+    if (!allowed.includes((req.user?.role || '').toLowerCase())) {
+      return res.status(403).json({ message: `Forbidden: Only ${roles.join(', ')} can do this` })
+    }
+    next()
+  }
+}
+
+// Allow only users holding at least one of `permissions`. Use after requireAuth.
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!can(req.user, ...permissions)) {
+    return res.status(403).json({ message: 'Forbidden: You do not have permission to do this' })
+  }
+  next()
+}
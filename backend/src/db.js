@@ -3,17 +3,20 @@ import dotenv from 'dotenv'
 
 dotenv.config()
 
-
-const pool = mysql.createPool({
+// Shared with the migration runner, which opens its own connection
+export const dbConfig = {
   host: process.env.DB_HOST ?? 'localhost',
   user: process.env.DB_USER ?? 'root',
   password: process.env.DB_PASSWORD ?? 'Root@123',
   database: process.env.DB_NAME ?? 'vickhardth_ops',
+  ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined,
+}
+
+const pool = mysql.createPool({
+  ...dbConfig,
   waitForConnections: true,
   connectionLimit: 10,
   namedPlaceholders: true,
-  ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined,
 })
 
 export default pool
-
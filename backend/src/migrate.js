@@ -0,0 +1,42 @@
+// Database migration CLI.
+//   node src/migrate.js up      apply pending migrations (npm run migrate)
+//   node src/migrate.js status  list migrations; exits 1 if any are pending or edited (npm run migrate:status)
+import pool from './db.js'
+import { getMigrationStatus, runMigrations } from './utils/migrations.js'
+
+const showStatus = async () => {
+  const { migrations, missing } = await getMigrationStatus()
+  for (const migration of migrations) {
+    const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : ''
+    console.log(`${migration.state.padEnd(8)} ${migration.file.padEnd(40)} ${appliedAt}`)
+  }
+  for (const row of missing) {
+    console.log(`${'missing'.padEnd(8)} ${row.version}_${row.name} (recorded as applied, file not found)`)
+  }
+  return migrations.every((m) => m.state === 'applied')
+}
+
+const commands = {
+  up: async () => {
+    const applied = await runMigrations()
+    console.log(applied.length > 0 ? `✓ ${applied.length} migration(s) applied` : '✓ Database is up to date')
+    return true
+  },
+  status: showStatus,
+}
+
+const command = process.argv[2] ?? 'status'
+if (!commands[command]) {
+  console.error(`Unknown command "${command}". Use: ${Object.keys(commands).join(' | ')}`)
+  process.exit(2)
+}
+
+try {
+  const ok = await commands[command]()
+  process.exitCode = ok ? 0 : 1
+} catch (error) {
+  console.error(`Migration ${command} failed:`, error.message)
+  process.exitCode = 1
+} finally {
+  await pool.end()
+}
@@ -1,5 +1,8 @@
 import { Router } from 'express'
 import pool from '../db.js'
+import { requireAuth } from '../auth.js'
+import { getVisibleReportOwnerIds } from '../utils/orgTree.js'
+import { resolveProject } from '../utils/projects.js'
 
 const router = Router()
 
@@ -10,27 +13,31 @@ const insertSql = `
     log_date, log_time, project_name, daily_target, hourly_activity,
     problems_faced, resolution_status, problem_start, problem_end,
     support_problem, support_start, support_end, support_engineer,
-    engineer_remark, incharge_remark, created_at
+    engineer_remark, incharge_remark, project_id, user_id, created_at
   )
   VALUES (
     :logDate, :logTime, :projectName, :dailyTarget, :hourlyActivity,
     :problemsFaced, :resolutionStatus, :problemStart, :problemEnd,
     :supportProblem, :supportStart, :supportEnd, :supportEngineer,
-    :engineerRemark, :inchargeRemark, NOW()
+    :engineerRemark, :inchargeRemark, :projectId, :userId, NOW()
   )
 `
 
-router.get('/', async (_req, res) => {
+router.get('/', requireAuth, async (req, res) => {
   try {
+    // Everyone's entries with activity.view_all, otherwise the user's own and their reporting tree's
+    const ownerIds = await getVisibleReportOwnerIds(req.user)
     const [rows] = await pool.query(
-      `SELECT id, project_name AS projectName, log_date AS logDate,
+      `SELECT id, user_id AS userId, project_name AS projectName, log_date AS logDate,
               log_time AS logTime, daily_target AS dailyTarget,
               hourly_activity AS hourlyActivity, problems_faced AS problemsFaced,
               resolution_status AS resolutionStatus, support_engineer AS supportEngineer,
               created_at AS createdAt
          FROM site_activity
+        ${ownerIds === null ? '' : 'WHERE user_id IN (?)'}
         ORDER BY created_at DESC
-        LIMIT 20`
+        LIMIT 20`,
+      ownerIds === null ? [] : [[...ownerIds]]
     )
     res.json(rows)
   } catch (error) {
@@ -39,7 +46,7 @@ router.get('/', async (_req, res) => {
   }
 })
 
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
     for (const field of requiredFields) {
       if (!req.body[field]) {
@@ -47,6 +54,14 @@ router.post('/', async (req, res) => {
       }
     }
 
+    const { project, error: projectError } = await resolveProject({
+      projectId: req.body.projectId,
+      texts: [req.body.projectName],
+    })
+    if (projectError) {
+      return res.status(422).json({ message: projectError })
+    }
+
     const payload = {
       dailyTarget: '',
       hourlyActivity: '',
@@ -61,6 +76,8 @@ router.post('/', async (req, res) => {
       engineerRemark: '',
       inchargeRemark: '',
       ...req.body,
+      projectId: project?.id ?? null,
+      userId: req.user.id,
     }
 
     await pool.execute(insertSql, payload)
@@ -0,0 +1,218 @@
+import { Router } from 'express'
+import multer from 'multer'
+import { can, requireAuth } from '../auth.js'
+import {
+  MAX_ATTACHMENTS_PER_REPORT,
+  REPORT_TABLES,
+  addAttachment,
+  countAttachments,
+  deleteAttachment,
+  findAttachment,
+  findReports,
+  listAttachments,
+} from '../utils/attachments.js'
+import { THUMBNAIL_MIME_TYPES, sniffFileType } from '../utils/fileTypes.js'
+import { canViewReportsOf } from '../utils/orgTree.js'
+
+const router = Router()
+
+const MAX_FILES_PER_UPLOAD = 10
+const MAX_FILE_MB = parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 25
+const MAX_UPLOAD_MB = parseInt(process.env.ATTACHMENT_MAX_UPLOAD_MB, 10) || 100
+const MAX_THUMBNAIL_BYTES = 512 * 1024
+
+const uploadError = (code, field) => Object.assign(new Error(code), { code, field })
+
+// Bytes received so far per request, across all of its files
+const receivedBytes = new WeakMap()
+
+// Holds files in memory like multer.memoryStorage, but gives up on a file as soon as it passes
+// its limit (MAX_THUMBNAIL_BYTES for thumbnails) or the request passes MAX_UPLOAD_MB, rather
+// than once it has been buffered whole
+const boundedMemoryStorage = {
+  _handleFile(req, file, cb) {
+    const maxBytes = file.fieldname === 'thumbnails' ? MAX_THUMBNAIL_BYTES : MAX_FILE_MB * 1024 * 1024
+    const chunks = []
+    let size = 0
+
+    const finish = (error) => {
+      file.stream.off('data', onData).off('end', onEnd).off('error', finish)
+      if (error) {
+        file.stream.resume()
+        return cb(error)
+      }
+      cb(null, { buffer: Buffer.concat(chunks, size), size })
+    }
+    const onData = (chunk) => {
+      size += chunk.length
+      const total = (receivedBytes.get(req) ?? 0) + chunk.length
+      receivedBytes.set(req, total)
+      if (size > maxBytes) return finish(uploadError('LIMIT_FILE_SIZE', file.fieldname))
+      if (total > MAX_UPLOAD_MB * 1024 * 1024) return finish(uploadError('LIMIT_UPLOAD_SIZE'))
+      chunks.push(chunk)
+    }
+    const onEnd = () => finish(null)
+
+    file.stream.on('data', onData).on('end', onEnd).on('error', finish)
+  },
+
+  _removeFile(_req, file, cb) {
+    delete file.buffer
+    cb(null)
+  },
+}
+
+// Files are checked by content once they have arrived, so the upload only bounds their number and size
+const upload = multer({
+  storage: boundedMemoryStorage,
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: MAX_FILES_PER_UPLOAD * 2 },
+})
+
+// `files` (up to MAX_FILES_PER_UPLOAD) with optional `thumbnails`; limit errors become JSON
+// responses instead of falling through to the default error page. A request that declares more
+// than MAX_UPLOAD_MB is turned away before any of it is read.
+const receiveFiles = (req, res, next) => {
+  const tooLarge = () => res.status(413).json({ message: `Attach up to ${MAX_UPLOAD_MB} MB at a time` })
+  if (Number(req.get('content-length')) > MAX_UPLOAD_MB * 1024 * 1024) return tooLarge()
+
+  upload.fields([
+    { name: 'files', maxCount: MAX_FILES_PER_UPLOAD },
+    { name: 'thumbnails', maxCount: MAX_FILES_PER_UPLOAD },
+  ])(req, res, (error) => {
+    if (!error) return next()
+    if (error.code === 'LIMIT_UPLOAD_SIZE') return tooLarge()
+    if (error.code === 'LIMIT_FILE_SIZE' && error.field === 'thumbnails') {
+      return res.status(400).json({ message: 'Invalid thumbnail' })
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Each file must be ${MAX_FILE_MB} MB or smaller` })
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: `Attach up to ${MAX_FILES_PER_UPLOAD} files at a time` })
+    }
+    next(error)
+  })
+}
+
+const asList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value])
+
+// Only the report's owner, or someone allowed to edit others' reports, changes its attachments
+const canEditReport = (user, report) => report.user_id === user.id || can(user, 'reports.edit_any')
+
+// Attachments of ?reportType (daily or hourly) for ?reportIds (comma separated, up to 100),
+// limited to the reports the user may see
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { reportType } = req.query
+    if (!REPORT_TABLES[reportType]) {
+      return res.status(400).json({ message: 'reportType must be daily or hourly' })
+    }
+    const reportIds = [...new Set(String(req.query.reportIds ?? req.query.reportId ?? '').split(','))]
+      .map(Number)
+      .filter((id) => Number.isInteger(id) && id > 0)
+      .slice(0, 100)
+
+    const visible = []
+    for (const report of await findReports(reportType, reportIds)) {
+      if (await canViewReportsOf(req.user, report.user_id)) visible.push(report.id)
+    }
+    res.json({ attachments: await listAttachments(reportType, visible) })
+  } catch (error) {
+    console.error('Failed to fetch attachments', error)
+    res.status(500).json({ message: 'Unable to fetch attachments' })
+  }
+})
+
+// Attach `files` to a report. Images and videos may come with `thumbnails` made by the browser;
+// `thumbnailFor` holds, for each thumbnail, the index of the file it belongs to. `captions`
+// holds an optional caption for each file.
+router.post('/:reportType/:reportId', requireAuth, receiveFiles, async (req, res) => {
+  try {
+    const { reportType } = req.params
+    if (!REPORT_TABLES[reportType]) {
+      return res.status(400).json({ message: 'reportType must be daily or hourly' })
+    }
+    const [report] = await findReports(reportType, [Number(req.params.reportId)])
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' })
+    }
+    if (!canEditReport(req.user, report)) {
+      return res.status(403).json({ message: 'You cannot add attachments to this report' })
+    }
+
+    const files = req.files?.files ?? []
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one file to attach' })
+    }
+    if ((await countAttachments(reportType, report.id)) + files.length > MAX_ATTACHMENTS_PER_REPORT) {
+      return res.status(400).json({ message: `A report can have at most ${MAX_ATTACHMENTS_PER_REPORT} attachments` })
+    }
+
+    const types = files.map((file) => sniffFileType(file.buffer, file.originalname))
+    const rejected = files.filter((_file, i) => !types[i]).map((file) => file.originalname)
+    if (rejected.length > 0) {
+      return res.status(415).json({
+        message: `Only photos, videos, PDF and Office documents can be attached: ${rejected.join(', ')}`,
+      })
+    }
+
+    const thumbnails = new Map()
+    const thumbnailFor = asList(req.body.thumbnailFor).map(Number)
+    for (const [i, thumbnail] of (req.files?.thumbnails ?? []).entries()) {
+      const index = thumbnailFor[i]
+      const type = sniffFileType(thumbnail.buffer)
+      if (
+        !files[index] ||
+        types[index].kind === 'document' ||
+        !THUMBNAIL_MIME_TYPES.includes(type?.mime)
+      ) {
+        return res.status(400).json({ message: 'Invalid thumbnail' })
+      }
+      thumbnails.set(index, { thumbnail, thumbnailType: type })
+    }
+
+    const captions = asList(req.body.captions)
+    const attachments = []
+    for (const [i, file] of files.entries()) {
+      attachments.push(
+        await addAttachment({
+          reportType,
+          reportId: report.id,
+          file,
+          type: types[i],
+          ...thumbnails.get(i),
+          caption: String(captions[i] ?? '').trim().slice(0, 255) || null,
+          uploadedBy: req.user.id,
+        })
+      )
+    }
+
+    res.status(201).json({
+      message: `${attachments.length} attachment${attachments.length === 1 ? '' : 's'} added`,
+      attachments,
+    })
+  } catch (error) {
+    console.error('Failed to add attachments', error)
+    res.status(500).json({ message: 'Unable to add attachments' })
+  }
+})
+
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req.params.id)
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' })
+    }
+    const [report] = await findReports(attachment.report_type, [attachment.report_id])
+    if (!(report && canEditReport(req.user, report)) && attachment.uploaded_by !== req.user.id) {
+      return res.status(403).json({ message: 'You cannot remove this attachment' })
+    }
+    await deleteAttachment(attachment)
+    res.json({ message: 'Attachment removed' })
+  } catch (error) {
+    console.error('Failed to remove attachment', error)
+    res.status(500).json({ message: 'Unable to remove attachment' })
+  }
+})
+
+export default router
@@ -1,11 +1,27 @@
 import { Router } from 'express'
 import bcrypt from 'bcrypt'
-import jwt from 'jsonwebtoken'
 import pool from '../db.js'
+import {
+  createPasswordResetLink,
+  createSession,
+  hashToken,
+  permissionsForRole,
+  requireAuth,
+  revokeAllSessions,
+  revokeRefreshToken,
+  rotateSession,
+} from '../auth.js'
+import { nextEmployeeId } from '../utils/employeeId.js'
+import { sendMail } from '../utils/mailer.js'
 
 const router = Router()
-const JWT_SECRET = process.env.JWT_SECRET ?? 'vickhardth-site-pulse-secret'
-const TOKEN_TTL_SECONDS = 60 * 60 * 8 // 8 hours
+
+async function isEmployeeIdAvailable(employeeId) {
+  const [rows] = await pool.execute('SELECT id FROM users WHERE employee_id = ?', [employeeId])
+  return rows.length === 0
+}
+const MIN_PASSWORD_LENGTH = 8
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30
 
 router.post('/register', async (req, res) => {
   try {
@@ -88,25 +104,27 @@ router.post('/register', async (req, res) => {
       }
     }
 
-    // Generate employee_id for all users if not provided
-    let employeeId = req.body.employeeId;
-    if (!employeeId) {
-      // Generate employee ID if not provided
-      employeeId = `EMP${Date.now().toString().slice(-6)}`;
+    if (req.body.employeeId && !(await isEmployeeIdAvailable(req.body.employeeId))) {
+      return res.status(409).json({ message: 'Employee ID already exists' })
     }
 
+    // Generate employee_id for all users if not provided
+    const employeeId = req.body.employeeId || (await nextEmployeeId())
+
+    // Self-registrations wait for an administrator, who confirms or changes the requested role and manager
     const passwordHash = await bcrypt.hash(password, 10)
     const [result] = await pool.execute(
-      'INSERT INTO users (username, email, password_hash, dob, mobile, phone_no, joining_date, role, manager_id, employee_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      "INSERT INTO users (username, email, password_hash, dob, mobile, phone_no, joining_date, role, manager_id, employee_id, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')",
       [username, email, passwordHash, dob, mobile || null, mobile || null, joining_date, role, managerId || null, employeeId]
     )
 
-    const userId = result.insertId
-    const token = jwt.sign({ id: userId, username, role }, JWT_SECRET, {
-      expiresIn: TOKEN_TTL_SECONDS,
+    res.status(202).json({
+      message: 'Registration received. You can log in once an administrator approves your account.',
+      pending: true,
+      username,
+      employeeId,
+      id: result.insertId,
     })
-
-    res.status(201).json({ token, username, role, employeeId, id: userId })
       } catch (error) {
         console.error('Failed to register user:', error.message)
         console.error('Error details:', error)
@@ -114,6 +132,16 @@ router.post('/register', async (req, res) => {
       }
 })
 
+// Used by the registration form while the Employee ID is being typed
+router.get('/check-employee-id/:employeeId', async (req, res) => {
+  try {
+    res.json({ available: await isEmployeeIdAvailable(req.params.employeeId) })
+  } catch (error) {
+    console.error('Failed to check employee ID', error)
+    res.status(500).json({ message: 'Unable to check employee ID' })
+  }
+})
+
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body
@@ -122,7 +150,7 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Username and password are required' })
     }
 
-    const [rows] = await pool.execute('SELECT id, password_hash FROM users WHERE username = ?', [
+    const [rows] = await pool.execute('SELECT id, password_hash, status FROM users WHERE username = ?', [
       username,
     ])
 
@@ -136,6 +164,13 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid username or password' })
     }
 
+    if (user.status === 'pending') {
+      return res.status(403).json({ message: 'Your account is awaiting approval by an administrator' })
+    }
+    if (user.status !== 'active') {
+      return res.status(403).json({ message: 'Your account has been deactivated' })
+    }
+
     // Fetch user's role and employee ID
     const [userWithRole] = await pool.execute('SELECT id, username, role, employee_id FROM users WHERE id = ?', [
       user.id,
@@ -143,17 +178,182 @@ router.post('/login', async (req, res) => {
     const userRole = userWithRole[0]?.role
     const employeeId = userWithRole[0]?.employee_id
 
-    const token = jwt.sign({ id: user.id, username, role: userRole }, JWT_SECRET, {
-      expiresIn: TOKEN_TTL_SECONDS,
-    })
+    const { token, refreshToken } = await createSession({ id: user.id, username, role: userRole }, req)
 
-    res.json({ token, username, role: userRole, employeeId, id: user.id })
+    const permissions = [...(await permissionsForRole(userRole))]
+    res.json({ token, refreshToken, username, role: userRole, employeeId, id: user.id, permissions })
   } catch (error) {
     console.error('Failed to login', error)
     res.status(500).json({ message: 'Unable to login' })
   }
 })
 
+// Trade a refresh token for a new access token. The refresh token is rotated on every call,
+// so clients must store the one returned here.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' })
+    }
+
+    const session = await rotateSession(refreshToken)
+    if (!session) {
+      return res.status(401).json({ message: 'Session has expired, please log in again' })
+    }
+
+    const [rows] = await pool.execute('SELECT employee_id FROM users WHERE id = ?', [session.user.id])
+    const permissions = [...(await permissionsForRole(session.user.role))]
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      username: session.user.username,
+      role: session.user.role,
+      employeeId: rows[0]?.employee_id,
+      id: session.user.id,
+      permissions,
+    })
+  } catch (error) {
+    console.error('Failed to refresh token', error)
+    res.status(500).json({ message: 'Unable to refresh token' })
+  }
+})
+
+// End the session a refresh token belongs to (this device only)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken)
+    }
+    res.json({ message: 'Logged out' })
+  } catch (error) {
+    console.error('Failed to logout', error)
+    res.status(500).json({ message: 'Unable to logout' })
+  }
+})
+
+// End every session of the current user, on all devices
+router.post('/logout-all', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id)
+    res.json({ message: 'Logged out of all devices', revoked })
+  } catch (error) {
+    console.error('Failed to logout of all devices', error)
+    res.status(500).json({ message: 'Unable to logout of all devices' })
+  }
+})
+
+router.post('/change-password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required' })
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` })
+    }
+
+    const [rows] = await pool.execute('SELECT password_hash FROM users WHERE id = ?', [req.user.id])
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    const ok = await bcrypt.compare(currentPassword, rows[0].password_hash)
+    if (!ok) {
+      return res.status(400).json({ message: 'Current password is incorrect' })
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10)
+    await pool.execute('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, req.user.id])
+    // Keep this device signed in, end every other session
+    await revokeAllSessions(req.user.id, req.user.sid)
+
+    res.json({ message: 'Password changed successfully' })
+  } catch (error) {
+    console.error('Failed to change password', error)
+    res.status(500).json({ message: 'Unable to change password' })
+  }
+})
+
+// Email a single-use reset link. The response is the same whether or not the account exists,
+// so this cannot be used to find out which emails are registered.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' })
+    }
+
+    const [rows] = await pool.execute(
+      "SELECT id, username, email FROM users WHERE email = ? AND status = 'active'",
+      [email]
+    )
+    if (rows.length > 0) {
+      const user = rows[0]
+      const link = await createPasswordResetLink(user.id, RESET_TOKEN_TTL_MINUTES)
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Site Pulse password',
+        text:
+          `Hi ${user.username},\n\n` +
+          `Use the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes ` +
+          `and can be used once.\n\n${link}\n\n` +
+          'If you did not ask for this, you can ignore this email.',
+      })
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' })
+  } catch (error) {
+    console.error('Failed to start password reset', error)
+    res.status(500).json({ message: 'Unable to start password reset' })
+  }
+})
+
+router.post('/reset-password', async (req, res) => {
+  const connection = await pool.getConnection()
+  try {
+    const { token, password } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Reset token and new password are required' })
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` })
+    }
+
+    await connection.beginTransaction()
+    const [rows] = await connection.execute(
+      `SELECT id, user_id FROM password_resets
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+        FOR UPDATE`,
+      [hashToken(token)]
+    )
+    if (rows.length === 0) {
+      await connection.rollback()
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' })
+    }
+
+    const { id, user_id: userId } = rows[0]
+    const passwordHash = await bcrypt.hash(password, 10)
+    await connection.execute('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, userId])
+    await connection.execute('UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [id])
+    await connection.commit()
+
+    // Whoever knew the old password should not stay signed in
+    await revokeAllSessions(userId)
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' })
+  } catch (error) {
+    await connection.rollback().catch(() => {})
+    console.error('Failed to reset password', error)
+    res.status(500).json({ message: 'Unable to reset password' })
+  } finally {
+    connection.release()
+  }
+})
+
 export default router
 
 
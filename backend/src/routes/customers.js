@@ -0,0 +1,225 @@
+import { Router } from 'express'
+import pool from '../db.js'
+import { requireAuth, requirePermission } from '../auth.js'
+import { countCustomerLinks, propagateContact, propagateCustomer } from '../utils/customers.js'
+import { normalisePhone } from '../utils/phone.js'
+
+const router = Router()
+
+const requireCustomerAdmin = [requireAuth, requirePermission('customers.manage')]
+
+const contactColumns = 'id, customer_id, name, country_code, phone, email, updated_at'
+
+// Attach each customer's contact people as `contacts`
+async function withContacts(customers) {
+  if (customers.length === 0) return customers
+  const [contacts] = await pool.query(
+    `SELECT ${contactColumns} FROM customer_contacts WHERE customer_id IN (?) ORDER BY name ASC`,
+    [customers.map((customer) => customer.id)]
+  )
+  return customers.map((customer) => ({
+    ...customer,
+    contacts: contacts.filter((contact) => contact.customer_id === customer.id),
+  }))
+}
+
+// Pick and validate contact fields from `body`; `existing` is the stored contact when updating.
+// Returns { values } or { message }.
+function readContactFields(body, existing = null) {
+  const values = {}
+  if (body.name !== undefined) values.name = String(body.name).trim()
+  if (body.email !== undefined) values.email = String(body.email).trim() || null
+  const merged = { ...existing, ...values }
+
+  if (!merged.name) return { message: 'Contact name is required' }
+  if (merged.name.length > 120) return { message: 'Contact name is too long' }
+  if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+    return { message: 'Invalid email address' }
+  }
+
+  if (body.phone !== undefined || body.country_code !== undefined) {
+    const countryCode = body.country_code ?? existing?.country_code
+    const phone = body.phone ?? existing?.phone
+    if (phone) {
+      const result = normalisePhone(countryCode, phone)
+      if (result.error) return { message: result.error }
+      values.country_code = result.countryCode
+      values.phone = result.phone
+    } else {
+      values.country_code = countryCode || '+91'
+      values.phone = null
+    }
+  }
+  return { values }
+}
+
+async function findContact(id) {
+  const [rows] = await pool.execute(`SELECT ${contactColumns} FROM customer_contacts WHERE id = ?`, [id])
+  return rows[0] || null
+}
+
+// Search customers by name, contact person or number, for the autocomplete on report forms
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const search = (req.query.q || '').trim()
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100)
+    const params = []
+    let where = ''
+    if (search) {
+      where = `WHERE c.name LIKE ?
+                  OR EXISTS (SELECT 1 FROM customer_contacts cc
+                              WHERE cc.customer_id = c.id AND (cc.name LIKE ? OR cc.phone LIKE ?))`
+      params.push(`%${search}%`, `%${search}%`, `%${search.replace(/\D/g, '') || search}%`)
+    }
+
+    const [customers] = await pool.query(
+      `SELECT c.id, c.name, c.updated_at FROM customers c ${where} ORDER BY c.name ASC LIMIT ${limit}`,
+      params
+    )
+    res.json({ customers: await withContacts(customers) })
+  } catch (error) {
+    console.error('Failed to fetch customers', error)
+    res.status(500).json({ message: 'Unable to fetch customers' })
+  }
+})
+
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT id, name, updated_at FROM customers WHERE id = ?', [req.params.id])
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Customer not found' })
+    }
+    const [customer] = await withContacts(rows)
+    res.json(customer)
+  } catch (error) {
+    console.error('Failed to fetch customer', error)
+    res.status(500).json({ message: 'Unable to fetch customer' })
+  }
+})
+
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim()
+    if (!name || name.length > 120) {
+      return res.status(400).json({ message: 'Customer name is required (up to 120 characters)' })
+    }
+    const [result] = await pool.execute('INSERT INTO customers (name, created_by) VALUES (?, ?)', [name, req.user.id])
+    res.status(201).json({ message: 'Customer created', id: result.insertId })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A customer with this name already exists' })
+    }
+    console.error('Failed to create customer', error)
+    res.status(500).json({ message: 'Unable to create customer' })
+  }
+})
+
+// Rename a customer; reports and projects linked to it show the new name
+router.patch('/:id', requireCustomerAdmin, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim()
+    if (!name || name.length > 120) {
+      return res.status(400).json({ message: 'Customer name is required (up to 120 characters)' })
+    }
+    const [result] = await pool.execute('UPDATE customers SET name = ? WHERE id = ?', [name, req.params.id])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Customer not found' })
+    }
+    await propagateCustomer(req.params.id)
+    res.json({ message: 'Customer renamed' })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A customer with this name already exists' })
+    }
+    console.error('Failed to rename customer', error)
+    res.status(500).json({ message: 'Unable to rename customer' })
+  }
+})
+
+router.delete('/:id', requireCustomerAdmin, async (req, res) => {
+  try {
+    if ((await countCustomerLinks(req.params.id)) > 0) {
+      return res.status(409).json({ message: 'Reports or projects refer to this customer; rename it instead' })
+    }
+    const [result] = await pool.execute('DELETE FROM customers WHERE id = ?', [req.params.id])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Customer not found' })
+    }
+    res.json({ message: 'Customer deleted' })
+  } catch (error) {
+    console.error('Failed to delete customer', error)
+    res.status(500).json({ message: 'Unable to delete customer' })
+  }
+})
+
+router.post('/:id/contacts', requireAuth, async (req, res) => {
+  try {
+    const [customers] = await pool.execute('SELECT id FROM customers WHERE id = ?', [req.params.id])
+    if (customers.length === 0) {
+      return res.status(404).json({ message: 'Customer not found' })
+    }
+    const result = readContactFields(req.body)
+    if (result.message) {
+      return res.status(400).json({ message: result.message })
+    }
+
+    const { name, email = null, country_code: countryCode = '+91', phone = null } = result.values
+    const [inserted] = await pool.execute(
+      'INSERT INTO customer_contacts (customer_id, name, country_code, phone, email) VALUES (?, ?, ?, ?, ?)',
+      [req.params.id, name, countryCode, phone, email]
+    )
+    res.status(201).json({ message: 'Contact added', contact: await findContact(inserted.insertId) })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'This customer already has a contact with that name' })
+    }
+    console.error('Failed to add contact', error)
+    res.status(500).json({ message: 'Unable to add contact' })
+  }
+})
+
+// Correct a contact person; every report and project linked to them is updated to match
+router.patch('/contacts/:contactId', requireAuth, async (req, res) => {
+  try {
+    const existing = await findContact(req.params.contactId)
+    if (!existing) {
+      return res.status(404).json({ message: 'Contact not found' })
+    }
+    const result = readContactFields(req.body, existing)
+    if (result.message) {
+      return res.status(400).json({ message: result.message })
+    }
+    const columns = Object.keys(result.values)
+    if (columns.length === 0) {
+      return res.status(400).json({ message: 'No editable fields provided' })
+    }
+
+    await pool.execute(
+      `UPDATE customer_contacts SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map((column) => result.values[column]), existing.id]
+    )
+    await propagateContact(existing.id)
+    res.json({ message: 'Contact updated', contact: await findContact(existing.id) })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'This customer already has a contact with that name' })
+    }
+    console.error('Failed to update contact', error)
+    res.status(500).json({ message: 'Unable to update contact' })
+  }
+})
+
+router.delete('/contacts/:contactId', requireCustomerAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM customer_contacts WHERE id = ?', [req.params.contactId])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Contact not found' })
+    }
+    res.json({ message: 'Contact deleted' })
+  } catch (error) {
+    console.error('Failed to delete contact', error)
+    res.status(500).json({ message: 'Unable to delete contact' })
+  }
+})
+
+export default router
@@ -1,52 +1,19 @@
 import { Router } from 'express'
 import multer from 'multer'
-import path from 'path'
-import { fileURLToPath } from 'url'
-import jwt from 'jsonwebtoken'
 import pool from '../db.js'
-import fs from 'fs'
+import { can, requireAuth } from '../auth.js'
+import { createLeaveApplication, findLeaveCovering } from '../utils/leaveApplications.js'
+import { resolveProject } from '../utils/projects.js'
+import { readCustomerContact, saveCustomerContact } from '../utils/customers.js'
+import { getAttendance } from '../utils/siteCheckins.js'
+import { deleteFile, saveUpload } from '../utils/files.js'
+import { sniffFileType } from '../utils/fileTypes.js'
 
 const router = Router()
-const JWT_SECRET = process.env.JWT_SECRET ?? 'vickhardth-site-pulse-secret'
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
-
-// Middleware to verify token
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Missing or invalid token' })
-  }
-
-  const token = authHeader.slice(7)
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET)
-    req.user = decoded
-    next()
-  } catch (error) {
-    res.status(401).json({ message: 'Invalid token' })
-  }
-}
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../../uploads')
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true })
-}
-
-// Configure multer for PDF file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir)
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9)
-    cb(null, 'mom-report-' + uniqueSuffix + path.extname(file.originalname))
-  },
-})
 
+// MoM PDFs are held in memory until the report is valid, then stored through utils/files.js
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
@@ -59,7 +26,106 @@ const upload = multer({
   },
 })
 
-router.post('/', verifyToken, upload.single('momReport'), async (req, res) => {
+// Whether an uploaded MoM really is a PDF; the declared type is only what the browser guessed
+// from the file name
+const isPdf = (file) => sniffFileType(file.buffer)?.mime === 'application/pdf'
+
+const saveMomPdf = (file, uploadedBy) =>
+  file ? saveUpload(file, { folder: 'mom-reports', uploadedBy, contentType: 'application/pdf', extension: '.pdf' }) : null
+
+// Keep daily reports and leave applications consistent. A work report is refused on a day of
+// approved leave (the response carries the leave id so the form can offer to cancel it).
+// A report marked as leave is linked to the application covering that day, and a single-day
+// application is filed when there is none.
+async function reconcileLeave(userId, reportDate, locationType, body) {
+  if (locationType !== 'leave') {
+    const leave = await findLeaveCovering(userId, reportDate)
+    if (leave) {
+      return {
+        status: 409,
+        body: {
+          message: 'You are on approved leave on this date. Cancel the leave before submitting a work report.',
+          onLeave: true,
+          leaveId: leave.id,
+          leaveStatus: leave.status,
+        },
+      }
+    }
+    return { leaveApplicationId: null }
+  }
+
+  const existing = await findLeaveCovering(userId, reportDate, ['pending', 'approved', 'cancellation_requested'])
+  if (existing) {
+    return { leaveApplicationId: existing.id }
+  }
+
+  const result = await createLeaveApplication({
+    userId,
+    leaveType: body.leaveType || 'casual',
+    startDate: reportDate,
+    endDate: reportDate,
+    reason: body.remark || 'Marked as leave in daily report',
+  })
+  if (result.status) {
+    return { status: result.status, body: { message: result.message } }
+  }
+  return { leaveApplicationId: result.leaveId, createdLeave: true }
+}
+
+// Validate the customer and end customer of a report. Leave days carry placeholders, which
+// readCustomerContact treats as no customer. Returns { customer, endCustomer } or { error }.
+function readReportCustomers(fields) {
+  const customer = readCustomerContact(
+    { name: fields.customerName, person: fields.customerPerson, countryCode: fields.customerCountryCode, phone: fields.customerContact },
+    'Customer'
+  )
+  if (customer.error) return customer
+  const endCustomer = readCustomerContact(
+    {
+      name: fields.endCustomerName,
+      person: fields.endCustomerPerson,
+      countryCode: fields.endCustomerCountryCode,
+      phone: fields.endCustomerContact,
+    },
+    'End customer'
+  )
+  if (endCustomer.error) return endCustomer
+  return { customer: customer.values, endCustomer: endCustomer.values }
+}
+
+// Site reports take their times from the day's site check-ins: the in time from the first
+// check-in and the out time from the last check-out, or the typed one while still checked in
+// (e.g. a forgotten check-out). The first check-in position stands in for a location the form
+// did not capture. Reports edited with `allowUntracked` that have no check-ins, such as those
+// filed before check-ins existed, keep their typed times.
+// Returns { inTime, outTime, siteLocation, locationLat, locationLng } or { error }.
+async function readSiteAttendance(userId, reportDate, fields, { allowUntracked = false } = {}) {
+  const attendance = await getAttendance(userId, reportDate)
+  if (!attendance.inTime) {
+    if (allowUntracked && attendance.events.length === 0) {
+      const { inTime, outTime, siteLocation, locationLat, locationLng } = fields
+      return { inTime, outTime, siteLocation, locationLat, locationLng }
+    }
+    return { error: 'Check in at the site before submitting a site report' }
+  }
+
+  const outTime = attendance.checkedIn ? fields.outTime : attendance.outTime
+  if (!outTime) {
+    return { error: 'Check out from the site, or enter your out time, before submitting the report' }
+  }
+  const locationLat = fields.locationLat || attendance.position.lat
+  const locationLng = fields.locationLng || attendance.position.lng
+  return {
+    inTime: attendance.inTime,
+    outTime,
+    siteLocation: fields.siteLocation || `${Number(locationLat).toFixed(6)}, ${Number(locationLng).toFixed(6)}`,
+    locationLat,
+    locationLng,
+  }
+}
+
+router.post('/', requireAuth, upload.single('momReport'), async (req, res) => {
+  let momFile = null
   try {
     const userId = req.user.id
     const {
@@ -102,8 +168,7 @@ router.post('/', verifyToken, upload.single('momReport'), async (req, res) => {
     } else {
       // For office/site locations, validate all required fields
       if (
-        !inTime ||
-        !outTime ||
+        (locationType !== 'site' && (!inTime || !outTime)) ||
         !customerName ||
         !customerPerson ||
         !customerContact ||
@@ -158,13 +223,42 @@ router.post('/', verifyToken, upload.single('momReport'), async (req, res) => {
       finalSiteStartDate = finalSiteStartDate || new Date().toISOString().slice(0, 10)
     }
 
+    let finalSiteLocation = siteLocation
+    let finalLocationLat = locationLat
+    let finalLocationLng = locationLng
+    if (locationType === 'site') {
+      const attendance = await readSiteAttendance(userId, finalReportDate, req.body)
+      if (attendance.error) {
+        return res.status(400).json({ message: attendance.error })
+      }
+      finalInTime = attendance.inTime
+      finalOutTime = attendance.outTime
+      finalSiteLocation = attendance.siteLocation
+      finalLocationLat = attendance.locationLat
+      finalLocationLng = attendance.locationLng
+    }
+
     // Validate location for site type
-    if (locationType === 'site' && (!siteLocation || !locationLat || !locationLng)) {
+    if (locationType === 'site' && (!finalSiteLocation || !finalLocationLat || !finalLocationLng)) {
       return res.status(400).json({
         message: 'Site location must be captured for site location type',
       })
     }
 
+    const customers = readReportCustomers({
+      customerName: finalCustomerName,
+      customerPerson: finalCustomerPerson,
+      customerCountryCode: req.body.customerCountryCode,
+      customerContact: finalCustomerContact,
+      endCustomerName: finalEndCustomerName,
+      endCustomerPerson: finalEndCustomerPerson,
+      endCustomerCountryCode: req.body.endCustomerCountryCode,
+      endCustomerContact: finalEndCustomerContact,
+    })
+    if (customers.error) {
+      return res.status(400).json({ message: customers.error })
+    }
+
     // Enforce one daily target per user per day
     const [existing] = await pool.execute(
       'SELECT id FROM daily_target_reports WHERE user_id = ? AND report_date = ? LIMIT 1',
@@ -176,37 +270,59 @@ router.post('/', verifyToken, upload.single('momReport'), async (req, res) => {
       return res.status(409).json({ message: 'Daily target for this date already submitted' })
     }
 
-    // Get PDF file path if uploaded
-    const momReportPath = req.file ? req.file.path : null
+    const { project, error: projectError } = await resolveProject({
+      projectId: req.body.projectId,
+      texts: [finalProjectNo],
+    })
+    if (projectError) {
+      return res.status(400).json({ message: projectError })
+    }
+
+    // Link to the customer master, storing names and numbers the way they are kept there
+    const customer = await saveCustomerContact(customers.customer, req.user.id)
+    const endCustomer = await saveCustomerContact(customers.endCustomer, req.user.id)
+
+    const leaveLink = await reconcileLeave(userId, finalReportDate, locationType, req.body)
+    if (leaveLink.status) {
+      return res.status(leaveLink.status).json(leaveLink.body)
+    }
+
+    if (req.file && !isPdf(req.file)) {
+      return res.status(400).json({ message: 'The MoM file is not a valid PDF' })
+    }
+    momFile = await saveMomPdf(req.file, userId)
 
     // Insert into database
     const [result] = await pool.execute(
       `INSERT INTO daily_target_reports
-       (report_date, in_time, out_time, customer_name, customer_person, customer_contact,
-        end_customer_name, end_customer_person, end_customer_contact,
+       (report_date, in_time, out_time, customer_name, customer_person, customer_contact, customer_country_code,
+        end_customer_name, end_customer_person, end_customer_contact, end_customer_country_code,
         project_no, location_type, site_location, location_lat, location_lng,
-        mom_report_path, daily_target_planned, daily_target_achieved,
+        mom_file_id, daily_target_planned, daily_target_achieved,
         additional_activity, who_added_activity, daily_pending_target,
         reason_pending_target, problem_faced, problem_resolved,
         online_support_required, support_engineer_name,
-        site_start_date, site_end_date, incharge, remark, user_id)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        site_start_date, site_end_date, incharge, remark, user_id, leave_application_id, project_id,
+        customer_id, customer_contact_id, end_customer_id, end_customer_contact_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         finalReportDate,
         finalInTime,
         finalOutTime,
-        finalCustomerName,
-        finalCustomerPerson,
-        finalCustomerContact,
-        finalEndCustomerName,
-        finalEndCustomerPerson,
-        finalEndCustomerContact,
+        customer.name ?? finalCustomerName,
+        customer.person ?? finalCustomerPerson,
+        customer.phone ?? finalCustomerContact,
+        customer.countryCode ?? (req.body.customerCountryCode || '+91'),
+        endCustomer.name ?? finalEndCustomerName,
+        endCustomer.person ?? finalEndCustomerPerson,
+        endCustomer.phone ?? finalEndCustomerContact,
+        endCustomer.countryCode ?? (req.body.endCustomerCountryCode || '+91'),
         finalProjectNo,
         locationType,
-        siteLocation || null,
-        locationLat || null,
-        locationLng || null,
-        momReportPath,
+        finalSiteLocation || null,
+        finalLocationLat || null,
+        finalLocationLng || null,
+        momFile?.id ?? null,
         finalDailyTargetPlanned,
         finalDailyTargetAchieved,
         additionalActivity || null,
@@ -222,25 +338,34 @@ router.post('/', verifyToken, upload.single('momReport'), async (req, res) => {
         finalIncharge,
         remark || null,
         userId,
+        leaveLink.leaveApplicationId,
+        project?.id ?? null,
+        customer.customerId,
+        customer.contactId,
+        endCustomer.customerId,
+        endCustomer.contactId,
       ]
     )
 
     res.status(201).json({
-      message: 'Daily target report saved successfully',
+      message: leaveLink.createdLeave
+        ? 'Daily target report saved and a leave application was submitted for approval'
+        : 'Daily target report saved successfully',
       id: result.insertId,
+      leaveApplicationId: leaveLink.leaveApplicationId,
+      momFileId: momFile?.id ?? null,
     })
   } catch (error) {
-    // Delete uploaded file if there was an error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path)
-    }
+    // Do not keep a PDF for a report that was not saved
+    if (momFile) await deleteFile(momFile.id).catch(() => {})
     console.error('Failed to save daily target report', error)
     res.status(500).json({ message: 'Unable to save daily target report' })
   }
 })
 
 // PUT endpoint for updating existing reports
-router.put('/:id', upload.single('momReport'), async (req, res) => {
+router.put('/:id', requireAuth, upload.single('momReport'), async (req, res) => {
+  let momFile = null
   try {
     const { id } = req.params
     const {
@@ -315,8 +440,7 @@ router.put('/:id', upload.single('momReport'), async (req, res) => {
     } else {
       // For office/site locations, validate all required fields
       if (
-        !inTime ||
-        !outTime ||
+        (locationType !== 'site' && (!inTime || !outTime)) ||
         !customerName ||
         !customerPerson ||
         !customerContact ||
@@ -336,53 +460,110 @@ router.put('/:id', upload.single('momReport'), async (req, res) => {
       finalSiteStartDate = finalSiteStartDate || new Date().toISOString().slice(0, 10)
     }
 
+    const customers = readReportCustomers({
+      customerName: finalCustomerName,
+      customerPerson: finalCustomerPerson,
+      customerCountryCode: req.body.customerCountryCode,
+      customerContact: finalCustomerContact,
+      endCustomerName: finalEndCustomerName,
+      endCustomerPerson: finalEndCustomerPerson,
+      endCustomerCountryCode: req.body.endCustomerCountryCode,
+      endCustomerContact: finalEndCustomerContact,
+    })
+    if (customers.error) {
+      return res.status(400).json({ message: customers.error })
+    }
+
+    const [reportRows] = await pool.execute('SELECT user_id, mom_file_id FROM daily_target_reports WHERE id = ?', [id])
+    if (reportRows.length === 0) {
+      return res.status(404).json({ message: 'Report not found' })
+    }
+
+    // Only the owner, or someone allowed to edit others' reports, may update it
+    if (reportRows[0].user_id !== req.user.id && !can(req.user, 'reports.edit_any')) {
+      return res.status(403).json({ message: 'Not authorized to update this daily target report' })
+    }
+
+    let finalSiteLocation = siteLocation
+    let finalLocationLat = locationLat
+    let finalLocationLng = locationLng
+    if (locationType === 'site') {
+      const attendance = await readSiteAttendance(reportRows[0].user_id, finalReportDate, req.body, {
+        allowUntracked: true,
+      })
+      if (attendance.error) {
+        return res.status(400).json({ message: attendance.error })
+      }
+      finalInTime = attendance.inTime
+      finalOutTime = attendance.outTime
+      finalSiteLocation = attendance.siteLocation
+      finalLocationLat = attendance.locationLat
+      finalLocationLng = attendance.locationLng
+    }
+
     // Validate location for site type
-    if (locationType === 'site' && (!siteLocation || !locationLat || !locationLng)) {
+    if (locationType === 'site' && (!finalSiteLocation || !finalLocationLat || !finalLocationLng)) {
       return res.status(400).json({
         message: 'Site location must be captured for site location type',
       })
     }
 
-    // Get PDF file path if uploaded, or keep existing
-    let momReportPath = req.file ? req.file.path : null
+    const { project, error: projectError } = await resolveProject({
+      projectId: req.body.projectId,
+      texts: [finalProjectNo],
+    })
+    if (projectError) {
+      return res.status(400).json({ message: projectError })
+    }
+
+    // Link to the customer master, storing names and numbers the way they are kept there
+    const customer = await saveCustomerContact(customers.customer, req.user.id)
+    const endCustomer = await saveCustomerContact(customers.endCustomer, req.user.id)
+
+    const leaveLink = await reconcileLeave(reportRows[0].user_id, finalReportDate, locationType, req.body)
+    if (leaveLink.status) {
+      return res.status(leaveLink.status).json(leaveLink.body)
+    }
 
-    // If no new file uploaded, get the existing file path
-    if (!req.file) {
-      const [existing] = await pool.execute(
-        'SELECT mom_report_path FROM daily_target_reports WHERE id = ?',
-        [id]
-      )
-      momReportPath = existing.length > 0 ? existing[0].mom_report_path : null
+    // A new PDF replaces the stored one, which is deleted once the update succeeds
+    const previousFileId = reportRows[0].mom_file_id
+    if (req.file && !isPdf(req.file)) {
+      return res.status(400).json({ message: 'The MoM file is not a valid PDF' })
     }
+    momFile = await saveMomPdf(req.file, req.user.id)
 
     // Update database
     const [result] = await pool.execute(
       `UPDATE daily_target_reports SET
-       report_date = ?, in_time = ?, out_time = ?, customer_name = ?, customer_person = ?, customer_contact = ?,
-       end_customer_name = ?, end_customer_person = ?, end_customer_contact = ?,
+       report_date = ?, in_time = ?, out_time = ?,
+       customer_name = ?, customer_person = ?, customer_contact = ?, customer_country_code = ?,
+       end_customer_name = ?, end_customer_person = ?, end_customer_contact = ?, end_customer_country_code = ?,
        project_no = ?, location_type = ?, site_location = ?, location_lat = ?, location_lng = ?,
-       mom_report_path = ?, daily_target_planned = ?, daily_target_achieved = ?,
+       mom_file_id = ?, daily_target_planned = ?, daily_target_achieved = ?,
        additional_activity = ?, who_added_activity = ?, daily_pending_target = ?,
        reason_pending_target = ?, problem_faced = ?, problem_resolved = ?,
        online_support_required = ?, support_engineer_name = ?,
-       site_start_date = ?, site_end_date = ?, incharge = ?, remark = ?
+       site_start_date = ?, site_end_date = ?, incharge = ?, remark = ?, leave_application_id = ?,
+       project_id = ?, customer_id = ?, customer_contact_id = ?, end_customer_id = ?, end_customer_contact_id = ?
        WHERE id = ?`,
       [
         finalReportDate,
         finalInTime,
         finalOutTime,
-        finalCustomerName,
-        finalCustomerPerson,
-        finalCustomerContact,
-        finalEndCustomerName,
-        finalEndCustomerPerson,
-        finalEndCustomerContact,
+        customer.name ?? finalCustomerName,
+        customer.person ?? finalCustomerPerson,
+        customer.phone ?? finalCustomerContact,
+        customer.countryCode ?? (req.body.customerCountryCode || '+91'),
+        endCustomer.name ?? finalEndCustomerName,
+        endCustomer.person ?? finalEndCustomerPerson,
+        endCustomer.phone ?? finalEndCustomerContact,
+        endCustomer.countryCode ?? (req.body.endCustomerCountryCode || '+91'),
         finalProjectNo,
         locationType,
-        siteLocation || null,
-        locationLat || null,
-        locationLng || null,
-        momReportPath,
+        finalSiteLocation || null,
+        finalLocationLat || null,
+        finalLocationLng || null,
+        momFile?.id ?? previousFileId,
         finalDailyTargetPlanned,
         finalDailyTargetAchieved,
         additionalActivity || null,
@@ -397,27 +578,31 @@ router.put('/:id', upload.single('momReport'), async (req, res) => {
         siteEndDate || null,
         finalIncharge,
         remark || null,
+        leaveLink.leaveApplicationId,
+        project?.id ?? null,
+        customer.customerId,
+        customer.contactId,
+        endCustomer.customerId,
+        endCustomer.contactId,
         id,
       ]
     )
 
     if (result.affectedRows === 0) {
-      // Delete uploaded file if report not found
-      if (req.file && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path)
-      }
+      if (momFile) await deleteFile(momFile.id)
       return res.status(404).json({ message: 'Report not found' })
     }
+    if (momFile && previousFileId) {
+      await deleteFile(previousFileId)
+    }
 
     res.status(200).json({
       message: 'Daily target report updated successfully',
       id: parseInt(id),
+      momFileId: momFile?.id ?? previousFileId,
     })
   } catch (error) {
-    // Delete uploaded file if there was an error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path)
-    }
+    if (momFile) await deleteFile(momFile.id).catch(() => {})
     console.error('Failed to update daily target report', error)
     res.status(500).json({ message: 'Unable to update daily target report' })
   }
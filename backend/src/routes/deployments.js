@@ -0,0 +1,268 @@
+import { Router } from 'express'
+import pool from '../db.js'
+import { can, requireAuth, requirePermission } from '../auth.js'
+import { toDateKey } from '../utils/leaveCalendar.js'
+import { getSubordinateIds, isInReportingTree } from '../utils/orgTree.js'
+import {
+  findDeployment,
+  getAssignment,
+  listBlockingLeave,
+  listDeployments,
+  withLeaveConflicts,
+} from '../utils/deployments.js'
+
+const router = Router()
+
+const requireDeploymentAdmin = [requireAuth, requirePermission('deployments.manage')]
+
+// Longest window the planner loads at once
+const MAX_PLANNER_DAYS = 366
+
+const isValidDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().slice(0, 10)
+}
+
+// Users whose deployments the caller sees: null for everyone, otherwise a list of ids
+async function visibleUserIds(user) {
+  if (can(user, 'employees.view_all')) return null
+  if (can(user, 'team.view')) return [user.id, ...(await getSubordinateIds(user.id))]
+  return [user.id]
+}
+
+// Team leaders assign people in their reporting tree; employees.view_all holders anyone
+async function canAssign(user, userId) {
+  return can(user, 'employees.view_all') || (await isInReportingTree(user.id, userId))
+}
+
+// Pick and validate deployment fields from the camelCase `body`. `existing` is the stored
+// deployment when updating. Returns { values, merged } in column names, where `merged` is the
+// deployment as it will be saved, or { status, message }.
+async function readDeploymentFields(body, existing = null) {
+  const values = {}
+  const fields = {
+    userId: 'user_id',
+    projectId: 'project_id',
+    siteName: 'site_name',
+    locationLat: 'location_lat',
+    locationLng: 'location_lng',
+    startDate: 'start_date',
+    endDate: 'end_date',
+    notes: 'notes',
+  }
+  for (const [key, column] of Object.entries(fields)) {
+    if (body[key] === undefined) continue
+    const value = typeof body[key] === 'string' ? body[key].trim() : body[key]
+    values[column] = value === '' ? null : value
+  }
+  const merged = { ...existing, ...values }
+
+  if (!merged.user_id) return { status: 400, message: 'Engineer is required' }
+  if (!merged.project_id && !merged.site_name) return { status: 400, message: 'Pick a project or enter a site' }
+  if (!merged.start_date || !merged.end_date) return { status: 400, message: 'Start and end dates are required' }
+  for (const field of ['start_date', 'end_date']) {
+    if (values[field] && !isValidDateKey(values[field])) {
+      return { status: 400, message: `Invalid ${field.replace('_', ' ')}` }
+    }
+  }
+  if (merged.end_date < merged.start_date) return { status: 400, message: 'End date cannot be before start date' }
+  if ((merged.site_name || '').length > 255 || (merged.notes || '').length > 500) {
+    return { status: 400, message: 'Site name or notes are too long' }
+  }
+  for (const [field, limit] of [['location_lat', 90], ['location_lng', 180]]) {
+    if (values[field] === null || values[field] === undefined) continue
+    const number = Number(values[field])
+    if (Number.isNaN(number) || Math.abs(number) > limit) {
+      return { status: 400, message: 'Invalid site coordinates' }
+    }
+    values[field] = number
+  }
+
+  if (values.user_id) {
+    const [rows] = await pool.execute("SELECT id FROM users WHERE id = ? AND status = 'active'", [values.user_id])
+    if (rows.length === 0) return { status: 404, message: 'Engineer not found' }
+  }
+  if (values.project_id) {
+    const [rows] = await pool.execute('SELECT id FROM projects WHERE id = ?', [values.project_id])
+    if (rows.length === 0) return { status: 400, message: 'Selected project not found' }
+  }
+  return { values, merged }
+}
+
+// A deployment may not overlap another one for the same engineer. Approved leave in the period
+// is refused too unless the caller confirmed it with `ignoreLeave`.
+// Returns null or { status, message, ...details } to send back.
+async function checkConflicts(merged, { excludeId = null, ignoreLeave = false } = {}) {
+  const range = { startDate: merged.start_date, endDate: merged.end_date, userIds: [merged.user_id] }
+
+  const clashes = await listDeployments({ ...range, excludeId })
+  if (clashes.length > 0) {
+    const [first] = clashes
+    return {
+      status: 409,
+      message: `${first.username} is already deployed to ${first.project_no || first.site_name} from ${first.start_date} to ${first.end_date}`,
+      conflicts: clashes,
+    }
+  }
+
+  if (ignoreLeave) return null
+  const leaveConflicts = await listBlockingLeave(range)
+  if (leaveConflicts.length > 0) {
+    const dates = leaveConflicts.map((leave) => `${leave.start_date} to ${leave.end_date}`).join(', ')
+    return { status: 409, message: `The engineer is on approved leave ${dates}`, leaveConflicts }
+  }
+  return null
+}
+
+// Planner: everyone the caller can see, their deployments and approved leave between ?from and ?to
+// (default: four weeks from today). Deployments that clash with leave carry it in leave_conflicts.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const startDate = req.query.from || toDateKey(new Date())
+    const endDate = req.query.to || addDays(startDate, 27)
+    if (!isValidDateKey(startDate) || !isValidDateKey(endDate) || endDate < startDate) {
+      return res.status(400).json({ message: 'Invalid date range' })
+    }
+    if (endDate > addDays(startDate, MAX_PLANNER_DAYS - 1)) {
+      return res.status(400).json({ message: `The planner shows at most ${MAX_PLANNER_DAYS} days at once` })
+    }
+
+    let userIds = await visibleUserIds(req.user)
+    if (req.query.userId) {
+      const userId = Number(req.query.userId)
+      userIds = !userIds || userIds.includes(userId) ? [userId] : []
+    }
+
+    const [engineers] = await pool.query(
+      `SELECT id, username, role, employee_id, site_assignment FROM users
+        WHERE status = 'active' ${userIds ? 'AND id IN (?)' : ''}
+        ORDER BY username ASC`,
+      userIds ? [userIds.length > 0 ? userIds : [0]] : []
+    )
+
+    const canManage = can(req.user, 'deployments.manage')
+    const viewAll = can(req.user, 'employees.view_all')
+    const ids = engineers.map((engineer) => engineer.id)
+    const deployments = await listDeployments({ startDate, endDate, userIds: ids })
+    const leaves = await listBlockingLeave({ startDate, endDate, userIds: ids })
+    res.json({
+      from: startDate,
+      to: endDate,
+      engineers: engineers.map((engineer) => ({
+        ...engineer,
+        can_assign: canManage && (viewAll || engineer.id !== req.user.id),
+      })),
+      deployments: withLeaveConflicts(deployments, leaves),
+      leaves,
+    })
+  } catch (error) {
+    console.error('Failed to fetch deployments', error)
+    res.status(500).json({ message: 'Unable to fetch deployments' })
+  }
+})
+
+// The caller's assignment on ?date (default today), used to prefill report forms
+router.get('/today', requireAuth, async (req, res) => {
+  try {
+    const date = req.query.date || toDateKey(new Date())
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ message: 'Invalid date' })
+    }
+    res.json({ date, deployment: await getAssignment(req.user.id, date) })
+  } catch (error) {
+    console.error('Failed to fetch assignment', error)
+    res.status(500).json({ message: 'Unable to fetch assignment' })
+  }
+})
+
+router.post('/', requireDeploymentAdmin, async (req, res) => {
+  try {
+    const result = await readDeploymentFields(req.body)
+    if (result.message) {
+      return res.status(result.status).json({ message: result.message })
+    }
+    const { values, merged } = result
+    if (!(await canAssign(req.user, values.user_id))) {
+      return res.status(403).json({ message: 'You can only deploy engineers in your team' })
+    }
+    const conflict = await checkConflicts(merged, { ignoreLeave: req.body.ignoreLeave === true })
+    if (conflict) {
+      const { status, ...body } = conflict
+      return res.status(status).json(body)
+    }
+
+    const columns = [...Object.keys(values), 'assigned_by']
+    const [inserted] = await pool.execute(
+      `INSERT INTO deployments (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      [...Object.values(values), req.user.id]
+    )
+    res.status(201).json({ message: 'Engineer deployed', deployment: await findDeployment(inserted.insertId) })
+  } catch (error) {
+    console.error('Failed to create deployment', error)
+    res.status(500).json({ message: 'Unable to create deployment' })
+  }
+})
+
+router.patch('/:id', requireDeploymentAdmin, async (req, res) => {
+  try {
+    const existing = await findDeployment(req.params.id)
+    if (!existing) {
+      return res.status(404).json({ message: 'Deployment not found' })
+    }
+    // The stored row, not the project-filled values findDeployment returns
+    const [rows] = await pool.execute(
+      `SELECT user_id, project_id, site_name, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+              DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+         FROM deployments WHERE id = ?`,
+      [existing.id]
+    )
+    const result = await readDeploymentFields(req.body, rows[0])
+    if (result.message) {
+      return res.status(result.status).json({ message: result.message })
+    }
+    const { values, merged } = result
+    if (!(await canAssign(req.user, existing.user_id)) || !(await canAssign(req.user, merged.user_id))) {
+      return res.status(403).json({ message: 'You can only deploy engineers in your team' })
+    }
+    const columns = Object.keys(values)
+    if (columns.length === 0) {
+      return res.status(400).json({ message: 'No editable fields provided' })
+    }
+    const conflict = await checkConflicts(merged, { excludeId: existing.id, ignoreLeave: req.body.ignoreLeave === true })
+    if (conflict) {
+      const { status, ...body } = conflict
+      return res.status(status).json(body)
+    }
+
+    await pool.execute(
+      `UPDATE deployments SET ${columns.map((column) => `${column} = ?`).join(', ')}, assigned_by = ? WHERE id = ?`,
+      [...Object.values(values), req.user.id, existing.id]
+    )
+    res.json({ message: 'Deployment updated', deployment: await findDeployment(existing.id) })
+  } catch (error) {
+    console.error('Failed to update deployment', error)
+    res.status(500).json({ message: 'Unable to update deployment' })
+  }
+})
+
+router.delete('/:id', requireDeploymentAdmin, async (req, res) => {
+  try {
+    const existing = await findDeployment(req.params.id)
+    if (!existing) {
+      return res.status(404).json({ message: 'Deployment not found' })
+    }
+    if (!(await canAssign(req.user, existing.user_id))) {
+      return res.status(403).json({ message: 'You can only deploy engineers in your team' })
+    }
+    await pool.execute('DELETE FROM deployments WHERE id = ?', [existing.id])
+    res.json({ message: 'Deployment removed' })
+  } catch (error) {
+    console.error('Failed to delete deployment', error)
+    res.status(500).json({ message: 'Unable to delete deployment' })
+  }
+})
+
+export default router
@@ -1,34 +1,14 @@
 import { Router } from 'express'
-import jwt from 'jsonwebtoken'
 import pool from '../db.js'
+import { can, requireAuth } from '../auth.js'
+import { getLeaveDaysByUser } from '../utils/leaveApplications.js'
+import { toDateKey } from '../utils/leaveCalendar.js'
+import { canViewReportsOf, getSubordinateIds, getVisibleReportOwnerIds } from '../utils/orgTree.js'
 
 const router = Router()
-const JWT_SECRET = process.env.JWT_SECRET ?? 'vickhardth-site-pulse-secret'
-
-// Test endpoint to verify route is working
-router.get('/test', (req, res) => {
-  res.json({ message: 'Employee activity route is working!' })
-})
-
-// Middleware to verify token and attach user info
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Missing or invalid token' })
-  }
-
-  const token = authHeader.slice(7)
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET)
-    req.user = decoded
-    next()
-  } catch (error) {
-    res.status(401).json({ message: 'Invalid token' })
-  }
-}
 
 // Get all activities based on user role and hierarchy
-router.get('/activities', verifyToken, async (req, res) => {
+router.get('/activities', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id
     const role = req.user.role || ''
@@ -40,8 +20,9 @@ router.get('/activities', verifyToken, async (req, res) => {
 
     // Combine daily and hourly reports into a single activity list with a "reportType" field
     // We'll fetch the daily_target_reports and hourly_reports with matching columns aliased
-    const r = (role || '').toLowerCase()
-    const isManagerish = r.includes('manager') || r.includes('team leader') || r.includes('group leader')
+    // Everyone's reports with activity.view_all, otherwise the caller's own and their reporting tree's
+    const ownerIds = await getVisibleReportOwnerIds(req.user)
+    const isManagerish = ownerIds === null
 
     // Build WHERE clauses depending on role. For historical records that predate adding
     // user_id we fall back to matching the "incharge" username on daily reports.
@@ -54,10 +35,10 @@ router.get('/activities', verifyToken, async (req, res) => {
       const [uRows] = await pool.execute('SELECT username FROM users WHERE id = ?', [userId])
       username = (uRows && uRows[0] && uRows[0].username) || null
 
-      dailyWhere = ' WHERE (dtr.user_id = ? OR dtr.incharge = ?)'
-      hourlyWhere = ' WHERE (hr.user_id = ? OR u.username = ?)'
-      // params order: daily (userId, username), hourly (userId, username)
-      params = [userId, username, userId, username]
+      dailyWhere = ' WHERE (dtr.user_id IN (?) OR dtr.incharge = ?)'
+      hourlyWhere = ' WHERE (hr.user_id IN (?) OR u.username = ?)'
+      // params order: daily (ownerIds, username), hourly (ownerIds, username)
+      params = [[...ownerIds], username, [...ownerIds], username]
     }
 
     // Select common fields and add reportType
@@ -84,6 +65,8 @@ router.get('/activities', verifyToken, async (req, res) => {
              dtr.end_customer_person AS endCustPerson,
              dtr.end_customer_contact AS endCustContact,
              dtr.site_location AS siteLocation,
+             dtr.mom_file_id AS momFileId,
+             (SELECT COUNT(*) FROM attachments a WHERE a.report_type = 'daily' AND a.report_id = dtr.id) AS attachmentCount,
              NULL AS hourlyActivity
       FROM daily_target_reports dtr
       LEFT JOIN users u ON dtr.user_id = u.id
@@ -111,6 +94,8 @@ router.get('/activities', verifyToken, async (req, res) => {
              NULL AS endCustPerson,
              NULL AS endCustContact,
              NULL AS siteLocation,
+             NULL AS momFileId,
+             (SELECT COUNT(*) FROM attachments a WHERE a.report_type = 'hourly' AND a.report_id = hr.id) AS attachmentCount,
              hr.hourly_activity AS hourlyActivity
       FROM hourly_reports hr
       LEFT JOIN users u ON hr.user_id = u.id
@@ -119,7 +104,6 @@ router.get('/activities', verifyToken, async (req, res) => {
 
     console.log('=== DETAILED QUERY DEBUGGING ===')
     console.log('Role:', role)
-    console.log('Is Manager:', isManagerish)
     console.log('Params:', params)
     console.log('Daily Query (first 200 chars):', dailyQuery.substring(0, 200) + '...')
     console.log('Hourly Query (first 200 chars):', hourlyQuery.substring(0, 200) + '...')
@@ -130,7 +114,7 @@ router.get('/activities', verifyToken, async (req, res) => {
 
     try {
       console.log('Executing daily query...')
-      const dailyResult = await pool.execute(dailyQuery, isManagerish ? [] : [userId, username])
+      const dailyResult = await pool.query(dailyQuery, isManagerish ? [] : [[...ownerIds], username])
       dailyActivities = dailyResult[0] || []
       console.log('Daily query successful, got', dailyActivities.length, 'records')
     } catch (dailyError) {
@@ -140,7 +124,7 @@ router.get('/activities', verifyToken, async (req, res) => {
 
     try {
       console.log('Executing hourly query...')
-      const hourlyResult = await pool.execute(hourlyQuery, isManagerish ? [] : [userId, username])
+      const hourlyResult = await pool.query(hourlyQuery, isManagerish ? [] : [[...ownerIds], username])
       hourlyActivities = hourlyResult[0] || []
       console.log('Hourly query successful, got', hourlyActivities.length, 'records')
     } catch (hourlyError) {
@@ -174,35 +158,11 @@ router.get('/activities', verifyToken, async (req, res) => {
   }
 })
 
-// Get all employees (for Manager/Team Leader to see team structure)
-router.get('/employees', verifyToken, async (req, res) => {
-  try {
-    const role = req.user.role || ''
-    const r = role.toLowerCase()
-    const isManagerish = r.includes('manager') || r.includes('team leader') || r.includes('group leader')
-
-    if (!isManagerish) {
-      return res.status(403).json({ message: 'Only Managers or Team Leaders can view all employees' })
-    }
-
-    const [employees] = await pool.execute(`
-      SELECT id, username, role, manager_id AS managerId, dob, employee_id, joining_date
-      FROM users
-      ORDER BY role DESC, username ASC
-    `)
-
-    res.json({ employees })
-  } catch (error) {
-    console.error('Failed to fetch employees', error)
-    res.status(500).json({ message: 'Unable to fetch employees' })
-  }
-})
-
 // Get all employees with their attendance overview (accessible to all roles)
-router.get('/attendance-overview', verifyToken, async (req, res) => {
+router.get('/attendance-overview', requireAuth, async (req, res) => {
   try {
     const { month } = req.query // Get month from query params (format: YYYY-MM)
-    const targetMonth = month || new Date().toISOString().slice(0, 7) // Default to current month
+    const targetMonth = month || toDateKey(new Date()).slice(0, 7) // Default to current month
 
     console.log('Fetching attendance overview for all employees, month:', targetMonth)
 
@@ -228,12 +188,23 @@ router.get('/attendance-overview', verifyToken, async (req, res) => {
       ORDER BY u.username ASC
     `, [monthNum, year])
 
+    // Days on granted leave this month (working days only, half days count 0.5)
+    const monthStart = `${targetMonth}-01`
+    const monthEnd = new Date(Date.UTC(year, monthNum, 0)).toISOString().slice(0, 10)
+    const leaveDaysByUser = await getLeaveDaysByUser(monthStart, monthEnd)
+    for (const emp of employeesResult) {
+      const leaveDays = leaveDaysByUser.get(emp.id) || new Map()
+      emp.selected_month_on_leave = [...leaveDays.values()].reduce((sum, d) => sum + d, 0)
+      emp.leave_dates = [...leaveDays.keys()].sort()
+    }
+
     console.log('Employee data sample:', employeesResult.slice(0, 3).map(emp => ({
       id: emp.id,
       username: emp.username,
       employee_id: emp.employee_id,
       joining_date: emp.joining_date,
-      selected_month_present: emp.selected_month_present
+      selected_month_present: emp.selected_month_present,
+      selected_month_on_leave: emp.selected_month_on_leave
     })))
 
     res.json({
@@ -246,25 +217,28 @@ router.get('/attendance-overview', verifyToken, async (req, res) => {
   }
 })
 
-// Get subordinates for a Team Leader (direct reports)
-router.get('/subordinates', verifyToken, async (req, res) => {
+// Get subordinates for a Team Leader: everyone below them in the reporting tree, not only direct
+// reports. managerId tells direct reports (managerId === the caller) from indirect ones.
+router.get('/subordinates', requireAuth, async (req, res) => {
   try {
-    const role = req.user.role || ''
     const userId = req.user.id
-    const r = role.toLowerCase()
 
-    // Allow Team Leaders and Managers to fetch direct reports
-    const allowed = r.includes('team leader') || r.includes('manager') || r.includes('group leader')
-    if (!allowed) {
+    // Allow Team Leaders and Managers to fetch their reports
+    if (!can(req.user, 'team.view')) {
       return res.status(403).json({ message: 'Only Team Leaders or Managers can view subordinates' })
     }
 
-    const [subordinates] = await pool.execute(`
+    const subordinateIds = [...(await getSubordinateIds(userId))]
+    if (subordinateIds.length === 0) {
+      return res.json({ subordinates: [] })
+    }
+
+    const [subordinates] = await pool.query(`
       SELECT id, username, role, manager_id AS managerId, dob
       FROM users
-      WHERE manager_id = ?
+      WHERE id IN (?)
       ORDER BY username ASC
-    `, [userId])
+    `, [subordinateIds])
 
     res.json({ subordinates })
   } catch (error) {
@@ -274,17 +248,18 @@ router.get('/subordinates', verifyToken, async (req, res) => {
 })
 
 // Get activity summary/statistics by role
-router.get('/summary', verifyToken, async (req, res) => {
+router.get('/summary', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id
-    const role = req.user.role
     const user = { id: userId }
 
     let query = ''
     let params = []
 
-    const r = (role || '').toLowerCase()
-    const isManagerish = r.includes('manager') || r.includes('team leader') || r.includes('group leader')
+    const ownerIds = await getVisibleReportOwnerIds(req.user)
+    const isManagerish = ownerIds === null
+    // Team leaders get the team figures for their reporting tree
+    const seesTeam = isManagerish || can(req.user, 'team.view')
 
     if (isManagerish) {
       // Total activities across all employees
@@ -293,6 +268,14 @@ router.get('/summary', verifyToken, async (req, res) => {
         FROM daily_target_reports
       `
       params = []
+    } else if (seesTeam) {
+      // Total activities across the team leader and their reporting tree
+      query = `
+        SELECT COUNT(*) as totalActivities, COUNT(DISTINCT user_id) as activeEmployees
+        FROM daily_target_reports
+        WHERE user_id IN (?)
+      `
+      params = [[...ownerIds]]
     } else {
       // Personal activity count
       query = `
@@ -303,9 +286,19 @@ router.get('/summary', verifyToken, async (req, res) => {
       params = [userId]
     }
 
-    const [summary] = await pool.execute(query, params)
+    const [summary] = await pool.query(query, params)
 
-    res.json({ summary: summary[0] || { totalActivities: 0 } })
+    // Who is on granted leave today: a count for managers and team leaders, yes/no (1/0) for everyone else
+    const today = toDateKey(new Date())
+    const onLeaveToday = await getLeaveDaysByUser(today, today)
+    const teamOnLeave = isManagerish ? onLeaveToday.size : [...onLeaveToday.keys()].filter((id) => ownerIds.has(id)).length
+
+    res.json({
+      summary: {
+        ...(summary[0] || { totalActivities: 0 }),
+        onLeaveToday: seesTeam ? teamOnLeave : (onLeaveToday.has(userId) ? 1 : 0),
+      },
+    })
   } catch (error) {
     console.error('Failed to fetch summary', error)
     res.status(500).json({ message: 'Unable to fetch summary' })
@@ -313,28 +306,32 @@ router.get('/summary', verifyToken, async (req, res) => {
 })
 
 // Get absentees (users without a daily target report for a given date)
-router.get('/absentees', verifyToken, async (req, res) => {
+router.get('/absentees', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id
-    const role = req.user.role || ''
-    const date = req.query.date || new Date().toISOString().slice(0, 10)
-
-    const r = role.toLowerCase()
-    const isManagerish = r.includes('manager') || r.includes('team leader') || r.includes('group leader')
-
-    if (isManagerish) {
-      // Return all users who do not have a daily_target_reports row for the date
-      const [users] = await pool.execute(`SELECT id, username, role FROM users ORDER BY username ASC`)
+    const date = req.query.date || toDateKey(new Date())
+
+    if (can(req.user, 'activity.view_all', 'team.view')) {
+      // Return the users who do not have a daily_target_reports row for the date: everyone with
+      // activity.view_all, a team leader and their reporting tree otherwise
+      const ownerIds = await getVisibleReportOwnerIds(req.user)
+      const [users] = ownerIds === null
+        ? await pool.execute(`SELECT id, username, role FROM users ORDER BY username ASC`)
+        : await pool.query(`SELECT id, username, role FROM users WHERE id IN (?) ORDER BY username ASC`, [[...ownerIds]])
       const [reported] = await pool.execute(`SELECT DISTINCT user_id FROM daily_target_reports WHERE report_date = ?`, [date])
       const reportedIds = new Set((reported || []).map((r) => r.user_id))
-      const absentees = users.filter((u) => !reportedIds.has(u.id))
-      return res.json({ date, absentees })
+      // People on granted leave are listed separately rather than as absent
+      const leaveDays = await getLeaveDaysByUser(date, date)
+      const onLeave = users.filter((u) => leaveDays.has(u.id))
+      const absentees = users.filter((u) => !reportedIds.has(u.id) && !leaveDays.has(u.id))
+      return res.json({ date, absentees, onLeave })
     }
 
-    // For non-managers, return whether the current user has submitted today
+    // For non-managers, return whether the current user has submitted today or is on leave
     const [rows] = await pool.execute(`SELECT id FROM daily_target_reports WHERE user_id = ? AND report_date = ? LIMIT 1`, [userId, date])
     const hasSubmitted = rows && rows.length > 0
-    return res.json({ date, hasSubmitted, absent: !hasSubmitted })
+    const onLeave = (await getLeaveDaysByUser(date, date)).has(userId)
+    return res.json({ date, hasSubmitted, onLeave, absent: !hasSubmitted && !onLeave })
   } catch (error) {
     console.error('Failed to fetch absentees', error)
     res.status(500).json({ message: 'Unable to fetch absentees' })
@@ -343,130 +340,19 @@ router.get('/absentees', verifyToken, async (req, res) => {
 
 export default router
 
-// Temporary debug route to inspect the combined activities SQL and parameters
-router.get('/activities-debug', verifyToken, async (req, res) => {
-  try {
-    const userId = req.user.id
-    const role = req.user.role || ''
-    const { page = 1, limit = 20 } = req.query
-
-    const pageNum = parseInt(page) || 1
-    const limitNum = parseInt(limit) || 20
-    const offset = (pageNum - 1) * limitNum
-
-    const r = (role || '').toLowerCase()
-    const isManagerish = r.includes('manager') || r.includes('team leader') || r.includes('group leader')
-
-    let dailyWhere = ''
-    let hourlyWhere = ''
-    let params = []
-    let username = null
-    if (!isManagerish) {
-      const [uRows] = await pool.execute('SELECT username FROM users WHERE id = ?', [userId])
-      username = (uRows && uRows[0] && uRows[0].username) || null
-      dailyWhere = ' WHERE (dtr.user_id = ? OR dtr.incharge = ?)'
-      hourlyWhere = ' WHERE (hr.user_id = ? OR u.username = ?)'
-      params = [userId, username, userId, username]
-    }
-
-    const dailyQuery = `
-      SELECT dtr.id as id,
-             dtr.report_date AS reportDate,
-             dtr.in_time AS inTime,
-             dtr.out_time AS outTime,
-             dtr.project_no AS projectNo,
-             dtr.location_type AS locationType,
-             dtr.daily_target_achieved AS dailyTargetAchieved,
-             dtr.problem_faced AS problemFaced,
-             COALESCE(u.username, dtr.incharge) AS username,
-             COALESCE(u.employee_id, 'N/A') AS employeeId,
-             dtr.user_id AS userId,
-             dtr.created_at AS createdAt,
-             'daily' AS reportType,
-             dtr.customer_name AS customerName,
-             dtr.customer_person AS customerPerson,
-             dtr.customer_contact AS custContact,
-             dtr.end_customer_name AS endCustName,
-             dtr.end_customer_person AS endCustPerson,
-             dtr.end_customer_contact AS endCustContact,
-             dtr.site_location AS siteLocation,
-             NULL AS hourlyActivity
-      FROM daily_target_reports dtr
-      LEFT JOIN users u ON dtr.user_id = u.id
-      ${dailyWhere}
-    `
-
-    const hourlyQuery = `
-      SELECT hr.id AS id,
-             hr.report_date AS reportDate,
-             NULL AS inTime,
-             NULL AS outTime,
-             hr.project_name AS projectNo,
-             NULL AS locationType,
-             hr.daily_target AS dailyTargetAchieved,
-             hr.problem_faced_by_engineer_hourly AS problemFaced,
-             COALESCE(u.username, 'Unknown') AS username,
-             COALESCE(u.employee_id, 'N/A') AS employeeId,
-             hr.user_id AS userId,
-             hr.created_at AS createdAt,
-             'hourly' AS reportType,
-             NULL AS customerName,
-             NULL AS customerPerson,
-             NULL AS custContact,
-             NULL AS endCustName,
-             NULL AS endCustPerson,
-             NULL AS endCustContact,
-             NULL AS siteLocation,
-             hr.hourly_activity AS hourlyActivity
-      FROM hourly_reports hr
-      LEFT JOIN users u ON hr.user_id = u.id
-      ${hourlyWhere}
-    `
-
-    const combinedQuery = `
-      SELECT id, reportDate, inTime, outTime, projectNo, locationType, dailyTargetAchieved, problemFaced,
-             username, employeeId, userId, createdAt, reportType, customerName, customerPerson, custContact,
-             endCustName, endCustPerson, endCustContact, siteLocation, hourlyActivity
-      FROM (
-        (${dailyQuery})
-        UNION ALL
-        (${hourlyQuery})
-      ) AS combined
-      ORDER BY createdAt DESC
-      LIMIT ${limitNum} OFFSET ${offset}
-    `
-
-    console.log('Daily Query:', dailyQuery)
-    console.log('Hourly Query:', hourlyQuery)
-    console.log('Combined Query:', combinedQuery)
-
-    // count '?' placeholders in the combinedQuery for debugging
-    const placeholderCount = (combinedQuery.match(/\?/g) || []).length
-
-    return res.json({ sql: combinedQuery, params, paramCount: params.length, placeholderCount })
-  } catch (err) {
-    console.error('Debug route failed', err)
-    res.status(500).json({ message: 'Debug failed', error: err.toString() })
-  }
-})
-
 // Get all employees for managers and team leaders
-router.get('/employees', verifyToken, async (req, res) => {
+router.get('/employees', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id
-    const role = req.user.role || ''
-
-    const r = (role || '').toLowerCase()
-    const isManagerish = r.includes('manager') || r.includes('team leader') || r.includes('group leader')
 
-    if (!isManagerish) {
+    if (!can(req.user, 'employees.view_all', 'team.view')) {
       return res.status(403).json({ message: 'Access denied. Only managers and team leaders can view employee lists.' })
     }
 
     // Get all employees under this manager's hierarchy
     let employees = []
 
-    if (r.includes('manager')) {
+    if (can(req.user, 'employees.view_all')) {
       // Managers see all employees
       const [rows] = await pool.execute(`
         SELECT id, username, role, employee_id, joining_date
@@ -475,15 +361,18 @@ router.get('/employees', verifyToken, async (req, res) => {
         ORDER BY username ASC
       `)
       employees = rows
-    } else if (r.includes('team leader')) {
-      // Team leaders see employees under them
-      const [rows] = await pool.execute(`
-        SELECT u.id, u.username, u.role, u.employee_id, u.joining_date
-        FROM users u
-        WHERE u.manager_id = ?
-        ORDER BY u.username ASC
-      `, [userId])
-      employees = rows
+    } else {
+      // Team leaders see everyone in their reporting tree
+      const subordinateIds = [...(await getSubordinateIds(userId))]
+      if (subordinateIds.length > 0) {
+        const [rows] = await pool.query(`
+          SELECT u.id, u.username, u.role, u.employee_id, u.joining_date
+          FROM users u
+          WHERE u.id IN (?)
+          ORDER BY u.username ASC
+        `, [subordinateIds])
+        employees = rows
+      }
     }
 
     res.json({ employees })
@@ -494,7 +383,7 @@ router.get('/employees', verifyToken, async (req, res) => {
 })
 
 // Get specific employee's reports
-router.get('/employee-reports/:employeeId', verifyToken, async (req, res) => {
+router.get('/employee-reports/:employeeId', requireAuth, async (req, res) => {
   console.log('=== EMPLOYEE REPORTS ROUTE HIT ===')
   console.log('Request params:', req.params)
   console.log('Request user:', req.user)
@@ -512,80 +401,14 @@ router.get('/employee-reports/:employeeId', verifyToken, async (req, res) => {
       return res.status(401).json({ message: 'Invalid token - no user ID' })
     }
 
-    const r = (role || '').toLowerCase()
-    console.log('Role lowercase:', r)
-    const isManagerish = r.includes('manager') || r.includes('team leader') || r.includes('group leader')
-    const isViewingOwnReport = parseInt(userId) === parseInt(employeeId)
-    console.log('isManagerish:', isManagerish, 'includes manager:', r.includes('manager'), 'includes team leader:', r.includes('team leader'))
-    console.log('isViewingOwnReport:', isViewingOwnReport, 'userId:', userId, 'employeeId:', employeeId)
-
-    // Allow users to view their own reports, or managers/team leaders to view any reports
-    if (!isViewingOwnReport && !isManagerish) {
-      console.log('Access denied - not managerish and not viewing own report')
-      return res.status(403).json({ message: 'Access denied. You can only view your own reports, or managers/team leaders can view all reports.' })
+    // Own reports, everyone's with activity.view_all, and the reporting tree's with team.view
+    if (!(await canViewReportsOf(req.user, employeeId))) {
+      return res.status(403).json({ message: 'Access denied. You can only view your own reports or those of your reporting tree.' })
     }
 
-    // Verify the employee exists and check hierarchy only if not viewing own report
-    let employeeCheck = []
-    console.log('Pool object:', !!pool, typeof pool)
-
-    if (!isViewingOwnReport) {
-      try {
-        if (r.includes('manager')) {
-          console.log('Checking as manager for employee:', employeeId, 'type:', typeof employeeId)
-          console.log('About to execute query...')
-          const queryResult = await pool.execute('SELECT id FROM users WHERE id = ?', [parseInt(employeeId)])
-          console.log('Manager check raw result:', queryResult, 'type:', typeof queryResult)
-
-          if (queryResult && Array.isArray(queryResult) && queryResult.length > 0) {
-            const [rows, fields] = queryResult
-            employeeCheck = rows || []
-          } else {
-            employeeCheck = []
-          }
-          console.log('Manager check result:', employeeCheck)
-        } else if (r.includes('team leader')) {
-          console.log('Checking as team leader for employee:', employeeId, 'under manager:', userId)
-          const queryResult = await pool.execute('SELECT id FROM users WHERE id = ? AND manager_id = ?', [parseInt(employeeId), userId])
-          console.log('Team leader check raw result:', queryResult)
-
-          if (queryResult && Array.isArray(queryResult) && queryResult.length > 0) {
-            const [rows, fields] = queryResult
-            employeeCheck = rows || []
-          } else {
-            employeeCheck = []
-          }
-          console.log('Team leader check result:', employeeCheck)
-        }
-      } catch (dbError) {
-        console.log('Database error in employee check:', dbError.message, 'stack:', dbError.stack)
-        throw dbError
-      }
-    } else {
-      // User is viewing their own report, just verify they exist
-      try {
-        console.log('Checking if user exists for own report:', employeeId)
-        const queryResult = await pool.execute('SELECT id FROM users WHERE id = ?', [parseInt(employeeId)])
-        console.log('Own report check raw result:', queryResult)
-
-        if (queryResult && Array.isArray(queryResult) && queryResult.length > 0) {
-          const [rows, fields] = queryResult
-          employeeCheck = rows || []
-        } else {
-          employeeCheck = []
-        }
-        console.log('Own report check result:', employeeCheck)
-      } catch (dbError) {
-        console.log('Database error in own report check:', dbError.message, 'stack:', dbError.stack)
-        throw dbError
-      }
-    }
-
-    console.log('Employee check result:', employeeCheck.length)
-
+    const [employeeCheck] = await pool.execute('SELECT id FROM users WHERE id = ?', [parseInt(employeeId)])
     if (employeeCheck.length === 0) {
-      console.log('Returning 404: Employee not found or access denied')
-      return res.status(404).json({ message: 'Employee not found or access denied' })
+      return res.status(404).json({ message: 'Employee not found' })
     }
 
     console.log('Fetching reports for employee:', employeeId)
@@ -620,7 +443,6 @@ router.get('/employee-reports/:employeeId', verifyToken, async (req, res) => {
     }
 
     const currentDate = new Date()
-    console.log('Generating attendance from', joiningDate.toISOString(), 'to', currentDate.toISOString())
 
     // Generate attendance data from joining date to current date
     const attendanceData = []
@@ -672,9 +494,6 @@ router.get('/employee-reports/:employeeId', verifyToken, async (req, res) => {
     startDate.setDate(currentDate.getDate() - maxDays)
     const actualStartDate = joiningDate > startDate ? joiningDate : startDate
 
-    console.log('Generating attendance from', actualStartDate?.toISOString(), 'to', currentDate?.toISOString())
-    console.log('actualStartDate valid:', actualStartDate instanceof Date && !isNaN(actualStartDate.getTime()))
-    console.log('currentDate valid:', currentDate instanceof Date && !isNaN(currentDate.getTime()))
 
     // Simplified attendance generation
     try {
@@ -0,0 +1,58 @@
+import { Router } from 'express'
+import { requireAuth } from '../auth.js'
+import { findFile, findFileOwnerIds } from '../utils/files.js'
+import { canViewReportsOf } from '../utils/orgTree.js'
+import { getObject } from '../utils/storage.js'
+
+const router = Router()
+
+// A file is visible to whoever uploaded it, and to anyone who may see a report holding it
+async function canViewFile(user, file) {
+  if (file.uploaded_by === user.id) return true
+  for (const ownerId of await findFileOwnerIds(file.id)) {
+    if (await canViewReportsOf(user, ownerId)) return true
+  }
+  return false
+}
+
+// Stream a stored file. ?download=1 asks the browser to save it instead of showing it.
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const file = await findFile(req.params.id)
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' })
+    }
+    if (!(await canViewFile(req.user, file))) {
+      return res.status(403).json({ message: 'You cannot view this file' })
+    }
+
+    let object
+    try {
+      object = await getObject(file.storage_key)
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+      console.error(`Stored object missing for file ${file.id}: ${file.storage_key}`)
+      return res.status(404).json({ message: 'File is no longer available' })
+    }
+
+    const disposition = req.query.download ? 'attachment' : 'inline'
+    const filename = file.original_name.replace(/["\\\r\n]/g, '_')
+    res.set({
+      'Content-Type': file.mime_type,
+      'Content-Length': object.size,
+      'Content-Disposition': `${disposition}; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(file.original_name)}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+    })
+    object.stream.on('error', (error) => {
+      console.error(`Failed to read file ${file.id}`, error)
+      res.destroy(error)
+    })
+    object.stream.pipe(res)
+  } catch (error) {
+    console.error('Failed to fetch file', error)
+    res.status(500).json({ message: 'Unable to fetch file' })
+  }
+})
+
+export default router
@@ -0,0 +1,42 @@
+import { Router } from 'express'
+import rateLimit from 'express-rate-limit'
+import { requireAuth } from '../auth.js'
+import { reverseGeocode } from '../utils/geocoder.js'
+
+const router = Router()
+
+// Lookups cost money (Google, Mapbox) or are capped by the provider (Nominatim), so each user
+// gets a small budget on top of the API-wide limit. Cached answers count too.
+const geocodeLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.GEOCODE_RATE_LIMIT_PER_MINUTE, 10) || 30,
+  keyGenerator: (req) => String(req.user.id),
+  message: { message: 'Too many location lookups, please wait a minute and try again' },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+// Address for ?lat&lng: { address, provider, cached, lat, lng }. When every provider fails the
+// address is the coordinates themselves and provider is null.
+router.get('/reverse', requireAuth, geocodeLimiter, async (req, res) => {
+  const lat = Number(req.query.lat)
+  const lng = Number(req.query.lng)
+  if (
+    req.query.lat === undefined ||
+    req.query.lng === undefined ||
+    Number.isNaN(lat) ||
+    Number.isNaN(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return res.status(400).json({ message: 'Valid lat and lng are required' })
+  }
+  try {
+    res.json({ ...(await reverseGeocode(lat, lng)), lat, lng })
+  } catch (error) {
+    console.error('Failed to reverse geocode', error)
+    res.status(500).json({ message: 'Unable to look up this location' })
+  }
+})
+
+export default router
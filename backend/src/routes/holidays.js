@@ -0,0 +1,97 @@
+import { Router } from 'express'
+import pool from '../db.js'
+import { requireAuth, requirePermission } from '../auth.js'
+import { WEEKLY_OFF_PATTERN, toDateKey } from '../utils/leaveCalendar.js'
+
+const router = Router()
+
+const isValidDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())
+
+// List holidays for a year (defaults to current year) along with the weekly-off pattern
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear()
+    const [holidays] = await pool.execute(
+      `SELECT id, DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, name, created_at
+         FROM holidays
+        WHERE YEAR(holiday_date) = ?
+        ORDER BY holiday_date ASC`,
+      [year]
+    )
+    res.json({ year, weeklyOff: WEEKLY_OFF_PATTERN, holidays })
+  } catch (error) {
+    console.error('Failed to fetch holidays', error)
+    res.status(500).json({ message: 'Unable to fetch holidays' })
+  }
+})
+
+router.post('/', requireAuth, requirePermission('holidays.manage'), async (req, res) => {
+  try {
+    const { holiday_date, name } = req.body
+    const dateKey = toDateKey(holiday_date)
+
+    if (!holiday_date || !name) {
+      return res.status(400).json({ message: 'Holiday date and name are required' })
+    }
+    if (!isValidDateKey(dateKey)) {
+      return res.status(400).json({ message: 'Invalid holiday date' })
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO holidays (holiday_date, name, created_by) VALUES (?, ?, ?)',
+      [dateKey, name, req.user.id]
+    )
+    res.status(201).json({ message: 'Holiday added successfully', id: result.insertId })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A holiday already exists on this date' })
+    }
+    console.error('Failed to add holiday', error)
+    res.status(500).json({ message: 'Unable to add holiday' })
+  }
+})
+
+router.put('/:id', requireAuth, requirePermission('holidays.manage'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { holiday_date, name } = req.body
+    const dateKey = toDateKey(holiday_date)
+
+    if (!holiday_date || !name) {
+      return res.status(400).json({ message: 'Holiday date and name are required' })
+    }
+    if (!isValidDateKey(dateKey)) {
+      return res.status(400).json({ message: 'Invalid holiday date' })
+    }
+
+    const [result] = await pool.execute(
+      'UPDATE holidays SET holiday_date = ?, name = ? WHERE id = ?',
+      [dateKey, name, id]
+    )
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Holiday not found' })
+    }
+    res.json({ message: 'Holiday updated successfully', id: parseInt(id) })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A holiday already exists on this date' })
+    }
+    console.error('Failed to update holiday', error)
+    res.status(500).json({ message: 'Unable to update holiday' })
+  }
+})
+
+router.delete('/:id', requireAuth, requirePermission('holidays.manage'), async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM holidays WHERE id = ?', [req.params.id])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Holiday not found' })
+    }
+    res.json({ message: 'Holiday deleted successfully' })
+  } catch (error) {
+    console.error('Failed to delete holiday', error)
+    res.status(500).json({ message: 'Unable to delete holiday' })
+  }
+})
+
+export default router
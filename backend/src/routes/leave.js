@@ -1,179 +1,181 @@
 import { Router } from 'express'
-import jwt from 'jsonwebtoken'
 import pool from '../db.js'
+import { HALF_DAY_VALUES, MAX_LEAVE_SPAN_DAYS, calculateLeaveDays, leaveSpanDays } from '../utils/leaveCalendar.js'
+import {
+  ACCRUAL_TYPES,
+  LEAVE_TYPES,
+  getBalanceSummary,
+  getLeavePolicy,
+  getOrCreateLeaveBalance,
+  rolloverLeaveYear,
+} from '../utils/leavePolicy.js'
+import { createLeaveApplication, findLeaveApprover } from '../utils/leaveApplications.js'
+import { can, requireAuth, requirePermission } from '../auth.js'
 
 const router = Router()
-const JWT_SECRET = process.env.JWT_SECRET ?? 'vickhardth-site-pulse-secret'
 
-// Middleware to verify token and attach user info
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'Missing or invalid token' })
-  }
+// Attach the recorded approval steps (approver, level, action, comment, time) to each application
+async function attachApprovalSteps(applications) {
+  if (applications.length === 0) return applications
+  const ids = applications.map((a) => a.id)
+  const [steps] = await pool.query(
+    `SELECT s.leave_id, s.level, s.kind, s.action, s.comment, s.acted_at, s.approver_id,
+            u.username AS approver_name, u.role AS approver_role
+       FROM leave_approval_steps s
+       LEFT JOIN users u ON s.approver_id = u.id
+      WHERE s.leave_id IN (?)
+      ORDER BY s.acted_at ASC, s.id ASC`,
+    [ids]
+  )
+  return applications.map((a) => ({
+    ...a,
+    approval_steps: steps.filter((step) => step.leave_id === a.id),
+  }))
+}
 
-  const token = authHeader.slice(7)
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET)
-    req.user = decoded
-    next()
-  } catch (error) {
-    res.status(401).json({ message: 'Invalid token' })
+// Whitelisted leave_balances column for each leave type
+const USED_COLUMNS = { casual: 'used_casual', sick: 'used_sick', paid: 'used_paid' }
+
+// Charge an approved leave to the balance of each year it falls in, recording every debit
+// so it can be reversed later
+async function debitLeaveBalance(connection, application, daysByYear) {
+  const usedColumn = USED_COLUMNS[application.leave_type]
+  if (!usedColumn) return
+
+  for (const [year, days] of Object.entries(daysByYear)) {
+    await getOrCreateLeaveBalance(application.user_id, Number(year), connection)
+    await connection.execute(
+      `UPDATE leave_balances SET ${usedColumn} = ${usedColumn} + ? WHERE user_id = ? AND leave_year = ?`,
+      [days, application.user_id, year]
+    )
+    await connection.execute(
+      `INSERT INTO leave_balance_transactions (leave_id, user_id, leave_year, leave_type, days, entry_type)
+       VALUES (?, ?, ?, ?, ?, 'debit')`,
+      [application.id, application.user_id, year, application.leave_type, days]
+    )
   }
 }
 
-// Helper to get or initialize leave balance for a user for the current year
-async function getOrCreateLeaveBalance(userId) {
-  const currentYear = new Date().getFullYear()
-  const [balancesResult] = await pool.execute(
-    'SELECT * FROM leave_balances WHERE user_id = ? AND leave_year = ?',
-    [userId, currentYear]
+// Give back whatever is still debited for a leave, per year it was debited from.
+// Leaves approved before the ledger existed fall back to leave_days against the approval year.
+async function reverseLeaveBalance(connection, application) {
+  const usedColumn = USED_COLUMNS[application.leave_type]
+  if (!usedColumn) return
+
+  const [entries] = await connection.execute(
+    `SELECT leave_year, SUM(CASE WHEN entry_type = 'debit' THEN days ELSE -days END) AS net_days
+       FROM leave_balance_transactions
+      WHERE leave_id = ?
+      GROUP BY leave_year`,
+    [application.id]
   )
-  let balances = balancesResult;
 
-  if (balances.length === 0) {
-    // Create new leave balance record for the year (24 unpaid leaves: 12 casual, 12 sick)
-    await pool.execute(
-      'INSERT INTO leave_balances (user_id, leave_year, casual_leaves, sick_leaves) VALUES (?, ?, 12, 12)',
-      [userId, currentYear]
-    )
+  let toReverse = entries.map((e) => ({ year: e.leave_year, days: Number(e.net_days) }))
+  if (entries.length === 0) {
+    const approvedYear = new Date(application.approved_at || Date.now()).getFullYear()
+    const days = application.leave_days !== null && application.leave_days !== undefined
+      ? Number(application.leave_days)
+      : (await calculateLeaveDays(
+          { startDate: application.start_date, endDate: application.end_date, halfDay: application.half_day },
+          connection
+        )).days
+    toReverse = [{ year: approvedYear, days }]
+  }
 
-    // Fetch the newly created balance
-    const [newBalancesResult] = await pool.execute(
-      'SELECT * FROM leave_balances WHERE user_id = ? AND leave_year = ?',
-      [userId, currentYear]
+  for (const { year, days } of toReverse) {
+    if (days <= 0) continue
+    await connection.execute(
+      `UPDATE leave_balances SET ${usedColumn} = GREATEST(${usedColumn} - ?, 0) WHERE user_id = ? AND leave_year = ?`,
+      [days, application.user_id, year]
+    )
+    await connection.execute(
+      `INSERT INTO leave_balance_transactions (leave_id, user_id, leave_year, leave_type, days, entry_type)
+       VALUES (?, ?, ?, ?, ?, 'reversal')`,
+      [application.id, application.user_id, year, application.leave_type, days]
     )
-    balances = newBalancesResult;
-  }
-  if (!balances || balances.length === 0) {
-    throw new Error('Failed to create or retrieve leave balance')
   }
-  return balances[0]
 }
 
-// Get leave balance for the current user
-router.get('/balance', verifyToken, async (req, res) => {
+// Get leave balance for the current user (current year unless ?year= is given)
+router.get('/balance', requireAuth, async (req, res) => {
   try {
-    const userId = req.user.id
-    const currentYear = new Date().getFullYear()
-
-    // Get or create leave balance for current year
-    const [balancesResult] = await pool.execute(
-      'SELECT * FROM leave_balances WHERE user_id = ? AND leave_year = ?',
-      [userId, currentYear]
-    )
-
-    let balances = balancesResult
-
-    if (balances.length === 0) {
-      // Create new leave balance record for the year
-      await pool.execute(
-        'INSERT INTO leave_balances (user_id, leave_year, casual_leaves, sick_leaves) VALUES (?, ?, 12, 12)',
-        [userId, currentYear]
-      )
-
-      // Fetch the newly created balance
-      const [newBalancesResult] = await pool.execute(
-        'SELECT * FROM leave_balances WHERE user_id = ? AND leave_year = ?',
-        [userId, currentYear]
-      )
-      balances = newBalancesResult
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear()
+    const summary = await getBalanceSummary(req.user.id, year)
+
+    // Flat keys kept for existing screens; `total` is what has been earned so far plus carry-forward
+    const response = { year: summary.year, closed: summary.closed }
+    for (const type of LEAVE_TYPES) {
+      const t = summary[type]
+      response[`total_${type}`] = t.accrued + t.carried
+      response[`used_${type}`] = t.used
+      response[`available_${type}`] = t.available
+      response[`carried_${type}`] = t.carried
+      response[`entitlement_${type}`] = t.entitlement
+      response[`accrual_${type}`] = t.accrual
     }
-
-    const balance = balances[0]
-    res.json({
-      year: balance.leave_year,
-      total_casual: balance.casual_leaves,
-      total_sick: balance.sick_leaves,
-      total_paid: balance.paid_leaves,
-      used_casual: balance.used_casual,
-      used_sick: balance.used_sick,
-      used_paid: balance.used_paid,
-      available_casual: balance.casual_leaves - balance.used_casual,
-      available_sick: balance.sick_leaves - balance.used_sick,
-      available_paid: balance.paid_leaves - balance.used_paid
-    })
+    res.json(response)
   } catch (error) {
     console.error('Failed to get leave balance:', error)
     res.status(500).json({ message: 'Failed to get leave balance' })
   }
 })
 
-// Apply for leave
-router.post('/apply', verifyToken, async (req, res) => {
+// Preview how many leave days a date range costs once weekly offs and holidays are skipped
+router.get('/calculate', requireAuth, async (req, res) => {
   try {
-    const { leave_type, start_date, end_date, reason } = req.body
-    const userId = req.user.id
+    const { start_date, end_date } = req.query
+    const half_day = req.query.half_day || null
 
-    console.log('Leave application request:', { leave_type, start_date, end_date, reason, userId })
-
-    if (!leave_type || !start_date || !end_date || !reason) {
-      return res.status(400).json({ message: 'Leave type, start date, end date, and reason are required' })
+    if (!start_date || !end_date) {
+      return res.status(400).json({ message: 'Start date and end date are required' })
     }
-
-    const startDate = new Date(start_date)
-    const endDate = new Date(end_date)
-
-    console.log('Parsed dates:', { startDate, endDate, start_date, end_date })
-
-    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    if (isNaN(new Date(start_date).getTime()) || isNaN(new Date(end_date).getTime())) {
       return res.status(400).json({ message: 'Invalid date format' })
     }
-
-    if (startDate > endDate) {
+    if (start_date > end_date) {
       return res.status(400).json({ message: 'Start date cannot be after end date' })
     }
-
-    // Calculate number of days
-    const diffTime = Math.abs(endDate - startDate)
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1 // +1 to include end date
-
-    console.log('Calculated days:', diffDays)
-
-    // Get or create leave balance
-    const balance = await getOrCreateLeaveBalance(userId)
-
-    console.log('Retrieved balance:', balance)
-
-    if (!balance) {
-      return res.status(500).json({ message: 'Failed to retrieve leave balance' })
+    if (leaveSpanDays(start_date, end_date) > MAX_LEAVE_SPAN_DAYS) {
+      return res.status(400).json({ message: `A leave cannot span more than ${MAX_LEAVE_SPAN_DAYS} days` })
     }
-
-    let availableLeaves = 0
-    let usedLeavesField = ''
-    let totalLeavesField = ''
-
-    if (leave_type === 'casual') {
-      availableLeaves = (balance.casual_leaves || 0) - (balance.used_casual || 0)
-      usedLeavesField = 'used_casual'
-      totalLeavesField = 'casual_leaves'
-    } else if (leave_type === 'sick') {
-      availableLeaves = (balance.sick_leaves || 0) - (balance.used_sick || 0)
-      usedLeavesField = 'used_sick'
-      totalLeavesField = 'sick_leaves'
-    } else if (leave_type === 'paid') {
-      availableLeaves = (balance.paid_leaves || 0) - (balance.used_paid || 0)
-      usedLeavesField = 'used_paid'
-      totalLeavesField = 'paid_leaves'
-    } else {
-      return res.status(400).json({ message: 'Invalid leave type' })
+    if (half_day && (!HALF_DAY_VALUES.includes(half_day) || start_date !== end_date)) {
+      return res.status(400).json({ message: 'Half-day leave must be a single date, first_half or second_half' })
     }
 
-    console.log('Available leaves calculation:', { leave_type, availableLeaves, usedLeavesField, totalLeavesField })
+    res.json(await calculateLeaveDays({ startDate: start_date, endDate: end_date, halfDay: half_day }))
+  } catch (error) {
+    console.error('Failed to calculate leave days', error)
+    res.status(500).json({ message: 'Unable to calculate leave days' })
+  }
+})
 
-    if (diffDays > availableLeaves) {
-      return res.status(400).json({ message: `Not enough ${leave_type} available. Available: ${availableLeaves}, Requested: ${diffDays}` })
-    }
+// Apply for leave
+router.post('/apply', requireAuth, async (req, res) => {
+  try {
+    const { leave_type, start_date, end_date, reason } = req.body
+    const half_day = req.body.half_day || null
+    const userId = req.user.id
 
-    console.log('Inserting leave application:', [userId, leave_type, start_date, end_date, reason, 'pending'])
+    console.log('Leave application request:', { leave_type, start_date, end_date, half_day, reason, userId })
 
-    // Insert leave application
-    const [result] = await pool.execute(
-      'INSERT INTO leave_applications (user_id, leave_type, start_date, end_date, reason, status) VALUES (?, ?, ?, ?, ?, ?)',
-      [userId, leave_type, start_date, end_date, reason, 'pending']
-    )
+    const result = await createLeaveApplication({
+      userId,
+      leaveType: leave_type,
+      startDate: start_date,
+      endDate: end_date,
+      halfDay: half_day,
+      reason,
+    })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
 
-    res.status(201).json({ message: 'Leave application submitted successfully', leaveId: result.insertId })
+    res.status(201).json({
+      message: result.requiredLevels > 1
+        ? 'Leave application submitted successfully. It needs team leader and manager approval.'
+        : 'Leave application submitted successfully',
+      ...result,
+    })
   } catch (error) {
     console.error('Failed to apply for leave:', error)
     res.status(500).json({ message: 'Failed to apply for leave' })
@@ -181,160 +183,326 @@ router.post('/apply', verifyToken, async (req, res) => {
 })
 
 // Get leave history for the current user
-router.get('/history', verifyToken, async (req, res) => {
+router.get('/history', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id
     const [applications] = await pool.execute(
-      'SELECT * FROM leave_applications WHERE user_id = ? ORDER BY created_at DESC',
+      `SELECT la.*, a.username AS current_approver_name
+         FROM leave_applications la
+         LEFT JOIN users a ON la.current_approver_id = a.id
+        WHERE la.user_id = ?
+        ORDER BY la.created_at DESC`,
       [userId]
     )
-    res.json(applications)
+    res.json(await attachApprovalSteps(applications))
   } catch (error) {
     console.error('Failed to fetch leave history:', error)
     res.status(500).json({ message: 'Failed to fetch leave history' })
   }
 })
 
-// Get leave applications for managers to approve
-router.get('/approvals', verifyToken, async (req, res) => {
+// Get leave applications and cancellation requests waiting on the current user.
+// Approvers see their direct reports' applications; final approvers additionally see escalations
+// from their team leaders and anything that has no approver in the hierarchy.
+router.get('/approvals', requireAuth, requirePermission('leave.approve', 'leave.approve_final'), async (req, res) => {
   try {
-    const role = req.user.role || ''
-    if (!role.includes('Manager') && !role.includes('Team Leader')) {
-      return res.status(403).json({ message: 'Forbidden: Only managers and team leaders can view leave approvals' })
-    }
-
-    // For now, managers see all pending leaves. In a real app, this would be filtered by managerId.
-    const [applications] = await pool.execute(`
-      SELECT la.*, u.username, u.employee_id, u.role AS user_role
-      FROM leave_applications la
-      JOIN users u ON la.user_id = u.id
-      WHERE la.status = 'Pending'
-      ORDER BY la.created_at ASC
-    `)
-    res.json(applications)
+    const [applications] = await pool.execute(
+      `SELECT la.*, u.username, u.employee_id, u.role AS user_role
+         FROM leave_applications la
+         JOIN users u ON la.user_id = u.id
+        WHERE la.status IN ('pending', 'cancellation_requested')
+          AND la.user_id <> ?
+          AND (la.current_approver_id = ? OR (la.current_approver_id IS NULL AND ?))
+        ORDER BY la.created_at ASC`,
+      [req.user.id, req.user.id, can(req.user, 'leave.approve_final') ? 1 : 0]
+    )
+    res.json(await attachApprovalSteps(applications))
   } catch (error) {
     console.error('Failed to fetch leave approvals', error)
     res.status(500).json({ message: 'Unable to fetch leave approvals' })
   }
 })
 
-// Approve or reject leave application
-// Approve or reject a leave application
-router.post('/approve/:id', verifyToken, async (req, res) => {
-  console.log('=== LEAVE APPROVAL ROUTE HIT ===')
-  console.log('Route params:', req.params)
-  console.log('Request body:', req.body)
-  console.log('User from token:', req.user)
-
+// Approve or reject a leave application at its current approval level
+router.post('/approve/:id', requireAuth, requirePermission('leave.approve', 'leave.approve_final'), async (req, res) => {
+  const connection = await pool.getConnection()
   try {
     const { id } = req.params
-    const { status } = req.body // 'approved' or 'rejected'
-    const managerId = req.user.id
-    const managerRole = req.user.role || ''
-
-    console.log('Leave approval request:', { id, status, managerId, managerRole })
-
-    if (!managerRole.includes('Manager') && !managerRole.includes('Team Leader')) {
-      console.log('Access denied: role check failed')
-      return res.status(403).json({ message: 'Forbidden: Only managers and team leaders can approve/reject leaves' })
-    }
-
-    console.log('Role check passed, proceeding...')
+    const { status, comment } = req.body // 'approved' or 'rejected'
+    const approverId = req.user.id
 
     // Normalize status to lowercase to match database enum
-    const normalizedStatus = status.toLowerCase()
-
-    console.log('Normalized status:', normalizedStatus)
-
+    const normalizedStatus = (status || '').toLowerCase()
     if (normalizedStatus !== 'approved' && normalizedStatus !== 'rejected') {
-      console.log('Invalid status provided')
       return res.status(400).json({ message: 'Invalid status. Must be "approved" or "rejected"' })
     }
 
-    console.log('Status validation passed, querying database...')
+    await connection.beginTransaction()
 
-    console.log('Querying leave application with id:', id)
-    const [applications] = await pool.execute(
-      'SELECT * FROM leave_applications WHERE id = ? AND status = "pending"',
+    const [applications] = await connection.execute(
+      "SELECT * FROM leave_applications WHERE id = ? AND status = 'pending' FOR UPDATE",
       [id]
     )
-    console.log('Query result:', applications)
 
     if (applications.length === 0) {
+      await connection.rollback()
       return res.status(404).json({ message: 'Leave application not found or already processed' })
     }
 
     const leaveApplication = applications[0]
 
-    // Update leave application status
-    await pool.execute(
-      'UPDATE leave_applications SET status = ?, approved_by = ?, approved_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [normalizedStatus, managerId, id]
+    const isAssignedApprover = leaveApplication.current_approver_id === approverId
+    const isUnassignedForManager = leaveApplication.current_approver_id === null && can(req.user, 'leave.approve_final')
+    if (leaveApplication.user_id === approverId || (!isAssignedApprover && !isUnassignedForManager)) {
+      await connection.rollback()
+      return res.status(403).json({ message: 'This leave application is not awaiting your approval' })
+    }
+
+    const level = leaveApplication.approval_level || 1
+    const requiredLevels = leaveApplication.required_levels || 1
+
+    await connection.execute(
+      'INSERT INTO leave_approval_steps (leave_id, level, approver_id, action, comment) VALUES (?, ?, ?, ?, ?)',
+      [id, level, approverId, normalizedStatus, comment || null]
     )
 
-    // If approved, update leave balance
-    if (normalizedStatus === 'approved') {
-      console.log('Updating leave balance for approved application')
-      const startDate = new Date(leaveApplication.start_date)
-      const endDate = new Date(leaveApplication.end_date)
-      const diffTime = Math.abs(endDate - startDate)
-      const leaveDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 1
-
-      console.log('Leave calculation:', { startDate, endDate, leaveDays, leaveType: leaveApplication.leave_type })
-
-      const balance = await getOrCreateLeaveBalance(leaveApplication.user_id)
-      console.log('Retrieved balance:', balance)
-      console.log('Balance object keys:', Object.keys(balance || {}))
-      console.log('Balance values:', balance)
-
-      let updateField = ''
-      if (leaveApplication.leave_type === 'casual') {
-        updateField = 'used_casual'
-      } else if (leaveApplication.leave_type === 'sick') {
-        updateField = 'used_sick'
-      } else if (leaveApplication.leave_type === 'paid') {
-        updateField = 'used_paid'
-      }
+    // Approved below the final level: hand over to the next approver up the chain
+    if (normalizedStatus === 'approved' && level < requiredLevels) {
+      const nextApproverId = (await findLeaveApprover(approverId, connection))?.id ?? null
 
-      console.log('Update field:', updateField)
-
-      if (updateField) {
-        // Build safe SQL query based on the field
-        let updateQuery = ''
-        if (updateField === 'used_casual') {
-          updateQuery = 'UPDATE leave_balances SET used_casual = used_casual + ? WHERE user_id = ? AND leave_year = ?'
-        } else if (updateField === 'used_sick') {
-          updateQuery = 'UPDATE leave_balances SET used_sick = used_sick + ? WHERE user_id = ? AND leave_year = ?'
-        } else if (updateField === 'used_paid') {
-          updateQuery = 'UPDATE leave_balances SET used_paid = used_paid + ? WHERE user_id = ? AND leave_year = ?'
-        }
+      await connection.execute(
+        'UPDATE leave_applications SET approval_level = ?, current_approver_id = ? WHERE id = ?',
+        [level + 1, nextApproverId, id]
+      )
+      await connection.commit()
+      return res.json({ message: `Leave application approved at level ${level} and forwarded for level ${level + 1} approval` })
+    }
 
-        console.log('Executing update query:', updateQuery, 'with params:', [leaveDays, leaveApplication.user_id, balance.leave_year])
+    // Recount with the current holiday calendar so the debit matches what apply showed
+    const { days: leaveDays, daysByYear } = await calculateLeaveDays(
+      { startDate: leaveApplication.start_date, endDate: leaveApplication.end_date, halfDay: leaveApplication.half_day },
+      connection
+    )
+
+    // Final decision
+    await connection.execute(
+      'UPDATE leave_applications SET status = ?, approved_by = ?, approved_at = CURRENT_TIMESTAMP, current_approver_id = NULL, leave_days = ? WHERE id = ?',
+      [normalizedStatus, approverId, leaveDays, id]
+    )
 
-        await pool.execute(updateQuery, [leaveDays, leaveApplication.user_id, balance.leave_year])
-        console.log('Balance updated successfully')
+    // If approved, update leave balance, unless other leave approved since it was filed has used
+    // up what it needs
+    if (normalizedStatus === 'approved') {
+      await connection.execute('SELECT id FROM leave_balances WHERE user_id = ? FOR UPDATE', [leaveApplication.user_id])
+      for (const [year, yearDays] of Object.entries(daysByYear)) {
+        const summary = await getBalanceSummary(leaveApplication.user_id, Number(year), connection)
+        const available = summary[leaveApplication.leave_type].available
+        if (yearDays > available) {
+          await connection.rollback()
+          return res.status(409).json({
+            message: `Not enough ${leaveApplication.leave_type} leave left in ${year} to approve this. Available: ${available}, Requested: ${yearDays}`,
+          })
+        }
       }
+      await debitLeaveBalance(connection, leaveApplication, daysByYear)
     }
 
+    await connection.commit()
     res.json({ message: `Leave application ${normalizedStatus} successfully` })
   } catch (error) {
+    await connection.rollback().catch(() => {})
     console.error('Failed to approve/reject leave', error)
     // Ensure we always return JSON, never HTML
     if (!res.headersSent) {
       res.status(500).json({ message: 'Unable to process leave request', error: error.message })
     }
+  } finally {
+    connection.release()
   }
 })
 
-// Test endpoint
-router.get('/test', (req, res) => {
-  res.json({ message: 'Leave route is working!', timestamp: new Date().toISOString() })
+// Leave policy: one row per role and leave type, role '*' being the default for everyone
+router.get('/policies', requireAuth, async (req, res) => {
+  try {
+    const [policies] = await pool.execute('SELECT * FROM leave_policies ORDER BY role, leave_type')
+    res.json({ policies, effective: await getLeavePolicy(req.user.role) })
+  } catch (error) {
+    console.error('Failed to fetch leave policies', error)
+    res.status(500).json({ message: 'Unable to fetch leave policies' })
+  }
+})
+
+// Create or update the policy for a role and leave type
+router.put('/policies', requireAuth, requirePermission('leave.manage_policy'), async (req, res) => {
+  try {
+    const { role, leave_type, annual_entitlement, accrual, carry_forward_cap, encashment_limit } = req.body
+    const values = [annual_entitlement, carry_forward_cap ?? 0, encashment_limit ?? 0].map(Number)
+
+    if (!LEAVE_TYPES.includes(leave_type)) {
+      return res.status(400).json({ message: 'Invalid leave type' })
+    }
+    if (!ACCRUAL_TYPES.includes(accrual || 'yearly')) {
+      return res.status(400).json({ message: 'Accrual must be "yearly" or "monthly"' })
+    }
+    if (values.some((v) => Number.isNaN(v) || v < 0)) {
+      return res.status(400).json({ message: 'Entitlement, carry-forward cap and encashment limit must be non-negative numbers' })
+    }
+
+    await pool.execute(
+      `INSERT INTO leave_policies (role, leave_type, annual_entitlement, accrual, carry_forward_cap, encashment_limit)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         annual_entitlement = VALUES(annual_entitlement),
+         accrual = VALUES(accrual),
+         carry_forward_cap = VALUES(carry_forward_cap),
+         encashment_limit = VALUES(encashment_limit)`,
+      [role || '*', leave_type, values[0], accrual || 'yearly', values[1], values[2]]
+    )
+    res.json({ message: 'Leave policy saved. New entitlements apply from the next balance opened.' })
+  } catch (error) {
+    console.error('Failed to save leave policy', error)
+    res.status(500).json({ message: 'Unable to save leave policy' })
+  }
+})
+
+// Close a finished leave year and open the next with carry-forward.
+// Also run automatically at startup and daily, so this is for closing a year on demand.
+router.post('/rollover', requireAuth, requirePermission('leave.manage_policy'), async (req, res) => {
+  try {
+    const currentYear = new Date().getFullYear()
+    const year = parseInt(req.body.year, 10) || currentYear - 1
+    if (year >= currentYear) {
+      return res.status(400).json({ message: 'Only a finished leave year can be rolled over' })
+    }
+
+    const result = await rolloverLeaveYear(year)
+    res.json({ message: `Leave year ${year} closed for ${result.closed} user(s)`, ...result })
+  } catch (error) {
+    console.error('Failed to roll over leave year', error)
+    res.status(500).json({ message: 'Unable to roll over leave year' })
+  }
+})
+
+// Withdraw a pending application (owner only). Nothing has been debited yet.
+router.post('/cancel/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { reason } = req.body
+
+    const [result] = await pool.execute(
+      `UPDATE leave_applications
+          SET status = 'cancelled', cancellation_reason = ?, cancelled_at = CURRENT_TIMESTAMP, current_approver_id = NULL
+        WHERE id = ? AND user_id = ? AND status = 'pending'`,
+      [reason || null, id, req.user.id]
+    )
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'No pending leave application found to cancel' })
+    }
+    res.json({ message: 'Leave application cancelled successfully' })
+  } catch (error) {
+    console.error('Failed to cancel leave', error)
+    res.status(500).json({ message: 'Unable to cancel leave application' })
+  }
+})
+
+// Ask for an approved leave to be cancelled (owner only). The nearest leave approver above the
+// applicant decides, and the balance is only given back once they approve.
+router.post('/request-cancellation/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to cancel an approved leave' })
+    }
+
+    const approverId = (await findLeaveApprover(req.user.id))?.id ?? null
+    const [result] = await pool.execute(
+      `UPDATE leave_applications
+          SET status = 'cancellation_requested', cancellation_reason = ?, current_approver_id = ?
+        WHERE id = ? AND user_id = ? AND status = 'approved'`,
+      [reason, approverId, id, req.user.id]
+    )
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'No approved leave application found to cancel' })
+    }
+    res.json({ message: 'Cancellation requested. Your manager needs to approve it.' })
+  } catch (error) {
+    console.error('Failed to request leave cancellation', error)
+    res.status(500).json({ message: 'Unable to request leave cancellation' })
+  }
 })
 
-// Simple approve endpoint for testing
-router.post('/approve/:id', (req, res) => {
-  console.log('Approve endpoint hit:', req.params, req.body)
-  res.json({ message: 'Test approve endpoint working' })
+// Approve or reject a cancellation request. Approval cancels the leave and reverses the
+// balance debit in the same transaction; rejection leaves the leave approved.
+router.post('/cancellation/:id', requireAuth, requirePermission('leave.approve', 'leave.approve_final'), async (req, res) => {
+  const connection = await pool.getConnection()
+  try {
+    const { id } = req.params
+    const { status, comment } = req.body
+    const approverId = req.user.id
+
+    const normalizedStatus = (status || '').toLowerCase()
+    if (normalizedStatus !== 'approved' && normalizedStatus !== 'rejected') {
+      return res.status(400).json({ message: 'Invalid status. Must be "approved" or "rejected"' })
+    }
+
+    await connection.beginTransaction()
+
+    const [applications] = await connection.execute(
+      "SELECT * FROM leave_applications WHERE id = ? AND status = 'cancellation_requested' FOR UPDATE",
+      [id]
+    )
+
+    if (applications.length === 0) {
+      await connection.rollback()
+      return res.status(404).json({ message: 'Cancellation request not found or already processed' })
+    }
+
+    const leaveApplication = applications[0]
+
+    const isAssignedApprover = leaveApplication.current_approver_id === approverId
+    const isUnassignedForManager = leaveApplication.current_approver_id === null && can(req.user, 'leave.approve_final')
+    if (leaveApplication.user_id === approverId || (!isAssignedApprover && !isUnassignedForManager)) {
+      await connection.rollback()
+      return res.status(403).json({ message: 'This cancellation request is not awaiting your approval' })
+    }
+
+    await connection.execute(
+      "INSERT INTO leave_approval_steps (leave_id, level, kind, approver_id, action, comment) VALUES (?, 1, 'cancellation', ?, ?, ?)",
+      [id, approverId, normalizedStatus, comment || null]
+    )
+
+    if (normalizedStatus === 'approved') {
+      await reverseLeaveBalance(connection, leaveApplication)
+      await connection.execute(
+        "UPDATE leave_applications SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, current_approver_id = NULL WHERE id = ?",
+        [id]
+      )
+    } else {
+      await connection.execute(
+        "UPDATE leave_applications SET status = 'approved', current_approver_id = NULL WHERE id = ?",
+        [id]
+      )
+    }
+
+    await connection.commit()
+    res.json({
+      message: normalizedStatus === 'approved'
+        ? 'Leave cancelled and balance restored'
+        : 'Cancellation request rejected; the leave stays approved',
+    })
+  } catch (error) {
+    await connection.rollback().catch(() => {})
+    console.error('Failed to process leave cancellation', error)
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Unable to process cancellation request' })
+    }
+  } finally {
+    connection.release()
+  }
 })
 
 export default router
@@ -0,0 +1,637 @@
+import { Router } from 'express'
+import multer from 'multer'
+import pool from '../db.js'
+import { can, requireAuth } from '../auth.js'
+import { sendMail } from '../utils/mailer.js'
+import { resolveProject } from '../utils/projects.js'
+import { readCustomerContact, saveCustomerContact } from '../utils/customers.js'
+import { LETTERHEAD, LOGO_PATH, hasLogo } from '../utils/letterhead.js'
+import { isPrintableImage, momPdfFilename, renderMomPdf } from '../utils/momPdf.js'
+import { SIGNATURE_ROLES, addSignature, listSignatures } from '../utils/momSignatures.js'
+import { readFileBytes } from '../utils/files.js'
+import { sniffFileType } from '../utils/fileTypes.js'
+import {
+  SHARE_LINK_DEFAULT_DAYS,
+  SHARE_LINK_MAX_DAYS,
+  createShareLink,
+  findContactEmails,
+  findShareLink,
+  listMomEvents,
+  listShareLinks,
+  recordMomEvent,
+  revokeShareLink,
+} from '../utils/momSharing.js'
+
+const router = Router()
+
+// Columns aliased to the same keys the CreateMoM form uses, dates back in DD/MM/YYYY
+const selectColumns = `
+  m.id, m.user_id AS userId, u.username,
+  m.customer_name AS customerName, m.customer_person AS customerPerson,
+  m.customer_contact AS custContact, m.customer_country_code AS custCountryCode,
+  m.end_customer_name AS endCustName, m.end_customer_person AS endCustPerson,
+  m.end_customer_contact AS endCustContact, m.end_customer_country_code AS endCustCountryCode,
+  m.engineer_name AS enggName, m.site_location AS siteLocation,
+  DATE_FORMAT(m.mom_date, '%d/%m/%Y') AS momDate,
+  TIME_FORMAT(m.reporting_time, '%H:%i') AS reportingTime,
+  TIME_FORMAT(m.close_time, '%H:%i') AS momCloseTime,
+  m.man_hours AS manHours, m.man_hours_more_than_9 AS manHoursMoreThan9, m.billing_days AS billingDays,
+  DATE_FORMAT(m.site_start_date, '%d/%m/%Y') AS siteStartDate,
+  DATE_FORMAT(m.site_end_date, '%d/%m/%Y') AS siteEndDate,
+  m.project_name AS projectName, m.project_no AS projectNo, m.project_id AS projectId,
+  m.observations AS observationNotes, m.solutions AS solutionNotes, m.conclusion,
+  m.location_lat AS locationLat, m.location_lng AS locationLng,
+  m.created_at AS createdAt, m.updated_at AS savedAt, m.locked_at AS lockedAt
+`
+
+// Accepts DD/MM/YYYY (what the form shows) or YYYY-MM-DD and returns YYYY-MM-DD or null
+const toSqlDate = (value) => {
+  if (!value) return null
+  const str = String(value).trim()
+  let match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)
+  if (match) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`
+  }
+  match = str.match(/^(\d{4})-(\d{2})-(\d{2})/)
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`
+  }
+  return null
+}
+
+const toSqlTime = (value) => {
+  if (!value) return null
+  return /^\d{1,2}:\d{2}(:\d{2})?$/.test(String(value).trim()) ? String(value).trim() : null
+}
+
+const toCoordinate = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const num = parseFloat(value)
+  return Number.isNaN(num) ? null : num
+}
+
+// Build the named-placeholder payload shared by insert, update and import
+const buildPayload = (body) => ({
+  customerName: body.customerName || '',
+  customerPerson: body.customerPerson || null,
+  custContact: body.custContact || null,
+  custCountryCode: body.custCountryCode || '+91',
+  endCustName: body.endCustName || null,
+  endCustPerson: body.endCustPerson || null,
+  endCustContact: body.endCustContact || null,
+  endCustCountryCode: body.endCustCountryCode || '+91',
+  enggName: body.enggName || null,
+  siteLocation: body.siteLocation || null,
+  momDate: toSqlDate(body.momDate),
+  reportingTime: toSqlTime(body.reportingTime),
+  momCloseTime: toSqlTime(body.momCloseTime),
+  manHours: body.manHours || null,
+  manHoursMoreThan9: body.manHoursMoreThan9 || null,
+  billingDays: body.billingDays || null,
+  siteStartDate: toSqlDate(body.siteStartDate),
+  siteEndDate: toSqlDate(body.siteEndDate),
+  projectName: body.projectName || null,
+  projectNo: body.projectNo || null,
+  observationNotes: body.observationNotes || null,
+  solutionNotes: body.solutionNotes || null,
+  conclusion: body.conclusion || null,
+  locationLat: toCoordinate(body.locationLat),
+  locationLng: toCoordinate(body.locationLng),
+})
+
+const insertSql = `
+  INSERT INTO moms (
+    user_id, client_ref, customer_name, customer_person, customer_contact, customer_country_code,
+    end_customer_name, end_customer_person, end_customer_contact, end_customer_country_code,
+    engineer_name, site_location, mom_date, reporting_time, close_time,
+    man_hours, man_hours_more_than_9, billing_days, site_start_date, site_end_date,
+    project_name, project_no, project_id, observations, solutions, conclusion, location_lat, location_lng,
+    customer_id, customer_contact_id, end_customer_id, end_customer_contact_id
+  )
+  VALUES (
+    :userId, :clientRef, :customerName, :customerPerson, :custContact, :custCountryCode,
+    :endCustName, :endCustPerson, :endCustContact, :endCustCountryCode,
+    :enggName, :siteLocation, :momDate, :reportingTime, :momCloseTime,
+    :manHours, :manHoursMoreThan9, :billingDays, :siteStartDate, :siteEndDate,
+    :projectName, :projectNo, :projectId, :observationNotes, :solutionNotes, :conclusion, :locationLat, :locationLng,
+    :customerId, :customerContactId, :endCustomerId, :endCustomerContactId
+  )
+`
+
+const updateSql = `
+  UPDATE moms SET
+    customer_name = :customerName, customer_person = :customerPerson,
+    customer_contact = :custContact, customer_country_code = :custCountryCode,
+    end_customer_name = :endCustName, end_customer_person = :endCustPerson,
+    end_customer_contact = :endCustContact, end_customer_country_code = :endCustCountryCode,
+    engineer_name = :enggName, site_location = :siteLocation, mom_date = :momDate,
+    reporting_time = :reportingTime, close_time = :momCloseTime,
+    man_hours = :manHours, man_hours_more_than_9 = :manHoursMoreThan9, billing_days = :billingDays,
+    site_start_date = :siteStartDate, site_end_date = :siteEndDate,
+    project_name = :projectName, project_no = :projectNo, project_id = :projectId,
+    observations = :observationNotes, solutions = :solutionNotes, conclusion = :conclusion,
+    location_lat = :locationLat, location_lng = :locationLng,
+    customer_id = :customerId, customer_contact_id = :customerContactId,
+    end_customer_id = :endCustomerId, end_customer_contact_id = :endCustomerContactId
+  WHERE id = :id AND locked_at IS NULL
+`
+
+// The project a MoM belongs to, from the picked projectId or its project number/name
+const projectFor = (body) => resolveProject({ projectId: body.projectId, texts: [body.projectNo, body.projectName] })
+
+// Validate the customer and end customer of a MoM. Returns { customer, endCustomer } or { error }.
+const readMomCustomers = (body) => {
+  const customer = readCustomerContact(
+    { name: body.customerName, person: body.customerPerson, countryCode: body.custCountryCode, phone: body.custContact },
+    'Customer'
+  )
+  if (customer.error) return customer
+  const endCustomer = readCustomerContact(
+    { name: body.endCustName, person: body.endCustPerson, countryCode: body.endCustCountryCode, phone: body.endCustContact },
+    'End customer'
+  )
+  if (endCustomer.error) return endCustomer
+  return { customer: customer.values, endCustomer: endCustomer.values }
+}
+
+// Link a MoM to the customer master and return the payload fields to store, with names and
+// numbers the way they are kept there
+const saveMomCustomers = async ({ customer, endCustomer }, userId) => {
+  const savedCustomer = await saveCustomerContact(customer, userId)
+  const savedEnd = await saveCustomerContact(endCustomer, userId)
+  const fields = {
+    customerId: savedCustomer.customerId,
+    customerContactId: savedCustomer.contactId,
+    endCustomerId: savedEnd.customerId,
+    endCustomerContactId: savedEnd.contactId,
+  }
+  if (savedCustomer.customerId) {
+    Object.assign(fields, { customerName: savedCustomer.name })
+    if (savedCustomer.person) {
+      Object.assign(fields, {
+        customerPerson: savedCustomer.person,
+        custContact: savedCustomer.phone,
+        custCountryCode: savedCustomer.countryCode,
+      })
+    }
+  }
+  if (savedEnd.customerId) {
+    Object.assign(fields, { endCustName: savedEnd.name })
+    if (savedEnd.person) {
+      Object.assign(fields, {
+        endCustPerson: savedEnd.person,
+        endCustContact: savedEnd.phone,
+        endCustCountryCode: savedEnd.countryCode,
+      })
+    }
+  }
+  return fields
+}
+
+// A MoM with its signatures, or null
+async function findMom(id) {
+  const [rows] = await pool.execute(
+    `SELECT ${selectColumns} FROM moms m LEFT JOIN users u ON m.user_id = u.id WHERE m.id = ?`,
+    [id]
+  )
+  if (rows.length === 0) return null
+  return { ...rows[0], signatures: await listSignatures(rows[0].id) }
+}
+
+// Fetch a MoM and check the requester may touch it (owner, or anyone with mom.manage_all)
+async function findAccessibleMom(id, user) {
+  const mom = await findMom(id)
+  if (!mom) return { status: 404 }
+  if (mom.userId !== user.id && !can(user, 'mom.manage_all')) return { status: 403 }
+  return { mom }
+}
+
+// The MoM printed on the official template, with the drawn signatures loaded for embedding.
+// Returns the PDF stream.
+async function printMom(mom) {
+  const signatures = await Promise.all(
+    mom.signatures.map(async (signature) => ({ ...signature, image: await readFileBytes(signature.fileId) }))
+  )
+  return renderMomPdf({ ...mom, signatures })
+}
+
+// Send a rendered MoM as the response; inline unless `download`
+const sendMomPdf = async (res, mom, download) => {
+  const pdf = await printMom(mom)
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${momPdfFilename(mom)}"`,
+    'Cache-Control': 'private, no-store',
+  })
+  pdf.pipe(res)
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MAX_RECIPIENTS = 10
+
+// List MoMs: own MoMs, or everyone's for users with mom.manage_all
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query
+    const conditions = []
+    const params = []
+
+    if (!can(req.user, 'mom.manage_all') || req.query.mine === 'true') {
+      conditions.push('m.user_id = ?')
+      params.push(req.user.id)
+    }
+    if (from) {
+      conditions.push('m.mom_date >= ?')
+      params.push(toSqlDate(from))
+    }
+    if (to) {
+      conditions.push('m.mom_date <= ?')
+      params.push(toSqlDate(to))
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+    const [rows] = await pool.execute(
+      `SELECT ${selectColumns}
+         FROM moms m
+         LEFT JOIN users u ON m.user_id = u.id
+         ${where}
+        ORDER BY m.updated_at DESC
+        LIMIT 200`,
+      params
+    )
+
+    res.json({ moms: rows })
+  } catch (error) {
+    console.error('Failed to fetch MoMs', error)
+    res.status(500).json({ message: 'Unable to fetch MoMs' })
+  }
+})
+
+// The company block MoMs are printed under, for the on-screen preview
+router.get('/letterhead', requireAuth, (req, res) => {
+  res.json({ letterhead: { ...LETTERHEAD, hasLogo: hasLogo() } })
+})
+
+// Public so the preview can show it in a plain <img>
+router.get('/letterhead/logo', (req, res) => {
+  if (!hasLogo()) return res.status(404).json({ message: 'No logo configured' })
+  res.set({ 'Cache-Control': 'public, max-age=86400', 'Cross-Origin-Resource-Policy': 'cross-origin' })
+  res.sendFile(LOGO_PATH)
+})
+
+// The MoM behind a share link, as PDF, for whoever holds the link. Every opening is recorded.
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const link = await findShareLink(req.params.token)
+    if (!link) return res.status(404).json({ message: 'This link is not valid' })
+    if (link.status === 'revoked') return res.status(410).json({ message: 'This link has been withdrawn' })
+    if (link.status === 'expired') return res.status(410).json({ message: 'This link has expired' })
+
+    const mom = await findMom(link.momId)
+    await recordMomEvent(mom.id, 'link_viewed', { shareLinkId: link.id, req })
+    await sendMomPdf(res, mom, Boolean(req.query.download))
+  } catch (error) {
+    console.error('Failed to open shared MoM', error)
+    res.status(500).json({ message: 'Unable to open shared MoM' })
+  }
+})
+
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const { mom, status } = await findAccessibleMom(req.params.id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to view this MoM' })
+
+    res.json({ mom })
+  } catch (error) {
+    console.error('Failed to fetch MoM', error)
+    res.status(500).json({ message: 'Unable to fetch MoM' })
+  }
+})
+
+// The MoM printed on the official template. Shown inline unless ?download is given.
+router.get('/:id/pdf', requireAuth, async (req, res) => {
+  try {
+    const { mom, status } = await findAccessibleMom(req.params.id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to view this MoM' })
+
+    await sendMomPdf(res, mom, Boolean(req.query.download))
+  } catch (error) {
+    console.error('Failed to render MoM PDF', error)
+    res.status(500).json({ message: 'Unable to render MoM PDF' })
+  }
+})
+
+// Who the MoM can be sent to, its share links and what has happened to it (sent, opened, ...)
+router.get('/:id/sharing', requireAuth, async (req, res) => {
+  try {
+    const { mom, status } = await findAccessibleMom(req.params.id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to view this MoM' })
+
+    res.json({
+      recipients: await findContactEmails(mom.id),
+      links: await listShareLinks(mom.id),
+      events: await listMomEvents(mom.id),
+    })
+  } catch (error) {
+    console.error('Failed to fetch MoM sharing', error)
+    res.status(500).json({ message: 'Unable to fetch MoM sharing' })
+  }
+})
+
+// Email the MoM PDF to `to` (addresses, or a comma separated string), by default the customer
+// and end customer contacts on file, with an optional `note` from the sender
+router.post('/:id/send', requireAuth, async (req, res) => {
+  try {
+    const { mom, status } = await findAccessibleMom(req.params.id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to send this MoM' })
+
+    const given =
+      req.body.to === undefined
+        ? (await findContactEmails(mom.id)).map((contact) => contact.email)
+        : Array.isArray(req.body.to)
+          ? req.body.to
+          : String(req.body.to).split(',')
+    const to = [...new Set(given.map((address) => String(address).trim().toLowerCase()).filter(Boolean))]
+    if (to.length === 0) {
+      return res.status(400).json({ message: 'No email address on file for the customer contacts; enter one to send to' })
+    }
+    if (to.length > MAX_RECIPIENTS) {
+      return res.status(400).json({ message: `Send to at most ${MAX_RECIPIENTS} addresses at a time` })
+    }
+    const invalid = to.filter((address) => !EMAIL_PATTERN.test(address))
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Invalid email address: ${invalid.join(', ')}` })
+    }
+    const note = String(req.body.note ?? '').trim().slice(0, 2000)
+
+    const pdf = []
+    for await (const chunk of await printMom(mom)) pdf.push(chunk)
+    const title = [mom.projectNo || mom.projectName, mom.momDate].filter(Boolean).join(' · ')
+    await sendMail({
+      to: to.join(', '),
+      subject: `Minutes of Meeting${title ? ` – ${title}` : ''} (${LETTERHEAD.name})`,
+      text:
+        `Dear ${mom.customerPerson || 'Sir/Madam'},\n\n` +
+        `Please find attached the minutes of our meeting${mom.momDate ? ` on ${mom.momDate}` : ''}` +
+        `${mom.siteLocation ? ` at ${mom.siteLocation}` : ''}.\n\n` +
+        (note ? `${note}\n\n` : '') +
+        `Regards,\n${req.user.username}\n${LETTERHEAD.name}`,
+      attachments: [{ filename: momPdfFilename(mom), content: Buffer.concat(pdf), contentType: 'application/pdf' }],
+    })
+    await recordMomEvent(mom.id, 'emailed', { recipients: to, userId: req.user.id, req })
+
+    res.json({ message: `MoM sent to ${to.join(', ')}`, recipients: to })
+  } catch (error) {
+    console.error('Failed to send MoM', error)
+    res.status(500).json({ message: 'Unable to send MoM' })
+  }
+})
+
+// Create a read-only link opening the MoM without a login, valid for `days` days
+router.post('/:id/share-links', requireAuth, async (req, res) => {
+  try {
+    const { mom, status } = await findAccessibleMom(req.params.id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to share this MoM' })
+
+    const days = req.body.days === undefined ? SHARE_LINK_DEFAULT_DAYS : Number(req.body.days)
+    if (!Number.isInteger(days) || days < 1 || days > SHARE_LINK_MAX_DAYS) {
+      return res.status(400).json({ message: `A share link lasts from 1 to ${SHARE_LINK_MAX_DAYS} days` })
+    }
+
+    const link = await createShareLink(mom.id, days, req.user.id)
+    await recordMomEvent(mom.id, 'link_created', { shareLinkId: link.id, userId: req.user.id, req })
+    res.status(201).json({ message: 'Share link created', link })
+  } catch (error) {
+    console.error('Failed to create MoM share link', error)
+    res.status(500).json({ message: 'Unable to create share link' })
+  }
+})
+
+router.delete('/:id/share-links/:linkId', requireAuth, async (req, res) => {
+  try {
+    const { mom, status } = await findAccessibleMom(req.params.id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to share this MoM' })
+
+    if (!(await revokeShareLink(mom.id, req.params.linkId))) {
+      return res.status(404).json({ message: 'Share link not found' })
+    }
+    await recordMomEvent(mom.id, 'link_revoked', { shareLinkId: Number(req.params.linkId), userId: req.user.id, req })
+    res.json({ message: 'Share link revoked' })
+  } catch (error) {
+    console.error('Failed to revoke MoM share link', error)
+    res.status(500).json({ message: 'Unable to revoke share link' })
+  }
+})
+
+const MAX_SIGNATURE_BYTES = 512 * 1024
+
+// A signature arrives as one PNG drawn on the signature pad
+const signatureUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_SIGNATURE_BYTES, files: 1 } })
+
+const receiveSignature = (req, res, next) => {
+  signatureUpload.single('signature')(req, res, (error) => {
+    if (!error) return next()
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: 'The signature image is too large' })
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: 'Send one signature image' })
+    }
+    next(error)
+  })
+}
+
+// Sign a MoM as `role` (engineer or customer) with the `signature` PNG drawn on the pad, the
+// signer's name and, when the device could tell, where it was signed (latitude, longitude and
+// accuracy in metres). Each role signs once; the first signature locks the MoM.
+router.post('/:id/signatures', requireAuth, receiveSignature, async (req, res) => {
+  try {
+    const { mom, status } = await findAccessibleMom(req.params.id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to sign this MoM' })
+
+    const { role } = req.body
+    if (!SIGNATURE_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'role must be engineer or customer' })
+    }
+    const signerName = String(req.body.signerName ?? '').trim()
+    if (!signerName || signerName.length > 120) {
+      return res.status(400).json({ message: 'Signer name is required (up to 120 characters)' })
+    }
+    if (
+      !req.file ||
+      sniffFileType(req.file.buffer, req.file.originalname)?.mime !== 'image/png' ||
+      !isPrintableImage(req.file.buffer)
+    ) {
+      return res.status(400).json({ message: 'The signature must be a PNG image' })
+    }
+    const latitude = toCoordinate(req.body.latitude)
+    const longitude = toCoordinate(req.body.longitude)
+    const accuracy = toCoordinate(req.body.accuracy)
+    if ((latitude === null) !== (longitude === null) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || accuracy < 0) {
+      return res.status(400).json({ message: 'Invalid signing location' })
+    }
+    if (mom.signatures.some((signature) => signature.role === role)) {
+      return res.status(409).json({ message: `The ${role} has already signed this MoM` })
+    }
+
+    const signature = await addSignature({
+      momId: mom.id,
+      role,
+      signerName,
+      file: req.file,
+      latitude,
+      longitude,
+      accuracy,
+      capturedBy: req.user.id,
+    })
+    const { mom: signed } = await findAccessibleMom(mom.id, req.user)
+    res.status(201).json({ message: 'MoM signed', signature, mom: signed })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: `The ${req.body.role} has already signed this MoM` })
+    }
+    console.error('Failed to sign MoM', error)
+    res.status(500).json({ message: 'Unable to sign MoM' })
+  }
+})
+
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    if (!req.body.customerName) {
+      return res.status(400).json({ message: 'Customer name is required' })
+    }
+    const customers = readMomCustomers(req.body)
+    if (customers.error) {
+      return res.status(400).json({ message: customers.error })
+    }
+    const { project, error: projectError } = await projectFor(req.body)
+    if (projectError) {
+      return res.status(400).json({ message: projectError })
+    }
+
+    const [result] = await pool.execute(insertSql, {
+      ...buildPayload(req.body),
+      ...(await saveMomCustomers(customers, req.user.id)),
+      projectId: project?.id ?? null,
+      userId: req.user.id,
+      clientRef: null,
+    })
+
+    const { mom } = await findAccessibleMom(result.insertId, req.user)
+    res.status(201).json({ message: 'MoM saved successfully', id: result.insertId, mom })
+  } catch (error) {
+    console.error('Failed to save MoM', error)
+    res.status(500).json({ message: 'Unable to save MoM' })
+  }
+})
+
+// One-off import of MoMs the browser kept in localStorage before they were stored server-side.
+// The browser's own id is kept as client_ref so re-running the import does not duplicate rows.
+router.post('/import', requireAuth, async (req, res) => {
+  try {
+    const entries = Array.isArray(req.body.moms) ? req.body.moms : []
+    let imported = 0
+    let skipped = 0
+
+    for (const entry of entries) {
+      if (!entry || !entry.customerName) {
+        skipped++
+        continue
+      }
+      const { project } = await resolveProject({ texts: [entry.projectNo, entry.projectName] })
+      // Numbers typed before validation existed may not pass it; such MoMs are kept unlinked
+      const customers = readMomCustomers(entry)
+      const customerFields = customers.error
+        ? { customerId: null, customerContactId: null, endCustomerId: null, endCustomerContactId: null }
+        : await saveMomCustomers(customers, req.user.id)
+      const [result] = await pool.execute(insertSql.replace('INSERT INTO', 'INSERT IGNORE INTO'), {
+        ...buildPayload(entry),
+        ...customerFields,
+        projectId: project?.id ?? null,
+        userId: req.user.id,
+        clientRef: entry.id !== undefined && entry.id !== null ? String(entry.id) : null,
+      })
+      if (result.affectedRows > 0) {
+        imported++
+      } else {
+        skipped++
+      }
+    }
+
+    res.json({ message: `Imported ${imported} MoM(s)`, imported, skipped })
+  } catch (error) {
+    console.error('Failed to import MoMs', error)
+    res.status(500).json({ message: 'Unable to import MoMs' })
+  }
+})
+
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { mom: current, status } = await findAccessibleMom(id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to update this MoM' })
+    if (current.lockedAt) {
+      return res.status(409).json({ message: 'This MoM has been signed and can no longer be edited' })
+    }
+
+    if (!req.body.customerName) {
+      return res.status(400).json({ message: 'Customer name is required' })
+    }
+    const customers = readMomCustomers(req.body)
+    if (customers.error) {
+      return res.status(400).json({ message: customers.error })
+    }
+    const { project, error: projectError } = await projectFor(req.body)
+    if (projectError) {
+      return res.status(400).json({ message: projectError })
+    }
+
+    // locked_at is checked again in the UPDATE, so a signature that lands meanwhile still wins
+    const [result] = await pool.execute(updateSql, {
+      ...buildPayload(req.body),
+      ...(await saveMomCustomers(customers, req.user.id)),
+      projectId: project?.id ?? null,
+      id,
+    })
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: 'This MoM has been signed and can no longer be edited' })
+    }
+
+    const { mom } = await findAccessibleMom(id, req.user)
+    res.json({ message: 'MoM updated successfully', id: parseInt(id), mom })
+  } catch (error) {
+    console.error('Failed to update MoM', error)
+    res.status(500).json({ message: 'Unable to update MoM' })
+  }
+})
+
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { mom, status } = await findAccessibleMom(id, req.user)
+    if (status === 404) return res.status(404).json({ message: 'MoM not found' })
+    if (status === 403) return res.status(403).json({ message: 'Not authorized to delete this MoM' })
+    if (mom.lockedAt) {
+      return res.status(409).json({ message: 'This MoM has been signed and can no longer be deleted' })
+    }
+
+    const [result] = await pool.execute('DELETE FROM moms WHERE id = ? AND locked_at IS NULL', [id])
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ message: 'This MoM has been signed and can no longer be deleted' })
+    }
+    res.json({ message: 'MoM deleted successfully' })
+  } catch (error) {
+    console.error('Failed to delete MoM', error)
+    res.status(500).json({ message: 'Unable to delete MoM' })
+  }
+})
+
+export default router
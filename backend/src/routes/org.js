@@ -0,0 +1,144 @@
+import { Router } from 'express'
+import pool from '../db.js'
+import { requireAuth, requirePermission } from '../auth.js'
+import { toDateKey } from '../utils/leaveCalendar.js'
+import { applyDueTransfers, buildOrgTree, checkReportingLine, loadReportingLines } from '../utils/orgTree.js'
+
+const router = Router()
+
+const isValidDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())
+
+// Full reporting tree of active users. ?root=me (or a user id) returns just that person's branch.
+// Any reporting loops found in the data are listed in `cycles` so an admin can fix them.
+router.get('/tree', requireAuth, async (req, res) => {
+  try {
+    const { roots, cycles, nodes } = buildOrgTree(await loadReportingLines())
+
+    let tree = roots
+    if (req.query.root) {
+      const rootId = req.query.root === 'me' ? req.user.id : parseInt(req.query.root, 10)
+      const root = nodes.get(rootId)
+      if (!root) {
+        return res.status(404).json({ message: 'User not found in the organisation tree' })
+      }
+      tree = [root]
+    }
+
+    const named = (ids) => ids.map((id) => ({ id, username: nodes.get(id)?.username }))
+    res.json({ tree, cycles: cycles.map(named) })
+  } catch (error) {
+    console.error('Failed to build org tree', error)
+    res.status(500).json({ message: 'Unable to load organisation tree' })
+  }
+})
+
+router.get('/transfers', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const conditions = []
+    const params = []
+    if (req.query.userId) {
+      conditions.push('t.user_id = ?')
+      params.push(req.query.userId)
+    }
+    if (req.query.status) {
+      conditions.push('t.status = ?')
+      params.push(req.query.status)
+    }
+
+    const [transfers] = await pool.execute(
+      `SELECT t.id, t.user_id, u.username, t.from_manager_id, fm.username AS from_manager_name,
+              t.to_manager_id, tm.username AS to_manager_name,
+              DATE_FORMAT(t.effective_date, '%Y-%m-%d') AS effective_date, t.reason, t.status,
+              t.applied_at, t.created_at, cb.username AS created_by_name
+         FROM reporting_transfers t
+         JOIN users u ON t.user_id = u.id
+         LEFT JOIN users fm ON t.from_manager_id = fm.id
+         LEFT JOIN users tm ON t.to_manager_id = tm.id
+         LEFT JOIN users cb ON t.created_by = cb.id
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY t.effective_date DESC, t.id DESC`,
+      params
+    )
+    res.json({ transfers })
+  } catch (error) {
+    console.error('Failed to fetch transfers', error)
+    res.status(500).json({ message: 'Unable to fetch transfers' })
+  }
+})
+
+// Move an employee to a new manager. Transfers effective today or earlier apply at once;
+// future-dated ones are applied by the daily job on their effective date.
+router.post('/transfers', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { userId, toManagerId, reason } = req.body
+    const effectiveDate = req.body.effectiveDate || toDateKey(new Date())
+
+    if (!userId || !toManagerId) {
+      return res.status(400).json({ message: 'Employee and new manager are required' })
+    }
+    if (!isValidDateKey(effectiveDate)) {
+      return res.status(400).json({ message: 'Invalid effective date' })
+    }
+
+    const [users] = await pool.query("SELECT id, manager_id FROM users WHERE id IN (?) AND status = 'active'", [
+      [userId, toManagerId],
+    ])
+    const employee = users.find((u) => u.id === Number(userId))
+    if (!employee || !users.some((u) => u.id === Number(toManagerId))) {
+      return res.status(404).json({ message: 'Employee or new manager not found' })
+    }
+    if (employee.manager_id === Number(toManagerId)) {
+      return res.status(400).json({ message: 'The employee already reports to this manager' })
+    }
+    const problem = await checkReportingLine(userId, toManagerId)
+    if (problem) {
+      return res.status(400).json({ message: problem })
+    }
+
+    const [pending] = await pool.execute(
+      "SELECT id FROM reporting_transfers WHERE user_id = ? AND status = 'scheduled'",
+      [userId]
+    )
+    if (pending.length > 0) {
+      return res.status(409).json({ message: 'This employee already has a scheduled transfer; cancel it first' })
+    }
+
+    const [result] = await pool.execute(
+      `INSERT INTO reporting_transfers (user_id, from_manager_id, to_manager_id, effective_date, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, employee.manager_id, toManagerId, effectiveDate, reason || null, req.user.id]
+    )
+
+    const isDue = effectiveDate <= toDateKey(new Date())
+    if (isDue) {
+      await applyDueTransfers()
+    }
+
+    res.status(201).json({
+      message: isDue ? 'Transfer applied' : `Transfer scheduled for ${effectiveDate}`,
+      id: result.insertId,
+      status: isDue ? 'applied' : 'scheduled',
+    })
+  } catch (error) {
+    console.error('Failed to create transfer', error)
+    res.status(500).json({ message: 'Unable to create transfer' })
+  }
+})
+
+router.delete('/transfers/:id', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      "UPDATE reporting_transfers SET status = 'cancelled' WHERE id = ? AND status = 'scheduled'",
+      [req.params.id]
+    )
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'No scheduled transfer with this id' })
+    }
+    res.json({ message: 'Transfer cancelled' })
+  } catch (error) {
+    console.error('Failed to cancel transfer', error)
+    res.status(500).json({ message: 'Unable to cancel transfer' })
+  }
+})
+
+export default router
@@ -0,0 +1,300 @@
+import { Router } from 'express'
+import pool from '../db.js'
+import { requireAuth, requirePermission } from '../auth.js'
+import {
+  PROJECT_COLUMNS,
+  PROJECT_TEXT_COLUMNS,
+  findProject,
+  findUnmatchedProjectTexts,
+  reconcileProjectText,
+} from '../utils/projects.js'
+import { readCustomerContact, saveCustomerContact } from '../utils/customers.js'
+
+const router = Router()
+
+const requireProjectAdmin = [requireAuth, requirePermission('projects.manage')]
+
+const PROJECT_STATUSES = ['active', 'closed']
+
+// Columns accepted from the client, named as in the projects table
+const PROJECT_FIELDS = [
+  'project_no',
+  'name',
+  'customer_name',
+  'customer_person',
+  'customer_contact',
+  'customer_country_code',
+  'end_customer_name',
+  'end_customer_person',
+  'end_customer_contact',
+  'end_customer_country_code',
+  'site_address',
+  'location_lat',
+  'location_lng',
+  'geofence_radius_m',
+  'start_date',
+  'end_date',
+  'incharge_id',
+  'status',
+]
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())
+
+const CUSTOMER_ROLES = [
+  ['customer', 'Customer'],
+  ['end_customer', 'End customer'],
+]
+
+// Pick and validate the project fields present in `body`. `existing` is the stored project when
+// updating, so checks that span two fields (dates, coordinates) see the final values.
+// Returns { values, customers } or { status, message }; `customers` holds the customer and end
+// customer to link, for those whose fields were sent.
+async function readProjectFields(body, existing = null) {
+  const values = {}
+  for (const field of PROJECT_FIELDS) {
+    if (body[field] === undefined) continue
+    const value = typeof body[field] === 'string' ? body[field].trim() : body[field]
+    values[field] = value === '' ? null : value
+  }
+  const merged = { ...existing, ...values }
+
+  if (!merged.project_no || !merged.name) {
+    return { status: 400, message: 'Project number and name are required' }
+  }
+  if (merged.project_no.length > 120 || merged.name.length > 255) {
+    return { status: 400, message: 'Project number or name is too long' }
+  }
+  for (const field of ['start_date', 'end_date']) {
+    if (values[field] && !isValidDate(values[field])) {
+      return { status: 400, message: `Invalid ${field.replace('_', ' ')}` }
+    }
+  }
+  if (merged.start_date && merged.end_date && merged.end_date < merged.start_date) {
+    return { status: 400, message: 'End date cannot be before start date' }
+  }
+  for (const [field, limit] of [['location_lat', 90], ['location_lng', 180]]) {
+    if (values[field] === null || values[field] === undefined) continue
+    const number = Number(values[field])
+    if (Number.isNaN(number) || Math.abs(number) > limit) {
+      return { status: 400, message: 'Invalid site coordinates' }
+    }
+    values[field] = number
+  }
+  if (values.geofence_radius_m !== null && values.geofence_radius_m !== undefined) {
+    const radius = Number(values.geofence_radius_m)
+    if (!Number.isInteger(radius) || radius < 10 || radius > 10000) {
+      return { status: 400, message: 'Geofence radius must be a whole number of metres between 10 and 10000' }
+    }
+    values.geofence_radius_m = radius
+  }
+  if (values.status && !PROJECT_STATUSES.includes(values.status)) {
+    return { status: 400, message: 'Invalid project status' }
+  }
+  if (values.incharge_id) {
+    const [rows] = await pool.execute("SELECT id FROM users WHERE id = ? AND status = 'active'", [values.incharge_id])
+    if (rows.length === 0) return { status: 400, message: 'Project in-charge not found' }
+  }
+
+  const customers = {}
+  for (const [prefix, label] of CUSTOMER_ROLES) {
+    if (!Object.keys(values).some((field) => field.startsWith(`${prefix}_`))) continue
+    const result = readCustomerContact(
+      {
+        name: merged[`${prefix}_name`],
+        person: merged[`${prefix}_person`],
+        countryCode: merged[`${prefix}_country_code`],
+        phone: merged[`${prefix}_contact`],
+      },
+      label
+    )
+    if (result.error) return { status: 400, message: result.error }
+    customers[prefix] = result.values
+  }
+  return { values, customers }
+}
+
+// Link the project to the customer master, adding the ids and the names and numbers as kept
+// there to `values`
+async function linkProjectCustomers(values, customers, userId) {
+  for (const [prefix, details] of Object.entries(customers)) {
+    const saved = await saveCustomerContact(details, userId)
+    values[`${prefix}_id`] = saved.customerId
+    values[`${prefix}_contact_id`] = saved.contactId
+    if (!saved.customerId) continue
+    values[`${prefix}_name`] = saved.name
+    if (saved.contactId) {
+      values[`${prefix}_person`] = saved.person
+      values[`${prefix}_contact`] = saved.phone
+      values[`${prefix}_country_code`] = saved.countryCode
+    }
+  }
+}
+
+// Search projects by number, name, customer or site. Defaults to active projects, which is
+// what the pickers on report forms want; ?status=all includes closed ones.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const conditions = []
+    const params = []
+    const status = req.query.status || 'active'
+    if (status !== 'all') {
+      conditions.push('p.status = ?')
+      params.push(status)
+    }
+    const search = (req.query.q || '').trim()
+    if (search) {
+      conditions.push(`(p.project_no LIKE ? OR p.name LIKE ? OR p.customer_name LIKE ?
+                        OR p.end_customer_name LIKE ? OR p.site_address LIKE ?)`)
+      params.push(...Array(5).fill(`%${search}%`))
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200)
+
+    const [projects] = await pool.query(
+      `SELECT ${PROJECT_COLUMNS}
+         FROM projects p
+         LEFT JOIN users i ON p.incharge_id = i.id
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY p.project_no ASC
+        LIMIT ${limit}`,
+      params
+    )
+    res.json({ projects })
+  } catch (error) {
+    console.error('Failed to fetch projects', error)
+    res.status(500).json({ message: 'Unable to fetch projects' })
+  }
+})
+
+// Free-text project values on reports that are not linked to a project yet
+router.get('/unmatched', requireProjectAdmin, async (req, res) => {
+  try {
+    res.json({ unmatched: await findUnmatchedProjectTexts() })
+  } catch (error) {
+    console.error('Failed to fetch unmatched project names', error)
+    res.status(500).json({ message: 'Unable to fetch unmatched project names' })
+  }
+})
+
+// Link every report carrying the free-text `value` (typo or old name included) to a project
+router.post('/reconcile', requireProjectAdmin, async (req, res) => {
+  try {
+    const { value, projectId } = req.body
+    if (!value || !projectId) {
+      return res.status(400).json({ message: 'Value and project are required' })
+    }
+    const project = await findProject(projectId)
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' })
+    }
+
+    const linked = await reconcileProjectText(value, project.id)
+    res.json({ message: `Linked ${linked} report(s) to ${project.project_no}`, linked })
+  } catch (error) {
+    console.error('Failed to reconcile project name', error)
+    res.status(500).json({ message: 'Unable to reconcile project name' })
+  }
+})
+
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const project = await findProject(req.params.id)
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' })
+    }
+    res.json(project)
+  } catch (error) {
+    console.error('Failed to fetch project', error)
+    res.status(500).json({ message: 'Unable to fetch project' })
+  }
+})
+
+// Create a project. Reports already typed with its exact number or name are linked straight away.
+router.post('/', requireProjectAdmin, async (req, res) => {
+  try {
+    const result = await readProjectFields(req.body)
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    const values = { ...result.values, created_by: req.user.id }
+    await linkProjectCustomers(values, result.customers, req.user.id)
+    const columns = Object.keys(values)
+    const [inserted] = await pool.execute(
+      `INSERT INTO projects (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((column) => values[column])
+    )
+
+    const linked =
+      (await reconcileProjectText(values.project_no, inserted.insertId)) +
+      (await reconcileProjectText(values.name, inserted.insertId))
+
+    res.status(201).json({
+      message: linked > 0 ? `Project created and ${linked} existing report(s) linked` : 'Project created',
+      project: await findProject(inserted.insertId),
+      linked,
+    })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A project with this number already exists' })
+    }
+    console.error('Failed to create project', error)
+    res.status(500).json({ message: 'Unable to create project' })
+  }
+})
+
+router.patch('/:id', requireProjectAdmin, async (req, res) => {
+  try {
+    const existing = await findProject(req.params.id)
+    if (!existing) {
+      return res.status(404).json({ message: 'Project not found' })
+    }
+
+    const result = await readProjectFields(req.body, existing)
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+    if (Object.keys(result.values).length === 0) {
+      return res.status(400).json({ message: 'No editable fields provided' })
+    }
+    await linkProjectCustomers(result.values, result.customers, req.user.id)
+    const columns = Object.keys(result.values)
+
+    await pool.execute(
+      `UPDATE projects SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map((column) => result.values[column]), existing.id]
+    )
+    res.json({ message: 'Project updated', project: await findProject(existing.id) })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ message: 'A project with this number already exists' })
+    }
+    console.error('Failed to update project', error)
+    res.status(500).json({ message: 'Unable to update project' })
+  }
+})
+
+// Only projects no report points at can be deleted; others are closed instead
+router.delete('/:id', requireProjectAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req.params.id)
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' })
+    }
+
+    const tables = [...new Set(PROJECT_TEXT_COLUMNS.map(({ table }) => table))]
+    for (const table of tables) {
+      const [rows] = await pool.execute(`SELECT COUNT(*) AS count FROM ${table} WHERE project_id = ?`, [project.id])
+      if (rows[0].count > 0) {
+        return res.status(409).json({ message: 'Reports refer to this project; close it instead of deleting' })
+      }
+    }
+
+    await pool.execute('DELETE FROM projects WHERE id = ?', [project.id])
+    res.json({ message: 'Project deleted' })
+  } catch (error) {
+    console.error('Failed to delete project', error)
+    res.status(500).json({ message: 'Unable to delete project' })
+  }
+})
+
+export default router
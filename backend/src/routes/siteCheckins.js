@@ -0,0 +1,83 @@
+import { Router } from 'express'
+import { requireAuth } from '../auth.js'
+import { toDateKey } from '../utils/leaveCalendar.js'
+import { canViewReportsOf } from '../utils/orgTree.js'
+import { getAttendance, recordCheckin } from '../utils/siteCheckins.js'
+
+const router = Router()
+
+const isValidDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())
+
+// Validate the position sent by the device. Returns { position } or { message }.
+function readPosition(body) {
+  const lat = Number(body.latitude)
+  const lng = Number(body.longitude)
+  if (body.latitude == null || body.longitude == null || Number.isNaN(lat) || Number.isNaN(lng)) {
+    return { message: 'Your location is required to check in or out' }
+  }
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { message: 'Invalid coordinates' }
+  }
+  let accuracy = null
+  if (body.accuracy != null && body.accuracy !== '') {
+    accuracy = Number(body.accuracy)
+    if (Number.isNaN(accuracy) || accuracy < 0 || accuracy > 100000) return { message: 'Invalid location accuracy' }
+  }
+  return { position: { lat, lng, accuracy } }
+}
+
+const recordEvent = (event) => async (req, res) => {
+  const action = event === 'check_in' ? 'check in' : 'check out'
+  try {
+    const { position, message } = readPosition(req.body)
+    if (message) {
+      return res.status(400).json({ message })
+    }
+    const result = await recordCheckin({
+      userId: req.user.id,
+      event,
+      ...position,
+      projectId: req.body.projectId || null,
+    })
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message })
+    }
+
+    const { checkin } = result
+    const verb = event === 'check_in' ? 'Checked in' : 'Checked out'
+    res.status(201).json({
+      message: checkin.outside_fence
+        ? `${verb}, but ${checkin.distance_m} m from the site (allowed ${checkin.fence_radius_m} m); this has been flagged`
+        : `${verb} at ${checkin.time}`,
+      checkin,
+      attendance: await getAttendance(req.user.id, checkin.report_date),
+    })
+  } catch (error) {
+    console.error(`Failed to ${action}`, error)
+    res.status(500).json({ message: `Unable to ${action}` })
+  }
+}
+
+router.post('/check-in', requireAuth, recordEvent('check_in'))
+router.post('/check-out', requireAuth, recordEvent('check_out'))
+
+// Check-in and check-out events for ?date (default today) with the in and out times they give.
+// ?userId shows someone else's day to those who can see their reports.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const date = req.query.date || toDateKey(new Date())
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ message: 'Invalid date' })
+    }
+    const userId = req.query.userId ? Number(req.query.userId) : req.user.id
+    if (!(await canViewReportsOf(req.user, userId))) {
+      return res.status(403).json({ message: "You cannot view this employee's check-ins" })
+    }
+    res.json({ date, ...(await getAttendance(userId, date)) })
+  } catch (error) {
+    console.error('Failed to fetch check-ins', error)
+    res.status(500).json({ message: 'Unable to fetch check-ins' })
+  }
+})
+
+export default router
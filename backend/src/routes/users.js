@@ -0,0 +1,391 @@
+import { Router } from 'express'
+import bcrypt from 'bcrypt'
+import crypto from 'crypto'
+import pool from '../db.js'
+import { clearPermissionCache, createPasswordResetLink, requireAuth, requirePermission, revokeAllSessions } from '../auth.js'
+import { nextEmployeeId } from '../utils/employeeId.js'
+import { sendMail } from '../utils/mailer.js'
+import { checkReportingLine } from '../utils/orgTree.js'
+
+const router = Router()
+
+// Invitation links stay valid for a week; the invitee uses it to choose their own password
+const INVITE_TTL_MINUTES = 7 * 24 * 60
+const USER_STATUSES = ['active', 'pending', 'inactive']
+
+const requireUserAdmin = [requireAuth, requirePermission('users.manage')]
+
+// Make sure a role assigned to someone exists in the roles table, so it can be given permissions
+async function ensureRole(role) {
+  const [result] = await pool.execute('INSERT IGNORE INTO roles (name) VALUES (?)', [role])
+  if (result.affectedRows > 0) clearPermissionCache()
+}
+
+// Profile fields and who may change them: users edit their own contact details,
+// administrators can also correct HR data
+const SELF_EDITABLE_FIELDS = ['email', 'mobile', 'dob']
+const ADMIN_EDITABLE_FIELDS = [...SELF_EDITABLE_FIELDS, 'joining_date', 'employee_id', 'site_assignment']
+
+const profileColumns = `
+  u.id, u.username, u.email, u.mobile, DATE_FORMAT(u.dob, '%Y-%m-%d') AS dob,
+  DATE_FORMAT(u.joining_date, '%Y-%m-%d') AS joining_date, u.employee_id, u.role, u.status,
+  u.site_assignment, u.manager_id, m.username AS manager_name
+`
+
+async function findProfile(id) {
+  const [rows] = await pool.execute(
+    `SELECT ${profileColumns} FROM users u LEFT JOIN users m ON u.manager_id = m.id WHERE u.id = ?`,
+    [id]
+  )
+  return rows[0] || null
+}
+
+// Validate the allowed fields present in `body` and save them.
+// Returns { status, message } on a validation problem, otherwise null.
+async function updateProfile(userId, body, allowedFields) {
+  const fields = allowedFields.filter((field) => body[field] !== undefined)
+  if (fields.length === 0) {
+    return { status: 400, message: 'No editable fields provided' }
+  }
+
+  const values = {}
+  for (const field of fields) {
+    const value = typeof body[field] === 'string' ? body[field].trim() : body[field]
+    values[field] = value === '' ? null : value
+  }
+
+  if ('email' in values) {
+    if (!values.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+      return { status: 400, message: 'Invalid email format' }
+    }
+    const [taken] = await pool.execute('SELECT id FROM users WHERE email = ? AND id <> ?', [values.email, userId])
+    if (taken.length > 0) return { status: 409, message: 'Email already exists' }
+  }
+  if (values.mobile && !/^\+?[0-9\s-]{7,20}$/.test(values.mobile)) {
+    return { status: 400, message: 'Invalid mobile number' }
+  }
+  const today = new Date().toISOString().slice(0, 10)
+  if (values.dob && (isNaN(new Date(values.dob).getTime()) || values.dob >= today)) {
+    return { status: 400, message: 'Date of birth must be a valid date before today' }
+  }
+  if (values.joining_date && (isNaN(new Date(values.joining_date).getTime()) || values.joining_date > today)) {
+    return { status: 400, message: 'Joining date must be a valid date, not in the future' }
+  }
+  if ('employee_id' in values) {
+    if (!values.employee_id || values.employee_id.length > 20) {
+      return { status: 400, message: 'Employee ID is required and at most 20 characters' }
+    }
+    const [taken] = await pool.execute('SELECT id FROM users WHERE employee_id = ? AND id <> ?', [
+      values.employee_id,
+      userId,
+    ])
+    if (taken.length > 0) return { status: 409, message: 'Employee ID already exists' }
+  }
+
+  // phone_no is the older copy of mobile and is kept in step with it
+  if ('mobile' in values) values.phone_no = values.mobile
+
+  const columns = Object.keys(values)
+  await pool.execute(
+    `UPDATE users SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map((column) => values[column]), userId]
+  )
+  return null
+}
+
+// Validate a reporting manager for `userId`; returns an error message or null
+async function checkManager(managerId, userId = null) {
+  if (!managerId) return null
+  const [rows] = await pool.execute('SELECT id, status FROM users WHERE id = ?', [managerId])
+  if (rows.length === 0) return 'Manager not found'
+  if (rows[0].status !== 'active') return 'Manager account is not active'
+  return userId ? checkReportingLine(userId, managerId) : null
+}
+
+// List users, optionally filtered by status (e.g. ?status=pending for registrations to approve)
+router.get('/', requireUserAdmin, async (req, res) => {
+  try {
+    const { status } = req.query
+    const conditions = []
+    const params = []
+    if (status) {
+      if (!USER_STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status' })
+      }
+      conditions.push('u.status = ?')
+      params.push(status)
+    }
+
+    const [users] = await pool.execute(
+      `SELECT u.id, u.username, u.email, u.role, u.manager_id AS managerId, m.username AS managerName,
+              u.employee_id AS employeeId, u.joining_date AS joiningDate, u.status, u.created_at AS createdAt
+         FROM users u
+         LEFT JOIN users m ON u.manager_id = m.id
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY u.status = 'pending' DESC, u.username ASC`,
+      params
+    )
+    res.json({ users })
+  } catch (error) {
+    console.error('Failed to fetch users', error)
+    res.status(500).json({ message: 'Unable to fetch users' })
+  }
+})
+
+router.get('/roles', requireUserAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT name FROM roles ORDER BY name ASC')
+    res.json({ roles: rows.map((row) => row.name) })
+  } catch (error) {
+    console.error('Failed to fetch roles', error)
+    res.status(500).json({ message: 'Unable to fetch roles' })
+  }
+})
+
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const profile = await findProfile(req.user.id)
+    if (!profile) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    res.json(profile)
+  } catch (error) {
+    console.error('Failed to fetch profile', error)
+    res.status(500).json({ message: 'Unable to fetch profile' })
+  }
+})
+
+// Users can change their own contact details; role, manager and HR fields are admin-only
+router.patch('/me', requireAuth, async (req, res) => {
+  try {
+    const problem = await updateProfile(req.user.id, req.body, SELF_EDITABLE_FIELDS)
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.message })
+    }
+    res.json({ message: 'Profile updated successfully', profile: await findProfile(req.user.id) })
+  } catch (error) {
+    console.error('Failed to update profile', error)
+    res.status(500).json({ message: 'Unable to update profile' })
+  }
+})
+
+// Everyone can look up active colleagues. ?q= matches name, employee ID, role, email, site or manager.
+router.get('/directory', requireAuth, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim()
+    const params = []
+    let search = ''
+    if (q) {
+      search = `AND (u.username LIKE ? OR u.employee_id LIKE ? OR u.role LIKE ? OR u.email LIKE ?
+                     OR u.site_assignment LIKE ? OR m.username LIKE ?)`
+      params.push(...Array(6).fill(`%${q}%`))
+    }
+
+    const [employees] = await pool.execute(
+      `SELECT u.id, u.username, u.employee_id, u.role, u.email, u.mobile, u.site_assignment,
+              u.manager_id, m.username AS manager_name
+         FROM users u
+         LEFT JOIN users m ON u.manager_id = m.id
+        WHERE u.status = 'active' ${search}
+        ORDER BY u.username ASC`,
+      params
+    )
+    res.json({ employees })
+  } catch (error) {
+    console.error('Failed to fetch directory', error)
+    res.status(500).json({ message: 'Unable to fetch directory' })
+  }
+})
+
+// Create an account and email the person a link to set their own password
+router.post('/invite', requireUserAdmin, async (req, res) => {
+  try {
+    const { username, email, role, managerId, joining_date } = req.body
+
+    if (!username || !email || !role) {
+      return res.status(400).json({ message: 'Username, email and role are required' })
+    }
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ message: 'Invalid email format' })
+    }
+    const managerError = await checkManager(managerId)
+    if (managerError) {
+      return res.status(400).json({ message: managerError })
+    }
+
+    const [existing] = await pool.execute('SELECT username, email FROM users WHERE username = ? OR email = ?', [
+      username,
+      email,
+    ])
+    if (existing.length > 0) {
+      const field = existing[0].username === username ? 'Username' : 'Email'
+      return res.status(409).json({ message: `${field} already exists` })
+    }
+
+    if (req.body.employeeId) {
+      const [taken] = await pool.execute('SELECT id FROM users WHERE employee_id = ?', [req.body.employeeId])
+      if (taken.length > 0) {
+        return res.status(409).json({ message: 'Employee ID already exists' })
+      }
+    }
+
+    await ensureRole(role)
+
+    // Nobody knows this password; the invitee replaces it through the emailed link
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10)
+    const employeeId = req.body.employeeId || (await nextEmployeeId())
+    const [result] = await pool.execute(
+      `INSERT INTO users (username, email, password_hash, joining_date, role, manager_id, employee_id, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'active')`,
+      [username, email, passwordHash, joining_date || null, role, managerId || null, employeeId]
+    )
+
+    const link = await createPasswordResetLink(result.insertId, INVITE_TTL_MINUTES)
+    await sendMail({
+      to: email,
+      subject: 'You have been invited to Site Pulse',
+      text:
+        `Hi ${username},\n\n` +
+        `${req.user.username} has created a Site Pulse account for you (role: ${role}).\n` +
+        `Use the link below within 7 days to choose your password, then log in as "${username}".\n\n${link}`,
+    })
+
+    res.status(201).json({ message: 'Invitation sent', id: result.insertId, employeeId })
+  } catch (error) {
+    console.error('Failed to invite user', error)
+    res.status(500).json({ message: 'Unable to invite user' })
+  }
+})
+
+router.get('/:id', requireUserAdmin, async (req, res) => {
+  try {
+    const profile = await findProfile(req.params.id)
+    if (!profile) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    res.json(profile)
+  } catch (error) {
+    console.error('Failed to fetch user', error)
+    res.status(500).json({ message: 'Unable to fetch user' })
+  }
+})
+
+// Edit any user's profile fields (role and manager are assigned with PUT)
+router.patch('/:id', requireUserAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    if (!(await findProfile(id))) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    const problem = await updateProfile(id, req.body, ADMIN_EDITABLE_FIELDS)
+    if (problem) {
+      return res.status(problem.status).json({ message: problem.message })
+    }
+    res.json({ message: 'User updated successfully', profile: await findProfile(id) })
+  } catch (error) {
+    console.error('Failed to update user', error)
+    res.status(500).json({ message: 'Unable to update user' })
+  }
+})
+
+// Assign role and reporting manager
+router.put('/:id', requireUserAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const { role, managerId } = req.body
+
+    if (!role) {
+      return res.status(400).json({ message: 'Role is required' })
+    }
+    const managerError = await checkManager(managerId, id)
+    if (managerError) {
+      return res.status(400).json({ message: managerError })
+    }
+
+    await ensureRole(role)
+    const [result] = await pool.execute('UPDATE users SET role = ?, manager_id = ? WHERE id = ?', [
+      role,
+      managerId || null,
+      id,
+    ])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    res.json({ message: 'User updated successfully', id: parseInt(id) })
+  } catch (error) {
+    console.error('Failed to update user', error)
+    res.status(500).json({ message: 'Unable to update user' })
+  }
+})
+
+// Approve a pending self-registration, optionally correcting the requested role and manager
+router.post('/:id/approve', requireUserAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const [rows] = await pool.execute('SELECT role, manager_id, status FROM users WHERE id = ?', [id])
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (rows[0].status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending registrations can be approved' })
+    }
+
+    const role = req.body.role || rows[0].role
+    const managerId = req.body.managerId !== undefined ? req.body.managerId : rows[0].manager_id
+    const managerError = await checkManager(managerId, id)
+    if (managerError) {
+      return res.status(400).json({ message: managerError })
+    }
+
+    await ensureRole(role)
+    await pool.execute("UPDATE users SET status = 'active', role = ?, manager_id = ? WHERE id = ?", [
+      role,
+      managerId || null,
+      id,
+    ])
+    res.json({ message: 'Registration approved', id: parseInt(id) })
+  } catch (error) {
+    console.error('Failed to approve user', error)
+    res.status(500).json({ message: 'Unable to approve user' })
+  }
+})
+
+// Deactivate an account (also used to reject a pending registration). Their sessions end immediately.
+router.post('/:id/deactivate', requireUserAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    if (Number(id) === req.user.id) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' })
+    }
+
+    const [result] = await pool.execute("UPDATE users SET status = 'inactive' WHERE id = ?", [id])
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    await revokeAllSessions(id)
+    res.json({ message: 'User deactivated', id: parseInt(id) })
+  } catch (error) {
+    console.error('Failed to deactivate user', error)
+    res.status(500).json({ message: 'Unable to deactivate user' })
+  }
+})
+
+router.post('/:id/reactivate', requireUserAdmin, async (req, res) => {
+  try {
+    const { id } = req.params
+    const [result] = await pool.execute(
+      "UPDATE users SET status = 'active' WHERE id = ? AND status = 'inactive'",
+      [id]
+    )
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'No deactivated user with this id' })
+    }
+    res.json({ message: 'User reactivated', id: parseInt(id) })
+  } catch (error) {
+    console.error('Failed to reactivate user', error)
+    res.status(500).json({ message: 'Unable to reactivate user' })
+  }
+})
+
+export default router
@@ -0,0 +1,96 @@
+import pool from '../db.js'
+import { deleteFile, saveUpload } from './files.js'
+
+// Report types attachments can belong to, and the table holding each
+export const REPORT_TABLES = {
+  daily: 'daily_target_reports',
+  hourly: 'hourly_reports',
+}
+
+export const MAX_ATTACHMENTS_PER_REPORT = parseInt(process.env.MAX_ATTACHMENTS_PER_REPORT, 10) || 30
+
+const attachmentColumns = `
+  a.id, a.report_type, a.report_id, a.file_id, a.thumbnail_file_id, a.kind, a.caption,
+  a.uploaded_by, u.username AS uploaded_by_name, a.created_at,
+  f.original_name, f.mime_type, f.size_bytes
+`
+
+const attachmentFrom = `
+  FROM attachments a
+  JOIN files f ON a.file_id = f.id
+  LEFT JOIN users u ON a.uploaded_by = u.id
+`
+
+// Reports of `reportType` among `reportIds` as [{ id, user_id }]
+export async function findReports(reportType, reportIds, db = pool) {
+  if (reportIds.length === 0) return []
+  const [rows] = await db.query(`SELECT id, user_id FROM ${REPORT_TABLES[reportType]} WHERE id IN (?)`, [reportIds])
+  return rows
+}
+
+export async function findAttachment(id, db = pool) {
+  const [rows] = await db.execute(`SELECT ${attachmentColumns} ${attachmentFrom} WHERE a.id = ?`, [id])
+  return rows[0] || null
+}
+
+// Attachments of the given reports, oldest first
+export async function listAttachments(reportType, reportIds, db = pool) {
+  if (reportIds.length === 0) return []
+  const [rows] = await db.query(
+    `SELECT ${attachmentColumns} ${attachmentFrom}
+      WHERE a.report_type = ? AND a.report_id IN (?)
+      ORDER BY a.created_at ASC, a.id ASC`,
+    [reportType, reportIds]
+  )
+  return rows
+}
+
+export async function countAttachments(reportType, reportId, db = pool) {
+  const [[{ count }]] = await db.execute(
+    'SELECT COUNT(*) AS count FROM attachments WHERE report_type = ? AND report_id = ?',
+    [reportType, reportId]
+  )
+  return Number(count)
+}
+
+// Store an upload and its thumbnail (both multer memory-storage files, already sniffed as `type`
+// and `thumbnailType`) and attach them to a report. Returns the attachment.
+export async function addAttachment(
+  { reportType, reportId, file, type, thumbnail = null, thumbnailType = null, caption = null, uploadedBy },
+  db = pool
+) {
+  const stored = await saveUpload(
+    file,
+    { folder: `attachments/${reportType}`, uploadedBy, contentType: type.mime, extension: type.extension },
+    db
+  )
+  let storedThumbnail = null
+  try {
+    if (thumbnail) {
+      storedThumbnail = await saveUpload(
+        thumbnail,
+        { folder: 'thumbnails', uploadedBy, contentType: thumbnailType.mime, extension: thumbnailType.extension },
+        db
+      )
+    }
+    const [result] = await db.execute(
+      `INSERT INTO attachments (report_type, report_id, file_id, thumbnail_file_id, kind, caption, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [reportType, reportId, stored.id, storedThumbnail?.id ?? null, type.kind, caption, uploadedBy]
+    )
+    return findAttachment(result.insertId, db)
+  } catch (error) {
+    await deleteFile(stored.id, db).catch(() => {})
+    if (storedThumbnail) await deleteFile(storedThumbnail.id, db).catch(() => {})
+    throw error
+  }
+}
+
+// Remove an attachment together with its stored file and thumbnail
+export async function deleteAttachment(attachment, db = pool) {
+  await db.execute('DELETE FROM attachments WHERE id = ?', [attachment.id])
+  await deleteFile(attachment.file_id, db)
+  if (attachment.thumbnail_file_id) {
+    await deleteFile(attachment.thumbnail_file_id, db)
+  }
+}
@@ -0,0 +1,130 @@
+import pool from '../db.js'
+import { DEFAULT_COUNTRY_CODE, normalisePhone } from './phone.js'
+
+// Tables whose customer_* and end_customer_* columns are linked to the customer master. Each has
+// <prefix>_name, <prefix>_person, <prefix>_contact, <prefix>_country_code, <prefix>_id and
+// <prefix>_contact_id for both prefixes.
+const LINKED_TABLES = ['daily_target_reports', 'moms', 'projects']
+const PREFIXES = ['customer', 'end_customer']
+
+// Placeholders forms store when there is no customer, e.g. on a leave day
+const PLACEHOLDER_TEXTS = ['', 'n/a', 'na', '-']
+
+const clean = (value) => String(value ?? '').trim()
+const isPlaceholder = (value) => PLACEHOLDER_TEXTS.includes(clean(value).toLowerCase())
+
+// Validate a customer / contact person / phone triple from a form without touching the database.
+// Returns { values } (values is null when no customer was given) or { error }.
+export function readCustomerContact({ name, person, countryCode, phone }, label = 'Customer') {
+  if (isPlaceholder(name)) return { values: null }
+  if (clean(name).length > 120 || clean(person).length > 120) {
+    return { error: `${label} name or contact person is too long` }
+  }
+
+  const values = {
+    name: clean(name),
+    person: isPlaceholder(person) ? null : clean(person),
+    countryCode: countryCode || DEFAULT_COUNTRY_CODE,
+    phone: null,
+  }
+  if (!isPlaceholder(phone)) {
+    const result = normalisePhone(values.countryCode, phone, `${label} contact number`)
+    if (result.error) return { error: result.error }
+    values.phone = result.phone
+  }
+  return { values }
+}
+
+// Find or create the customer and contact person for values from readCustomerContact. A number
+// that differs from the one on file replaces it, and every report and project linked to that
+// contact is updated to match. Returns the ids and the values as stored, which callers write
+// to their own text columns: { customerId, contactId, name, person, countryCode, phone }.
+export async function saveCustomerContact(values, userId = null, db = pool) {
+  if (!values) return { customerId: null, contactId: null, name: null, person: null, countryCode: null, phone: null }
+
+  await db.execute('INSERT IGNORE INTO customers (name, created_by) VALUES (?, ?)', [values.name, userId])
+  const [customers] = await db.execute('SELECT id, name FROM customers WHERE name = ?', [values.name])
+  const customer = customers[0]
+  const saved = {
+    customerId: customer.id,
+    contactId: null,
+    name: customer.name,
+    person: values.person,
+    countryCode: values.countryCode,
+    phone: values.phone,
+  }
+  if (!values.person) return saved
+
+  const [contacts] = await db.execute('SELECT * FROM customer_contacts WHERE customer_id = ? AND name = ?', [
+    customer.id,
+    values.person,
+  ])
+  let contact = contacts[0]
+  if (!contact) {
+    const [result] = await db.execute(
+      'INSERT INTO customer_contacts (customer_id, name, country_code, phone) VALUES (?, ?, ?, ?)',
+      [customer.id, values.person, values.countryCode, values.phone]
+    )
+    return { ...saved, contactId: result.insertId }
+  }
+
+  if (values.phone && (values.phone !== contact.phone || values.countryCode !== contact.country_code)) {
+    await db.execute('UPDATE customer_contacts SET country_code = ?, phone = ? WHERE id = ?', [
+      values.countryCode,
+      values.phone,
+      contact.id,
+    ])
+    await propagateContact(contact.id, db)
+    contact = { ...contact, country_code: values.countryCode, phone: values.phone }
+  }
+  return {
+    ...saved,
+    contactId: contact.id,
+    person: contact.name,
+    countryCode: contact.country_code,
+    phone: contact.phone,
+  }
+}
+
+// Rewrite the customer text columns of every row linked to a contact after it was edited
+export async function propagateContact(contactId, db = pool) {
+  for (const table of LINKED_TABLES) {
+    for (const prefix of PREFIXES) {
+      await db.execute(
+        `UPDATE ${table} t
+           JOIN customer_contacts cc ON cc.id = t.${prefix}_contact_id
+           JOIN customers c ON c.id = cc.customer_id
+            SET t.${prefix}_id = c.id, t.${prefix}_name = c.name, t.${prefix}_person = cc.name,
+                t.${prefix}_contact = COALESCE(cc.phone, t.${prefix}_contact),
+                t.${prefix}_country_code = cc.country_code
+          WHERE cc.id = ?`,
+        [contactId]
+      )
+    }
+  }
+}
+
+// Rewrite the customer name on every row linked to a customer after it was renamed
+export async function propagateCustomer(customerId, db = pool) {
+  for (const table of LINKED_TABLES) {
+    for (const prefix of PREFIXES) {
+      await db.execute(
+        `UPDATE ${table} t JOIN customers c ON c.id = t.${prefix}_id SET t.${prefix}_name = c.name WHERE c.id = ?`,
+        [customerId]
+      )
+    }
+  }
+}
+
+// Number of reports and projects linked to a customer or, with `contactOnly`, to one contact
+export async function countCustomerLinks(id, { contactOnly = false } = {}, db = pool) {
+  let count = 0
+  for (const table of LINKED_TABLES) {
+    for (const prefix of PREFIXES) {
+      const column = contactOnly ? `${prefix}_contact_id` : `${prefix}_id`
+      const [rows] = await db.execute(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ?`, [id])
+      count += Number(rows[0].count)
+    }
+  }
+  return count
+}
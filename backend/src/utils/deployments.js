@@ -0,0 +1,90 @@
+import pool from '../db.js'
+import { findProject } from './projects.js'
+
+// Leave that takes an engineer off site: approved, or approved with a cancellation still pending
+const BLOCKING_LEAVE_STATUSES = ['approved', 'cancellation_requested']
+
+// Deployment columns as the API returns them; queries join users u (engineer), projects p and
+// users a (assigned by)
+export const DEPLOYMENT_COLUMNS = `
+  d.id, d.user_id, u.username, u.employee_id, d.project_id, p.project_no, p.name AS project_name,
+  COALESCE(d.site_name, p.site_address) AS site_name,
+  COALESCE(d.location_lat, p.location_lat) AS location_lat, COALESCE(d.location_lng, p.location_lng) AS location_lng,
+  DATE_FORMAT(d.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(d.end_date, '%Y-%m-%d') AS end_date,
+  d.notes, d.assigned_by, a.username AS assigned_by_name, d.created_at, d.updated_at
+`
+
+const DEPLOYMENT_JOINS = `
+  JOIN users u ON d.user_id = u.id
+  LEFT JOIN projects p ON d.project_id = p.id
+  LEFT JOIN users a ON d.assigned_by = a.id
+`
+
+export async function findDeployment(id, db = pool) {
+  const [rows] = await db.execute(`SELECT ${DEPLOYMENT_COLUMNS} FROM deployments d ${DEPLOYMENT_JOINS} WHERE d.id = ?`, [id])
+  return rows[0] || null
+}
+
+// Deployments overlapping startDate..endDate (inclusive), for all users or only `userIds`
+export async function listDeployments({ startDate, endDate, userIds = null, excludeId = null }, db = pool) {
+  if (userIds && userIds.length === 0) return []
+  const conditions = ['d.start_date <= ?', 'd.end_date >= ?']
+  const params = [endDate, startDate]
+  if (userIds) {
+    conditions.push('d.user_id IN (?)')
+    params.push(userIds)
+  }
+  if (excludeId) {
+    conditions.push('d.id <> ?')
+    params.push(excludeId)
+  }
+  const [rows] = await db.query(
+    `SELECT ${DEPLOYMENT_COLUMNS} FROM deployments d ${DEPLOYMENT_JOINS}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY u.username ASC, d.start_date ASC`,
+    params
+  )
+  return rows
+}
+
+// Approved leave overlapping startDate..endDate for the given users
+export async function listBlockingLeave({ startDate, endDate, userIds }, db = pool) {
+  if (userIds.length === 0) return []
+  const [rows] = await db.query(
+    `SELECT id, user_id, leave_type, status, half_day,
+            DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+       FROM leave_applications
+      WHERE user_id IN (?) AND status IN (?) AND start_date <= ? AND end_date >= ?
+      ORDER BY start_date ASC`,
+    [userIds, BLOCKING_LEAVE_STATUSES, endDate, startDate]
+  )
+  return rows
+}
+
+// Attach the approved leave that clashes with each deployment as `leave_conflicts`
+export function withLeaveConflicts(deployments, leaves) {
+  return deployments.map((deployment) => ({
+    ...deployment,
+    leave_conflicts: leaves.filter(
+      (leave) =>
+        leave.user_id === deployment.user_id &&
+        leave.start_date <= deployment.end_date &&
+        leave.end_date >= deployment.start_date
+    ),
+  }))
+}
+
+// The engineer's assignment on `dateKey`, with its project as `project`, or null when unassigned.
+// Should two ever overlap, the most recently created one wins.
+export async function getAssignment(userId, dateKey, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT ${DEPLOYMENT_COLUMNS} FROM deployments d ${DEPLOYMENT_JOINS}
+      WHERE d.user_id = ? AND d.start_date <= ? AND d.end_date >= ?
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT 1`,
+    [userId, dateKey, dateKey]
+  )
+  const deployment = rows[0]
+  if (!deployment) return null
+  return { ...deployment, project: deployment.project_id ? await findProject(deployment.project_id, db) : null }
+}
@@ -0,0 +1,27 @@
+import pool from '../db.js'
+
+const EMPLOYEE_ID_PREFIX = 'EMP'
+
+// Next employee ID in the EMP0001, EMP0002, ... series. The counter lives in the sequences table and is
+// bumped atomically with LAST_INSERT_ID(), so concurrent sign-ups never get the same number. Numbers
+// already taken by older IDs (e.g. the timestamp-based EMPxxxxxx ones) are skipped.
+export async function nextEmployeeId(db = pool) {
+  const connection = await db.getConnection()
+  try {
+    for (;;) {
+      const [result] = await connection.execute(
+        "UPDATE sequences SET next_value = LAST_INSERT_ID(next_value + 1) WHERE name = 'employee_id'"
+      )
+      if (result.affectedRows === 0) {
+        throw new Error('The employee_id sequence has not been created')
+      }
+      const [[{ value }]] = await connection.query('SELECT LAST_INSERT_ID() - 1 AS value')
+      const employeeId = `${EMPLOYEE_ID_PREFIX}${String(value).padStart(4, '0')}`
+
+      const [taken] = await connection.execute('SELECT id FROM users WHERE employee_id = ?', [employeeId])
+      if (taken.length === 0) return employeeId
+    }
+  } finally {
+    connection.release()
+  }
+}
@@ -0,0 +1,67 @@
+// Identify uploads by their leading bytes rather than by the type or name the client sent.
+// Each type has the MIME type files are served with, the extension they are stored under and
+// the kind of evidence they are (image, video or document).
+
+const TYPES = {
+  jpeg: { mime: 'image/jpeg', extension: '.jpg', kind: 'image' },
+  png: { mime: 'image/png', extension: '.png', kind: 'image' },
+  gif: { mime: 'image/gif', extension: '.gif', kind: 'image' },
+  webp: { mime: 'image/webp', extension: '.webp', kind: 'image' },
+  heic: { mime: 'image/heic', extension: '.heic', kind: 'image' },
+  mp4: { mime: 'video/mp4', extension: '.mp4', kind: 'video' },
+  mov: { mime: 'video/quicktime', extension: '.mov', kind: 'video' },
+  '3gp': { mime: 'video/3gpp', extension: '.3gp', kind: 'video' },
+  webm: { mime: 'video/webm', extension: '.webm', kind: 'video' },
+  pdf: { mime: 'application/pdf', extension: '.pdf', kind: 'document' },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: '.docx', kind: 'document' },
+  xlsx: { mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: '.xlsx', kind: 'document' },
+  pptx: { mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: '.pptx', kind: 'document' },
+  doc: { mime: 'application/msword', extension: '.doc', kind: 'document' },
+  xls: { mime: 'application/vnd.ms-excel', extension: '.xls', kind: 'document' },
+  ppt: { mime: 'application/vnd.ms-powerpoint', extension: '.ppt', kind: 'document' },
+}
+
+// Image types a browser can show, and so the only ones accepted as thumbnails
+export const THUMBNAIL_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte)
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end)
+
+// ISO base media files (MP4, QuickTime, HEIF) name their brand in an "ftyp" box at offset 4
+function isoMediaType(buffer) {
+  if (ascii(buffer, 4, 8) !== 'ftyp') return null
+  const brand = ascii(buffer, 8, 12)
+  if (['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'heic'
+  if (brand === 'qt  ') return 'mov'
+  if (brand.startsWith('3g')) return '3gp'
+  return 'mp4'
+}
+
+// Office Open XML files are ZIP archives; the folder their parts live in tells them apart.
+// A plain ZIP is not accepted.
+function officeOpenXmlType(buffer) {
+  const head = ascii(buffer, 0, Math.min(buffer.length, 64 * 1024))
+  if (head.includes('word/')) return 'docx'
+  if (head.includes('xl/')) return 'xlsx'
+  if (head.includes('ppt/')) return 'pptx'
+  return null
+}
+
+// The type of `buffer` as { mime, extension, kind }, or null when it is not one we accept.
+// Legacy Office files share one container format, so for those the name's extension decides.
+export function sniffFileType(buffer, originalName = '') {
+  if (!buffer || buffer.length < 12) return null
+  let type = null
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) type = 'jpeg'
+  else if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) type = 'png'
+  else if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) type = 'gif'
+  else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') type = 'webp'
+  else if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) && ascii(buffer, 0, 64).includes('webm')) type = 'webm'
+  else if (ascii(buffer, 0, 5) === '%PDF-') type = 'pdf'
+  else if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) type = officeOpenXmlType(buffer)
+  else if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    const extension = String(originalName).toLowerCase().split('.').pop()
+    type = ['doc', 'xls', 'ppt'].includes(extension) ? extension : null
+  } else type = isoMediaType(buffer)
+  return type ? TYPES[type] : null
+}
@@ -0,0 +1,80 @@
+import crypto from 'crypto'
+import path from 'path'
+import pool from '../db.js'
+import { getObject, putObject, removeObject } from './storage.js'
+
+// Queries for the users owning the records that hold a file, given the file id. A file may be
+// downloaded by anyone who may see one of those records.
+const FILE_OWNER_QUERIES = [
+  'SELECT user_id FROM daily_target_reports WHERE mom_file_id = ?',
+  `SELECT COALESCE(d.user_id, h.user_id) AS user_id
+     FROM attachments a
+     LEFT JOIN daily_target_reports d ON a.report_type = 'daily' AND a.report_id = d.id
+     LEFT JOIN hourly_reports h ON a.report_type = 'hourly' AND a.report_id = h.id
+    WHERE ? IN (a.file_id, a.thumbnail_file_id)`,
+  'SELECT m.user_id FROM mom_signatures s JOIN moms m ON s.mom_id = m.id WHERE s.file_id = ?',
+]
+
+const fileColumns = 'id, storage_key, original_name, mime_type, size_bytes, uploaded_by, created_at'
+
+export async function findFile(id, db = pool) {
+  const [rows] = await db.execute(`SELECT ${fileColumns} FROM files WHERE id = ?`, [id])
+  return rows[0] || null
+}
+
+// Store an upload (a multer memory-storage file) under `folder` and record it. `contentType`
+// and `extension` replace the ones the client claimed, e.g. after sniffing the content.
+// Returns the new files row.
+export async function saveUpload(file, { folder, uploadedBy, contentType, extension }, db = pool) {
+  const now = new Date()
+  const month = String(now.getMonth() + 1).padStart(2, '0')
+  extension ??= path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '')
+  const key = `${folder}/${now.getFullYear()}/${month}/${crypto.randomUUID()}${extension}`
+
+  contentType ??= file.mimetype
+  await putObject(key, file.buffer, { contentType })
+  try {
+    const [result] = await db.execute(
+      'INSERT INTO files (storage_key, original_name, mime_type, size_bytes, uploaded_by) VALUES (?, ?, ?, ?, ?)',
+      [key, String(file.originalname || path.basename(key)).slice(0, 255), contentType, file.size, uploadedBy]
+    )
+    return findFile(result.insertId, db)
+  } catch (error) {
+    await removeObject(key).catch(() => {})
+    throw error
+  }
+}
+
+// The stored bytes of a file, for embedding it in generated documents. Null when there is no
+// such file.
+export async function readFileBytes(id, db = pool) {
+  const file = await findFile(id, db)
+  if (!file) return null
+  const { stream } = await getObject(file.storage_key)
+  const chunks = []
+  for await (const chunk of stream) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+// Remove a file's record and its stored object. Used when the record holding it lets go of it,
+// so replaced uploads do not pile up in storage.
+export async function deleteFile(id, db = pool) {
+  const file = await findFile(id, db)
+  if (!file) return
+  await db.execute('DELETE FROM files WHERE id = ?', [id])
+  try {
+    await removeObject(file.storage_key)
+  } catch (error) {
+    console.warn(`Failed to remove stored object ${file.storage_key}`, error)
+  }
+}
+
+// Users owning the records that hold the file (see FILE_OWNER_QUERIES)
+export async function findFileOwnerIds(id, db = pool) {
+  const owners = new Set()
+  for (const query of FILE_OWNER_QUERIES) {
+    const [rows] = await db.execute(query, [id])
+    rows.forEach((row) => row.user_id != null && owners.add(row.user_id))
+  }
+  return [...owners]
+}
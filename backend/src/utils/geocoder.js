@@ -0,0 +1,134 @@
+// Reverse geocoding: turns coordinates into a readable address through a chain of providers,
+// so API keys stay on the server and every screen shows the same address for the same place.
+
+const REQUEST_TIMEOUT_MS = 8000
+const USER_AGENT = process.env.GEOCODER_USER_AGENT || 'Site Pulse (Vickhardth)'
+
+// Results are cached by coordinates rounded to this many decimals (4 is about 11 m)
+const CACHE_PRECISION = parseInt(process.env.GEOCODE_CACHE_PRECISION, 10) || 4
+const CACHE_TTL_MS = (parseInt(process.env.GEOCODE_CACHE_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000
+const CACHE_MAX_ENTRIES = 5000
+
+const cache = new Map()
+
+async function fetchJson(url, headers = {}) {
+  const res = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, ...headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  })
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`)
+  }
+  return res.json()
+}
+
+// Google's results run from most to least specific; prefer a street address or building, then
+// a neighbourhood, then the locality
+const GOOGLE_PREFERENCE = [
+  ['street_address', 'premise', 'subpremise'],
+  ['neighborhood', 'sublocality', 'sublocality_level_1'],
+  ['locality'],
+]
+
+// Nominatim address parts, most specific first; the first present key of each group is used
+const NOMINATIM_PARTS = [
+  ['locality', 'neighbourhood', 'suburb', 'quarter', 'residential', 'hamlet'],
+  ['leisure'],
+  ['amenity'],
+  ['place'],
+  ['road', 'street', 'pedestrian', 'footway', 'path'],
+  ['city', 'town', 'village', 'municipality'],
+  ['city_district'],
+  ['district', 'county'],
+  ['postcode'],
+  ['state'],
+]
+
+// Providers take (lat, lng) and resolve to an address string, or null when they have none.
+// They throw on network or API errors, and the next provider is tried.
+const providers = {
+  google: async (lat, lng) => {
+    const key = process.env.GOOGLE_MAPS_API_KEY
+    if (!key) return null
+    const data = await fetchJson(
+      `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&key=${key}&language=en&region=in`
+    )
+    if (data.status === 'ZERO_RESULTS') return null
+    if (data.status !== 'OK') {
+      throw new Error(`Google geocoding: ${data.status}`)
+    }
+    const result =
+      GOOGLE_PREFERENCE.map((types) => data.results.find((r) => r.types.some((t) => types.includes(t)))).find(Boolean) ||
+      data.results[0]
+    return result?.formatted_address || null
+  },
+
+  nominatim: async (lat, lng) => {
+    const base = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org'
+    const data = await fetchJson(`${base}/reverse?format=json&lat=${lat}&lon=${lng}&zoom=18&addressdetails=1`, {
+      'Accept-Language': 'en,en-IN',
+    })
+    const address = data?.address || {}
+    const parts = NOMINATIM_PARTS.map((keys) => keys.map((key) => address[key]).find(Boolean)).filter(Boolean)
+    return parts.length ? [...new Set(parts)].join(', ') : data?.display_name || null
+  },
+
+  mapbox: async (lat, lng) => {
+    const token = process.env.MAPBOX_TOKEN
+    if (!token) return null
+    const data = await fetchJson(
+      `https://api.mapbox.com/geocoding/v5/mapbox.places/${lng},${lat}.json?access_token=${token}&types=address,poi,neighborhood,locality`
+    )
+    return data?.features?.[0]?.place_name || null
+  },
+
+  // No network: a stable, recognisable address for tests and offline development
+  offline: async (lat, lng) => `Near ${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+}
+
+// Plug in another provider (a self-hosted geocoder, a test spy, ...) and list it in GEOCODER_PROVIDERS
+export function registerGeocoder(name, lookup) {
+  providers[name] = lookup
+}
+
+// Providers in the order they are tried. Google and Mapbox are skipped when their key is not set.
+function providerChain() {
+  const configured = process.env.GEOCODER_PROVIDERS || (process.env.NODE_ENV === 'test' ? 'offline' : 'google,nominatim,mapbox')
+  return configured
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+}
+
+const formatCoordinates = (lat, lng) => `${lat.toFixed(6)}, ${lng.toFixed(6)}`
+
+// The address for (lat, lng): { address, provider, cached }. When no provider finds one the
+// address is the coordinates and provider is null; such results are not cached, so a later
+// lookup can still succeed.
+export async function reverseGeocode(lat, lng) {
+  const key = `${lat.toFixed(CACHE_PRECISION)},${lng.toFixed(CACHE_PRECISION)}`
+  const hit = cache.get(key)
+  if (hit && hit.expires > Date.now()) {
+    return { address: hit.address, provider: hit.provider, cached: true }
+  }
+  cache.delete(key)
+
+  for (const name of providerChain()) {
+    const lookup = providers[name]
+    if (!lookup) {
+      throw new Error(`Unknown geocoding provider "${name}"`)
+    }
+    try {
+      const address = await lookup(lat, lng)
+      if (!address) continue
+      cache.set(key, { address, provider: name, expires: Date.now() + CACHE_TTL_MS })
+      if (cache.size > CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value)
+      }
+      return { address, provider: name, cached: false }
+    } catch (error) {
+      console.warn(`Reverse geocoding with ${name} failed:`, error.message)
+    }
+  }
+  return { address: formatCoordinates(lat, lng), provider: null, cached: false }
+}
@@ -0,0 +1,176 @@
+import pool from '../db.js'
+import { roleHasPermission } from '../auth.js'
+import {
+  HALF_DAY_VALUES,
+  MAX_LEAVE_SPAN_DAYS,
+  calculateLeaveDays,
+  getHolidays,
+  isWeeklyOff,
+  leaveSpanDays,
+  toDateKey,
+} from './leaveCalendar.js'
+import { LEAVE_TYPES, getBalanceSummary } from './leavePolicy.js'
+
+// Leaves longer than this need a second approval (team leader, then manager)
+const ESCALATION_THRESHOLD_DAYS = parseInt(process.env.LEAVE_ESCALATION_THRESHOLD_DAYS, 10) || 3
+
+// Statuses in which a leave is granted; a cancellation request keeps the leave until it is approved
+export const GRANTED_LEAVE_STATUSES = ['approved', 'cancellation_requested']
+
+// The closest user above `userId` (following users.manager_id) who may approve leave, as
+// { id, role }, or null when nobody up the chain may. Leave then waits for the final approvers.
+export async function findLeaveApprover(userId, db = pool) {
+  const seen = new Set([userId])
+  let [[current]] = await db.execute('SELECT manager_id FROM users WHERE id = ?', [userId])
+  while (current?.manager_id && !seen.has(current.manager_id)) {
+    seen.add(current.manager_id)
+    const [[manager]] = await db.execute('SELECT id, role, status, manager_id FROM users WHERE id = ?', [current.manager_id])
+    if (!manager) return null
+    const mayApprove =
+      (await roleHasPermission(manager.role, 'leave.approve')) || (await roleHasPermission(manager.role, 'leave.approve_final'))
+    if (manager.status === 'active' && mayApprove) return { id: manager.id, role: manager.role }
+    current = manager
+  }
+  return null
+}
+
+// Work out who approves first and how many levels a leave needs, based on users.manager_id.
+// The nearest approver up the chain approves first; long leaves then go up to the next one,
+// unless the first already holds final approval (leave.approve_final).
+export async function resolveApprovalChain(userId, leaveDays) {
+  const approver = await findLeaveApprover(userId)
+  const needsSecondLevel =
+    leaveDays > ESCALATION_THRESHOLD_DAYS &&
+    approver !== null &&
+    !(await roleHasPermission(approver.role, 'leave.approve_final'))
+
+  return { currentApproverId: approver?.id ?? null, requiredLevels: needsSecondLevel ? 2 : 1 }
+}
+
+// Days of `leaveType` per leave year held by the user's applications still awaiting approval.
+// Final approval is what debits the balance, so these are not in its used days yet.
+export async function getPendingLeaveDays(userId, leaveType, db = pool) {
+  const [pending] = await db.execute(
+    "SELECT start_date, end_date, half_day FROM leave_applications WHERE user_id = ? AND leave_type = ? AND status = 'pending'",
+    [userId, leaveType]
+  )
+  const byYear = {}
+  for (const application of pending) {
+    const { daysByYear } = await calculateLeaveDays(
+      { startDate: application.start_date, endDate: application.end_date, halfDay: application.half_day },
+      db
+    )
+    for (const [year, days] of Object.entries(daysByYear)) {
+      byYear[year] = (byYear[year] || 0) + days
+    }
+  }
+  return byYear
+}
+
+// Validate and file a leave application. Used by /api/leave/apply and by daily reports marked as leave.
+// Returns { status, message } when the request is refused, otherwise { leaveId, leaveDays, requiredLevels }.
+export async function createLeaveApplication({ userId, leaveType, startDate, endDate, halfDay = null, reason }) {
+  if (!leaveType || !startDate || !endDate || !reason) {
+    return { status: 400, message: 'Leave type, start date, end date, and reason are required' }
+  }
+  if (isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+    return { status: 400, message: 'Invalid date format' }
+  }
+  if (startDate > endDate) {
+    return { status: 400, message: 'Start date cannot be after end date' }
+  }
+  if (leaveSpanDays(startDate, endDate) > MAX_LEAVE_SPAN_DAYS) {
+    return { status: 400, message: `A leave cannot span more than ${MAX_LEAVE_SPAN_DAYS} days` }
+  }
+  if (halfDay && (!HALF_DAY_VALUES.includes(halfDay) || startDate !== endDate)) {
+    return { status: 400, message: 'Half-day leave must be a single date, first_half or second_half' }
+  }
+  if (!LEAVE_TYPES.includes(leaveType)) {
+    return { status: 400, message: 'Invalid leave type' }
+  }
+
+  // Working days only: weekly offs and company holidays are not charged
+  const { days, daysByYear } = await calculateLeaveDays({ startDate, endDate, halfDay })
+  if (days === 0) {
+    return { status: 400, message: 'The selected dates fall entirely on weekly offs or holidays' }
+  }
+
+  // Check each year the leave falls in against that year's balance, less what applications
+  // still awaiting approval would take from it
+  const pendingDays = await getPendingLeaveDays(userId, leaveType)
+  for (const [year, yearDays] of Object.entries(daysByYear)) {
+    const summary = await getBalanceSummary(userId, Number(year))
+    const available = summary[leaveType].available - (pendingDays[year] || 0)
+    if (summary.closed) {
+      return { status: 400, message: `Leave year ${year} is already closed` }
+    }
+    if (yearDays > available) {
+      return { status: 400, message: `Not enough ${leaveType} available in ${year}. Available: ${available}, Requested: ${yearDays}` }
+    }
+  }
+
+  const [overlapping] = await pool.execute(
+    `SELECT id FROM leave_applications
+      WHERE user_id = ? AND status IN ('pending', 'approved', 'cancellation_requested')
+        AND start_date <= ? AND end_date >= ?
+      LIMIT 1`,
+    [userId, endDate, startDate]
+  )
+  if (overlapping.length > 0) {
+    return { status: 409, message: 'You already have a leave application covering these dates' }
+  }
+
+  const { currentApproverId, requiredLevels } = await resolveApprovalChain(userId, days)
+
+  const [result] = await pool.execute(
+    `INSERT INTO leave_applications
+     (user_id, leave_type, start_date, end_date, half_day, leave_days, reason, status, current_approver_id, approval_level, required_levels)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, 1, ?)`,
+    [userId, leaveType, startDate, endDate, halfDay, days, reason, currentApproverId, requiredLevels]
+  )
+
+  return { leaveId: result.insertId, leaveDays: days, requiredLevels }
+}
+
+// The user's leave application covering a date in one of the given statuses, if any
+export async function findLeaveCovering(userId, date, statuses = GRANTED_LEAVE_STATUSES) {
+  const [rows] = await pool.query(
+    `SELECT * FROM leave_applications
+      WHERE user_id = ? AND status IN (?) AND start_date <= ? AND end_date >= ?
+      ORDER BY created_at DESC
+      LIMIT 1`,
+    [userId, statuses, date, date]
+  )
+  return rows[0] || null
+}
+
+// Granted leave per user between two dates: Map of userId -> Map of YYYY-MM-DD -> 1 (or 0.5 for a half day).
+// Weekly offs and holidays inside a leave are not counted as leave days.
+export async function getLeaveDaysByUser(startKey, endKey) {
+  const [leaves] = await pool.query(
+    `SELECT user_id, start_date, end_date, half_day
+       FROM leave_applications
+      WHERE status IN (?) AND start_date <= ? AND end_date >= ?`,
+    [GRANTED_LEAVE_STATUSES, endKey, startKey]
+  )
+  const holidays = await getHolidays(startKey, endKey)
+
+  const byUser = new Map()
+  for (const leave of leaves) {
+    const from = toDateKey(leave.start_date) > startKey ? toDateKey(leave.start_date) : startKey
+    const to = toDateKey(leave.end_date) < endKey ? toDateKey(leave.end_date) : endKey
+    const days = byUser.get(leave.user_id) || new Map()
+
+    const end = new Date(`${to}T00:00:00Z`)
+    for (let d = new Date(`${from}T00:00:00Z`); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+      const key = d.toISOString().slice(0, 10)
+      if (!holidays.has(key) && !isWeeklyOff(key)) {
+        days.set(key, leave.half_day ? 0.5 : 1)
+      }
+    }
+    if (days.size > 0) {
+      byUser.set(leave.user_id, days)
+    }
+  }
+  return byUser
+}
@@ -0,0 +1,108 @@
+import pool from '../db.js'
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+export const HALF_DAY_VALUES = ['first_half', 'second_half']
+
+// Parse WEEKLY_OFF_PATTERN, a comma separated list of days off.
+// "sun" means every Sunday, "sat:2" means the second Saturday of the month,
+// so "sun,sat:2,sat:4" is Sundays plus second and fourth Saturdays.
+export function parseWeeklyOffPattern(pattern) {
+  return String(pattern || '')
+    .split(',')
+    .map((token) => token.trim().toLowerCase())
+    .filter(Boolean)
+    .map((token) => {
+      const [day, nth] = token.split(':')
+      const dayIndex = DAY_NAMES.indexOf(day.slice(0, 3))
+      const nthNum = nth ? parseInt(nth, 10) : null
+      if (dayIndex === -1 || (nth && !(nthNum >= 1 && nthNum <= 5))) {
+        throw new Error(`Invalid weekly off entry "${token}"`)
+      }
+      return { dayIndex, nth: nthNum }
+    })
+}
+
+// Longest date range one leave application may cover, in calendar days. Also bounds the
+// day-by-day count in calculateLeaveDays.
+export const MAX_LEAVE_SPAN_DAYS = 366
+
+export const WEEKLY_OFF_PATTERN = process.env.WEEKLY_OFF_PATTERN || 'sun'
+
+let weeklyOff
+try {
+  weeklyOff = parseWeeklyOffPattern(WEEKLY_OFF_PATTERN)
+} catch (error) {
+  console.error(`${error.message} in WEEKLY_OFF_PATTERN, falling back to Sundays only`)
+  weeklyOff = parseWeeklyOffPattern('sun')
+}
+
+// Normalise a DATE column value (mysql2 returns local-midnight Date objects) or string to YYYY-MM-DD
+export function toDateKey(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0')
+    const day = String(value.getDate()).padStart(2, '0')
+    return `${value.getFullYear()}-${month}-${day}`
+  }
+  return String(value || '').slice(0, 10)
+}
+
+// Calendar days from startDate to endDate, both included
+export function leaveSpanDays(startDate, endDate) {
+  const start = new Date(`${toDateKey(startDate)}T00:00:00Z`)
+  const end = new Date(`${toDateKey(endDate)}T00:00:00Z`)
+  return Math.round((end - start) / 86400000) + 1
+}
+
+export function isWeeklyOff(dateKey, pattern = weeklyOff) {
+  const date = new Date(`${dateKey}T00:00:00Z`)
+  const dayIndex = date.getUTCDay()
+  const nth = Math.ceil(date.getUTCDate() / 7)
+  return pattern.some((p) => p.dayIndex === dayIndex && (p.nth === null || p.nth === nth))
+}
+
+export async function getHolidays(startKey, endKey, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, name
+       FROM holidays
+      WHERE holiday_date BETWEEN ? AND ?`,
+    [startKey, endKey]
+  )
+  return new Map(rows.map((row) => [row.holiday_date, row.name]))
+}
+
+// Count the leave days a date range actually costs: weekly offs and company holidays are skipped,
+// and a half-day leave (single date only) costs 0.5. Used by both apply and approve so they agree.
+export async function calculateLeaveDays({ startDate, endDate, halfDay = null }, db = pool) {
+  const startKey = toDateKey(startDate)
+  const endKey = toDateKey(endDate)
+  if (leaveSpanDays(startKey, endKey) > MAX_LEAVE_SPAN_DAYS) {
+    throw new Error(`Leave ranges are limited to ${MAX_LEAVE_SPAN_DAYS} days`)
+  }
+  const holidays = await getHolidays(startKey, endKey, db)
+
+  const workingDates = []
+  const excludedDates = []
+  const end = new Date(`${endKey}T00:00:00Z`)
+  for (let d = new Date(`${startKey}T00:00:00Z`); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    const key = d.toISOString().slice(0, 10)
+    if (holidays.has(key)) {
+      excludedDates.push({ date: key, reason: 'holiday', name: holidays.get(key) })
+    } else if (isWeeklyOff(key)) {
+      excludedDates.push({ date: key, reason: 'weekly_off' })
+    } else {
+      workingDates.push(key)
+    }
+  }
+
+  const days = halfDay ? Math.min(workingDates.length, 1) * 0.5 : workingDates.length
+
+  // A leave spanning December-January is charged to each year's balance separately
+  const daysByYear = {}
+  for (const key of workingDates) {
+    const year = key.slice(0, 4)
+    daysByYear[year] = (daysByYear[year] || 0) + (halfDay ? 0.5 : 1)
+  }
+
+  return { days, daysByYear, workingDates, excludedDates }
+}
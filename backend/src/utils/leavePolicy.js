@@ -0,0 +1,212 @@
+import pool from '../db.js'
+
+export const LEAVE_TYPES = ['casual', 'sick', 'paid']
+export const ACCRUAL_TYPES = ['yearly', 'monthly']
+
+// Used when leave_policies has no row for a leave type (the entitlements from before policies existed)
+const DEFAULT_POLICY = {
+  casual: { annual_entitlement: 12, accrual: 'yearly', carry_forward_cap: 0, encashment_limit: 0 },
+  sick: { annual_entitlement: 12, accrual: 'yearly', carry_forward_cap: 0, encashment_limit: 0 },
+  paid: { annual_entitlement: 0, accrual: 'yearly', carry_forward_cap: 0, encashment_limit: 0 },
+}
+
+const roundToHalf = (value) => Math.round(value * 2) / 2
+const num = (value) => Number(value) || 0
+
+// Policy for a role, one entry per leave type. Rows for the exact role override the '*' rows.
+export async function getLeavePolicy(role, db = pool) {
+  const [rows] = await db.execute(
+    "SELECT * FROM leave_policies WHERE role = '*' OR role = ? ORDER BY role = '*' DESC",
+    [role || '*']
+  )
+  const policy = {}
+  for (const type of LEAVE_TYPES) {
+    policy[type] = { ...DEFAULT_POLICY[type] }
+  }
+  for (const row of rows) {
+    policy[row.leave_type] = {
+      annual_entitlement: num(row.annual_entitlement),
+      accrual: row.accrual,
+      carry_forward_cap: num(row.carry_forward_cap),
+      encashment_limit: num(row.encashment_limit),
+    }
+  }
+  return policy
+}
+
+// Month (0-11) from which the user earns leave in `year`: January, or the joining month for
+// mid-year joiners. Returns 12 when they join after the year.
+function firstEligibleMonth(joiningDate, year) {
+  if (!joiningDate) return 0
+  const joined = new Date(joiningDate)
+  if (isNaN(joined.getTime()) || joined.getFullYear() < year) return 0
+  if (joined.getFullYear() > year) return 12
+  return joined.getMonth()
+}
+
+// Full-year entitlement, pro-rated by joining month
+export function proRatedEntitlement(typePolicy, joiningDate, year) {
+  const months = 12 - firstEligibleMonth(joiningDate, year)
+  return roundToHalf((typePolicy.annual_entitlement * months) / 12)
+}
+
+// How much of the year's entitlement has been earned by `asOf`. Yearly accrual grants it all
+// up front; monthly accrual earns 1/12th at the start of each eligible month.
+export function accruedEntitlement(typePolicy, joiningDate, year, asOf = new Date()) {
+  const entitlement = proRatedEntitlement(typePolicy, joiningDate, year)
+  if (typePolicy.accrual !== 'monthly' || asOf.getFullYear() > year) return entitlement
+  if (asOf.getFullYear() < year) return 0
+
+  const months = asOf.getMonth() - firstEligibleMonth(joiningDate, year) + 1
+  if (months <= 0) return 0
+  return Math.min(entitlement, roundToHalf((typePolicy.annual_entitlement * months) / 12))
+}
+
+async function loadUser(userId, db) {
+  const [rows] = await db.execute('SELECT id, role, joining_date FROM users WHERE id = ?', [userId])
+  if (rows.length === 0) throw new Error(`User ${userId} not found`)
+  return rows[0]
+}
+
+// Get or lazily open a user's balance row for a year, with pro-rated entitlements from the policy.
+// Carry-forward is filled in by the rollover when the previous year closes.
+export async function getOrCreateLeaveBalance(userId, year = new Date().getFullYear(), db = pool) {
+  const [existing] = await db.execute(
+    'SELECT * FROM leave_balances WHERE user_id = ? AND leave_year = ?',
+    [userId, year]
+  )
+  if (existing.length > 0) return existing[0]
+
+  const user = await loadUser(userId, db)
+  const policy = await getLeavePolicy(user.role, db)
+  await db.execute(
+    `INSERT IGNORE INTO leave_balances (user_id, leave_year, casual_leaves, sick_leaves, paid_leaves)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      userId,
+      year,
+      proRatedEntitlement(policy.casual, user.joining_date, year),
+      proRatedEntitlement(policy.sick, user.joining_date, year),
+      proRatedEntitlement(policy.paid, user.joining_date, year),
+    ]
+  )
+
+  const [created] = await db.execute(
+    'SELECT * FROM leave_balances WHERE user_id = ? AND leave_year = ?',
+    [userId, year]
+  )
+  if (created.length === 0) {
+    throw new Error('Failed to create or retrieve leave balance')
+  }
+  return created[0]
+}
+
+// Per-type view of a year's balance: entitlement, accrued so far, carried in, used, encashed, available
+export async function getBalanceSummary(userId, year = new Date().getFullYear(), db = pool) {
+  const user = await loadUser(userId, db)
+  const policy = await getLeavePolicy(user.role, db)
+  const balance = await getOrCreateLeaveBalance(userId, year, db)
+
+  const summary = { year: Number(balance.leave_year), closed: !!balance.closed_at }
+  for (const type of LEAVE_TYPES) {
+    const entitlement = num(balance[`${type}_leaves`])
+    const accrued = policy[type].accrual === 'monthly'
+      ? Math.min(entitlement, accruedEntitlement(policy[type], user.joining_date, year))
+      : entitlement
+    const carried = num(balance[`carried_${type}`])
+    const used = num(balance[`used_${type}`])
+
+    summary[type] = {
+      entitlement,
+      accrual: policy[type].accrual,
+      accrued,
+      carried,
+      used,
+      encashed: num(balance[`encashed_${type}`]),
+      available: accrued + carried - used,
+    }
+  }
+  return summary
+}
+
+// Close `year` for every user who has a balance row in it and open `year + 1` with carry-forward.
+// Unused leave is carried up to the policy cap, the rest encashed up to the encashment limit,
+// anything beyond that lapses. Rows already closed are skipped, so running it twice is harmless.
+export async function rolloverLeaveYear(year, db = pool) {
+  const [openRows] = await db.execute(
+    'SELECT id FROM leave_balances WHERE leave_year = ? AND closed_at IS NULL',
+    [year]
+  )
+
+  let closed = 0
+  const connection = await db.getConnection()
+  try {
+    for (const { id } of openRows) {
+      await connection.beginTransaction()
+      const [rows] = await connection.execute(
+        `SELECT lb.*, u.role, u.joining_date
+           FROM leave_balances lb
+           JOIN users u ON lb.user_id = u.id
+          WHERE lb.id = ? AND lb.closed_at IS NULL
+          FOR UPDATE`,
+        [id]
+      )
+      if (rows.length === 0) {
+        await connection.rollback()
+        continue
+      }
+
+      const balance = rows[0]
+      const policy = await getLeavePolicy(balance.role, connection)
+      const carry = {}
+      const encash = {}
+      for (const type of LEAVE_TYPES) {
+        const unused = Math.max(
+          num(balance[`${type}_leaves`]) + num(balance[`carried_${type}`]) - num(balance[`used_${type}`]),
+          0
+        )
+        carry[type] = Math.min(unused, policy[type].carry_forward_cap)
+        encash[type] = Math.min(unused - carry[type], policy[type].encashment_limit)
+      }
+
+      await connection.execute(
+        `UPDATE leave_balances
+            SET encashed_casual = ?, encashed_sick = ?, encashed_paid = ?, closed_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+        [encash.casual, encash.sick, encash.paid, id]
+      )
+
+      // The next year's row may already exist if someone applied for January leave early
+      const nextYear = year + 1
+      await connection.execute(
+        `INSERT INTO leave_balances
+           (user_id, leave_year, casual_leaves, sick_leaves, paid_leaves, carried_casual, carried_sick, carried_paid)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           carried_casual = VALUES(carried_casual),
+           carried_sick = VALUES(carried_sick),
+           carried_paid = VALUES(carried_paid)`,
+        [
+          balance.user_id,
+          nextYear,
+          proRatedEntitlement(policy.casual, balance.joining_date, nextYear),
+          proRatedEntitlement(policy.sick, balance.joining_date, nextYear),
+          proRatedEntitlement(policy.paid, balance.joining_date, nextYear),
+          carry.casual,
+          carry.sick,
+          carry.paid,
+        ]
+      )
+
+      await connection.commit()
+      closed++
+    }
+  } catch (error) {
+    await connection.rollback().catch(() => {})
+    throw error
+  } finally {
+    connection.release()
+  }
+
+  return { year, closed, skipped: openRows.length - closed }
+}
@@ -0,0 +1,18 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// The company block printed at the top of every MoM and shown above the MoM preview
+export const LETTERHEAD = {
+  name: process.env.COMPANY_NAME || 'VICKHARDTH AUTOMATION',
+  subtitle: process.env.COMPANY_SUBTITLE || 'Automation System Integrators',
+  contact: process.env.COMPANY_CONTACT || 'VATRA | TATRA | SARVATRA (LLL: +9) 9/66 46 / 899',
+  email: process.env.COMPANY_EMAIL || 'e-mail: sales@vickhardth.com , services@vickhardth.com',
+}
+
+// JPEG or PNG logo; documents are printed without one when the file is missing
+export const LOGO_PATH = path.resolve(process.env.COMPANY_LOGO_PATH ?? path.join(__dirname, '../../assets/logo.jpeg'))
+
+export const hasLogo = () => fs.existsSync(LOGO_PATH)
@@ -0,0 +1,60 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import nodemailer from 'nodemailer'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// Where the file transport writes messages; one JSON file per email
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR ?? path.join(__dirname, '../../mail-outbox')
+const MAIL_FROM = process.env.MAIL_FROM ?? 'Site Pulse <no-reply@vickhardth.local>'
+
+let smtpTransporter = null
+
+// Transports take { from, to, subject, text, html, attachments } and deliver or record the message
+const transports = {
+  // Local development: print the message, so links (e.g. password resets) can be copied from the log
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`)
+  },
+
+  file: async (message) => {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true })
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_')
+    const file = path.join(OUTBOX_DIR, `${Date.now()}-${safeTo}.json`)
+    // Attachments are kept as base64, which nodemailer also accepts, rather than as arrays of bytes
+    const attachments = message.attachments?.map((attachment) =>
+      Buffer.isBuffer(attachment.content)
+        ? { ...attachment, content: attachment.content.toString('base64'), encoding: 'base64' }
+        : attachment
+    )
+    await fs.writeFile(file, JSON.stringify({ ...message, attachments }, null, 2))
+    console.log(`📧 Mail to ${message.to} written to ${file}`)
+  },
+
+  smtp: async (message) => {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+      })
+    }
+    await smtpTransporter.sendMail(message)
+  },
+}
+
+// Plug in another delivery mechanism (a mail API, a test spy, ...) and select it with MAIL_TRANSPORT
+export function registerMailTransport(name, send) {
+  transports[name] = send
+}
+
+export async function sendMail({ to, subject, text, html, attachments }) {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')
+  const send = transports[name]
+  if (!send) {
+    throw new Error(`Unknown mail transport "${name}"`)
+  }
+  await send({ from: MAIL_FROM, to, subject, text, html, attachments })
+}
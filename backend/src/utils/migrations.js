@@ -0,0 +1,143 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import mysql from 'mysql2/promise'
+import pool, { dbConfig } from '../db.js'
+
+// Numbered migration files: NNNN_description.sql (may hold several statements) or
+// NNNN_description.js (exports `async up(db)`). Applied files are recorded in schema_migrations
+// with a checksum, so editing one after it ran is caught instead of silently ignored.
+export const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../migrations')
+
+const FILE_PATTERN = /^(\d{4})_([\w-]+)\.(sql|js)$/
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter((file) => FILE_PATTERN.test(file)).sort()
+
+  const migrations = []
+  for (const file of files) {
+    const [, version, name, type] = file.match(FILE_PATTERN)
+    if (migrations.some((m) => m.version === version)) {
+      throw new Error(`Two migrations share version ${version}`)
+    }
+    // Normalise line endings so a checkout with CRLF does not look like an edited migration
+    const source = (await fs.readFile(path.join(dir, file), 'utf8')).replace(/\r\n/g, '\n')
+    migrations.push({
+      version,
+      name,
+      type,
+      file,
+      path: path.join(dir, file),
+      source,
+      checksum: crypto.createHash('sha256').update(source).digest('hex'),
+    })
+  }
+  return migrations
+}
+
+async function loadAppliedMigrations(db) {
+  try {
+    const [rows] = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version')
+    return rows
+  } catch (error) {
+    // Nothing has been applied to a database that is missing, or has never been migrated
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_DB_ERROR') return []
+    throw error
+  }
+}
+
+// Each file with state 'applied', 'pending' or 'changed' (applied, but edited since), plus
+// `missing`: versions recorded as applied whose file no longer exists.
+export async function getMigrationStatus(db = pool) {
+  const [migrations, applied] = await Promise.all([loadMigrations(), loadAppliedMigrations(db)])
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]))
+
+  return {
+    migrations: migrations.map((migration) => {
+      const row = appliedByVersion.get(migration.version)
+      const state = !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'changed'
+      return { ...migration, state, appliedAt: row?.applied_at ?? null }
+    }),
+    missing: applied.filter((row) => !migrations.some((m) => m.version === row.version)),
+  }
+}
+
+// Dedicated connection for running migrations: allows multi-statement SQL files and creates
+// the database itself on a fresh server.
+export async function openMigrationConnection() {
+  const { database, ...config } = dbConfig
+  const db = await mysql.createConnection({ ...config, multipleStatements: true })
+  await db.query('CREATE DATABASE IF NOT EXISTS ??', [database])
+  await db.query('USE ??', [database])
+  return db
+}
+
+// Apply every pending migration in order. MySQL commits DDL immediately, so a migration that
+// fails part-way is not recorded and has to be fixed by hand before running again.
+export async function runMigrations({ log = console.log } = {}) {
+  const db = await openMigrationConnection()
+  try {
+    const [[lock]] = await db.query("SELECT GET_LOCK('schema_migrations', 60) AS acquired")
+    if (lock.acquired !== 1) {
+      throw new Error('Another migration run holds the lock')
+    }
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version CHAR(4) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        execution_ms INT NOT NULL DEFAULT 0,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    const { migrations } = await getMigrationStatus(db)
+    const changed = migrations.filter((m) => m.state === 'changed')
+    if (changed.length > 0) {
+      throw new Error(
+        `Applied migrations were edited: ${changed.map((m) => m.file).join(', ')}. Restore them and add a new migration instead.`
+      )
+    }
+
+    const applied = []
+    for (const migration of migrations.filter((m) => m.state === 'pending')) {
+      log(`→ Applying ${migration.file}`)
+      const startedAt = Date.now()
+      if (migration.type === 'sql') {
+        await db.query(migration.source)
+      } else {
+        const { up } = await import(pathToFileURL(migration.path).href)
+        await up(db)
+      }
+      const executionMs = Date.now() - startedAt
+      await db.query('INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)', [
+        migration.version,
+        migration.name,
+        migration.checksum,
+        executionMs,
+      ])
+      log(`✓ Applied ${migration.file} (${executionMs} ms)`)
+      applied.push(migration)
+    }
+    return applied
+  } finally {
+    await db.query("SELECT RELEASE_LOCK('schema_migrations')").catch(() => {})
+    await db.end()
+  }
+}
+
+// Throws when the database is behind the migration files, so the server never starts half-migrated
+export async function assertMigrationsApplied(db = pool) {
+  const { migrations, missing } = await getMigrationStatus(db)
+  for (const row of missing) {
+    console.warn(`Migration ${row.version}_${row.name} is recorded as applied but its file is missing`)
+  }
+
+  const outstanding = migrations.filter((m) => m.state !== 'applied')
+  if (outstanding.length > 0) {
+    const list = outstanding.map((m) => `${m.file} (${m.state})`).join(', ')
+    throw new Error(`Database schema is out of date: ${list}. Run "npm run migrate" first.`)
+  }
+}
@@ -0,0 +1,299 @@
+import PDFDocument from 'pdfkit'
+import { LETTERHEAD, LOGO_PATH, hasLogo } from './letterhead.js'
+
+// The one MoM template: letterhead, customer block, timing and man-hours table, observations,
+// solutions, conclusion and signatures on A4, with page numbers on every page. `mom` is a row
+// as selected by routes/mom.js (CreateMoM field names, dates as DD/MM/YYYY); its `signatures`
+// carry the drawn PNG as `image`.
+
+const MARGIN = 40
+const PAD = 4
+const LINE = '#9aa5b1'
+const LABEL_FILL = '#f0f0f0'
+const HEAD_FILL = '#dcdcdc'
+
+// Signing times are printed in the company's local time
+const TIME_ZONE = process.env.MOM_TIME_ZONE || 'Asia/Kolkata'
+
+const slug = (value) =>
+  String(value ?? '')
+    .trim()
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+
+// MoM_<project no>_<YYYY-MM-DD>.pdf, so the same MoM always downloads under the same name.
+// Falls back to the project name, then the MoM id, when there is no project number.
+export function momPdfFilename(mom) {
+  const [day, month, year] = String(mom.momDate ?? '').split('/')
+  const date = year ? `${year}-${month}-${day}` : 'undated'
+  const project = slug(mom.projectNo) || slug(mom.projectName) || `MoM-${mom.id}`
+  return `MoM_${project}_${date}.pdf`
+}
+
+const contentWidth = (doc) => doc.page.width - MARGIN * 2
+const bottom = (doc) => doc.page.height - doc.page.margins.bottom
+
+// Start a new page unless `height` more points fit on this one
+function ensureSpace(doc, height) {
+  if (doc.y + height > bottom(doc)) doc.addPage()
+}
+
+function drawLetterhead(doc) {
+  const top = MARGIN
+  if (hasLogo()) {
+    doc.image(LOGO_PATH, MARGIN, top, { fit: [52, 52] })
+  }
+  const width = contentWidth(doc)
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(15).text(LETTERHEAD.name, MARGIN, top + 2, { width, align: 'center' })
+  doc.font('Helvetica').fontSize(9).text(LETTERHEAD.subtitle, { width, align: 'center' })
+  doc.fontSize(7.5).text(LETTERHEAD.contact, { width, align: 'center' })
+  doc.text(LETTERHEAD.email, { width, align: 'center' })
+  const ruleY = Math.max(doc.y, top + 52) + 6
+  doc.moveTo(MARGIN, ruleY).lineTo(MARGIN + width, ruleY).lineWidth(1).strokeColor('#092544').stroke()
+  doc.y = ruleY + 10
+}
+
+// Later pages carry a one-line reminder of which MoM they belong to
+function drawRunningHeader(doc, mom) {
+  const width = contentWidth(doc)
+  doc.font('Helvetica-Bold').fontSize(8).fillColor('#4a5972')
+  doc.text(`${LETTERHEAD.name} · Minutes of Meeting · ${mom.projectNo || mom.projectName || ''} · ${mom.momDate || ''}`, MARGIN, MARGIN - 16, {
+    width,
+    align: 'center',
+    lineBreak: false,
+  })
+  doc.fillColor('black')
+  doc.y = MARGIN
+}
+
+function drawFooters(doc, mom, filename) {
+  const { start, count } = doc.bufferedPageRange()
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i)
+    // Writing inside the bottom margin would otherwise start a new page
+    const marginBottom = doc.page.margins.bottom
+    doc.page.margins.bottom = 0
+    const y = doc.page.height - MARGIN + 12
+    doc.font('Helvetica').fontSize(7.5).fillColor('#4a5972')
+    doc.text(`MoM #${mom.id} · ${filename}`, MARGIN, y, { width: contentWidth(doc) / 2, lineBreak: false })
+    doc.text(`Page ${i - start + 1} of ${count}`, MARGIN + contentWidth(doc) / 2, y, {
+      width: contentWidth(doc) / 2,
+      align: 'right',
+      lineBreak: false,
+    })
+    doc.page.margins.bottom = marginBottom
+  }
+  doc.fillColor('black')
+}
+
+// Draw a bordered table. `columns` are { width (fraction of the content width), header, bold,
+// fill, align }; `rows` are arrays of cell text. Rows are never split: one that does not fit
+// moves to the next page, where the header row is repeated.
+function drawTable(doc, columns, rows, { fontSize = 8 } = {}) {
+  const total = contentWidth(doc)
+  const widths = columns.map((column) => column.width * total)
+  const headerCells = columns.some((column) => column.header) ? columns.map((column) => column.header || '') : null
+
+  const useFont = (i, header) => doc.font(header || columns[i].bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize)
+  const rowHeight = (cells, header = false) =>
+    Math.max(
+      // Empty cells still take a line, so blank rows stay writable on paper
+      ...cells.map((text, i) => useFont(i, header).heightOfString(String(text ?? '') || ' ', { width: widths[i] - PAD * 2 }))
+    ) + PAD * 2
+
+  const drawRow = (cells, header = false) => {
+    const height = rowHeight(cells, header)
+    const y = doc.y
+    let x = MARGIN
+    cells.forEach((text, i) => {
+      const fill = header ? HEAD_FILL : columns[i].fill
+      doc.lineWidth(0.5).strokeColor(LINE)
+      if (fill) doc.rect(x, y, widths[i], height).fillAndStroke(fill, LINE)
+      else doc.rect(x, y, widths[i], height).stroke()
+      useFont(i, header).fillColor('black')
+      doc.text(String(text ?? ''), x + PAD, y + PAD, { width: widths[i] - PAD * 2, align: columns[i].align || 'left' })
+      x += widths[i]
+    })
+    doc.x = MARGIN
+    doc.y = y + height
+  }
+
+  ensureSpace(doc, (headerCells ? rowHeight(headerCells, true) : 0) + rowHeight(rows[0]))
+  if (headerCells) drawRow(headerCells, true)
+  rows.forEach((cells) => {
+    if (doc.y + rowHeight(cells) > bottom(doc)) {
+      doc.addPage()
+      if (headerCells) drawRow(headerCells, true)
+    }
+    drawRow(cells)
+  })
+}
+
+function sectionTitle(doc, title, note) {
+  ensureSpace(doc, 60)
+  doc.moveDown(0.8)
+  doc.x = MARGIN
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#092544').text(title, { width: contentWidth(doc) })
+  if (note) doc.font('Helvetica').fontSize(7.5).fillColor('#4a5972').text(note, { width: contentWidth(doc) })
+  doc.fillColor('black')
+  doc.moveDown(0.3)
+}
+
+// Notes typed one point per line become a), b), c) ... rows
+const pointRows = (text) => {
+  const points = String(text ?? '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+  if (points.length === 0) return [['', '']]
+  return points.map((point, i) => [`${i < 26 ? String.fromCharCode(97 + i) : i + 1})`, point])
+}
+
+const phone = (code, number) => (number ? `${code || ''} ${number}`.trim() : '')
+
+const signedAtText = (signature) =>
+  `Signed ${new Date(signature.signedAt).toLocaleString('en-GB', {
+    timeZone: TIME_ZONE,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  })}`
+
+const signedWhereText = (signature) => {
+  if (signature.latitude == null || signature.longitude == null) return ''
+  const accuracy = signature.accuracy != null ? ` (±${Math.round(signature.accuracy)} m)` : ''
+  return `at ${Number(signature.latitude).toFixed(5)}, ${Number(signature.longitude).toFixed(5)}${accuracy}`
+}
+
+// Engineer and customer sign on the pad and their signatures are printed here with when and
+// where they signed; the end customer block is left for a signature on paper
+function drawSignatures(doc, mom) {
+  const signed = (role) => mom.signatures?.find((signature) => signature.role === role)
+  const blocks = [
+    { title: `For M/S ${LETTERHEAD.name}`, name: mom.enggName, signature: signed('engineer') },
+    { title: `For ${mom.customerName || 'Customer'}`, name: mom.customerPerson, signature: signed('customer') },
+    { title: `For ${mom.endCustName || 'End Customer'}`, name: mom.endCustPerson },
+  ]
+  const gap = 12
+  const width = (contentWidth(doc) - gap * (blocks.length - 1)) / blocks.length
+  const height = 100
+  ensureSpace(doc, height + 30)
+  sectionTitle(doc, 'AUTHORISED SIGNATORIES')
+  const y = doc.y
+  const lineY = y + height - 38
+  blocks.forEach((block, i) => {
+    const x = MARGIN + i * (width + gap)
+    const { signature } = block
+    doc.lineWidth(0.5).strokeColor(LINE).rect(x, y, width, height).stroke()
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('black').text(block.title, x + PAD, y + PAD, { width: width - PAD * 2 })
+    if (signature?.image) {
+      doc.image(signature.image, x + PAD, y + 18, { fit: [width - PAD * 2, lineY - y - 20], align: 'center', valign: 'bottom' })
+    }
+    doc.moveTo(x + PAD * 2, lineY).lineTo(x + width - PAD * 2, lineY).stroke()
+    doc.font('Helvetica').fontSize(7.5).text(signature?.signerName || block.name || 'Name & signature', x + PAD, lineY + 4, {
+      width: width - PAD * 2,
+      align: 'center',
+    })
+    if (signature) {
+      doc.fontSize(6.5).fillColor('#4a5972')
+      doc.text([signedAtText(signature), signedWhereText(signature)].filter(Boolean).join('\n'), x + PAD, lineY + 15, {
+        width: width - PAD * 2,
+        align: 'center',
+      })
+      doc.fillColor('black')
+    }
+  })
+  doc.x = MARGIN
+  doc.y = y + height
+}
+
+// Whether `buffer` is an image the template can print, checked before a signature is accepted
+// so a signed (and so locked) MoM always renders
+export function isPrintableImage(buffer) {
+  try {
+    new PDFDocument({ autoFirstPage: false }).openImage(buffer)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Render `mom` and return the PDF as a readable stream (already ended; pipe it to a response)
+export function renderMomPdf(mom) {
+  const filename = momPdfFilename(mom)
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: {
+      Title: `Minutes of Meeting ${mom.projectNo || mom.projectName || ''} ${mom.momDate || ''}`.trim(),
+      Author: LETTERHEAD.name,
+      Subject: mom.customerName || '',
+    },
+  })
+  doc.on('pageAdded', () => drawRunningHeader(doc, mom))
+
+  drawLetterhead(doc)
+  doc.font('Helvetica-Bold').fontSize(12).text('MINUTES OF MEETING', MARGIN, doc.y, { width: contentWidth(doc), align: 'center' })
+  doc.moveDown(0.6)
+
+  const label = { width: 0.2, bold: true, fill: LABEL_FILL }
+  const value = { width: 0.3 }
+  drawTable(doc, [label, value, label, value], [
+    ['Customer Name', mom.customerName, 'End Customer Name', mom.endCustName],
+    ['Customer Person', mom.customerPerson, 'End Customer Person', mom.endCustPerson],
+    ['Customer Contact No.', phone(mom.custCountryCode, mom.custContact), 'End Customer Contact No.', phone(mom.endCustCountryCode, mom.endCustContact)],
+    ['Engineer Name', mom.enggName, 'Site Location', mom.siteLocation],
+    ['Project Name', mom.projectName, 'Project No.', mom.projectNo],
+  ])
+
+  sectionTitle(doc, 'TIMING & MAN-HOURS')
+  drawTable(
+    doc,
+    [
+      { width: 0.12, header: 'MoM Date', align: 'center' },
+      { width: 0.12, header: 'Reporting Time (24 h)', align: 'center' },
+      { width: 0.12, header: 'Close Time (24 h)', align: 'center' },
+      { width: 0.12, header: 'Man Hours (HH:MM)', align: 'center' },
+      { width: 0.12, header: 'Man Hours >= 9', align: 'center' },
+      { width: 0.12, header: 'Billing Days', align: 'center' },
+      { width: 0.14, header: 'Site Start Date', align: 'center' },
+      { width: 0.14, header: 'Site End Date', align: 'center' },
+    ],
+    [[
+      mom.momDate,
+      mom.reportingTime,
+      mom.momCloseTime,
+      mom.manHours,
+      mom.manHoursMoreThan9,
+      mom.billingDays,
+      mom.siteStartDate,
+      mom.siteEndDate,
+    ]]
+  )
+
+  const pointColumns = (header) => [
+    { width: 0.08, header: 'S. N.', align: 'center' },
+    { width: 0.92, header },
+  ]
+  sectionTitle(
+    doc,
+    'A) OBSERVATIONS OR PRE-SITE REPORT BEFORE IMPLEMENTING ANY SOLUTION ON REACHING SITE',
+    '[General / Electrical / PLC / VFD / Automation software / Mechanical etc.]'
+  )
+  drawTable(doc, pointColumns('Description of Observations'), pointRows(mom.observationNotes))
+
+  sectionTitle(doc, 'B) SOLUTIONS IMPLEMENTED / SUGGESTIONS BY ENGINEER ON SITE', '[General / PLC]')
+  drawTable(doc, pointColumns('Description of Solutions'), pointRows(mom.solutionNotes))
+
+  sectionTitle(doc, 'CONCLUSION')
+  drawTable(doc, [{ width: 1 }], [[mom.conclusion || '']], { fontSize: 8.5 })
+
+  drawSignatures(doc, mom)
+  drawFooters(doc, mom, filename)
+  doc.end()
+  return doc
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto'
+import pool from '../db.js'
+import { APP_URL, hashToken } from '../auth.js'
+
+// How long a share link may stay valid, in days
+export const SHARE_LINK_DEFAULT_DAYS = 7
+export const SHARE_LINK_MAX_DAYS = parseInt(process.env.MOM_SHARE_LINK_MAX_DAYS, 10) || 30
+
+// Where a share link opens the MoM in the frontend
+const shareUrl = (token) => `${APP_URL}/?momShare=${token}`
+
+// Email addresses on file for the MoM's customer and end customer contacts, as
+// [{ role, name, email }]
+export async function findContactEmails(momId, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT 'customer' AS role, c.name, c.email
+       FROM moms m JOIN customer_contacts c ON c.id = m.customer_contact_id
+      WHERE m.id = ? AND c.email IS NOT NULL
+     UNION ALL
+     SELECT 'endCustomer' AS role, c.name, c.email
+       FROM moms m JOIN customer_contacts c ON c.id = m.end_customer_contact_id
+      WHERE m.id = ? AND c.email IS NOT NULL`,
+    [momId, momId]
+  )
+  return rows
+}
+
+// Record something that happened to a MoM: an email sent, a share link created, opened or revoked
+export async function recordMomEvent(
+  momId,
+  event,
+  { recipients = null, shareLinkId = null, userId = null, req = null } = {},
+  db = pool
+) {
+  await db.execute(
+    `INSERT INTO mom_events (mom_id, event, recipients, share_link_id, user_id, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      momId,
+      event,
+      recipients ? recipients.join(', ').slice(0, 1000) : null,
+      shareLinkId,
+      userId,
+      req?.ip || null,
+      req ? (req.get('user-agent') || '').slice(0, 255) : null,
+    ]
+  )
+}
+
+// The latest events of a MoM, newest first
+export async function listMomEvents(momId, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT e.id, e.event, e.recipients, e.share_link_id AS shareLinkId, e.user_id AS userId,
+            u.username, e.ip_address AS ipAddress, e.created_at AS createdAt
+       FROM mom_events e
+       LEFT JOIN users u ON e.user_id = u.id
+      WHERE e.mom_id = ?
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT 100`,
+    [momId]
+  )
+  return rows
+}
+
+// Issue a link that opens the MoM without a login for `days` days. The token is only ever
+// returned here; returns { id, url, expiresAt }.
+export async function createShareLink(momId, days, createdBy, db = pool) {
+  const token = crypto.randomBytes(32).toString('base64url')
+  const [result] = await db.execute(
+    `INSERT INTO mom_share_links (mom_id, token_hash, expires_at, created_by)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?)`,
+    [momId, hashToken(token), days, createdBy]
+  )
+  const [[link]] = await db.execute('SELECT expires_at AS expiresAt FROM mom_share_links WHERE id = ?', [result.insertId])
+  return { id: result.insertId, url: shareUrl(token), expiresAt: link.expiresAt }
+}
+
+// Share links of a MoM with how often each was opened, newest first
+export async function listShareLinks(momId, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT l.id, l.expires_at AS expiresAt, l.revoked_at AS revokedAt, l.created_at AS createdAt,
+            u.username AS createdByName, l.expires_at > NOW() AND l.revoked_at IS NULL AS active,
+            COUNT(e.id) AS views, MAX(e.created_at) AS lastViewedAt
+       FROM mom_share_links l
+       LEFT JOIN users u ON l.created_by = u.id
+       LEFT JOIN mom_events e ON e.share_link_id = l.id AND e.event = 'link_viewed'
+      WHERE l.mom_id = ?
+      GROUP BY l.id
+      ORDER BY l.created_at DESC, l.id DESC`,
+    [momId]
+  )
+  return rows.map((row) => ({ ...row, active: Boolean(row.active), views: Number(row.views) }))
+}
+
+// The share link for `token` as { id, momId, status }, status being 'active', 'expired' or
+// 'revoked'; null for an unknown token
+export async function findShareLink(token, db = pool) {
+  if (typeof token !== 'string' || !token) return null
+  const [rows] = await db.execute(
+    `SELECT id, mom_id AS momId, revoked_at IS NOT NULL AS revoked, expires_at <= NOW() AS expired
+       FROM mom_share_links WHERE token_hash = ?`,
+    [hashToken(token)]
+  )
+  if (rows.length === 0) return null
+  const { id, momId, revoked, expired } = rows[0]
+  return { id, momId, status: revoked ? 'revoked' : expired ? 'expired' : 'active' }
+}
+
+// Stop a share link working; false when the MoM has no such link, or it was already revoked
+export async function revokeShareLink(momId, linkId, db = pool) {
+  const [result] = await db.execute(
+    'UPDATE mom_share_links SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND mom_id = ? AND revoked_at IS NULL',
+    [linkId, momId]
+  )
+  return result.affectedRows > 0
+}
@@ -0,0 +1,54 @@
+import pool from '../db.js'
+import { deleteFile, saveUpload } from './files.js'
+
+// Who signs a MoM: the engineer for the company and the customer's representative
+export const SIGNATURE_ROLES = ['engineer', 'customer']
+
+const signatureColumns = `
+  s.id, s.mom_id AS momId, s.role, s.signer_name AS signerName, s.file_id AS fileId,
+  s.signed_at AS signedAt, s.latitude, s.longitude, s.accuracy_m AS accuracy,
+  s.captured_by AS capturedBy, u.username AS capturedByName
+`
+
+// Signatures on a MoM, engineer first
+export async function listSignatures(momId, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT ${signatureColumns}
+       FROM mom_signatures s
+       LEFT JOIN users u ON s.captured_by = u.id
+      WHERE s.mom_id = ?
+      ORDER BY FIELD(s.role, 'engineer', 'customer')`,
+    [momId]
+  )
+  return rows
+}
+
+// Store a drawn signature (a multer memory-storage file, already sniffed as PNG) and sign the
+// MoM with it. The first signature locks the MoM. Returns the signature; rejects with
+// ER_DUP_ENTRY when `role` has already signed.
+export async function addSignature(
+  { momId, role, signerName, file, latitude = null, longitude = null, accuracy = null, capturedBy },
+  db = pool
+) {
+  const stored = await saveUpload(
+    file,
+    { folder: 'mom-signatures', uploadedBy: capturedBy, contentType: 'image/png', extension: '.png' },
+    db
+  )
+  try {
+    const [result] = await db.execute(
+      `INSERT INTO mom_signatures (mom_id, role, signer_name, file_id, latitude, longitude, accuracy_m, captured_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [momId, role, signerName, stored.id, latitude, longitude, accuracy, capturedBy]
+    )
+    await db.execute('UPDATE moms SET locked_at = CURRENT_TIMESTAMP WHERE id = ? AND locked_at IS NULL', [momId])
+    const [rows] = await db.execute(
+      `SELECT ${signatureColumns} FROM mom_signatures s LEFT JOIN users u ON s.captured_by = u.id WHERE s.id = ?`,
+      [result.insertId]
+    )
+    return rows[0]
+  } catch (error) {
+    await deleteFile(stored.id, db).catch(() => {})
+    throw error
+  }
+}
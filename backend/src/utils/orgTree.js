@@ -0,0 +1,130 @@
+import pool from '../db.js'
+import { can } from '../auth.js'
+import { toDateKey } from './leaveCalendar.js'
+
+// Reporting lines of every active user: [{ id, username, role, employee_id, site_assignment, manager_id }]
+export async function loadReportingLines(db = pool) {
+  const [rows] = await db.execute(
+    `SELECT id, username, role, employee_id, site_assignment, manager_id
+       FROM users
+      WHERE status = 'active'
+      ORDER BY username ASC`
+  )
+  return rows
+}
+
+// Users whose manager chain loops back on itself (A -> B -> A). Bad data like this would otherwise
+// send tree walks into an endless loop, so callers treat the cycle members as roots and report them.
+export function findCycles(users) {
+  const managerOf = new Map(users.map((u) => [u.id, u.manager_id]))
+  const state = new Map() // id -> 'visiting' | 'done'
+  const cycles = []
+
+  for (const { id } of users) {
+    const path = []
+    let current = id
+    while (current && managerOf.has(current) && !state.has(current)) {
+      state.set(current, 'visiting')
+      path.push(current)
+      current = managerOf.get(current)
+    }
+    if (current && state.get(current) === 'visiting') {
+      cycles.push(path.slice(path.indexOf(current)))
+    }
+    for (const member of path) state.set(member, 'done')
+  }
+  return cycles
+}
+
+// Nested tree: [{ ...user, children: [...] }]. Users whose manager is missing or inactive are roots,
+// as is the lowest id of each cycle (its manager link is ignored).
+export function buildOrgTree(users) {
+  const cycles = findCycles(users)
+  const brokenLinks = new Set(cycles.map((cycle) => Math.min(...cycle)))
+
+  const nodes = new Map(users.map((u) => [u.id, { ...u, children: [] }]))
+  const roots = []
+  for (const node of nodes.values()) {
+    const parent = brokenLinks.has(node.id) ? null : nodes.get(node.manager_id)
+    if (parent) parent.children.push(node)
+    else roots.push(node)
+  }
+  return { roots, cycles, nodes }
+}
+
+// Everyone below `userId` in the reporting tree, at any depth
+export async function getSubordinateIds(userId, db = pool) {
+  const users = await loadReportingLines(db)
+  const reports = new Map()
+  for (const u of users) {
+    if (!reports.has(u.manager_id)) reports.set(u.manager_id, [])
+    reports.get(u.manager_id).push(u.id)
+  }
+
+  const found = new Set()
+  const queue = [...(reports.get(Number(userId)) || [])]
+  while (queue.length > 0) {
+    const id = queue.shift()
+    if (found.has(id) || id === Number(userId)) continue
+    found.add(id)
+    queue.push(...(reports.get(id) || []))
+  }
+  return found
+}
+
+export async function isInReportingTree(managerId, userId, db = pool) {
+  return (await getSubordinateIds(managerId, db)).has(Number(userId))
+}
+
+// Whether `user` may see what `userId` files: their own reports, everyone's with
+// activity.view_all, and their reporting tree's with team.view
+export async function canViewReportsOf(user, userId, db = pool) {
+  if (Number(userId) === user.id || can(user, 'activity.view_all')) return true
+  return can(user, 'team.view') && isInReportingTree(user.id, userId, db)
+}
+
+// The users whose reports `user` may see, as a Set of ids: themselves, plus their reporting tree
+// with team.view. null means everyone (activity.view_all).
+export async function getVisibleReportOwnerIds(user, db = pool) {
+  if (can(user, 'activity.view_all')) return null
+  const ids = can(user, 'team.view') ? await getSubordinateIds(user.id, db) : new Set()
+  return ids.add(user.id)
+}
+
+// Validate moving `userId` under `managerId`; returns an error message or null
+export async function checkReportingLine(userId, managerId, db = pool) {
+  if (!managerId) return null
+  if (Number(userId) === Number(managerId)) return 'A user cannot report to themselves'
+  if (await isInReportingTree(userId, managerId, db)) {
+    return 'This would create a reporting loop: the new manager reports to this user'
+  }
+  return null
+}
+
+// Apply scheduled transfers whose effective date has arrived. Run at startup and daily.
+export async function applyDueTransfers(db = pool) {
+  const [due] = await db.execute(
+    `SELECT id, user_id, to_manager_id
+       FROM reporting_transfers
+      WHERE status = 'scheduled' AND effective_date <= ?
+      ORDER BY effective_date ASC, id ASC`,
+    [toDateKey(new Date())]
+  )
+
+  let applied = 0
+  for (const transfer of due) {
+    const problem = await checkReportingLine(transfer.user_id, transfer.to_manager_id, db)
+    if (problem) {
+      console.warn(`Skipping reporting transfer ${transfer.id}: ${problem}`)
+      await db.execute("UPDATE reporting_transfers SET status = 'cancelled' WHERE id = ?", [transfer.id])
+      continue
+    }
+    await db.execute('UPDATE users SET manager_id = ? WHERE id = ?', [transfer.to_manager_id, transfer.user_id])
+    await db.execute(
+      "UPDATE reporting_transfers SET status = 'applied', applied_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [transfer.id]
+    )
+    applied++
+  }
+  return applied
+}
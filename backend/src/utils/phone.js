@@ -0,0 +1,43 @@
+// National number lengths for the country codes the forms offer. Kept in step with
+// COUNTRY_CODES in frontend/src/utils/phone.js.
+export const PHONE_DIGITS = {
+  '+91': [10, 10],
+  '+1': [10, 10],
+  '+44': [9, 10],
+  '+61': [9, 9],
+  '+971': [8, 9],
+  '+65': [8, 8],
+  '+60': [9, 10],
+  '+92': [10, 10],
+  '+880': [10, 10],
+  '+94': [9, 9],
+  '+86': [10, 11],
+  '+81': [9, 10],
+  '+82': [9, 10],
+  '+33': [9, 9],
+  '+49': [10, 11],
+  '+7': [10, 10],
+  '+27': [9, 9],
+}
+
+export const DEFAULT_COUNTRY_CODE = '+91'
+
+// Normalise a phone number typed for `countryCode`: digits only, without a trunk 0 or the country
+// code itself in front. Returns { countryCode, phone } or { error } with a message for the form.
+export function normalisePhone(countryCode, value, label = 'Contact number') {
+  const code = countryCode || DEFAULT_COUNTRY_CODE
+  const lengths = PHONE_DIGITS[code]
+  if (!lengths) return { error: `${label}: unsupported country code ${code}` }
+
+  const [min, max] = lengths
+  let digits = String(value ?? '').replace(/\D/g, '')
+  const codeDigits = code.slice(1)
+  if (digits.length > max && digits.startsWith(codeDigits)) digits = digits.slice(codeDigits.length)
+  if (digits.length > max && digits.startsWith('0')) digits = digits.replace(/^0+/, '')
+
+  if (digits.length < min || digits.length > max) {
+    const expected = min === max ? `${min}` : `${min} to ${max}`
+    return { error: `${label} must have ${expected} digits for ${code}` }
+  }
+  return { countryCode: code, phone: digits }
+}
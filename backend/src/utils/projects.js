@@ -0,0 +1,97 @@
+import pool from '../db.js'
+
+// Report columns holding a free-text project reference. They keep the text as typed;
+// project_id on the same row says which project record it refers to.
+export const PROJECT_TEXT_COLUMNS = [
+  { table: 'daily_target_reports', column: 'project_no' },
+  { table: 'hourly_reports', column: 'project_name' },
+  { table: 'site_activity', column: 'project_name' },
+  { table: 'moms', column: 'project_no' },
+  { table: 'moms', column: 'project_name' },
+]
+
+// Project columns as the API returns them; queries join users i for the in-charge's name
+export const PROJECT_COLUMNS = `
+  p.id, p.project_no, p.name,
+  p.customer_name, p.customer_person, p.customer_contact, p.customer_country_code, p.customer_id, p.customer_contact_id,
+  p.end_customer_name, p.end_customer_person, p.end_customer_contact, p.end_customer_country_code,
+  p.end_customer_id, p.end_customer_contact_id,
+  p.site_address, p.location_lat, p.location_lng, p.geofence_radius_m,
+  DATE_FORMAT(p.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(p.end_date, '%Y-%m-%d') AS end_date,
+  p.incharge_id, i.username AS incharge_name, p.status, p.created_at, p.updated_at
+`
+
+export async function findProject(id, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT ${PROJECT_COLUMNS} FROM projects p LEFT JOIN users i ON p.incharge_id = i.id WHERE p.id = ?`,
+    [id]
+  )
+  return rows[0] || null
+}
+
+// Placeholders forms store when there is no project, e.g. on a leave day
+const PLACEHOLDER_TEXTS = ['', 'n/a', 'na', '-']
+
+const normalise = (value) => String(value ?? '').trim().toLowerCase()
+
+// The project a report belongs to: the picked `projectId`, or else the first of `texts` that
+// matches a project number or name exactly, ignoring case and surrounding spaces.
+// Returns { project } (null when nothing matches) or { error } when the picked id does not exist.
+export async function resolveProject({ projectId, texts = [] }, db = pool) {
+  if (projectId) {
+    const [rows] = await db.execute('SELECT id, project_no, name FROM projects WHERE id = ?', [projectId])
+    return rows[0] ? { project: rows[0] } : { error: 'Selected project not found' }
+  }
+
+  const candidates = texts.map(normalise).filter((text) => !PLACEHOLDER_TEXTS.includes(text))
+  if (candidates.length === 0) return { project: null }
+
+  const [rows] = await db.query(
+    `SELECT id, project_no, name FROM projects
+      WHERE LOWER(TRIM(project_no)) IN (?) OR LOWER(TRIM(name)) IN (?)
+      ORDER BY status = 'active' DESC, id ASC
+      LIMIT 1`,
+    [candidates, candidates]
+  )
+  return { project: rows[0] || null }
+}
+
+// Distinct project texts on reports not linked to any project, most used first:
+// [{ value, count, sources: { 'daily_target_reports.project_no': 3, ... } }]
+export async function findUnmatchedProjectTexts(db = pool) {
+  const byKey = new Map()
+  for (const { table, column } of PROJECT_TEXT_COLUMNS) {
+    const [rows] = await db.query(
+      `SELECT TRIM(${column}) AS value, COUNT(*) AS count
+         FROM ${table}
+        WHERE project_id IS NULL AND ${column} IS NOT NULL
+        GROUP BY TRIM(${column})`
+    )
+    for (const row of rows) {
+      const key = normalise(row.value)
+      if (PLACEHOLDER_TEXTS.includes(key)) continue
+      if (!byKey.has(key)) byKey.set(key, { value: row.value, count: 0, sources: {} })
+      const entry = byKey.get(key)
+      entry.count += Number(row.count)
+      entry.sources[`${table}.${column}`] = (entry.sources[`${table}.${column}`] || 0) + Number(row.count)
+    }
+  }
+  return [...byKey.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+}
+
+// Link every unlinked report whose project text matches `value` to `projectId`.
+// The text itself is left as typed. Returns the number of rows linked.
+export async function reconcileProjectText(value, projectId, db = pool) {
+  const key = normalise(value)
+  if (PLACEHOLDER_TEXTS.includes(key)) return 0
+
+  let linked = 0
+  for (const { table, column } of PROJECT_TEXT_COLUMNS) {
+    const [result] = await db.execute(
+      `UPDATE ${table} SET project_id = ? WHERE project_id IS NULL AND LOWER(TRIM(${column})) = ?`,
+      [projectId, key]
+    )
+    linked += result.affectedRows
+  }
+  return linked
+}
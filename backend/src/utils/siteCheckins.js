@@ -0,0 +1,167 @@
+import pool from '../db.js'
+import { toDateKey } from './leaveCalendar.js'
+import { getAssignment } from './deployments.js'
+import { findProject } from './projects.js'
+
+// Fence radius for sites whose project does not set one
+export const DEFAULT_GEOFENCE_RADIUS_M = parseInt(process.env.GEOFENCE_DEFAULT_RADIUS_M, 10) || 200
+
+// A check-out belongs to the open check-in's day if it comes within this long of it
+const MAX_SHIFT_HOURS = 20
+
+const EARTH_RADIUS_M = 6371000
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// Great-circle distance in metres between two { lat, lng } points
+export function distanceMetres(a, b) {
+  const dLat = toRadians(b.lat - a.lat)
+  const dLng = toRadians(b.lng - a.lng)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h))
+}
+
+// Where a reading lies relative to a fence: { distance, outside }. The reading's accuracy is
+// given the benefit of the doubt, up to the fence radius, so a fuzzy fix at the gate is not flagged.
+export function checkFence({ lat, lng, accuracy = 0 }, fence) {
+  const distance = distanceMetres({ lat, lng }, fence)
+  const allowance = Math.min(Number(accuracy) || 0, fence.radius)
+  return { distance: Math.round(distance), outside: distance - allowance > fence.radius }
+}
+
+// The site an engineer checks in at on `dateKey`: the picked project, else the deployment for
+// that day. Returns { projectId, deploymentId, fence }, where fence is { lat, lng, radius } or
+// null when the site has no coordinates, or { error } when the picked project does not exist.
+export async function findSiteFence(userId, dateKey, projectId = null, db = pool) {
+  let site = null
+  let project = null
+  let deploymentId = null
+  if (projectId) {
+    project = await findProject(projectId, db)
+    if (!project) return { error: 'Selected project not found' }
+    site = project
+  } else {
+    const deployment = await getAssignment(userId, dateKey, db)
+    if (deployment) {
+      deploymentId = deployment.id
+      project = deployment.project
+      site = deployment
+    }
+  }
+
+  const fence =
+    site?.location_lat != null && site?.location_lng != null
+      ? {
+          lat: Number(site.location_lat),
+          lng: Number(site.location_lng),
+          radius: project?.geofence_radius_m || DEFAULT_GEOFENCE_RADIUS_M,
+        }
+      : null
+  return { projectId: project?.id ?? null, deploymentId, fence }
+}
+
+const eventColumns = `
+  c.id, c.user_id, u.username, DATE_FORMAT(c.report_date, '%Y-%m-%d') AS report_date, c.event,
+  c.project_id, p.project_no, c.deployment_id, c.latitude, c.longitude, c.accuracy_m,
+  c.fence_radius_m, c.distance_m, c.outside_fence, c.recorded_at, DATE_FORMAT(c.recorded_at, '%H:%i') AS time
+`
+
+export async function findCheckin(id, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT ${eventColumns} FROM site_checkins c
+       JOIN users u ON c.user_id = u.id
+       LEFT JOIN projects p ON c.project_id = p.id
+      WHERE c.id = ?`,
+    [id]
+  )
+  return rows[0] || null
+}
+
+// The user's latest check-in that has no check-out after it and is recent enough to close
+async function findOpenCheckin(userId, db = pool) {
+  const [rows] = await db.execute(
+    `SELECT id, event, DATE_FORMAT(report_date, '%Y-%m-%d') AS report_date, project_id, deployment_id,
+            fence_lat, fence_lng, fence_radius_m,
+            recorded_at >= NOW() - INTERVAL ${MAX_SHIFT_HOURS} HOUR AS recent
+       FROM site_checkins
+      WHERE user_id = ?
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT 1`,
+    [userId]
+  )
+  const last = rows[0]
+  return last && last.event === 'check_in' && last.recent ? last : null
+}
+
+// Record a check-in or check-out at the current position { lat, lng, accuracy }. A check-in
+// finds its fence from the project or deployment; a check-out reuses its check-in's fence and day.
+// Returns { checkin } or { status, message }.
+export async function recordCheckin({ userId, event, lat, lng, accuracy = null, projectId = null }, db = pool) {
+  const open = await findOpenCheckin(userId, db)
+  let values
+  if (event === 'check_in') {
+    if (open) return { status: 409, message: `You are already checked in since ${open.report_date}; check out first` }
+    const reportDate = toDateKey(new Date())
+    const site = await findSiteFence(userId, reportDate, projectId, db)
+    if (site.error) return { status: 400, message: site.error }
+    values = { reportDate, projectId: site.projectId, deploymentId: site.deploymentId, fence: site.fence }
+  } else {
+    if (!open) return { status: 409, message: 'You are not checked in' }
+    values = {
+      reportDate: open.report_date,
+      projectId: open.project_id,
+      deploymentId: open.deployment_id,
+      fence:
+        open.fence_lat != null
+          ? { lat: Number(open.fence_lat), lng: Number(open.fence_lng), radius: open.fence_radius_m }
+          : null,
+    }
+  }
+
+  const position = values.fence ? checkFence({ lat, lng, accuracy }, values.fence) : null
+  const [result] = await db.execute(
+    `INSERT INTO site_checkins
+       (user_id, report_date, event, project_id, deployment_id, latitude, longitude, accuracy_m,
+        fence_lat, fence_lng, fence_radius_m, distance_m, outside_fence)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      values.reportDate,
+      event,
+      values.projectId,
+      values.deploymentId,
+      lat,
+      lng,
+      accuracy,
+      values.fence?.lat ?? null,
+      values.fence?.lng ?? null,
+      values.fence?.radius ?? null,
+      position?.distance ?? null,
+      position ? position.outside : null,
+    ]
+  )
+  return { checkin: await findCheckin(result.insertId, db) }
+}
+
+// A user's check-in and check-out events on `dateKey`, and the times a site report takes from
+// them: { events, inTime, outTime, checkedIn, position }. inTime is the first check-in, outTime
+// the last check-out; checkedIn is true while the last event is a check-in; position is where
+// the first check-in was made.
+export async function getAttendance(userId, dateKey, db = pool) {
+  const [events] = await db.execute(
+    `SELECT ${eventColumns} FROM site_checkins c
+       JOIN users u ON c.user_id = u.id
+       LEFT JOIN projects p ON c.project_id = p.id
+      WHERE c.user_id = ? AND c.report_date = ?
+      ORDER BY c.recorded_at ASC, c.id ASC`,
+    [userId, dateKey]
+  )
+  const checkIns = events.filter((e) => e.event === 'check_in')
+  const checkOuts = events.filter((e) => e.event === 'check_out')
+  return {
+    events,
+    inTime: checkIns[0]?.time ?? null,
+    outTime: checkOuts.at(-1)?.time ?? null,
+    checkedIn: events.at(-1)?.event === 'check_in',
+    position: checkIns[0] ? { lat: checkIns[0].latitude, lng: checkIns[0].longitude } : null,
+  }
+}
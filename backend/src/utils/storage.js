@@ -0,0 +1,89 @@
+import fs from 'fs'
+import fsp from 'fs/promises'
+import path from 'path'
+import { Readable } from 'stream'
+import { fileURLToPath } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// Where the local driver keeps objects; keys are paths relative to it
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR ?? path.join(__dirname, '../../uploads'))
+
+// Keys are relative, forward-slash paths such as "mom-reports/2026/10/<uuid>.pdf"
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some((part) => !part || part === '..' || part.includes('\\'))) {
+    throw new Error(`Invalid storage key "${key}"`)
+  }
+}
+
+const notFound = (key) => Object.assign(new Error(`No stored object "${key}"`), { code: 'ENOENT' })
+
+// Objects in memory, shaped like an object store (S3 and compatibles): a stand-in for tests and
+// for trying a bucket-style setup without one
+function memoryDriver() {
+  const objects = new Map()
+  return {
+    put: async (key, body, { contentType } = {}) => {
+      objects.set(key, { body: Buffer.from(body), contentType })
+    },
+    get: async (key) => {
+      const object = objects.get(key)
+      if (!object) throw notFound(key)
+      return { stream: Readable.from(object.body), size: object.body.length }
+    },
+    remove: async (key) => {
+      objects.delete(key)
+    },
+  }
+}
+
+// Drivers take keys and store bytes: put(key, buffer, { contentType }), get(key) resolving to
+// { stream, size } (rejects with code ENOENT when missing) and remove(key), which ignores
+// missing objects
+const drivers = {
+  local: {
+    put: async (key, body) => {
+      const file = path.join(UPLOADS_DIR, key)
+      await fsp.mkdir(path.dirname(file), { recursive: true })
+      await fsp.writeFile(file, body)
+    },
+    get: async (key) => {
+      const file = path.join(UPLOADS_DIR, key)
+      const { size } = await fsp.stat(file)
+      return { stream: fs.createReadStream(file), size }
+    },
+    remove: async (key) => {
+      await fsp.rm(path.join(UPLOADS_DIR, key), { force: true })
+    },
+  },
+  memory: memoryDriver(),
+}
+
+// Plug in another backend (an S3-compatible bucket, ...) and select it with STORAGE_DRIVER
+export function registerStorageDriver(name, driver) {
+  drivers[name] = driver
+}
+
+function driver() {
+  const name = process.env.STORAGE_DRIVER || 'local'
+  const selected = drivers[name]
+  if (!selected) {
+    throw new Error(`Unknown storage driver "${name}"`)
+  }
+  return selected
+}
+
+export async function putObject(key, body, options) {
+  assertValidKey(key)
+  await driver().put(key, body, options)
+}
+
+export async function getObject(key) {
+  assertValidKey(key)
+  return driver().get(key)
+}
+
+export async function removeObject(key) {
+  assertValidKey(key)
+  await driver().remove(key)
+}
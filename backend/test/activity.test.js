@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+const entry = (overrides = {}) => ({
+  logDate: '2025-03-03',
+  logTime: '09:30',
+  projectName: 'PRJ-300',
+  hourlyActivity: 'Aligned conveyor sensors',
+  ...overrides,
+})
+
+describe('site activity log', () => {
+  let api
+  let users
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+  })
+
+  after(() => api?.stop())
+
+  it('requires a login', async () => {
+    assert.equal((await api.request('GET', '/activity')).status, 401)
+    assert.equal((await api.request('POST', '/activity', { body: entry() })).status, 401)
+  })
+
+  it('records who filed an entry and shows it within their reporting line', async () => {
+    const created = await api.request('POST', '/activity', {
+      token: users.junior.token,
+      body: entry({ userId: users.otherEngineer.id }),
+    })
+    assert.equal(created.status, 201)
+
+    const own = await api.request('GET', '/activity', { token: users.junior.token })
+    assert.equal(own.status, 200)
+    assert.deepEqual(own.body.map((e) => e.userId), [users.junior.id])
+
+    const leader = await api.request('GET', '/activity', { token: users.teamLeader.token })
+    assert.equal(leader.body.length, 1)
+
+    const outsider = await api.request('GET', '/activity', { token: users.otherEngineer.token })
+    assert.deepEqual(outsider.body, [])
+  })
+})
@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { sniffFileType } from '../src/utils/fileTypes.js'
+import { startTestServer } from './harness.js'
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00])
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d, 0x49, 0x48])
+const MP4 = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypisom\0\0\0\0')])
+const PDF = Buffer.from('%PDF-1.7 site report')
+
+// A multipart upload of [name, bytes, declared type] files with optional thumbnails and captions
+const uploadForm = (files, { thumbnails = [], captions = [] } = {}) => {
+  const form = new FormData()
+  files.forEach(([name, bytes, type]) => form.append('files', new Blob([bytes], { type }), name))
+  thumbnails.forEach(([index, bytes]) => {
+    form.append('thumbnails', new Blob([bytes], { type: 'image/jpeg' }), 'thumb.jpg')
+    form.append('thumbnailFor', String(index))
+  })
+  captions.forEach((caption) => form.append('captions', caption))
+  return form
+}
+
+describe('file type sniffing', () => {
+  it('identifies uploads by content, not name', () => {
+    assert.equal(sniffFileType(JPEG, 'photo.png').mime, 'image/jpeg')
+    assert.equal(sniffFileType(MP4, 'clip.mp4').kind, 'video')
+    assert.equal(sniffFileType(PDF, 'notes.jpg').extension, '.pdf')
+    assert.equal(sniffFileType(Buffer.from('<html><body>hello</body></html>'), 'photo.jpg'), null)
+    assert.equal(sniffFileType(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0, 0, 0, 0, 0, 0, 0, 0, 0]), 'file.docx'), null)
+  })
+})
+
+describe('report attachments', () => {
+  let api
+  let users
+  let dailyId
+  let hourlyId
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+    const [daily] = await api.pool.execute(
+      `INSERT INTO daily_target_reports
+       (report_date, in_time, out_time, customer_name, customer_person, customer_contact,
+        end_customer_name, end_customer_person, end_customer_contact, project_no, location_type,
+        daily_target_planned, daily_target_achieved, incharge, user_id)
+       VALUES ('2025-06-02', '09:00', '18:00', 'Acme', 'R. Iyer', '9876543210', 'Grid Co', 'S. Rao',
+        '9123456780', 'PRJ-600', 'office', 'Panel testing', 'Panel tested', 'teamLeader', ?)`,
+      [users.senior.id]
+    )
+    dailyId = daily.insertId
+    const hourly = await api.request('POST', '/hourly-report', {
+      token: users.senior.token,
+      body: {
+        reportDate: '2025-06-02',
+        timePeriod: '9am-10am',
+        projectName: 'PRJ-600',
+        dailyTarget: 'Panel testing',
+        hourlyActivity: 'Checked wiring',
+      },
+    })
+    assert.equal(hourly.status, 201)
+    hourlyId = hourly.body.id
+  })
+
+  after(() => api?.stop())
+
+  it('stores files under their sniffed type with thumbnails and captions', async () => {
+    const res = await api.request('POST', `/attachments/daily/${dailyId}`, {
+      token: users.senior.token,
+      form: uploadForm(
+        [
+          ['panel.png', JPEG, 'image/png'],
+          ['test sheet.pdf', PDF, 'application/octet-stream'],
+        ],
+        { thumbnails: [[0, JPEG]], captions: ['Panel after wiring', ''] }
+      ),
+    })
+    assert.equal(res.status, 201)
+    const [photo, sheet] = res.body.attachments
+    assert.equal(photo.kind, 'image')
+    assert.equal(photo.mime_type, 'image/jpeg')
+    assert.equal(photo.caption, 'Panel after wiring')
+    assert.ok(photo.thumbnail_file_id)
+    assert.equal(sheet.kind, 'document')
+    assert.equal(sheet.caption, null)
+    assert.equal(sheet.thumbnail_file_id, null)
+
+    const [[file]] = await api.pool.execute('SELECT storage_key FROM files WHERE id = ?', [photo.file_id])
+    assert.match(file.storage_key, /^attachments\/daily\/\d{4}\/\d{2}\/[\w-]+\.jpg$/)
+
+    const thumbnail = await api.request('GET', `/files/${photo.thumbnail_file_id}`, { token: users.teamLeader.token })
+    assert.equal(thumbnail.status, 200)
+    assert.equal(thumbnail.headers.get('content-type'), 'image/jpeg')
+  })
+
+  it('rejects files whose content is not an accepted type', async () => {
+    const res = await api.request('POST', `/attachments/hourly/${hourlyId}`, {
+      token: users.senior.token,
+      form: uploadForm([
+        ['site.jpg', JPEG, 'image/jpeg'],
+        ['photo.jpg', Buffer.from('<script>alert(1)</script>'), 'image/jpeg'],
+      ]),
+    })
+    assert.equal(res.status, 415)
+    assert.match(res.body.message, /photo\.jpg/)
+    const [[{ count }]] = await api.pool.execute('SELECT COUNT(*) AS count FROM attachments WHERE report_type = ?', ['hourly'])
+    assert.equal(count, 0)
+  })
+
+  it('rejects thumbnails for documents', async () => {
+    const res = await api.request('POST', `/attachments/hourly/${hourlyId}`, {
+      token: users.senior.token,
+      form: uploadForm([['sheet.pdf', PDF, 'application/pdf']], { thumbnails: [[0, PNG]] }),
+    })
+    assert.equal(res.status, 400)
+  })
+
+  it('rejects oversized thumbnails while they arrive', async () => {
+    const res = await api.request('POST', `/attachments/hourly/${hourlyId}`, {
+      token: users.senior.token,
+      form: uploadForm([['site.jpg', JPEG, 'image/jpeg']], { thumbnails: [[0, Buffer.concat([PNG, Buffer.alloc(600 * 1024)])]] }),
+    })
+    assert.equal(res.status, 400)
+    assert.equal(res.body.message, 'Invalid thumbnail')
+  })
+
+  it('lets only the owner or report editors add attachments', async () => {
+    const form = () => uploadForm([['clip.mp4', MP4, 'video/mp4']])
+    assert.equal((await api.request('POST', `/attachments/hourly/${hourlyId}`, { token: users.junior.token, form: form() })).status, 403)
+    assert.equal((await api.request('POST', `/attachments/hourly/${hourlyId}`, { token: users.teamLeader.token, form: form() })).status, 201)
+    assert.equal((await api.request('POST', '/attachments/hourly/999999', { token: users.senior.token, form: form() })).status, 404)
+    assert.equal((await api.request('POST', `/attachments/weekly/${hourlyId}`, { token: users.senior.token, form: form() })).status, 400)
+  })
+
+  it('lists attachments only for reports the user can see', async () => {
+    const list = (token) =>
+      api.request('GET', `/attachments?reportType=daily&reportIds=${dailyId}`, { token }).then((res) => res.body.attachments)
+    assert.equal((await list(users.senior.token)).length, 2)
+    assert.equal((await list(users.teamLeader.token)).length, 2)
+    assert.equal((await list(users.junior.token)).length, 0)
+    assert.equal((await api.request('GET', '/attachments?reportType=daily', {})).status, 401)
+  })
+
+  it('counts attachments in the activity feed', async () => {
+    const res = await api.request('GET', '/employee-activity/activities', { token: users.senior.token })
+    assert.equal(res.status, 200)
+    const { activities } = res.body
+    const daily = activities.find((a) => a.reportType === 'daily' && a.id === dailyId)
+    const hourly = activities.find((a) => a.reportType === 'hourly' && a.id === hourlyId)
+    assert.equal(Number(daily.attachmentCount), 2)
+    assert.equal(Number(hourly.attachmentCount), 1)
+  })
+
+  it('removes an attachment with its stored files', async () => {
+    const [photo] = (await api.request('GET', `/attachments?reportType=daily&reportId=${dailyId}`, { token: users.senior.token })).body.attachments
+    assert.equal((await api.request('DELETE', `/attachments/${photo.id}`, { token: users.junior.token })).status, 403)
+    assert.equal((await api.request('DELETE', `/attachments/${photo.id}`, { token: users.senior.token })).status, 200)
+
+    const [files] = await api.pool.query('SELECT id FROM files WHERE id IN (?)', [[photo.file_id, photo.thumbnail_file_id]])
+    assert.equal(files.length, 0)
+    assert.equal((await api.request('GET', `/files/${photo.file_id}`, { token: users.senior.token })).status, 404)
+  })
+})
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { PASSWORD, startTestServer } from './harness.js'
+
+describe('auth', () => {
+  let api
+  let users
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+  })
+
+  after(() => api?.stop())
+
+  it('holds self-registrations for approval', async () => {
+    const res = await api.request('POST', '/auth/register', {
+      body: {
+        username: `newcomer_${process.pid}`,
+        email: `newcomer_${process.pid}@example.com`,
+        password: PASSWORD,
+        dob: '1995-05-05',
+        joining_date: '2024-02-01',
+        role: 'Junior Engineer',
+      },
+    })
+    assert.equal(res.status, 202)
+    assert.equal(res.body.pending, true)
+    assert.match(res.body.employeeId, /^EMP\d{4}$/)
+
+    const login = await api.request('POST', '/auth/login', {
+      body: { username: `newcomer_${process.pid}`, password: PASSWORD },
+    })
+    assert.equal(login.status, 403)
+  })
+
+  it('rejects a wrong password', async () => {
+    const res = await api.request('POST', '/auth/login', { body: { username: users.senior.username, password: 'wrong' } })
+    assert.equal(res.status, 401)
+  })
+
+  it('returns the permissions of the role on login', async () => {
+    const manager = await api.login(users.manager.username)
+    assert.ok(manager.permissions.includes('users.manage'))
+
+    const junior = await api.login(users.junior.username)
+    assert.deepEqual(junior.permissions, [])
+  })
+
+  it('requires a token on protected routes', async () => {
+    assert.equal((await api.request('GET', '/hourly-report/2025-01-01')).status, 401)
+    assert.equal((await api.request('GET', '/hourly-report/2025-01-01', { token: 'not-a-token' })).status, 401)
+  })
+
+  it('rotates refresh tokens and revokes the session when an old one is reused', async () => {
+    const session = await api.login(users.senior.username)
+
+    const first = await api.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })
+    assert.equal(first.status, 200)
+    assert.notEqual(first.body.refreshToken, session.refreshToken)
+
+    const reused = await api.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })
+    assert.equal(reused.status, 401)
+
+    // Reuse ends the whole session, including the token issued by the legitimate refresh
+    const next = await api.request('POST', '/auth/refresh', { body: { refreshToken: first.body.refreshToken } })
+    assert.equal(next.status, 401)
+    assert.equal((await api.request('GET', '/hourly-report/2025-01-01', { token: first.body.token })).status, 401)
+  })
+
+  it('rejects the access token after logout', async () => {
+    const session = await api.login(users.junior.username)
+    assert.equal((await api.request('GET', '/hourly-report/2025-01-01', { token: session.token })).status, 200)
+
+    await api.request('POST', '/auth/logout', { body: { refreshToken: session.refreshToken } })
+    assert.equal((await api.request('GET', '/hourly-report/2025-01-01', { token: session.token })).status, 401)
+  })
+
+  it('resets a password through the emailed link', async () => {
+    const user = await api.createUser({ username: `forgetful_${process.pid}`, role: 'Trainee' })
+    api.mail.length = 0
+
+    const res = await api.request('POST', '/auth/forgot-password', { body: { email: `forgetful_${process.pid}@example.com` } })
+    assert.equal(res.status, 200)
+    assert.equal(api.mail.length, 1)
+
+    const link = api.mail[0].text.match(/https?:\/\/\S+/)[0]
+    const token = new URL(link).searchParams.get('resetToken')
+
+    const reset = await api.request('POST', '/auth/reset-password', { body: { token, password: 'N3w-password' } })
+    assert.equal(reset.status, 200)
+    await api.login(user.username, 'N3w-password')
+
+    const reused = await api.request('POST', '/auth/reset-password', { body: { token, password: 'Another-pass1' } })
+    assert.equal(reused.status, 400)
+  })
+})
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+const dailyTarget = (overrides = {}) => ({
+  reportDate: '2025-03-06',
+  inTime: '09:00',
+  outTime: '18:00',
+  customerName: 'Acme Power',
+  customerPerson: 'R. Iyer',
+  customerContact: '9876543210',
+  endCustomerName: 'Grid Co',
+  endCustomerPerson: 'S. Rao',
+  endCustomerContact: '9123456780',
+  projectNo: 'PRJ-100',
+  locationType: 'office',
+  dailyTargetPlanned: 'Panel testing',
+  dailyTargetAchieved: 'Panel tested',
+  incharge: 'teamLeader',
+  ...overrides,
+})
+
+describe('customers and contacts', () => {
+  let api
+  let users
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+  })
+
+  after(() => api?.stop())
+
+  it('rejects contact numbers that do not fit the country code', async () => {
+    const res = await api.request('POST', '/daily-target', {
+      token: users.senior.token,
+      body: dailyTarget({ customerContact: '12345' }),
+    })
+    assert.equal(res.status, 400)
+    assert.match(res.body.message, /Customer contact number/)
+
+    const mom = await api.request('POST', '/mom', {
+      token: users.senior.token,
+      body: { customerName: 'Acme Power', customerPerson: 'R. Iyer', custCountryCode: '+65', custContact: '9876543210' },
+    })
+    assert.equal(mom.status, 400)
+  })
+
+  it('builds the customer master from reports and offers it for autocomplete', async () => {
+    const first = await api.request('POST', '/daily-target', { token: users.senior.token, body: dailyTarget() })
+    assert.equal(first.status, 201)
+    const second = await api.request('POST', '/daily-target', {
+      token: users.junior.token,
+      body: dailyTarget({ customerName: ' acme power ', customerContact: '09876543210' }),
+    })
+    assert.equal(second.status, 201)
+
+    const res = await api.request('GET', '/customers?q=acme', { token: users.junior.token })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.customers.length, 1)
+    assert.equal(res.body.customers[0].name, 'Acme Power')
+    assert.deepEqual(
+      res.body.customers[0].contacts.map((c) => [c.name, c.country_code, c.phone]),
+      [['R. Iyer', '+91', '9876543210']]
+    )
+
+    const [rows] = await api.pool.execute('SELECT customer_name FROM daily_target_reports WHERE id = ?', [second.body.id])
+    assert.equal(rows[0].customer_name, 'Acme Power')
+  })
+
+  it('updates every linked report and MoM when a contact is edited', async () => {
+    const mom = await api.request('POST', '/mom', {
+      token: users.senior.token,
+      body: { customerName: 'Acme Power', customerPerson: 'R. Iyer', custCountryCode: '+91', custContact: '9876543210' },
+    })
+    assert.equal(mom.status, 201)
+
+    const { body } = await api.request('GET', '/customers?q=acme', { token: users.senior.token })
+    const contact = body.customers[0].contacts[0]
+    const edited = await api.request('PATCH', `/customers/contacts/${contact.id}`, {
+      token: users.senior.token,
+      body: { country_code: '+971', phone: '501234567' },
+    })
+    assert.equal(edited.status, 200)
+
+    const [reports] = await api.pool.execute(
+      'SELECT DISTINCT customer_contact, customer_country_code FROM daily_target_reports WHERE customer_contact_id = ?',
+      [contact.id]
+    )
+    assert.deepEqual(reports, [{ customer_contact: '501234567', customer_country_code: '+971' }])
+
+    const saved = await api.request('GET', `/mom/${mom.body.id}`, { token: users.senior.token })
+    assert.equal(saved.body.mom.custContact, '501234567')
+    assert.equal(saved.body.mom.custCountryCode, '+971')
+  })
+
+  it('lets only customers.manage holders rename customers', async () => {
+    const { body } = await api.request('GET', '/customers?q=grid', { token: users.senior.token })
+    const customer = body.customers[0]
+
+    const byEngineer = await api.request('PATCH', `/customers/${customer.id}`, {
+      token: users.senior.token,
+      body: { name: 'Grid Corporation' },
+    })
+    assert.equal(byEngineer.status, 403)
+
+    const renamed = await api.request('PATCH', `/customers/${customer.id}`, {
+      token: users.teamLeader.token,
+      body: { name: 'Grid Corporation' },
+    })
+    assert.equal(renamed.status, 200)
+    const [rows] = await api.pool.execute('SELECT DISTINCT end_customer_name FROM daily_target_reports WHERE end_customer_id = ?', [
+      customer.id,
+    ])
+    assert.deepEqual(rows, [{ end_customer_name: 'Grid Corporation' }])
+  })
+})
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer, upcomingMonday } from './harness.js'
+
+const dailyTarget = (overrides = {}) => ({
+  reportDate: '2025-03-04',
+  inTime: '09:00',
+  outTime: '18:00',
+  customerName: 'Acme Power',
+  customerPerson: 'R. Iyer',
+  customerContact: '9876543210',
+  endCustomerName: 'Grid Co',
+  endCustomerPerson: 'S. Rao',
+  endCustomerContact: '9123456780',
+  projectNo: 'PRJ-100',
+  locationType: 'office',
+  dailyTargetPlanned: 'Panel testing',
+  dailyTargetAchieved: 'Panel tested',
+  incharge: 'teamLeader',
+  ...overrides,
+})
+
+describe('daily target reports', () => {
+  let api
+  let users
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+  })
+
+  after(() => api?.stop())
+
+  it('accepts one report per user per day', async () => {
+    const first = await api.request('POST', '/daily-target', { token: users.senior.token, body: dailyTarget() })
+    assert.equal(first.status, 201)
+
+    const second = await api.request('POST', '/daily-target', { token: users.senior.token, body: dailyTarget() })
+    assert.equal(second.status, 409)
+
+    // Another user, or another day, is unaffected
+    const colleague = await api.request('POST', '/daily-target', { token: users.junior.token, body: dailyTarget() })
+    assert.equal(colleague.status, 201)
+    const nextDay = await api.request('POST', '/daily-target', {
+      token: users.senior.token,
+      body: dailyTarget({ reportDate: '2025-03-05' }),
+    })
+    assert.equal(nextDay.status, 201)
+  })
+
+  it('requires a captured location for site reports', async () => {
+    const res = await api.request('POST', '/daily-target', {
+      token: users.otherEngineer.token,
+      body: dailyTarget({ locationType: 'site' }),
+    })
+    assert.equal(res.status, 400)
+  })
+
+  it('files a leave application for a report marked as leave', async () => {
+    const date = upcomingMonday()
+    const res = await api.request('POST', '/daily-target', {
+      token: users.otherEngineer.token,
+      body: { reportDate: date, locationType: 'leave', remark: 'Family function' },
+    })
+    assert.equal(res.status, 201)
+    assert.ok(res.body.leaveApplicationId)
+
+    const history = await api.request('GET', '/leave/history', { token: users.otherEngineer.token })
+    const leave = history.body.find((l) => l.id === res.body.leaveApplicationId)
+    assert.equal(leave.status, 'pending')
+    assert.equal(leave.current_approver_id, users.otherLeader.id)
+  })
+})
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer, upcomingMonday } from './harness.js'
+
+describe('deployments', () => {
+  let api
+  let users
+  let projectId
+
+  const deploy = (by, body) => api.request('POST', '/deployments', { token: by.token, body })
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+    const created = await api.request('POST', '/projects', {
+      token: users.manager.token,
+      body: { project_no: 'PRJ-300', name: 'Solar Park', site_address: 'Plot 7, Phase II', customer_name: 'Acme Power' },
+    })
+    projectId = created.body.project.id
+  })
+
+  after(() => api?.stop())
+
+  it('lets team leaders deploy only engineers in their own team', async () => {
+    const body = { userId: users.senior.id, projectId, startDate: upcomingMonday(), endDate: upcomingMonday(4) }
+
+    assert.equal((await deploy(users.junior, body)).status, 403)
+    assert.equal((await deploy(users.otherLeader, body)).status, 403)
+
+    const created = await deploy(users.teamLeader, body)
+    assert.equal(created.status, 201)
+    assert.equal(created.body.deployment.project_no, 'PRJ-300')
+    assert.equal(created.body.deployment.site_name, 'Plot 7, Phase II')
+
+    const backwards = await deploy(users.teamLeader, { ...body, startDate: upcomingMonday(14), endDate: upcomingMonday(7) })
+    assert.equal(backwards.status, 400)
+  })
+
+  it('refuses a second deployment overlapping the first', async () => {
+    const res = await deploy(users.teamLeader, {
+      userId: users.senior.id,
+      siteName: 'Grid Co substation',
+      startDate: upcomingMonday(3),
+      endDate: upcomingMonday(8),
+    })
+    assert.equal(res.status, 409)
+    assert.match(res.body.message, /already deployed to PRJ-300/)
+  })
+
+  it('flags approved leave and deploys over it only once confirmed', async () => {
+    const leaveDay = upcomingMonday(8)
+    const applied = await api.request('POST', '/leave/apply', {
+      token: users.otherEngineer.token,
+      body: { leave_type: 'casual', reason: 'Family function', start_date: leaveDay, end_date: leaveDay },
+    })
+    assert.equal(applied.status, 201)
+    const approved = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.otherLeader.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(approved.status, 200)
+
+    const body = { userId: users.otherEngineer.id, projectId, startDate: upcomingMonday(7), endDate: upcomingMonday(11) }
+    const refused = await deploy(users.manager, body)
+    assert.equal(refused.status, 409)
+    assert.equal(refused.body.leaveConflicts.length, 1)
+
+    const confirmed = await deploy(users.manager, { ...body, ignoreLeave: true })
+    assert.equal(confirmed.status, 201)
+
+    const planner = await api.request('GET', `/deployments?from=${upcomingMonday()}&to=${upcomingMonday(13)}`, {
+      token: users.otherLeader.token,
+    })
+    assert.equal(planner.status, 200)
+    assert.deepEqual(
+      planner.body.engineers.map((engineer) => engineer.id).sort(),
+      [users.otherLeader.id, users.otherEngineer.id].sort()
+    )
+    assert.equal(planner.body.deployments.length, 1)
+    assert.equal(planner.body.deployments[0].leave_conflicts[0].start_date, leaveDay)
+  })
+
+  it("returns the engineer's assignment for a date to prefill report forms", async () => {
+    const assigned = await api.request('GET', `/deployments/today?date=${upcomingMonday(2)}`, { token: users.senior.token })
+    assert.equal(assigned.status, 200)
+    assert.equal(assigned.body.deployment.project.project_no, 'PRJ-300')
+    assert.equal(assigned.body.deployment.project.customer_name, 'Acme Power')
+
+    const free = await api.request('GET', `/deployments/today?date=${upcomingMonday(20)}`, { token: users.senior.token })
+    assert.equal(free.body.deployment, null)
+  })
+})
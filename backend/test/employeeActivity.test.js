@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+const ids = (rows) => rows.map((row) => row.id).sort((a, b) => a - b)
+
+describe('employee activity visibility', () => {
+  let api
+  let users
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+
+    for (const user of [users.junior, users.otherEngineer]) {
+      const res = await api.request('POST', '/hourly-report', {
+        token: user.token,
+        body: {
+          reportDate: '2025-03-03',
+          timePeriod: '9am-10am',
+          projectName: `PRJ-${user.id}`,
+          dailyTarget: 'Cable laying',
+          hourlyActivity: 'Laid cable trays',
+        },
+      })
+      assert.equal(res.status, 201)
+    }
+  })
+
+  after(() => api?.stop())
+
+  it('shows team leaders their whole reporting tree, not only direct reports', async () => {
+    const res = await api.request('GET', '/employee-activity/subordinates', { token: users.teamLeader.token })
+    assert.equal(res.status, 200)
+    assert.deepEqual(ids(res.body.subordinates), ids([users.senior, users.junior]))
+
+    const other = await api.request('GET', '/employee-activity/subordinates', { token: users.otherLeader.token })
+    assert.deepEqual(ids(other.body.subordinates), ids([users.otherEngineer]))
+  })
+
+  it('shows employees.view_all holders everyone', async () => {
+    const res = await api.request('GET', '/employee-activity/employees', { token: users.manager.token })
+    assert.equal(res.status, 200)
+    const visible = ids(res.body.employees)
+    for (const key of ['teamLeader', 'senior', 'junior', 'otherLeader', 'otherEngineer']) {
+      assert.ok(visible.includes(users[key].id), `${key} should be visible to the manager`)
+    }
+  })
+
+  it('lists only their reporting tree to team leaders', async () => {
+    const res = await api.request('GET', '/employee-activity/employees', { token: users.teamLeader.token })
+    assert.equal(res.status, 200)
+    assert.deepEqual(ids(res.body.employees), ids([users.senior, users.junior]))
+  })
+
+  it('refuses employee lists to engineers', async () => {
+    assert.equal((await api.request('GET', '/employee-activity/employees', { token: users.senior.token })).status, 403)
+    assert.equal((await api.request('GET', '/employee-activity/subordinates', { token: users.junior.token })).status, 403)
+  })
+
+  it("opens the reports of anyone in a team leader's tree", async () => {
+    for (const report of [users.senior, users.junior]) {
+      const res = await api.request('GET', `/employee-activity/employee-reports/${report.id}`, { token: users.teamLeader.token })
+      assert.equal(res.status, 200)
+      assert.equal(res.body.employee.username, report.username)
+    }
+  })
+
+  it("limits a team leader to their own tree's reports", async () => {
+    const outsideTree = await api.request('GET', `/employee-activity/employee-reports/${users.junior.id}`, {
+      token: users.otherLeader.token,
+    })
+    assert.equal(outsideTree.status, 403)
+
+    const byManager = await api.request('GET', `/employee-activity/employee-reports/${users.otherEngineer.id}`, {
+      token: users.manager.token,
+    })
+    assert.equal(byManager.status, 200)
+  })
+
+  it('lets engineers see only their own reports', async () => {
+    const own = await api.request('GET', `/employee-activity/employee-reports/${users.junior.id}`, { token: users.junior.token })
+    assert.equal(own.status, 200)
+
+    const colleague = await api.request('GET', `/employee-activity/employee-reports/${users.otherEngineer.id}`, {
+      token: users.junior.token,
+    })
+    assert.equal(colleague.status, 403)
+
+    const activities = await api.request('GET', '/employee-activity/activities', { token: users.junior.token })
+    assert.equal(activities.status, 200)
+    assert.ok(activities.body.activities.length > 0)
+    assert.ok(activities.body.activities.every((a) => a.userId === users.junior.id))
+  })
+
+  it("keeps reports from outside a team leader's tree out of their activity feed", async () => {
+    const res = await api.request('GET', '/employee-activity/activities', { token: users.teamLeader.token })
+    assert.equal(res.status, 200)
+    const authors = new Set(res.body.activities.map((a) => a.userId))
+    assert.ok(authors.has(users.junior.id))
+    assert.ok(!authors.has(users.otherEngineer.id))
+
+    const absentees = await api.request('GET', '/employee-activity/absentees?date=2025-03-03', { token: users.teamLeader.token })
+    assert.equal(absentees.status, 200)
+    const listed = ids([...absentees.body.absentees, ...absentees.body.onLeave])
+    assert.deepEqual(listed, ids([users.teamLeader, users.senior, users.junior]))
+  })
+
+  it('shows activity.view_all holders every report', async () => {
+    const res = await api.request('GET', '/employee-activity/activities', { token: users.manager.token })
+    assert.equal(res.status, 200)
+    const authors = new Set(res.body.activities.map((a) => a.userId))
+    assert.ok(authors.has(users.junior.id))
+    assert.ok(authors.has(users.otherEngineer.id))
+  })
+})
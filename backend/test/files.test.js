@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+const reportFields = {
+  reportDate: '2025-05-06',
+  inTime: '09:00',
+  outTime: '18:00',
+  customerName: 'Acme Power',
+  customerPerson: 'R. Iyer',
+  customerContact: '9876543210',
+  endCustomerName: 'Grid Co',
+  endCustomerPerson: 'S. Rao',
+  endCustomerContact: '9123456780',
+  projectNo: 'PRJ-500',
+  locationType: 'office',
+  dailyTargetPlanned: 'Panel testing',
+  dailyTargetAchieved: 'Panel tested',
+  incharge: 'teamLeader',
+}
+
+// The report form as the browser sends it, with a MoM PDF holding `text`
+const reportForm = (text) => {
+  const form = new FormData()
+  Object.entries(reportFields).forEach(([key, value]) => form.append(key, value))
+  form.append('momReport', new Blob([`%PDF-1.4 ${text}`], { type: 'application/pdf' }), 'MoM Acme.pdf')
+  return form
+}
+
+describe('uploaded files', () => {
+  let api
+  let users
+  let reportId
+  let fileId
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+    const res = await api.request('POST', '/daily-target', { token: users.senior.token, form: reportForm('first') })
+    assert.equal(res.status, 201)
+    reportId = res.body.id
+    fileId = res.body.momFileId
+  })
+
+  after(() => api?.stop())
+
+  it('stores the MoM PDF by key and serves it to the owner', async () => {
+    const [rows] = await api.pool.execute('SELECT storage_key, original_name FROM files WHERE id = ?', [fileId])
+    assert.match(rows[0].storage_key, /^mom-reports\/\d{4}\/\d{2}\/[\w-]+\.pdf$/)
+    assert.equal(rows[0].original_name, 'MoM Acme.pdf')
+
+    const res = await api.request('GET', `/files/${fileId}`, { token: users.senior.token })
+    assert.equal(res.status, 200)
+    assert.equal(res.headers.get('content-type'), 'application/pdf')
+    assert.equal(res.body, '%PDF-1.4 first')
+  })
+
+  it('serves the file only to those who can see the report', async () => {
+    assert.equal((await api.request('GET', `/files/${fileId}`, { token: users.teamLeader.token })).status, 200)
+    assert.equal((await api.request('GET', `/files/${fileId}`, { token: users.junior.token })).status, 403)
+    assert.equal((await api.request('GET', `/files/${fileId}`, { token: users.otherEngineer.token })).status, 403)
+    assert.equal((await api.request('GET', `/files/${fileId}`)).status, 401)
+    assert.equal((await api.request('GET', '/files/999999', { token: users.manager.token })).status, 404)
+  })
+
+  it('refuses a MoM that is not really a PDF', async () => {
+    const form = reportForm('unused')
+    form.set('momReport', new Blob(['<html>not a pdf</html>'], { type: 'application/pdf' }), 'MoM.pdf')
+    const res = await api.request('PUT', `/daily-target/${reportId}`, { token: users.senior.token, form })
+    assert.equal(res.status, 400)
+    assert.equal((await api.request('GET', `/files/${fileId}`, { token: users.senior.token })).status, 200)
+  })
+
+  it('deletes the old PDF when a report is updated with a new one', async () => {
+    const res = await api.request('PUT', `/daily-target/${reportId}`, { token: users.senior.token, form: reportForm('second') })
+    assert.equal(res.status, 200)
+    assert.notEqual(res.body.momFileId, fileId)
+
+    assert.equal((await api.request('GET', `/files/${fileId}`, { token: users.senior.token })).status, 404)
+    const replaced = await api.request('GET', `/files/${res.body.momFileId}`, { token: users.senior.token })
+    assert.equal(replaced.body, '%PDF-1.4 second')
+    const [[{ count }]] = await api.pool.execute('SELECT COUNT(*) AS count FROM files')
+    assert.equal(count, 1)
+  })
+})
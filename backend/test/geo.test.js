@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+describe('reverse geocoding', () => {
+  let api
+  let users
+  const lookups = []
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+    const { registerGeocoder } = await import('../src/utils/geocoder.js')
+    registerGeocoder('failing', async () => {
+      throw new Error('provider down')
+    })
+    registerGeocoder('spy', async (lat, lng) => {
+      lookups.push([lat, lng])
+      return `Spy ${lookups.length}`
+    })
+  })
+
+  after(() => {
+    delete process.env.GEOCODER_PROVIDERS
+    return api?.stop()
+  })
+
+  it('falls through failing providers and caches by rounded coordinates', async () => {
+    process.env.GEOCODER_PROVIDERS = 'failing,spy'
+    const first = await api.request('GET', '/geo/reverse?lat=18.52041&lng=73.85671', { token: users.senior.token })
+    assert.equal(first.status, 200)
+    assert.deepEqual([first.body.address, first.body.provider, first.body.cached], ['Spy 1', 'spy', false])
+
+    // A few metres away rounds to the same cache entry
+    const nearby = await api.request('GET', '/geo/reverse?lat=18.52043&lng=73.85674', { token: users.junior.token })
+    assert.deepEqual([nearby.body.address, nearby.body.cached], ['Spy 1', true])
+    assert.equal(lookups.length, 1)
+  })
+
+  it('answers with the coordinates when no provider has an address', async () => {
+    process.env.GEOCODER_PROVIDERS = 'failing'
+    const res = await api.request('GET', '/geo/reverse?lat=12.9716&lng=77.5946', { token: users.senior.token })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.address, '12.971600, 77.594600')
+    assert.equal(res.body.provider, null)
+  })
+
+  it('requires a signed-in user and valid coordinates', async () => {
+    assert.equal((await api.request('GET', '/geo/reverse?lat=1&lng=2')).status, 401)
+    assert.equal((await api.request('GET', '/geo/reverse?lat=95&lng=2', { token: users.senior.token })).status, 400)
+    assert.equal((await api.request('GET', '/geo/reverse?lat=1', { token: users.senior.token })).status, 400)
+  })
+
+  it('limits how many lookups a user makes per minute', async () => {
+    process.env.GEOCODER_PROVIDERS = 'offline'
+    const statuses = []
+    for (let i = 0; i < 31; i++) {
+      const res = await api.request('GET', `/geo/reverse?lat=10.${i}&lng=76.5`, { token: users.manager.token })
+      statuses.push(res.status)
+    }
+    assert.equal(statuses.at(-1), 429)
+    const other = await api.request('GET', '/geo/reverse?lat=10.5&lng=76.5', { token: users.otherEngineer.token })
+    assert.equal(other.status, 200)
+  })
+})
@@ -0,0 +1,120 @@
+// Integration test harness: boots the Express app on a random port against a throwaway database.
+// Every test file runs in its own process and gets its own schema, built from the migrations and
+// dropped when the file finishes. The MySQL/MariaDB server and credentials come from DB_HOST,
+// DB_USER and DB_PASSWORD (.env); that user needs CREATE and DROP rights. TEST_DB_PREFIX changes
+// the schema name prefix.
+import assert from 'node:assert/strict'
+import bcrypt from 'bcrypt'
+
+// Set before any app module is loaded: db.js, the mailer, storage and the leave calendar read these once
+const database = `${process.env.TEST_DB_PREFIX || 'site_pulse_test'}_${process.pid}`
+process.env.NODE_ENV = 'test'
+process.env.DB_NAME = database
+process.env.MAIL_TRANSPORT = 'test'
+process.env.STORAGE_DRIVER = 'memory'
+process.env.WEEKLY_OFF_PATTERN = 'sun'
+process.env.LEAVE_ESCALATION_THRESHOLD_DAYS = '3'
+
+export const PASSWORD = 'Passw0rd!'
+
+// The reporting tree seeded by seedOrganisation():
+//   manager (Manager)
+//   ├── teamLeader (Team Leader)
+//   │   └── senior (Senior Engineer)
+//   │       └── junior (Junior Engineer)
+//   └── otherLeader (Team Leader)
+//       └── otherEngineer (Senior Engineer)
+const ORGANISATION = [
+  ['manager', 'Manager', null],
+  ['teamLeader', 'Team Leader', 'manager'],
+  ['senior', 'Senior Engineer', 'teamLeader'],
+  ['junior', 'Junior Engineer', 'senior'],
+  ['otherLeader', 'Team Leader', 'manager'],
+  ['otherEngineer', 'Senior Engineer', 'otherLeader'],
+]
+
+export async function startTestServer() {
+  const { runMigrations } = await import('../src/utils/migrations.js')
+  await runMigrations({ log: () => {} })
+
+  const { syncPermissions } = await import('../src/auth.js')
+  await syncPermissions()
+
+  const mail = []
+  const { registerMailTransport } = await import('../src/utils/mailer.js')
+  registerMailTransport('test', async (message) => {
+    mail.push(message)
+  })
+
+  const { default: pool } = await import('../src/db.js')
+  const { default: app } = await import('../src/app.js')
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+  })
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`
+
+  // JSON request, or multipart when `form` (a FormData) is given; resolves to
+  // { status, body, headers } whatever the status code
+  const request = async (method, path, { token, body, form } = {}) => {
+    const headers = {}
+    if (token) headers.Authorization = `Bearer ${token}`
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: form ?? (body !== undefined ? JSON.stringify(body) : undefined),
+    })
+    const text = await res.text()
+    let data = text
+    try {
+      data = JSON.parse(text)
+    } catch {
+      // Not JSON; keep the raw text for the assertion message
+    }
+    return { status: res.status, body: data, headers: res.headers }
+  }
+
+  const createUser = async ({ username, role, managerId = null, status = 'active', password = PASSWORD }) => {
+    const passwordHash = await bcrypt.hash(password, 4)
+    const [result] = await pool.execute(
+      `INSERT INTO users (username, email, password_hash, role, manager_id, status, joining_date)
+       VALUES (?, ?, ?, ?, ?, ?, '2024-01-01')`,
+      [username, `${username.toLowerCase()}@example.com`, passwordHash, role, managerId, status]
+    )
+    return { id: result.insertId, username, role, password }
+  }
+
+  const login = async (username, password = PASSWORD) => {
+    const res = await request('POST', '/auth/login', { body: { username, password } })
+    assert.equal(res.status, 200, `login as ${username} failed: ${JSON.stringify(res.body)}`)
+    return res.body
+  }
+
+  // Creates the users in ORGANISATION and signs each one in: { manager: { id, token, ... }, ... }
+  const seedOrganisation = async () => {
+    const users = {}
+    for (const [key, role, managerKey] of ORGANISATION) {
+      const user = await createUser({ username: `${key}_${process.pid}`, role, managerId: users[managerKey]?.id ?? null })
+      const session = await login(user.username)
+      users[key] = { ...user, token: session.token, refreshToken: session.refreshToken }
+    }
+    return users
+  }
+
+  const stop = async () => {
+    server.closeAllConnections()
+    await new Promise((resolve) => server.close(resolve))
+    await pool.query('DROP DATABASE IF EXISTS ??', [database])
+    await pool.end()
+  }
+
+  return { request, createUser, login, seedOrganisation, mail, pool, stop }
+}
+
+// A weekday at least a week ahead, as YYYY-MM-DD; `offset` moves it by whole days
+export function upcomingMonday(offset = 0) {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() + 7 + ((8 - date.getUTCDay()) % 7) + offset)
+  return date.toISOString().slice(0, 10)
+}
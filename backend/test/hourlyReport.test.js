@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+const report = (overrides = {}) => ({
+  reportDate: '2025-03-03',
+  timePeriod: '9am-10am',
+  projectName: 'PRJ-100',
+  dailyTarget: 'Commission panel A',
+  hourlyActivity: 'Checked wiring',
+  ...overrides,
+})
+
+describe('hourly reports', () => {
+  let api
+  let users
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+  })
+
+  after(() => api?.stop())
+
+  it('validates required fields', async () => {
+    const res = await api.request('POST', '/hourly-report', {
+      token: users.senior.token,
+      body: report({ hourlyActivity: '' }),
+    })
+    assert.equal(res.status, 400)
+  })
+
+  it('creates, lists and updates a report for its owner', async () => {
+    const created = await api.request('POST', '/hourly-report', { token: users.senior.token, body: report() })
+    assert.equal(created.status, 201)
+
+    const listed = await api.request('GET', '/hourly-report/2025-03-03', { token: users.senior.token })
+    assert.equal(listed.status, 200)
+    assert.deepEqual(
+      listed.body.map((r) => r.id),
+      [created.body.id]
+    )
+
+    const updated = await api.request('PUT', `/hourly-report/${created.body.id}`, {
+      token: users.senior.token,
+      body: report({ hourlyActivity: 'Replaced relay' }),
+    })
+    assert.equal(updated.status, 200)
+
+    const [relisted] = (await api.request('GET', '/hourly-report/2025-03-03', { token: users.senior.token })).body
+    assert.equal(relisted.hourly_activity, 'Replaced relay')
+  })
+
+  it("lists only the caller's own reports", async () => {
+    await api.request('POST', '/hourly-report', { token: users.junior.token, body: report({ timePeriod: '10am-11am' }) })
+
+    const listed = await api.request('GET', '/hourly-report/2025-03-03', { token: users.junior.token })
+    assert.equal(listed.body.length, 1)
+    assert.equal(listed.body[0].user_id, users.junior.id)
+  })
+
+  it("lets only the owner or reports.edit_any holders update a report", async () => {
+    const created = await api.request('POST', '/hourly-report', {
+      token: users.otherEngineer.token,
+      body: report({ timePeriod: '11am-12pm' }),
+    })
+
+    const byPeer = await api.request('PUT', `/hourly-report/${created.body.id}`, {
+      token: users.junior.token,
+      body: report({ hourlyActivity: 'Not mine' }),
+    })
+    assert.equal(byPeer.status, 403)
+
+    const byLeader = await api.request('PUT', `/hourly-report/${created.body.id}`, {
+      token: users.teamLeader.token,
+      body: report({ hourlyActivity: 'Corrected by team leader' }),
+    })
+    assert.equal(byLeader.status, 200)
+  })
+
+  it('returns 404 for a missing report', async () => {
+    const res = await api.request('PUT', '/hourly-report/999999', { token: users.senior.token, body: report() })
+    assert.equal(res.status, 404)
+  })
+})
@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer, upcomingMonday } from './harness.js'
+
+describe('leave applications', () => {
+  let api
+  let users
+
+  const balance = async (user, date) => {
+    const res = await api.request('GET', `/leave/balance?year=${date.slice(0, 4)}`, { token: user.token })
+    assert.equal(res.status, 200)
+    return res.body
+  }
+
+  const apply = (user, body) =>
+    api.request('POST', '/leave/apply', { token: user.token, body: { leave_type: 'casual', reason: 'Personal work', ...body } })
+
+  // A new engineer under teamLeader with exactly `days` casual leave left in the year of `date`
+  const engineerWithCasualLeft = async (name, date, days) => {
+    const user = await api.createUser({ username: `${name}_${process.pid}`, role: 'Senior Engineer', managerId: users.teamLeader.id })
+    const engineer = { ...user, token: (await api.login(user.username)).token }
+    const { available_casual } = await balance(engineer, date)
+    await api.pool.execute('UPDATE leave_balances SET used_casual = used_casual + ? WHERE user_id = ? AND leave_year = ?', [
+      available_casual - days,
+      user.id,
+      date.slice(0, 4),
+    ])
+    return engineer
+  }
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+  })
+
+  after(() => api?.stop())
+
+  it('debits the balance only once the leave is approved, and restores it on cancellation', async () => {
+    const monday = upcomingMonday()
+    const tuesday = upcomingMonday(1)
+    const before = await balance(users.senior, monday)
+
+    const applied = await apply(users.senior, { start_date: monday, end_date: tuesday })
+    assert.equal(applied.status, 201)
+    assert.equal(applied.body.leaveDays, 2)
+    assert.equal(applied.body.requiredLevels, 1)
+    assert.equal((await balance(users.senior, monday)).available_casual, before.available_casual)
+
+    const overlapping = await apply(users.senior, { start_date: tuesday, end_date: tuesday })
+    assert.equal(overlapping.status, 409)
+
+    // Only the applicant's own approver may decide
+    const byOtherLeader = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.otherLeader.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(byOtherLeader.status, 403)
+    const byEngineer = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.junior.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(byEngineer.status, 403)
+
+    const approved = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.teamLeader.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(approved.status, 200)
+
+    const afterApproval = await balance(users.senior, monday)
+    assert.equal(afterApproval.used_casual, before.used_casual + 2)
+    assert.equal(afterApproval.available_casual, before.available_casual - 2)
+
+    const requested = await api.request('POST', `/leave/request-cancellation/${applied.body.leaveId}`, {
+      token: users.senior.token,
+      body: { reason: 'Plans changed' },
+    })
+    assert.equal(requested.status, 200)
+    const cancelled = await api.request('POST', `/leave/cancellation/${applied.body.leaveId}`, {
+      token: users.teamLeader.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(cancelled.status, 200)
+    assert.equal((await balance(users.senior, monday)).available_casual, before.available_casual)
+  })
+
+  it('skips weekly offs when counting days', async () => {
+    // Saturday to the following Monday: only Sunday is a weekly off in the test calendar
+    const res = await api.request('GET', `/leave/calculate?start_date=${upcomingMonday(5)}&end_date=${upcomingMonday(7)}`, {
+      token: users.junior.token,
+    })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.days, 2)
+  })
+
+  it('sends long leaves to a second approver before debiting', async () => {
+    const monday = upcomingMonday(14)
+    const before = await balance(users.senior, monday)
+
+    const applied = await apply(users.senior, { start_date: monday, end_date: upcomingMonday(18) })
+    assert.equal(applied.status, 201)
+    assert.equal(applied.body.leaveDays, 5)
+    assert.equal(applied.body.requiredLevels, 2)
+
+    const first = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.teamLeader.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(first.status, 200)
+    assert.equal((await balance(users.senior, monday)).used_casual, before.used_casual)
+
+    const final = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.manager.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(final.status, 200)
+    assert.equal((await balance(users.senior, monday)).used_casual, before.used_casual + 5)
+  })
+
+  it('skips managers who may not approve leave when routing it', async () => {
+    // junior reports to senior, who holds no leave approval; teamLeader above them decides
+    const date = upcomingMonday(35)
+    const applied = await apply(users.junior, { start_date: date, end_date: date })
+    assert.equal(applied.status, 201)
+
+    const pending = await api.request('GET', '/leave/approvals', { token: users.teamLeader.token })
+    assert.equal(pending.status, 200)
+    assert.ok(pending.body.some((leave) => leave.id === applied.body.leaveId))
+
+    const approved = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.teamLeader.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(approved.status, 200)
+  })
+
+  it('leaves the balance alone when a leave is rejected', async () => {
+    const date = upcomingMonday(21)
+    const before = await balance(users.otherEngineer, date)
+
+    const applied = await apply(users.otherEngineer, { leave_type: 'sick', start_date: date, end_date: date })
+    const rejected = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.otherLeader.token,
+      body: { status: 'rejected', comment: 'Critical commissioning that day' },
+    })
+    assert.equal(rejected.status, 200)
+    assert.deepEqual(await balance(users.otherEngineer, date), before)
+  })
+
+  it('refuses leave beyond the available balance', async () => {
+    const res = await apply(users.junior, { leave_type: 'paid', start_date: upcomingMonday(28), end_date: upcomingMonday(28) })
+    assert.equal(res.status, 400)
+  })
+
+  it('counts leave awaiting approval against the balance', async () => {
+    const monday = upcomingMonday(42)
+    const engineer = await engineerWithCasualLeft('pendingleave', monday, 1)
+
+    assert.equal((await apply(engineer, { start_date: monday, end_date: monday })).status, 201)
+    const second = await apply(engineer, { start_date: upcomingMonday(44), end_date: upcomingMonday(44) })
+    assert.equal(second.status, 400)
+    assert.match(second.body.message, /Available: 0/)
+  })
+
+  it('refuses final approval once the balance no longer covers the leave', async () => {
+    const monday = upcomingMonday(49)
+    const engineer = await engineerWithCasualLeft('shortleave', monday, 1)
+    const applied = await apply(engineer, { start_date: monday, end_date: monday })
+    assert.equal(applied.status, 201)
+
+    // The last day is taken by something else before the leave is approved
+    await api.pool.execute('UPDATE leave_balances SET used_casual = used_casual + 1 WHERE user_id = ? AND leave_year = ?', [
+      engineer.id,
+      monday.slice(0, 4),
+    ])
+    const before = await balance(engineer, monday)
+
+    const approved = await api.request('POST', `/leave/approve/${applied.body.leaveId}`, {
+      token: users.teamLeader.token,
+      body: { status: 'approved' },
+    })
+    assert.equal(approved.status, 409)
+    assert.deepEqual(await balance(engineer, monday), before)
+    const [[leave]] = await api.pool.execute('SELECT status FROM leave_applications WHERE id = ?', [applied.body.leaveId])
+    assert.equal(leave.status, 'pending')
+  })
+
+  it('refuses date ranges longer than a leave year', async () => {
+    const res = await api.request('GET', '/leave/calculate?start_date=1000-01-01&end_date=9999-12-31', { token: users.junior.token })
+    assert.equal(res.status, 400)
+    const applied = await apply(users.junior, { start_date: upcomingMonday(), end_date: upcomingMonday(400) })
+    assert.equal(applied.status, 400)
+  })
+})
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { momPdfFilename } from '../src/utils/momPdf.js'
+import { startTestServer } from './harness.js'
+
+const mom = {
+  customerName: 'Acme Power',
+  customerPerson: 'R. Iyer',
+  custCountryCode: '+91',
+  custContact: '9876543210',
+  enggName: 'senior',
+  momDate: '06/05/2025',
+  reportingTime: '09:00',
+  momCloseTime: '18:30',
+  manHours: '09:30',
+  projectName: 'Panel Upgrade',
+  projectNo: 'PRJ/500 A',
+  observationNotes: 'Relay K2 chattering\nPLC clock drifted',
+  solutionNotes: 'Replaced K2',
+  conclusion: 'Panel back in service',
+}
+
+describe('MoM PDF', () => {
+  let api
+  let users
+  let momId
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+    const res = await api.request('POST', '/mom', { token: users.senior.token, body: mom })
+    assert.equal(res.status, 201)
+    momId = res.body.id
+  })
+
+  after(() => api?.stop())
+
+  it('names the file after the project number and MoM date', () => {
+    assert.equal(momPdfFilename({ id: 1, projectNo: 'PRJ/500 A', momDate: '06/05/2025' }), 'MoM_PRJ-500-A_2025-05-06.pdf')
+    assert.equal(momPdfFilename({ id: 1, projectName: 'Panel Upgrade', momDate: '06/05/2025' }), 'MoM_Panel-Upgrade_2025-05-06.pdf')
+    assert.equal(momPdfFilename({ id: 9 }), 'MoM_MoM-9_undated.pdf')
+  })
+
+  it('renders the MoM on the official template', async () => {
+    const res = await api.request('GET', `/mom/${momId}/pdf?download=1`, { token: users.senior.token })
+    assert.equal(res.status, 200)
+    assert.equal(res.headers.get('content-type'), 'application/pdf')
+    assert.equal(res.headers.get('content-disposition'), 'attachment; filename="MoM_PRJ-500-A_2025-05-06.pdf"')
+    assert.ok(res.body.startsWith('%PDF-'))
+  })
+
+  it('renders only for those who may view the MoM', async () => {
+    assert.equal((await api.request('GET', `/mom/${momId}/pdf`, { token: users.junior.token })).status, 403)
+    assert.equal((await api.request('GET', `/mom/${momId}/pdf`, { token: users.teamLeader.token })).status, 200)
+    assert.equal((await api.request('GET', '/mom/999999/pdf', { token: users.senior.token })).status, 404)
+    assert.equal((await api.request('GET', `/mom/${momId}/pdf`)).status, 401)
+  })
+
+  it('serves the letterhead for the preview', async () => {
+    const res = await api.request('GET', '/mom/letterhead', { token: users.junior.token })
+    assert.equal(res.status, 200)
+    assert.ok(res.body.letterhead.name)
+    assert.equal((await api.request('GET', '/mom/letterhead/logo')).status, res.body.letterhead.hasLogo ? 200 : 404)
+  })
+})
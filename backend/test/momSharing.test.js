@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+describe('MoM sending and share links', () => {
+  let api
+  let users
+  let momId
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+    const res = await api.request('POST', '/mom', {
+      token: users.senior.token,
+      body: { customerName: 'Acme Power', customerPerson: 'R. Iyer', custContact: '9876543210', projectNo: 'PRJ-700', momDate: '06/05/2025' },
+    })
+    momId = res.body.id
+    await api.pool.execute(
+      `UPDATE customer_contacts SET email = 'r.iyer@acme.example'
+        WHERE id = (SELECT customer_contact_id FROM moms WHERE id = ?)`,
+      [momId]
+    )
+  })
+
+  after(() => api?.stop())
+
+  const token = () => users.senior.token
+  const shareToken = (url) => new URL(url).searchParams.get('momShare')
+
+  it('emails the PDF to the customer contacts on file and records it', async () => {
+    const sharing = await api.request('GET', `/mom/${momId}/sharing`, { token: token() })
+    assert.deepEqual(sharing.body.recipients.map((r) => r.email), ['r.iyer@acme.example'])
+
+    const res = await api.request('POST', `/mom/${momId}/send`, { token: token(), body: { note: 'Thanks for your time' } })
+    assert.equal(res.status, 200)
+    const message = api.mail.at(-1)
+    assert.equal(message.to, 'r.iyer@acme.example')
+    assert.match(message.text, /Thanks for your time/)
+    assert.equal(message.attachments[0].filename, 'MoM_PRJ-700_2025-05-06.pdf')
+    assert.equal(message.attachments[0].content.subarray(0, 5).toString(), '%PDF-')
+
+    const { body } = await api.request('GET', `/mom/${momId}/sharing`, { token: token() })
+    assert.equal(body.events[0].event, 'emailed')
+    assert.equal(body.events[0].recipients, 'r.iyer@acme.example')
+  })
+
+  it('refuses bad addresses and people who may not see the MoM', async () => {
+    const send = (body, as = token()) => api.request('POST', `/mom/${momId}/send`, { token: as, body })
+    assert.equal((await send({ to: 'not-an-address' })).status, 400)
+    assert.equal((await send({ to: '' })).status, 400)
+    assert.equal((await send({ to: ['a@example.com'] }, users.junior.token)).status, 403)
+  })
+
+  it('opens the MoM without a login through a share link and records each view', async () => {
+    assert.equal((await api.request('POST', `/mom/${momId}/share-links`, { token: token(), body: { days: 90 } })).status, 400)
+    assert.equal((await api.request('POST', `/mom/${momId}/share-links`, { token: users.junior.token, body: {} })).status, 403)
+
+    const created = await api.request('POST', `/mom/${momId}/share-links`, { token: token(), body: { days: 3 } })
+    assert.equal(created.status, 201)
+    const shared = await api.request('GET', `/mom/shared/${shareToken(created.body.link.url)}`)
+    assert.equal(shared.status, 200)
+    assert.equal(shared.headers.get('content-type'), 'application/pdf')
+    assert.ok(shared.body.startsWith('%PDF-'))
+
+    const { body } = await api.request('GET', `/mom/${momId}/sharing`, { token: token() })
+    assert.equal(body.links[0].views, 1)
+    assert.equal(body.links[0].active, true)
+    assert.equal(body.events[0].event, 'link_viewed')
+  })
+
+  it('stops working once revoked or expired', async () => {
+    assert.equal((await api.request('GET', '/mom/shared/no-such-token')).status, 404)
+
+    const revoked = (await api.request('POST', `/mom/${momId}/share-links`, { token: token(), body: {} })).body.link
+    assert.equal((await api.request('DELETE', `/mom/${momId}/share-links/${revoked.id}`, { token: token() })).status, 200)
+    assert.equal((await api.request('GET', `/mom/shared/${shareToken(revoked.url)}`)).status, 410)
+
+    const expired = (await api.request('POST', `/mom/${momId}/share-links`, { token: token(), body: { days: 1 } })).body.link
+    await api.pool.execute('UPDATE mom_share_links SET expires_at = NOW() - INTERVAL 1 MINUTE WHERE id = ?', [expired.id])
+    assert.equal((await api.request('GET', `/mom/shared/${shareToken(expired.url)}`)).status, 410)
+  })
+})
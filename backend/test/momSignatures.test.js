@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+// A 1x1 PNG, as the signature pad would send
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+)
+
+const signatureForm = (fields, bytes = PNG) => {
+  const form = new FormData()
+  Object.entries(fields).forEach(([name, value]) => form.append(name, String(value)))
+  form.append('signature', new Blob([bytes], { type: 'image/png' }), 'signature.png')
+  return form
+}
+
+describe('MoM signatures', () => {
+  let api
+  let users
+  let momId
+  let unsignedId
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+    const body = { customerName: 'Acme Power', customerPerson: 'R. Iyer', enggName: 'senior', momDate: '06/05/2025' }
+    momId = (await api.request('POST', '/mom', { token: users.senior.token, body })).body.id
+    unsignedId = (await api.request('POST', '/mom', { token: users.senior.token, body })).body.id
+  })
+
+  after(() => api?.stop())
+
+  it('refuses signatures that are not a PNG, have no signer or an odd location', async () => {
+    const sign = (fields, bytes) =>
+      api.request('POST', `/mom/${momId}/signatures`, { token: users.senior.token, form: signatureForm(fields, bytes) })
+    assert.equal((await sign({ role: 'engineer', signerName: 'senior' }, Buffer.from('%PDF-1.7'))).status, 400)
+    assert.equal((await sign({ role: 'engineer', signerName: ' ' })).status, 400)
+    assert.equal((await sign({ role: 'witness', signerName: 'senior' })).status, 400)
+    assert.equal((await sign({ role: 'engineer', signerName: 'senior', latitude: 18.5 })).status, 400)
+    assert.equal((await sign({ role: 'engineer', signerName: 'senior', latitude: 95, longitude: 73 })).status, 400)
+  })
+
+  it('only lets those who may touch the MoM sign it', async () => {
+    const form = signatureForm({ role: 'engineer', signerName: 'junior' })
+    assert.equal((await api.request('POST', `/mom/${momId}/signatures`, { token: users.junior.token, form })).status, 403)
+  })
+
+  it('stores who signed, when and where, and locks the MoM', async () => {
+    const res = await api.request('POST', `/mom/${momId}/signatures`, {
+      token: users.senior.token,
+      form: signatureForm({ role: 'engineer', signerName: 'senior', latitude: 18.5204, longitude: 73.8567, accuracy: 12 }),
+    })
+    assert.equal(res.status, 201)
+    assert.equal(res.body.signature.signerName, 'senior')
+    assert.equal(Number(res.body.signature.latitude), 18.5204)
+    assert.ok(res.body.signature.signedAt)
+    assert.ok(res.body.mom.lockedAt)
+
+    const image = await api.request('GET', `/files/${res.body.signature.fileId}`, { token: users.teamLeader.token })
+    assert.equal(image.status, 200)
+    assert.equal(image.headers.get('content-type'), 'image/png')
+
+    const edit = await api.request('PUT', `/mom/${momId}`, { token: users.senior.token, body: { customerName: 'Other' } })
+    assert.equal(edit.status, 409)
+    assert.equal((await api.request('DELETE', `/mom/${momId}`, { token: users.senior.token })).status, 409)
+  })
+
+  it('takes one signature per role and prints both on the PDF', async () => {
+    const again = signatureForm({ role: 'engineer', signerName: 'senior' })
+    assert.equal((await api.request('POST', `/mom/${momId}/signatures`, { token: users.senior.token, form: again })).status, 409)
+
+    const customer = signatureForm({ role: 'customer', signerName: 'R. Iyer' })
+    assert.equal((await api.request('POST', `/mom/${momId}/signatures`, { token: users.senior.token, form: customer })).status, 201)
+
+    const { body } = await api.request('GET', `/mom/${momId}`, { token: users.senior.token })
+    assert.deepEqual(body.mom.signatures.map((s) => [s.role, s.signerName]), [['engineer', 'senior'], ['customer', 'R. Iyer']])
+
+    const images = async (id) => {
+      const pdf = await api.request('GET', `/mom/${id}/pdf`, { token: users.senior.token })
+      assert.equal(pdf.status, 200)
+      return pdf.body.split('/Subtype /Image').length
+    }
+    assert.ok((await images(momId)) > (await images(unsignedId)))
+  })
+})
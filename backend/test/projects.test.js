@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+const hourlyReport = (projectName, overrides = {}) => ({
+  reportDate: '2025-03-05',
+  timePeriod: '9am-10am',
+  projectName,
+  dailyTarget: 'Cable laying',
+  hourlyActivity: 'Laid cable trays',
+  ...overrides,
+})
+
+describe('projects', () => {
+  let api
+  let users
+
+  const projectIdOf = async (table, id) => {
+    const [rows] = await api.pool.execute(`SELECT project_id FROM ${table} WHERE id = ?`, [id])
+    return rows[0].project_id
+  }
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+  })
+
+  after(() => api?.stop())
+
+  it('lets only projects.manage holders create projects, and rejects duplicate numbers', async () => {
+    const body = { project_no: 'PRJ-200', name: 'Substation Alpha', customer_name: 'Acme Power' }
+
+    const byEngineer = await api.request('POST', '/projects', { token: users.junior.token, body })
+    assert.equal(byEngineer.status, 403)
+
+    const created = await api.request('POST', '/projects', { token: users.teamLeader.token, body })
+    assert.equal(created.status, 201)
+    assert.equal(created.body.project.customer_name, 'Acme Power')
+
+    const duplicate = await api.request('POST', '/projects', { token: users.manager.token, body })
+    assert.equal(duplicate.status, 409)
+
+    const badDates = await api.request('POST', '/projects', {
+      token: users.manager.token,
+      body: { project_no: 'PRJ-201', name: 'Backwards', start_date: '2025-05-01', end_date: '2025-04-01' },
+    })
+    assert.equal(badDates.status, 400)
+  })
+
+  it('finds projects by number, name or customer for every signed-in user', async () => {
+    for (const q of ['prj-200', 'alpha', 'acme']) {
+      const res = await api.request('GET', `/projects?q=${q}`, { token: users.junior.token })
+      assert.equal(res.status, 200)
+      assert.deepEqual(
+        res.body.projects.map((p) => p.project_no),
+        ['PRJ-200']
+      )
+    }
+  })
+
+  it('links reports to the picked project, or to one whose number matches the typed text', async () => {
+    const { body } = await api.request('GET', '/projects?q=PRJ-200', { token: users.junior.token })
+    const projectId = body.projects[0].id
+
+    const typed = await api.request('POST', '/hourly-report', { token: users.junior.token, body: hourlyReport(' prj-200 ') })
+    assert.equal(typed.status, 201)
+    assert.equal(await projectIdOf('hourly_reports', typed.body.id), projectId)
+
+    const picked = await api.request('POST', '/hourly-report', {
+      token: users.junior.token,
+      body: hourlyReport('Alpha site', { timePeriod: '10am-11am', projectId }),
+    })
+    assert.equal(picked.status, 201)
+    assert.equal(await projectIdOf('hourly_reports', picked.body.id), projectId)
+
+    const unknown = await api.request('POST', '/hourly-report', {
+      token: users.junior.token,
+      body: hourlyReport('PRJ-200', { timePeriod: '11am-12pm', projectId: 999999 }),
+    })
+    assert.equal(unknown.status, 400)
+  })
+
+  it('reconciles free-text values typed before the project existed', async () => {
+    const early = await api.request('POST', '/hourly-report', { token: users.senior.token, body: hourlyReport('Grid Bay 4') })
+    const typo = await api.request('POST', '/hourly-report', {
+      token: users.senior.token,
+      body: hourlyReport('Grid Bay-4', { timePeriod: '10am-11am' }),
+    })
+    assert.equal(await projectIdOf('hourly_reports', early.body.id), null)
+
+    const created = await api.request('POST', '/projects', {
+      token: users.manager.token,
+      body: { project_no: 'PRJ-300', name: 'Grid Bay 4' },
+    })
+    assert.equal(created.status, 201)
+    assert.equal(created.body.linked, 1)
+    assert.equal(await projectIdOf('hourly_reports', early.body.id), created.body.project.id)
+
+    const unmatched = await api.request('GET', '/projects/unmatched', { token: users.manager.token })
+    assert.ok(unmatched.body.unmatched.some((entry) => entry.value === 'Grid Bay-4'))
+
+    const reconciled = await api.request('POST', '/projects/reconcile', {
+      token: users.manager.token,
+      body: { value: 'Grid Bay-4', projectId: created.body.project.id },
+    })
+    assert.equal(reconciled.status, 200)
+    assert.equal(await projectIdOf('hourly_reports', typo.body.id), created.body.project.id)
+
+    // The project now has reports, so it can only be closed
+    const deleted = await api.request('DELETE', `/projects/${created.body.project.id}`, { token: users.manager.token })
+    assert.equal(deleted.status, 409)
+    const closed = await api.request('PATCH', `/projects/${created.body.project.id}`, {
+      token: users.manager.token,
+      body: { status: 'closed' },
+    })
+    assert.equal(closed.status, 200)
+    assert.equal(closed.body.project.status, 'closed')
+  })
+})
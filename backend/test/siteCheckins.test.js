@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { startTestServer } from './harness.js'
+
+// The site fence: about 110 m north of its centre is inside a 150 m fence, 1.1 km is not
+const SITE = { lat: 18.5204, lng: 73.8567 }
+const NEAR = { latitude: 18.5214, longitude: 73.8567, accuracy: 15 }
+const FAR = { latitude: 18.5304, longitude: 73.8567, accuracy: 15 }
+
+// Today as the server counts it (local time)
+const localToday = () => {
+  const now = new Date()
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10)
+}
+
+const siteReport = (overrides = {}) => ({
+  reportDate: localToday(),
+  customerName: 'Acme Power',
+  customerPerson: 'R. Iyer',
+  customerContact: '9876543210',
+  endCustomerName: 'Grid Co',
+  endCustomerPerson: 'S. Rao',
+  endCustomerContact: '9123456780',
+  projectNo: 'PRJ-400',
+  locationType: 'site',
+  dailyTargetPlanned: 'Panel testing',
+  dailyTargetAchieved: 'Panel tested',
+  incharge: 'teamLeader',
+  ...overrides,
+})
+
+describe('site check-ins', () => {
+  let api
+  let users
+
+  before(async () => {
+    api = await startTestServer()
+    users = await api.seedOrganisation()
+    const project = await api.request('POST', '/projects', {
+      token: users.manager.token,
+      body: {
+        project_no: 'PRJ-400',
+        name: 'Substation Beta',
+        location_lat: SITE.lat,
+        location_lng: SITE.lng,
+        geofence_radius_m: 150,
+      },
+    })
+    assert.equal(project.status, 201)
+    const deployed = await api.request('POST', '/deployments', {
+      token: users.teamLeader.token,
+      body: { userId: users.senior.id, projectId: project.body.project.id, startDate: localToday(), endDate: localToday() },
+    })
+    assert.equal(deployed.status, 201)
+  })
+
+  after(() => api?.stop())
+
+  it("checks engineers in against their deployment's fence and flags readings outside it", async () => {
+    const checkIn = await api.request('POST', '/site-checkins/check-in', { token: users.senior.token, body: NEAR })
+    assert.equal(checkIn.status, 201)
+    assert.equal(checkIn.body.checkin.project_no, 'PRJ-400')
+    assert.equal(checkIn.body.checkin.outside_fence, 0)
+    assert.equal(checkIn.body.checkin.fence_radius_m, 150)
+
+    const again = await api.request('POST', '/site-checkins/check-in', { token: users.senior.token, body: NEAR })
+    assert.equal(again.status, 409)
+
+    const checkOut = await api.request('POST', '/site-checkins/check-out', { token: users.senior.token, body: FAR })
+    assert.equal(checkOut.status, 201)
+    assert.equal(checkOut.body.checkin.outside_fence, 1)
+    assert.match(checkOut.body.message, /flagged/)
+    assert.equal(checkOut.body.attendance.checkedIn, false)
+
+    const noLocation = await api.request('POST', '/site-checkins/check-in', { token: users.junior.token, body: {} })
+    assert.equal(noLocation.status, 400)
+  })
+
+  it('takes site report in and out times from the check-ins', async () => {
+    const { body: attendance } = await api.request('GET', '/site-checkins', { token: users.senior.token })
+
+    const res = await api.request('POST', '/daily-target', {
+      token: users.senior.token,
+      body: siteReport({ inTime: '06:00', outTime: '23:00' }),
+    })
+    assert.equal(res.status, 201)
+    const [rows] = await api.pool.execute(
+      'SELECT in_time, out_time, location_lat FROM daily_target_reports WHERE id = ?',
+      [res.body.id]
+    )
+    assert.equal(String(rows[0].in_time).slice(0, 5), attendance.inTime)
+    assert.equal(String(rows[0].out_time).slice(0, 5), attendance.outTime)
+    assert.equal(Number(rows[0].location_lat), NEAR.latitude)
+
+    const unchecked = await api.request('POST', '/daily-target', { token: users.junior.token, body: siteReport() })
+    assert.equal(unchecked.status, 400)
+    assert.match(unchecked.body.message, /Check in/)
+  })
+
+  it("shows an engineer's check-ins to those who can see their reports", async () => {
+    const path = `/site-checkins?userId=${users.senior.id}`
+    assert.equal((await api.request('GET', path, { token: users.junior.token })).status, 403)
+
+    const res = await api.request('GET', path, { token: users.teamLeader.token })
+    assert.equal(res.status, 200)
+    assert.deepEqual(
+      res.body.events.map((e) => e.event),
+      ['check_in', 'check_out']
+    )
+  })
+})
@@ -5,12 +5,23 @@ import HourlyReportForm from './components/HourlyReportForm'
 import DailyTargetForm from './components/DailyTargetForm'
 import ActivityDisplay from './components/ActivityDisplay'
 import CreateMoM from './components/CreateMoM'
+import LeaveManagement from './components/LeaveManagement'
+import LeaveApprovals from './components/LeaveApprovals'
+import ChangePassword from './components/ChangePassword'
+import UserManagement from './components/UserManagement'
+import MyProfile from './components/MyProfile'
+import EmployeeDirectory from './components/EmployeeDirectory'
+import OrgChart from './components/OrgChart'
+import ProjectManagement from './components/ProjectManagement'
+import CustomerDirectory from './components/CustomerDirectory'
+import DeploymentPlanner from './components/DeploymentPlanner'
+import SharedMoM from './components/SharedMoM'
 import { AuthProvider, useAuth } from './components/AuthContext'
 import './App.css'
 import './index.css'
 
 function Content() {
-  const { user, logout } = useAuth()
+  const { user, logout, logoutAll } = useAuth()
   const [currentPage, setCurrentPage] = useState('hourly')
 
   return (
@@ -24,6 +35,9 @@ function Content() {
               <button type="button" onClick={logout}>
                 Logout
               </button>
+              <button type="button" onClick={logoutAll} title="End your sessions on every browser and device">
+                Logout all devices
+              </button>
             </>
           ) : (
             <span>Please login or register to continue</span>
@@ -38,6 +52,26 @@ function Content() {
             <ActivityDisplay />
           ) : currentPage === 'create-mom' ? (
             <CreateMoM />
+          ) : currentPage === 'leave' ? (
+            <LeaveManagement />
+          ) : currentPage === 'leave-approvals' ? (
+            <LeaveApprovals />
+          ) : currentPage === 'change-password' ? (
+            <ChangePassword />
+          ) : currentPage === 'users' ? (
+            <UserManagement />
+          ) : currentPage === 'profile' ? (
+            <MyProfile />
+          ) : currentPage === 'directory' ? (
+            <EmployeeDirectory />
+          ) : currentPage === 'org-chart' ? (
+            <OrgChart />
+          ) : currentPage === 'projects' ? (
+            <ProjectManagement />
+          ) : currentPage === 'customers' ? (
+            <CustomerDirectory />
+          ) : currentPage === 'deployments' ? (
+            <DeploymentPlanner />
           ) : (
             <HourlyReportForm />
           )
@@ -49,7 +83,13 @@ function Content() {
   )
 }
 
+// A MoM share link (?momShare=<token>) opens the MoM on its own, without the app or a login
+const momShareToken = new URLSearchParams(window.location.search).get('momShare')
+
 function App() {
+  if (momShareToken) {
+    return <SharedMoM shareToken={momShareToken} />
+  }
   return (
     <AuthProvider>
       <Content />
@@ -1,42 +1,31 @@
-import { useState, useEffect, useMemo } from 'react'
+import { Fragment, useCallback, useState, useEffect, useMemo } from 'react'
 import { useAuth } from './AuthContext'
+import OrgChart from './OrgChart'
+import AttachmentGallery from './AttachmentGallery'
+import { openFile } from '../utils/files'
 import './OnboardingForm.css'
 
 export default function ActivityDisplay() {
   const { token, user } = useAuth()
   const [activities, setActivities] = useState([])
   const [summary, setSummary] = useState(null)
-  const [subordinates, setSubordinates] = useState([])
-  const [employees, setEmployees] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [page, setPage] = useState(1)
   const [viewMode, setViewMode] = useState('table') // 'cards' or 'table'
   const [absentees, setAbsentees] = useState([])
   const [myAbsent, setMyAbsent] = useState(null)
+  const [onLeave, setOnLeave] = useState([])
+  const [myOnLeave, setMyOnLeave] = useState(false)
+  // Row whose attachment gallery is expanded, as `${reportType}-${id}`
+  const [openGallery, setOpenGallery] = useState(null)
 
   const endpoint = useMemo(
     () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/employee-activity') ?? 'http://localhost:5000/api/employee-activity',
     []
   )
 
-  useEffect(() => {
-    if (!user || !token) return
-    fetchActivities()
-    fetchSummary()
-    fetchAbsentees()
-
-    if (user.role && user.role.toLowerCase().includes('senior')) {
-      fetchSubordinates()
-    }
-
-    if (user.role && user.role.toLowerCase().includes('group')) {
-      fetchEmployees()
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [page, user, token])
-
-  const fetchAbsentees = async () => {
+  const fetchAbsentees = useCallback(async () => {
     try {
       if (!token) return
       const date = new Date().toISOString().slice(0, 10)
@@ -46,17 +35,20 @@ export default function ActivityDisplay() {
       // Manager-like response: { date, absentees: [...] }
       if (data.absentees) {
         setAbsentees(data.absentees || [])
+        setOnLeave(data.onLeave || [])
         setMyAbsent(null)
       } else if (typeof data.absent !== 'undefined') {
         setMyAbsent(Boolean(data.absent))
+        setMyOnLeave(Boolean(data.onLeave))
         setAbsentees([])
+        setOnLeave([])
       }
     } catch (err) {
       console.error('Failed to fetch absentees', err)
     }
-  }
+  }, [endpoint, token])
 
-  const fetchActivities = async () => {
+  const fetchActivities = useCallback(async () => {
     try {
       setLoading(true)
       setError(null)
@@ -80,9 +72,9 @@ export default function ActivityDisplay() {
     } finally {
       setLoading(false)
     }
-  }
+  }, [endpoint, page, token])
 
-  const fetchSummary = async () => {
+  const fetchSummary = useCallback(async () => {
     try {
       if (!token) return
       const res = await fetch(`${endpoint}/summary`, { headers: { Authorization: `Bearer ${token}` } })
@@ -92,32 +84,51 @@ export default function ActivityDisplay() {
     } catch (err) {
       console.error('Failed to fetch summary', err)
     }
-  }
+  }, [endpoint, token])
 
-  const fetchSubordinates = async () => {
+  useEffect(() => {
+    if (!user || !token) return
+    fetchActivities()
+    fetchSummary()
+    fetchAbsentees()
+  }, [user, token, fetchActivities, fetchSummary, fetchAbsentees])
+
+  const handleOpenFile = async (fileId) => {
     try {
-      if (!token) return
-      const res = await fetch(`${endpoint}/subordinates`, { headers: { Authorization: `Bearer ${token}` } })
-      if (!res.ok) return
-      const data = await res.json()
-      setSubordinates(data.subordinates || [])
+      await openFile(fileId, token)
     } catch (err) {
-      console.error('Failed to fetch subordinates', err)
+      setError(err.message)
     }
   }
 
-  const fetchEmployees = async () => {
-    try {
-      if (!token) return
-      const res = await fetch(`${endpoint}/employees`, { headers: { Authorization: `Bearer ${token}` } })
-      if (!res.ok) return
-      const data = await res.json()
-      setEmployees(data.employees || [])
-    } catch (err) {
-      console.error('Failed to fetch employees', err)
-    }
+  const cell = { padding: '0.6rem', border: '1px solid #eef3f7' }
+
+  const renderEvidenceCell = (a) => {
+    const key = `${a.reportType}-${a.id}`
+    return (
+      <td style={cell}>
+        {Number(a.attachmentCount) > 0 ? (
+          <button
+            type="button"
+            onClick={() => setOpenGallery(openGallery === key ? null : key)}
+            style={{ padding: '0.25rem 0.5rem', borderRadius: '6px', border: '1px solid #e0e0e0', background: openGallery === key ? '#e8f8ff' : '#fff', cursor: 'pointer' }}
+          >
+            🖼️ {a.attachmentCount}
+          </button>
+        ) : '-'}
+      </td>
+    )
   }
 
+  const renderGalleryRow = (a, columns) =>
+    openGallery === `${a.reportType}-${a.id}` && (
+      <tr>
+        <td colSpan={columns} style={{ ...cell, background: '#f8fbfd' }}>
+          <AttachmentGallery reportType={a.reportType} reportId={a.id} />
+        </td>
+      </tr>
+    )
+
   const formatDate = (d) => {
     if (!d) return 'N/A'
     try {
@@ -153,6 +164,11 @@ export default function ActivityDisplay() {
                   <strong>Active Employees:</strong> {summary.activeEmployees}
                 </span>
               )}
+              {(user?.role === 'Manager' || user?.role === 'Team Leader') && summary.onLeaveToday > 0 && (
+                <span style={{ marginLeft: '1rem' }}>
+                  <strong>On Leave Today:</strong> {summary.onLeaveToday}
+                </span>
+              )}
             </p>
           )}
 
@@ -173,32 +189,10 @@ export default function ActivityDisplay() {
         </div>
       )}
 
-      {user?.role && user.role.toLowerCase().includes('senior') && subordinates.length > 0 && (
-        <div style={{ background: '#f0f9ff', border: '1px solid #2ad1ff', borderRadius: '12px', padding: '1rem', marginBottom: '1.5rem' }}>
-          <h3 style={{ margin: '0 0 1rem 0', color: '#092544' }}>Your Team (Junior Assistants)</h3>
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '1rem' }}>
-            {subordinates.map((emp) => (
-              <div key={emp.id} style={{ background: 'white', border: '1px solid #d5e0f2', borderRadius: '8px', padding: '0.75rem', textAlign: 'center' }}>
-                <p style={{ margin: '0 0 0.5rem 0', fontWeight: 'bold', color: '#092544' }}>{emp.username}</p>
-                <p style={{ margin: '0', fontSize: '0.85rem', color: '#666' }}>{emp.role}</p>
-              </div>
-            ))}
-          </div>
-        </div>
-      )}
-
-      {user?.role && user.role.toLowerCase().includes('group') && employees.length > 0 && (
-        <div style={{ background: '#f9f0ff', border: '1px solid #d084d0', borderRadius: '12px', padding: '1rem', marginBottom: '1.5rem' }}>
-          <h3 style={{ margin: '0 0 1rem 0', color: '#6b2d5f' }}>Organization Structure</h3>
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '1rem' }}>
-            {employees.map((emp) => (
-              <div key={emp.id} style={{ background: 'white', border: `2px solid ${emp.role === 'Senior Assistant' ? '#ff9800' : emp.role === 'Junior Assistant' ? '#2196f3' : '#4caf50'}`, borderRadius: '8px', padding: '0.75rem' }}>
-                <p style={{ margin: '0 0 0.5rem 0', fontWeight: 'bold', color: '#092544' }}>{emp.username}</p>
-                <p style={{ margin: '0', fontSize: '0.85rem', color: '#666' }}>{emp.role}</p>
-              </div>
-            ))}
-          </div>
-        </div>
+      {user?.permissions?.includes('activity.view_all') ? (
+        <OrgChart embedded />
+      ) : (
+        user?.permissions?.includes('team.view') && <OrgChart root="me" embedded />
       )}
 
       <div style={{ marginTop: '1.5rem' }}>
@@ -223,11 +217,28 @@ export default function ActivityDisplay() {
                 </div>
               )}
 
-              {myAbsent !== null && (
-                <div style={{ background: myAbsent ? '#fff4f4' : '#f4fff6', border: myAbsent ? '1px solid #ffb4b4' : '1px solid #bdecbc', padding: '0.5rem', borderRadius: '6px', marginBottom: '0.5rem' }}>
-                  {myAbsent ? <strong>You have not submitted today's daily target (Absent)</strong> : <strong>You have submitted today's daily target</strong>}
+              {onLeave && onLeave.length > 0 && (
+                <div style={{ background: '#fff8e6', border: '1px solid #ffe08a', padding: '0.75rem', borderRadius: '8px', marginBottom: '0.75rem' }}>
+                  <strong>On Leave ({onLeave.length}):</strong>
+                  <div style={{ marginTop: '0.5rem', display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    {onLeave.map((a) => (
+                      <span key={a.id} style={{ padding: '0.25rem 0.5rem', background: '#fff', border: '1px solid #ffe9b3', borderRadius: '6px' }}>{a.username} <small style={{ color: '#666', marginLeft: '0.25rem' }}>{a.role}</small></span>
+                    ))}
+                  </div>
                 </div>
               )}
+
+              {myAbsent !== null && (
+                myOnLeave ? (
+                  <div style={{ background: '#fff8e6', border: '1px solid #ffe08a', padding: '0.5rem', borderRadius: '6px', marginBottom: '0.5rem' }}>
+                    <strong>You are on approved leave today</strong>
+                  </div>
+                ) : (
+                  <div style={{ background: myAbsent ? '#fff4f4' : '#f4fff6', border: myAbsent ? '1px solid #ffb4b4' : '1px solid #bdecbc', padding: '0.5rem', borderRadius: '6px', marginBottom: '0.5rem' }}>
+                    {myAbsent ? <strong>You have not submitted today's daily target (Absent)</strong> : <strong>You have submitted today's daily target</strong>}
+                  </div>
+                )
+              )}
             </div>
 
             {/* Daily Reports Table */}
@@ -244,21 +255,38 @@ export default function ActivityDisplay() {
                       <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Location</th>
                       <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Activity / Target</th>
                       <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Problem</th>
+                      <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>MoM</th>
+                      <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Evidence</th>
                       <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Logged At</th>
                     </tr>
                   </thead>
                   <tbody>
                     {activities.filter(a => a.reportType === 'daily').map((a) => (
-                      <tr key={`daily-${a.id}`}>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.username || 'N/A'}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.reportDate)}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{(a.inTime || '') + (a.outTime ? ` - ${a.outTime}` : '')}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.projectNo || 'N/A'}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.locationType || '-'}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(a.dailyTargetAchieved || '').substring(0,120)}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(a.problemFaced || '').substring(0,120)}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.createdAt)}</td>
-                      </tr>
+                      <Fragment key={`daily-${a.id}`}>
+                        <tr>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.username || 'N/A'}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.reportDate)}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{(a.inTime || '') + (a.outTime ? ` - ${a.outTime}` : '')}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.projectNo || 'N/A'}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.locationType || '-'}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(a.dailyTargetAchieved || '').substring(0,120)}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(a.problemFaced || '').substring(0,120)}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>
+                            {a.momFileId ? (
+                              <button
+                                type="button"
+                                onClick={() => handleOpenFile(a.momFileId)}
+                                style={{ padding: '0.25rem 0.5rem', borderRadius: '6px', border: '1px solid #e0e0e0', background: '#fff', cursor: 'pointer' }}
+                              >
+                                📄 Open
+                              </button>
+                            ) : '-'}
+                          </td>
+                          {renderEvidenceCell(a)}
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.createdAt)}</td>
+                        </tr>
+                        {renderGalleryRow(a, 10)}
+                      </Fragment>
                     ))}
                   </tbody>
                 </table>
@@ -277,19 +305,24 @@ export default function ActivityDisplay() {
                       <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Activity</th>
                       <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Project</th>
                       <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Problem</th>
+                      <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Evidence</th>
                       <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Logged At</th>
                     </tr>
                   </thead>
                   <tbody>
                     {activities.filter(a => a.reportType === 'hourly').map((a) => (
-                      <tr key={`hourly-${a.id}`}>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.username || 'N/A'}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.reportDate)}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(a.dailyTargetAchieved || '').substring(0,120)}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.projectNo || 'N/A'}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(a.problemFaced || '').substring(0,120)}</td>
-                        <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.createdAt)}</td>
-                      </tr>
+                      <Fragment key={`hourly-${a.id}`}>
+                        <tr>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.username || 'N/A'}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.reportDate)}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(a.dailyTargetAchieved || '').substring(0,120)}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{a.projectNo || 'N/A'}</td>
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(a.problemFaced || '').substring(0,120)}</td>
+                          {renderEvidenceCell(a)}
+                          <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.createdAt)}</td>
+                        </tr>
+                        {renderGalleryRow(a, 7)}
+                      </Fragment>
                     ))}
                   </tbody>
                 </table>
@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react'
+import { useAuth } from './AuthContext'
+import AttachmentPicker from './AttachmentPicker'
+import { ATTACHMENT_ICONS, fetchAttachments, removeAttachment, uploadAttachments } from '../utils/attachments'
+import { fetchFileUrl, openFile } from '../utils/files'
+
+// Thumbnail tile for one attachment. Thumbnails need the bearer token, so they are fetched as
+// blobs and released when the tile goes away.
+function AttachmentTile({ attachment, canRemove, onOpen, onRemove }) {
+  const { token } = useAuth()
+  const [thumbnailUrl, setThumbnailUrl] = useState(null)
+
+  useEffect(() => {
+    if (!attachment.thumbnail_file_id) return
+    let url = null
+    let cancelled = false
+    fetchFileUrl(attachment.thumbnail_file_id, token)
+      .then((objectUrl) => {
+        url = objectUrl
+        if (cancelled) URL.revokeObjectURL(objectUrl)
+        else setThumbnailUrl(objectUrl)
+      })
+      .catch(() => {})
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [attachment.thumbnail_file_id, token])
+
+  return (
+    <figure style={{ margin: 0, width: '140px', background: 'white', border: '1px solid #d5e0f2', borderRadius: '10px', overflow: 'hidden', position: 'relative' }}>
+      <button
+        type="button"
+        onClick={() => onOpen(attachment)}
+        title={attachment.original_name}
+        style={{ display: 'block', width: '100%', height: '100px', padding: 0, border: 'none', background: '#f3f6f9', cursor: 'pointer', position: 'relative' }}
+      >
+        {thumbnailUrl ? (
+          <img src={thumbnailUrl} alt={attachment.caption || attachment.original_name} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+        ) : (
+          <span style={{ fontSize: '2rem' }}>{ATTACHMENT_ICONS[attachment.kind]}</span>
+        )}
+        {attachment.kind === 'video' && thumbnailUrl && (
+          <span style={{ position: 'absolute', bottom: '4px', left: '6px', fontSize: '1rem' }}>▶️</span>
+        )}
+      </button>
+      <figcaption style={{ padding: '0.35rem 0.5rem', fontSize: '0.75rem', color: '#4a5972', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+        {attachment.caption || attachment.original_name}
+      </figcaption>
+      {canRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(attachment)}
+          title="Remove"
+          style={{ position: 'absolute', top: '4px', right: '4px', padding: '0.1rem 0.4rem', border: '1px solid #e0e0e0', borderRadius: '6px', background: '#fff', cursor: 'pointer', fontSize: '0.75rem' }}
+        >
+          ✕
+        </button>
+      )}
+    </figure>
+  )
+}
+
+// Photos, videos and documents attached to a report. With `canEdit` the viewer may add more and
+// remove existing ones. `onCountChange` hears the number of attachments after every change.
+function AttachmentGallery({ reportType, reportId, canEdit = false, onCountChange }) {
+  const { token } = useAuth()
+  const [attachments, setAttachments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [pending, setPending] = useState([])
+  const [uploading, setUploading] = useState(false)
+  const [error, setError] = useState('')
+
+  const update = (next) => {
+    setAttachments(next)
+    onCountChange?.(next.length)
+  }
+
+  useEffect(() => {
+    if (!token || !reportId) return
+    setLoading(true)
+    fetchAttachments(reportType, reportId, token)
+      .then(setAttachments)
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false))
+  }, [reportType, reportId, token])
+
+  const handleOpen = (attachment) => openFile(attachment.file_id, token).catch((err) => setError(err.message))
+
+  const handleRemove = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.original_name}?`)) return
+    try {
+      await removeAttachment(attachment.id, token)
+      update(attachments.filter((a) => a.id !== attachment.id))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleUpload = async () => {
+    setUploading(true)
+    setError('')
+    try {
+      const added = await uploadAttachments(reportType, reportId, pending, token)
+      update([...attachments, ...added])
+      setPending([])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  return (
+    <div>
+      {error && <p style={{ color: '#c62828', margin: '0 0 0.5rem', fontSize: '0.85rem' }}>{error}</p>}
+      {loading ? (
+        <p style={{ margin: 0, color: '#8892aa', fontSize: '0.85rem' }}>Loading attachments…</p>
+      ) : attachments.length === 0 ? (
+        <p style={{ margin: 0, color: '#8892aa', fontSize: '0.85rem' }}>No photos or documents attached.</p>
+      ) : (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.6rem' }}>
+          {attachments.map((attachment) => (
+            <AttachmentTile
+              key={attachment.id}
+              attachment={attachment}
+              canRemove={canEdit}
+              onOpen={handleOpen}
+              onRemove={handleRemove}
+            />
+          ))}
+        </div>
+      )}
+      {canEdit && (
+        <div style={{ marginTop: '0.75rem' }}>
+          <AttachmentPicker items={pending} onChange={setPending} disabled={uploading} />
+          {pending.length > 0 && (
+            <button
+              type="button"
+              onClick={handleUpload}
+              disabled={uploading}
+              style={{ marginTop: '0.5rem', padding: '0.4rem 0.9rem', background: '#2ad1ff', color: 'white', border: 'none', borderRadius: '8px', cursor: 'pointer', fontSize: '0.85rem' }}
+            >
+              {uploading ? 'Uploading…' : `Upload ${pending.length} file${pending.length === 1 ? '' : 's'}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AttachmentGallery
@@ -0,0 +1,67 @@
+import { ATTACHMENT_ACCEPT, ATTACHMENT_ICONS } from '../utils/attachments'
+
+const kindOf = (mimeType = '') =>
+  mimeType.startsWith('image/') ? 'image' : mimeType.startsWith('video/') ? 'video' : 'document'
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`
+
+// Chooses photos, videos and documents to attach, each with an optional caption. `items` is the
+// list of { file, caption } the parent uploads once the report is saved.
+function AttachmentPicker({ items, onChange, disabled = false }) {
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || [])
+    onChange([...items, ...files.map((file) => ({ file, caption: '' }))])
+    e.target.value = ''
+  }
+
+  const setCaption = (index, caption) =>
+    onChange(items.map((item, i) => (i === index ? { ...item, caption } : item)))
+
+  return (
+    <div>
+      <input
+        type="file"
+        multiple
+        accept={ATTACHMENT_ACCEPT}
+        onChange={handleFiles}
+        disabled={disabled}
+        style={{ padding: '0.5rem' }}
+      />
+      {items.length > 0 && (
+        <ul style={{ listStyle: 'none', padding: 0, margin: '0.5rem 0 0', display: 'grid', gap: '0.4rem' }}>
+          {items.map((item, i) => (
+            <li
+              key={`${item.file.name}-${i}`}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', background: 'white', border: '1px solid #d5e0f2', borderRadius: '8px', padding: '0.4rem 0.6rem' }}
+            >
+              <span>{ATTACHMENT_ICONS[kindOf(item.file.type)]}</span>
+              <span style={{ flex: '0 1 40%', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', fontSize: '0.85rem', color: '#092544' }}>
+                {item.file.name} <small style={{ color: '#8892aa' }}>({formatSize(item.file.size)})</small>
+              </span>
+              <input
+                type="text"
+                placeholder="Caption (optional)"
+                maxLength={255}
+                value={item.caption}
+                onChange={(e) => setCaption(i, e.target.value)}
+                disabled={disabled}
+                style={{ flex: 1, padding: '0.3rem 0.5rem' }}
+              />
+              <button
+                type="button"
+                onClick={() => onChange(items.filter((_item, j) => j !== i))}
+                disabled={disabled}
+                style={{ padding: '0.2rem 0.5rem', border: '1px solid #e0e0e0', borderRadius: '6px', background: '#fff', cursor: 'pointer' }}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default AttachmentPicker
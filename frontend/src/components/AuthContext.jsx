@@ -1,10 +1,15 @@
-import { createContext, useContext, useEffect, useState } from 'react'
+import { createContext, useContext, useEffect, useRef, useState } from 'react'
 
 const AuthContext = createContext(null)
 
+const AUTH_ENDPOINT = import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/auth') ?? '/api/auth'
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null)
   const [token, setToken] = useState(null)
+  // Latest tokens for the fetch wrapper below, which outlives individual renders
+  const authRef = useRef({ token: null, refreshToken: null })
+  const refreshingRef = useRef(null)
 
   // Load auth from localStorage
   useEffect(() => {
@@ -13,12 +18,13 @@ export function AuthProvider({ children }) {
 
     try {
       const parsed = JSON.parse(saved)
-      console.log('📂 Loading auth from localStorage:', parsed) // Debug
 
       const tokenVal = parsed.token
       const userVal = parsed.user || null
 
-      if (tokenVal && userVal?.username) {
+      // Logins from before refresh tokens existed cannot be renewed, so ask for a fresh login
+      if (tokenVal && parsed.refreshToken && userVal?.username) {
+        authRef.current = { token: tokenVal, refreshToken: parsed.refreshToken }
         setToken(tokenVal)
         setUser(userVal)
         console.log('✅ Auth loaded:', userVal) // Debug
@@ -32,10 +38,8 @@ export function AuthProvider({ children }) {
     }
   }, [])
 
-  // Save auth from successful login
+  // Save auth from successful login (and from every token refresh)
   const login = (auth) => {
-    console.log('🔐 Login called with:', auth) // Debug
-    
     if (!auth) {
       console.warn('❌ Auth object missing')
       return
@@ -45,36 +49,118 @@ export function AuthProvider({ children }) {
     const userVal = {
       username: auth.username,
       role: auth.role,
-      employeeId: auth.employeeId
+      employeeId: auth.employeeId,
+      permissions: auth.permissions || []
     }
 
     console.log('✅ Storing user:', userVal)
 
     const normalizedAuth = {
       token: auth.token,
+      refreshToken: auth.refreshToken,
       user: userVal,
     }
 
     localStorage.setItem('vh-auth', JSON.stringify(normalizedAuth))
+    authRef.current = { token: auth.token, refreshToken: auth.refreshToken }
     setToken(auth.token)
     setUser(userVal)
-    
+
     // Also store employeeId separately for quick access
     if (auth.employeeId) {
       localStorage.setItem('lastEmployeeId', auth.employeeId)
     }
   }
 
-  const logout = () => {
-    console.log('🚪 Logging out')
+  const clearAuth = () => {
     localStorage.removeItem('vh-auth')
     localStorage.removeItem('lastEmployeeId')
+    authRef.current = { token: null, refreshToken: null }
     setToken(null)
     setUser(null)
   }
 
+  // Access tokens are short-lived. Wrap fetch so that a 401 on a request carrying our token
+  // renews it with the refresh token and retries once; components never see the expiry.
+  useEffect(() => {
+    const originalFetch = window.fetch
+
+    const refreshAccessToken = () => {
+      // Requests failing together share one refresh, since every refresh rotates the refresh token
+      if (!refreshingRef.current) {
+        refreshingRef.current = originalFetch(`${AUTH_ENDPOINT}/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: authRef.current.refreshToken }),
+        })
+          .then(async (response) => {
+            if (!response.ok) throw new Error(`Refresh failed (status ${response.status})`)
+            const data = await response.json()
+            login(data)
+            return data.token
+          })
+          .catch((error) => {
+            console.warn('🔒 Session expired:', error.message)
+            clearAuth()
+            return null
+          })
+          .finally(() => {
+            refreshingRef.current = null
+          })
+      }
+      return refreshingRef.current
+    }
+
+    window.fetch = async (input, init = {}) => {
+      const response = await originalFetch(input, init)
+      if (response.status !== 401 || !authRef.current.refreshToken) return response
+
+      const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined))
+      const sentToken = headers.get('Authorization')?.replace(/^Bearer /, '')
+      if (!sentToken) return response
+
+      // Another request may already have refreshed while this one was in flight
+      const freshToken = sentToken === authRef.current.token ? await refreshAccessToken() : authRef.current.token
+      if (!freshToken) return response
+
+      headers.set('Authorization', `Bearer ${freshToken}`)
+      return originalFetch(input, { ...init, headers })
+    }
+
+    return () => {
+      window.fetch = originalFetch
+    }
+    // login and clearAuth only touch refs and state setters, so installing the wrapper once is enough
+  }, [])
+
+  const logout = () => {
+    console.log('🚪 Logging out')
+    const { refreshToken } = authRef.current
+    if (refreshToken) {
+      fetch(`${AUTH_ENDPOINT}/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }).catch((error) => console.warn('Logout request failed:', error))
+    }
+    clearAuth()
+  }
+
+  // End every session of this user, including other browsers and devices
+  const logoutAll = async () => {
+    try {
+      await fetch(`${AUTH_ENDPOINT}/logout-all`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${authRef.current.token}` },
+      })
+    } catch (error) {
+      console.warn('Logout of all devices failed:', error)
+    }
+    clearAuth()
+  }
+
   return (
-    <AuthContext.Provider value={{ user, token, login, logout }}>
+    <AuthContext.Provider value={{ user, token, login, logout, logoutAll }}>
       {children}
     </AuthContext.Provider>
   )
@@ -82,4 +168,4 @@ export function AuthProvider({ children }) {
 
 export function useAuth() {
   return useContext(AuthContext)
-}
\ No newline at end of file
+}
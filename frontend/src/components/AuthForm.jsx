@@ -4,7 +4,9 @@ import './AuthForm.css'
 
 function AuthForm() {
   const { login } = useAuth()
-  const [mode, setMode] = useState('login') // 'login' | 'register'
+  // A reset link from the forgot-password email opens straight on the reset screen
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('resetToken'))
+  const [mode, setMode] = useState(resetToken ? 'reset' : 'login') // 'login' | 'register' | 'forgot' | 'reset'
   const [employeeId, setEmployeeId] = useState('')
   const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
@@ -13,6 +15,8 @@ function AuthForm() {
   const [loading, setLoading] = useState(false)
   const [alert, setAlert] = useState(null)
   const [isEmployeeIdTaken, setIsEmployeeIdTaken] = useState(false)
+  const [email, setEmail] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
   const [checkingEmployeeId, setCheckingEmployeeId] = useState(false)
    
   const endpointBase = useMemo(
@@ -220,15 +224,26 @@ function AuthForm() {
         throw new Error(message)
       }
 
+      // Self-registrations have to be approved before the first login
+      if (data?.pending) {
+        setMode('login')
+        setPassword('')
+        setDob('')
+        setAlert({ type: 'success', message: data.message })
+        return
+      }
+
       if (!data || !data.token || !data.username) {
         throw new Error('Authentication succeeded but server returned invalid data.')
       }
 
       login({ 
         token: data.token, 
+        refreshToken: data.refreshToken,
         username: data.username, 
         role: data.role,
-        employeeId: data.employeeId || null // Can be null for managers
+        employeeId: data.employeeId || null, // Can be null for managers
+        permissions: data.permissions
       })
       setAlert({
         type: 'success',
@@ -242,6 +257,131 @@ function AuthForm() {
     }
   }
 
+  // Shared by the forgot-password and reset screens
+  const postRecovery = async (path, body) => {
+    const response = await fetch(`${endpointBase}/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    const data = await response.json().catch(() => null)
+    if (!response.ok) {
+      throw new Error(data?.message || `Request failed (status ${response.status})`)
+    }
+    return data
+  }
+
+  const handleForgotPassword = async (event) => {
+    event.preventDefault()
+    setLoading(true)
+    setAlert(null)
+    try {
+      const data = await postRecovery('forgot-password', { email: email.trim() })
+      setAlert({ type: 'success', message: data.message })
+    } catch (error) {
+      setAlert({ type: 'error', message: error.message })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleResetPassword = async (event) => {
+    event.preventDefault()
+    if (password !== confirmPassword) {
+      setAlert({ type: 'error', message: 'Passwords do not match' })
+      return
+    }
+
+    setLoading(true)
+    setAlert(null)
+    try {
+      const data = await postRecovery('reset-password', { token: resetToken, password })
+      // Drop the used token from the address bar before going back to login
+      window.history.replaceState(null, '', window.location.pathname)
+      setPassword('')
+      setConfirmPassword('')
+      setMode('login')
+      setAlert({ type: 'success', message: data.message })
+    } catch (error) {
+      setAlert({ type: 'error', message: error.message })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const backToLogin = () => {
+    window.history.replaceState(null, '', window.location.pathname)
+    setPassword('')
+    setConfirmPassword('')
+    setAlert(null)
+    setMode('login')
+  }
+
+  if (mode === 'forgot' || mode === 'reset') {
+    return (
+      <section className="vh-form-shell">
+        <header className="vh-form-header">
+          <div>
+            <p className="vh-form-label">Engineer access</p>
+            <h2>{mode === 'forgot' ? 'Forgot your password?' : 'Choose a new password'}</h2>
+            <p>
+              {mode === 'forgot'
+                ? 'Enter the email on your account and we will send you a link to reset your password.'
+                : 'The reset link can be used once. Pick a password of at least 8 characters.'}
+            </p>
+          </div>
+        </header>
+
+        {alert && (
+          <div className={`vh-alert ${alert.type}`}>
+            <p>{alert.message}</p>
+          </div>
+        )}
+
+        <form className="vh-form" onSubmit={mode === 'forgot' ? handleForgotPassword : handleResetPassword}>
+          {mode === 'forgot' ? (
+            <label>
+              <span>Email *</span>
+              <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+            </label>
+          ) : (
+            <>
+              <label>
+                <span>New Password *</span>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  minLength={8}
+                  required
+                />
+              </label>
+              <label>
+                <span>Confirm New Password *</span>
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  minLength={8}
+                  required
+                />
+              </label>
+            </>
+          )}
+
+          <div className="vh-form-actions">
+            <button type="submit" disabled={loading}>
+              {loading ? 'Please wait…' : mode === 'forgot' ? 'Send reset link' : 'Reset password'}
+            </button>
+            <button type="button" className="ghost" onClick={backToLogin} disabled={loading}>
+              Back to login
+            </button>
+          </div>
+        </form>
+      </section>
+    )
+  }
+
   // Check if employee ID field should be shown
   const showEmployeeIdField = mode === 'login' || !role.includes('Manager')
   
@@ -421,6 +561,19 @@ function AuthForm() {
           >
             {mode === 'login' ? 'Create new account' : 'I already have an account'}
           </button>
+          {mode === 'login' && (
+            <button
+              type="button"
+              className="ghost"
+              onClick={() => {
+                setAlert(null)
+                setMode('forgot')
+              }}
+              disabled={loading}
+            >
+              Forgot password?
+            </button>
+          )}
         </div>
       </form>
     </section>
@@ -0,0 +1,98 @@
+import { useMemo, useState } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+
+const defaultPasswordForm = () => ({
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: '',
+})
+
+function ChangePassword() {
+  const { token } = useAuth()
+  const [formData, setFormData] = useState(defaultPasswordForm)
+  const [alert, setAlert] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/auth') ?? 'http://localhost:5000/api/auth',
+    []
+  )
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setFormData((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setAlert(null)
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setAlert({ type: 'error', message: 'New passwords do not match' })
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const res = await fetch(`${endpoint}/change-password`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword: formData.currentPassword, newPassword: formData.newPassword }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to change password')
+      }
+      setAlert({ type: 'success', message: data.message || 'Password changed successfully' })
+      setFormData(defaultPasswordForm())
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">Account</p>
+          <h2>Change password</h2>
+          <p>You will stay signed in here; your other browsers and devices will be signed out.</p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      <form className="vh-form" onSubmit={handleSubmit}>
+        <div className="vh-grid">
+          <label className="vh-span-2">
+            <span>Current Password *</span>
+            <input type="password" name="currentPassword" value={formData.currentPassword} onChange={handleChange} required />
+          </label>
+          <label>
+            <span>New Password *</span>
+            <input type="password" name="newPassword" value={formData.newPassword} onChange={handleChange} minLength={8} required />
+          </label>
+          <label>
+            <span>Confirm New Password *</span>
+            <input type="password" name="confirmPassword" value={formData.confirmPassword} onChange={handleChange} minLength={8} required />
+          </label>
+        </div>
+
+        <div className="vh-form-actions">
+          <button type="submit" disabled={submitting}>
+            {submitting ? 'Saving…' : 'Change password'}
+          </button>
+        </div>
+      </form>
+    </section>
+  )
+}
+
+export default ChangePassword
@@ -0,0 +1,25 @@
+// Contact person field offering the people on file for the chosen customer. Choosing one of them
+// calls onSelect with the contact so the form can fill in their number.
+function ContactPersonInput({ id, contacts = [], value, onChange, onSelect, ...inputProps }) {
+  const handleChange = (event) => {
+    onChange(event)
+    const typed = event.target.value.trim().toLowerCase()
+    const match = contacts.find((contact) => contact.name.toLowerCase() === typed)
+    if (match) onSelect(match)
+  }
+
+  return (
+    <>
+      <input {...inputProps} value={value} onChange={handleChange} list={id} autoComplete="off" />
+      <datalist id={id}>
+        {contacts.map((contact) => (
+          <option key={contact.id} value={contact.name}>
+            {contact.phone ? `${contact.country_code} ${contact.phone}` : ''}
+          </option>
+        ))}
+      </datalist>
+    </>
+  )
+}
+
+export default ContactPersonInput
@@ -1,40 +1,33 @@
-import { useEffect, useState } from 'react'
+import { useCallback, useEffect, useState } from 'react'
 import { useAuth } from './AuthContext'
+import ProjectPicker from './ProjectPicker'
+import CustomerPicker from './CustomerPicker'
+import ContactPersonInput from './ContactPersonInput'
+import MomSharing from './MomSharing'
+import MomSignatures from './MomSignatures'
+import { COUNTRY_CODES, phoneError } from '../utils/phone'
+import { formatCoordinates, reverseGeocode } from '../utils/geocode'
+import { LETTERHEAD_LOGO_URL, MOM_ENDPOINT, downloadMomPdf, fetchLetterhead, fetchMom } from '../utils/mom'
 import './OnboardingForm.css'
 
-export default function CreateMoM() {
-  const { token, user } = useAuth()
-  
-  const COMPANY = {
-    name: 'VICKHARDTH AUTOMATION',
-    subtitle: 'Automation System Integrators ',
-    contact: 'VATRA | TATRA | SARVATRA (LLL: +9) 9/66 46 / 899',
-    email: 'e-mail: sales@vickhardth.com , services@vickhardth.com',
-    logo: '/src/assets/logo.jpeg', // Update this path to your actual logo
+const formatDateForDisplay = (dateString) => {
+  if (!dateString) return ''
+  // Handle both yyyy-mm-dd and dd/mm/yyyy formats
+  if (dateString.includes('-')) {
+    const [year, month, day] = dateString.split('-')
+    return `${day}/${month}/${year}`
   }
+  return dateString
+}
 
-  // Country codes for dropdown
-  const countryCodes = [
-    { code: '+91', country: 'India', flag: '🇮🇳' },
-    { code: '+1', country: 'USA/Canada', flag: '🇺🇸' },
-    { code: '+44', country: 'UK', flag: '🇬🇧' },
-    { code: '+61', country: 'Australia', flag: '🇦🇺' },
-    { code: '+971', country: 'UAE', flag: '🇦🇪' },
-    { code: '+65', country: 'Singapore', flag: '🇸🇬' },
-    { code: '+60', country: 'Malaysia', flag: '🇲🇾' },
-    { code: '+92', country: 'Pakistan', flag: '🇵🇰' },
-    { code: '+880', country: 'Bangladesh', flag: '🇧🇩' },
-    { code: '+94', country: 'Sri Lanka', flag: '🇱🇰' },
-    { code: '+86', country: 'China', flag: '🇨🇳' },
-    { code: '+81', country: 'Japan', flag: '🇯🇵' },
-    { code: '+82', country: 'South Korea', flag: '🇰🇷' },
-    { code: '+33', country: 'France', flag: '🇫🇷' },
-    { code: '+49', country: 'Germany', flag: '🇩🇪' },
-    { code: '+7', country: 'Russia', flag: '🇷🇺' },
-    { code: '+27', country: 'South Africa', flag: '🇿🇦' },
-  ]
+export default function CreateMoM() {
+  const { token, user } = useAuth()
   
+  // Company block shown above the preview, as printed on the PDF
+  const [letterhead, setLetterhead] = useState(null)
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().slice(0, 10))
+  // Contact people on file for the picked customer and end customer
+  const [knownContacts, setKnownContacts] = useState({ customer: [], endCustomer: [] })
   const [autoFill] = useState(false)
   const [momData, setMomData] = useState(() => {
     let lastSite = ''
@@ -64,6 +57,7 @@ export default function CreateMoM() {
       siteEndDate: '',
       projectName: '',
       projectNo: '',
+      projectId: '',
       observationNotes: '',
       solutionNotes: '',
       conclusion: '',
@@ -77,10 +71,7 @@ export default function CreateMoM() {
   const [locationError, setLocationError] = useState('')
   const [locationAccess, setLocationAccess] = useState(false)
 
-  // PDF Filename Modal states
-  const [pdfFilename, setPdfFilename] = useState('')
-  const [showPdfModal, setShowPdfModal] = useState(false)
-  const [selectedMomForPdf, setSelectedMomForPdf] = useState(null)
+  const [downloadingPdf, setDownloadingPdf] = useState(false)
 
   // NEW: Calendar states for Site End Date
   const [showCalendar, setShowCalendar] = useState(false)
@@ -94,30 +85,71 @@ export default function CreateMoM() {
 
   const endpointBase = import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/employee-activity') ?? 'http://localhost:5000/api/employee-activity'
 
-  // Saved MoMs (persist in localStorage)
-  const [savedMoms, setSavedMoms] = useState(() => {
+  const momEndpoint = MOM_ENDPOINT
+
+  // Saved MoMs (stored on the server)
+  const [savedMoms, setSavedMoms] = useState([])
+  const [editingMomId, setEditingMomId] = useState(null)
+  const [savingMom, setSavingMom] = useState(false)
+  const [momStatus, setMomStatus] = useState(null)
+  // The MoM being edited as saved on the server, with its signatures; signed MoMs are locked
+  const [savedMom, setSavedMom] = useState(null)
+  const locked = Boolean(savedMom?.lockedAt)
+
+  const fetchSavedMoms = useCallback(async () => {
+    try {
+      if (!token) return
+      const res = await fetch(`${momEndpoint}?mine=true`, { headers: { Authorization: `Bearer ${token}` } })
+      if (!res.ok) return
+      const data = await res.json()
+      setSavedMoms(data.moms || [])
+    } catch (err) {
+      console.error('Failed to fetch saved MoMs', err)
+    }
+  }, [momEndpoint, token])
+
+  // MoMs used to live only in this browser's localStorage; push any left there to the server once
+  const importLocalMoms = useCallback(async () => {
+    let localMoms = []
     try {
-      const raw = localStorage.getItem('savedMoms') || '[]'
-      return JSON.parse(raw)
+      localMoms = JSON.parse(localStorage.getItem('savedMoms') || '[]')
     } catch {
-      return []
+      localMoms = []
     }
-  })
+    if (!Array.isArray(localMoms) || localMoms.length === 0) return
 
-  useEffect(() => {
     try {
-      localStorage.setItem('savedMoms', JSON.stringify(savedMoms))
-    } catch (e) {
-      console.warn('Failed to persist savedMoms', e)
+      const res = await fetch(`${momEndpoint}/import`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ moms: localMoms }),
+      })
+      if (!res.ok) return
+      const data = await res.json()
+      localStorage.removeItem('savedMoms')
+      if (data.imported > 0) {
+        setMomStatus({ type: 'success', message: `Imported ${data.imported} MoM(s) saved earlier in this browser.` })
+      }
+    } catch (err) {
+      console.error('Failed to import local MoMs', err)
     }
-  }, [savedMoms])
+  }, [momEndpoint, token])
 
   useEffect(() => {
-    if (roleAllowed && autoFill) {
-      prefillFromReportsForDate(selectedDate)
+    if (!token) return
+    importLocalMoms().then(fetchSavedMoms)
+    fetchLetterhead(token).then(setLetterhead).catch(() => {})
+  }, [token, importLocalMoms, fetchSavedMoms])
+
+  useEffect(() => {
+    if (!token || !editingMomId) {
+      setSavedMom(null)
+      return
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedDate, roleAllowed, autoFill])
+    fetchMom(editingMomId, token)
+      .then(setSavedMom)
+      .catch((err) => setMomStatus({ type: 'error', message: err.message }))
+  }, [editingMomId, token])
 
   // NEW: Calculate site duration
   const calculateSiteDuration = () => {
@@ -142,16 +174,6 @@ export default function CreateMoM() {
     return 0
   }
 
-  const formatDateForDisplay = (dateString) => {
-    if (!dateString) return ''
-    // Handle both yyyy-mm-dd and dd/mm/yyyy formats
-    if (dateString.includes('-')) {
-      const [year, month, day] = dateString.split('-')
-      return `${day}/${month}/${year}`
-    }
-    return dateString
-  }
-
   // NEW: Generate calendar days for the month
   const generateCalendarDays = () => {
     const daysInMonth = new Date(calendarYear, calendarMonth + 1, 0).getDate()
@@ -173,6 +195,47 @@ export default function CreateMoM() {
   }
 
   // NEW: Handle calendar date selection
+  // Customer pickers fill the name and offer that customer's contact people for the person field
+  const handleCustomerSelect = (role, field) => (customer) => {
+    setKnownContacts(prev => ({ ...prev, [role]: customer.contacts }))
+    setMomData(prev => ({ ...prev, [field]: customer.name }))
+  }
+
+  const handleCustomerText = (role, field) => (e) => {
+    setKnownContacts(prev => ({ ...prev, [role]: [] }))
+    handleChange(field, e.target.value)
+  }
+
+  const handleContactSelect = (contactField, codeField) => (contact) => {
+    if (!contact.phone) return
+    setMomData(prev => ({ ...prev, [contactField]: contact.phone, [codeField]: contact.country_code }))
+  }
+
+  // Picking a project fills the customer and site details kept on the project master
+  const handleProjectSelect = (project) => {
+    const toDisplayDate = (value) => (value ? value.split('-').reverse().join('/') : '')
+    const digits = (value) => String(value || '').replace(/\D/g, '')
+    setMomData(prev => ({
+      ...prev,
+      projectId: project.id,
+      projectNo: project.project_no,
+      projectName: project.name,
+      customerName: project.customer_name || prev.customerName,
+      customerPerson: project.customer_person || prev.customerPerson,
+      custContact: digits(project.customer_contact) || prev.custContact,
+      custCountryCode: project.customer_contact ? project.customer_country_code : prev.custCountryCode,
+      endCustName: project.end_customer_name || prev.endCustName,
+      endCustPerson: project.end_customer_person || prev.endCustPerson,
+      endCustContact: digits(project.end_customer_contact) || prev.endCustContact,
+      endCustCountryCode: project.end_customer_contact ? project.end_customer_country_code : prev.endCustCountryCode,
+      siteLocation: project.site_address || prev.siteLocation,
+      locationLat: project.location_lat ?? prev.locationLat,
+      locationLng: project.location_lng ?? prev.locationLng,
+      siteStartDate: toDisplayDate(project.start_date) || prev.siteStartDate,
+      siteEndDate: toDisplayDate(project.end_date) || prev.siteEndDate,
+    }))
+  }
+
   const handleCalendarDateSelect = (date) => {
     const day = String(date.getDate()).padStart(2, '0')
     const month = String(date.getMonth() + 1).padStart(2, '0')
@@ -248,7 +311,7 @@ export default function CreateMoM() {
     setShowCalendar(false)
   }
 
-  const prefillFromReportsForDate = async (date) => {
+  const prefillFromReportsForDate = useCallback(async (date) => {
     try {
       const tokenVal = localStorage.getItem('token') || token
       if (!tokenVal || !user) return
@@ -332,13 +395,20 @@ export default function CreateMoM() {
         siteStartDate: formatDateForDisplay(date),
         projectName: projectNo,
         projectNo: projectNo,
+        projectId: '',
         observationNotes: obsLines.join('\n'),
         solutionNotes: solLines.join('\n'),
       }))
     } catch (err) {
       console.error('Prefill failed', err)
     }
-  }
+  }, [endpointBase, token, user])
+
+  useEffect(() => {
+    if (roleAllowed && autoFill) {
+      prefillFromReportsForDate(selectedDate)
+    }
+  }, [selectedDate, roleAllowed, autoFill, prefillFromReportsForDate])
 
   const handleChange = (field, value) => {
     let v = value
@@ -355,7 +425,9 @@ export default function CreateMoM() {
       v = String(value || '').replace(/\D/g, '')
     }
     
-    setMomData(prev => ({ ...prev, [field]: v }))
+    // Editing the project by hand drops the link to a previously picked project
+    const unlinkProject = field === 'projectNo' || field === 'projectName' ? { projectId: '' } : {}
+    setMomData(prev => ({ ...prev, [field]: v, ...unlinkProject }))
     
     if (field === 'siteLocation') {
       try { localStorage.setItem('lastSiteLocation', v) } catch (e) {}
@@ -401,77 +473,34 @@ export default function CreateMoM() {
     
     navigator.geolocation.getCurrentPosition(
       async (position) => {
-        try {
-          const { latitude, longitude } = position.coords;
-          
-          // Update location coordinates
-          setMomData(prev => ({
-            ...prev,
-            locationLat: latitude.toString(),
-            locationLng: longitude.toString()
-          }));
-          
-          // First try to get location name from reverse geocoding
-          const response = await fetch(
-            `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=18&addressdetails=1`
-          );
-          
-          if (response.ok) {
-            const data = await response.json();
-            const address = data.address || {};
-            
-            // Build location string
-            const locationParts = [];
-            if (address.road) locationParts.push(address.road);
-            if (address.suburb) locationParts.push(address.suburb);
-            if (address.city || address.town || address.village) 
-              locationParts.push(address.city || address.town || address.village);
-            if (address.state) locationParts.push(address.state);
-            
-            let locationName = locationParts.join(', ');
-            
-            // If no detailed address, use coordinates
-            if (!locationName) {
-              locationName = `Lat: ${latitude.toFixed(6)}, Long: ${longitude.toFixed(6)}`;
-            } else {
-              locationName += ` (Lat: ${latitude.toFixed(6)}, Long: ${longitude.toFixed(6)})`;
-            }
-            
-            setMomData(prev => ({ 
-              ...prev, 
-              siteLocation: locationName 
-            }));
-            setLocationAccess(true);
-            try {
-              localStorage.setItem('lastSiteLocation', locationName);
-            } catch (e) {}
-          } else {
-            // Fallback to coordinates if reverse geocoding fails
-            const fallbackLocation = `Latitude: ${latitude.toFixed(6)}, Longitude: ${longitude.toFixed(6)}`;
-            setMomData(prev => ({
-              ...prev,
-              siteLocation: fallbackLocation
-            }));
-            setLocationError('Could not fetch address from coordinates');
-            try {
-              localStorage.setItem('lastSiteLocation', fallbackLocation);
-            } catch (e) {}
-          }
-        } catch (error) {
-          console.error('Reverse geocoding failed:', error);
-          // Use coordinates as fallback
-          const fallbackLocation = `Latitude: ${position.coords.latitude.toFixed(6)}, Longitude: ${position.coords.longitude.toFixed(6)}`;
-          setMomData(prev => ({
-            ...prev,
-            siteLocation: fallbackLocation
-          }));
-          setLocationError('Failed to get address from coordinates');
-          try {
-            localStorage.setItem('lastSiteLocation', fallbackLocation);
-          } catch (e) {}
-        } finally {
-          setIsFetchingLocation(false);
+        const { latitude, longitude } = position.coords;
+
+        // Update location coordinates
+        setMomData(prev => ({
+          ...prev,
+          locationLat: latitude.toString(),
+          locationLng: longitude.toString()
+        }));
+
+        // The backend answers with the coordinates themselves when it finds no address
+        const address = await reverseGeocode(latitude, longitude, token);
+        const found = address !== formatCoordinates(latitude, longitude);
+        const coordinates = `Lat: ${latitude.toFixed(6)}, Long: ${longitude.toFixed(6)}`;
+        const locationName = found ? `${address} (${coordinates})` : coordinates;
+
+        setMomData(prev => ({
+          ...prev,
+          siteLocation: locationName
+        }));
+        if (found) {
+          setLocationAccess(true);
+        } else {
+          setLocationError('Could not fetch address from coordinates');
         }
+        try {
+          localStorage.setItem('lastSiteLocation', locationName);
+        } catch (e) {}
+        setIsFetchingLocation(false);
       },
       (error) => {
         setIsFetchingLocation(false);
@@ -498,428 +527,90 @@ export default function CreateMoM() {
     );
   }
 
-  // ===== Generate PDF filename =====
-  const generatePdfFilename = (data = momData) => {
-    const safeDate = (data.momDate || '').replace(/\//g, '-') || 
-                    new Date().toISOString().slice(0, 10).split('-').reverse().join('-')
-    const customerShort = data.customerName 
-      ? data.customerName.substring(0, 20).replace(/[^a-z0-9]/gi, '_')
-      : 'Customer'
-    const projectShort = data.projectName
-      ? data.projectName.substring(0, 15).replace(/[^a-z0-9]/gi, '_')
-      : 'Project'
-    
-    return `MoM_${customerShort}_${projectShort}_${safeDate}.pdf`
-  }
-
-  // ===== Show PDF filename modal =====
-  const downloadPdf = async (data) => {
-    setSelectedMomForPdf(data || momData)
-    const defaultName = generatePdfFilename(data || momData)
-    setPdfFilename(defaultName.replace('.pdf', ''))
-    setShowPdfModal(true)
-  }
-
-  // ===== Handle PDF filename change =====
-  const handlePdfFilenameChange = (e) => {
-    let value = e.target.value
-    // Remove any .pdf extension if user adds it
-    value = value.replace(/\.pdf$/i, '')
-    // Ensure filename is safe for Windows
-    value = value.replace(/[<>:"/\\|?*]/g, '_')
-    setPdfFilename(value)
-  }
-
-  // ===== Use default filename =====
-  const useDefaultFilename = () => {
-    const defaultName = generatePdfFilename(selectedMomForPdf || momData)
-    setPdfFilename(defaultName.replace('.pdf', ''))
-  }
-
-  // ===== Cancel PDF download =====
-  const cancelPdfDownload = () => {
-    setShowPdfModal(false)
-    setSelectedMomForPdf(null)
-  }
-
-  // ===== Confirm and download PDF =====
-  const confirmPdfDownload = async () => {
-    if (!pdfFilename.trim()) {
-      alert('Please enter a filename for the PDF')
-      return
+  // PDFs are rendered by the server from the saved MoM, so the form is saved first
+  const downloadPdf = async (id) => {
+    setDownloadingPdf(true)
+    try {
+      // A signed MoM cannot be saved again, and need not be
+      const savedId = id ?? (locked ? editingMomId : await saveCurrentMom())
+      if (savedId) await downloadMomPdf(savedId, token)
+    } catch (err) {
+      setMomStatus({ type: 'error', message: err.message })
+    } finally {
+      setDownloadingPdf(false)
     }
-    
-    await generatePdfWithFilename(selectedMomForPdf || momData, pdfFilename)
-    setShowPdfModal(false)
-    setSelectedMomForPdf(null)
   }
 
-  // ===== Download TXT function =====
-  const downloadMoM = (data) => {
-    const t = data || momData
-    const lines = []
-    lines.push('VICKHARDTH AUTOMATION')
-    lines.push('Automation System Integrators')
-    lines.push(`[ ] VATRA | [ ] TATRA | [ ] SARVATRA(LLL: +9) 9/66 46 / 899, e-mail: sales@vickhardth.com , services@vickhardth.com`)
-    lines.push('')
-    lines.push('='.repeat(80))
-    lines.push('')
-    lines.push(`| CUSTOMER NAME           | ${(t.customerName || '').padEnd(30)} | MOM DATE (DD-MM-YY)           | ${(t.momDate || '').padEnd(10)} |`)
-    lines.push(`|                         | ${''.padEnd(30)} | *REPORTING TIME (FORMAT: 24 HRS) | ${(t.reportingTime || '').padEnd(10)} |`)
-    lines.push(`| *CUSTOMER PERSON        | ${(t.customerPerson || '').padEnd(30)} | *MOM CLOSE TIME (FORMAT: 24 HRS) | ${(t.momCloseTime || '').padEnd(10)} |`)
-    lines.push(`| *CUST CONTACT NO.       | ${(t.custCountryCode || '')} ${(t.custContact || '').padEnd(30)} | *MAN HOURS (HH:MM)            | ${(t.manHours || '').padEnd(10)} |`)
-    lines.push(`| *END CUST. NAME         | ${(t.endCustName || '').padEnd(30)} | *MAN HOURS>=9 HRS (YES /NO)   | ${(t.manHoursMoreThan9 || '').padEnd(10)} |`)
-    lines.push(`| END CUST. CONTACT       | ${(t.endCustCountryCode || '')} ${(t.endCustContact || '').padEnd(30)} | *BILLING DAYS (HRS <=9 HRS =1, HRS >9 HRS =2 | ${(t.billingDays || '').padEnd(10)} |`)
-    lines.push(`| END CUST. PERSON        | ${(t.endCustPerson || '').padEnd(30)} | *SITE START DATE (DD-MM-YY)   | ${(t.siteStartDate || '').padEnd(10)} |`)
-    lines.push(`| *ENGG NAME              | ${(t.enggName || '').padEnd(30)} | *SITE END DATE (DD-MM-YY)     | ${(t.siteEndDate || '').padEnd(10)} |`)
-    lines.push(`| *SITE LOCATION          | ${(t.siteLocation || '').padEnd(30)} | *PROJECT NAME                 | ${(t.projectName || '').padEnd(10)} |`)
-    lines.push(`|                         | ${''.padEnd(30)} | *PROJECT NO                   | ${(t.projectNo || '').padEnd(10)} |`)
-    lines.push('')
-    lines.push('*A) OBSERVATION OR PRE-SITE REPORT BEFORE IMPLEMENTING ANY SOLUTIONS ON REACHING SITE')
-    lines.push('[GENERAL/ELECT. / PLC/VFD/AUTOMATION SW./MECH. ETC]')
-    lines.push('')
-    lines.push('| S. N. | DESCRIPTION OF OBSERVATIONS |')
-    lines.push('|-------|-----------------------------|')
-    
-    const obsLines = (t.observationNotes || '').split('\n').filter(line => line.trim())
-    obsLines.forEach((line, index) => {
-      const sn = String.fromCharCode(97 + index) + ')'
-      lines.push(`| ${sn.padEnd(5)} | ${line.padEnd(27)} |`)
-    })
-    
-    if (obsLines.length === 0) {
-      lines.push('|       |                             |')
+  // Save the form as a new MoM or over the one being edited; resolves to its id, or null
+  const saveCurrentMom = async (asNew = false) => {
+    if (!momData.customerName) {
+      setMomStatus({ type: 'error', message: 'Customer name is required to save a MoM.' })
+      return null
     }
-    
-    lines.push('')
-    lines.push('*B) SOLUTIONS IMPLEMENTED/SUGGESTIONS, BY VA ENGG. ON SITE [GENERAL/PLC]')
-    lines.push('')
-    lines.push('| S. N. | DESCRIPTION OF OBSERVATIONS |')
-    lines.push('|-------|-----------------------------|')
-    
-    const solLines = (t.solutionNotes || '').split('\n').filter(line => line.trim())
-    solLines.forEach((line, index) => {
-      const sn = String.fromCharCode(97 + index) + ')'
-      lines.push(`| ${sn.padEnd(5)} | ${line.padEnd(27)} |`)
-    })
-    
-    if (solLines.length === 0) {
-      lines.push('|       |                             |')
+    const invalidPhone =
+      phoneError(momData.custCountryCode, momData.custContact) ||
+      phoneError(momData.endCustCountryCode, momData.endCustContact)
+    if (invalidPhone) {
+      setMomStatus({ type: 'error', message: invalidPhone })
+      return null
     }
-    
-    lines.push('')
-    lines.push('*CONCLUSION')
-    lines.push('')
-    lines.push(t.conclusion || '')
-    lines.push('')
-    lines.push('AUTHORISED SIGNATORIES')
-    lines.push('*FOR M/S VICKHARDTH AUTOMATION')
-    lines.push('')
-    lines.push('AUTHORISED SIGNATORIES')
-    lines.push(`*CUSTOMER NAME FOR ${t.customerName || ''}`)
-    lines.push(`END CUST. NAME FOR ${t.endCustName || ''}`)
-
-    const blob = new Blob([lines.join('\n')], { type: 'text/plain;charset=utf-8' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    const safeDate = (t.momDate || '').replace(/\//g, '-')
-    a.download = `MoM-${safeDate || 'unknown-date'}.txt`
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
-  }
-
-  // ===== Actual PDF generation function =====
-  const generatePdfWithFilename = async (data, filename) => {
-    const used = data || momData
+    setSavingMom(true)
+    setMomStatus(null)
     try {
-      const { jsPDF } = await import('jspdf')
-      const autoTableModule = await import('jspdf-autotable')
-      const autoTable = autoTableModule && (autoTableModule.default || autoTableModule)
-
-      const doc = new jsPDF({ unit: 'mm', format: 'a4' })
-      const pageWidth = doc.internal.pageSize.getWidth()
-      let y = 8
-
-      // ===== Header with Logo and Company Info =====
-      // Add logo if available
-      try {
-        const logoImg = new Image()
-        logoImg.src = COMPANY.logo
-        await new Promise((resolve, reject) => {
-          logoImg.onload = resolve
-          logoImg.onerror = reject
-        })
-        doc.addImage(logoImg, 'PNG', 10, 5, 20, 20)
-      } catch (err) {
-        console.log('Logo not available, proceeding without it')
-      }
-
-      // Company name and details
-      doc.setFontSize(13)
-      doc.setFont(undefined, 'bold')
-      doc.setTextColor(0, 0, 0)
-      doc.text(COMPANY.name, pageWidth / 2, 10, { align: 'center' })
-      y = 15
-      
-      doc.setFontSize(8)
-      doc.setFont(undefined, 'normal')
-      doc.text('Automation System Integrators ', pageWidth / 2, y, { align: 'center' })
-      y += 4
-      
-      doc.setFontSize(7)
-      doc.text(`[ ] VATRA | [ ] TATRA | [ ] SARVATRA(LLL: +9) 9/66 46 / 899, e-mail: sales@vickhardth.com , services@vickhardth.com`, pageWidth / 2, y, { align: 'center' })
-      y += 12
-
-      // ===== Main Details Table =====
-      const detailsTable = [
-        [
-          { content: 'CUSTOMER NAME', styles: { fillColor: [240, 240, 240] } },
-          used.customerName || '',
-          { content: 'MOM DATE (DD-MM-YY)', styles: { fillColor: [240, 240, 240] } },
-          used.momDate || ''
-        ],
-        [
-          { content: '*CUSTOMER PERSON', styles: { fillColor: [240, 240, 240] } },
-          used.customerPerson || '',
-          { content: '*REPORTING TIME (FORMAT: 24 HRS)', styles: { fillColor: [240, 240, 240] } },
-          used.reportingTime || ''
-        ],
-        // FIXED: Added country code to contact number
-        [
-          { content: '*CUST CONTACT NO.', styles: { fillColor: [240, 240, 240] } },
-          `${used.custCountryCode || '+91'} ${used.custContact || ''}`,
-          { content: '*MOM CLOSE TIME (FORMAT: 24 HRS)', styles: { fillColor: [240, 240, 240] } },
-          used.momCloseTime || ''
-        ],
-        [
-          { content: '*END CUST. NAME', styles: { fillColor: [240, 240, 240] } },
-          used.endCustName || '',
-          { content: '*MAN HOURS (HH:MM)', styles: { fillColor: [240, 240, 240] } },
-          used.manHours || ''
-        ],
-        // FIXED: Added country code to end customer contact
-        [
-          { content: 'END CUST. CONTACT', styles: { fillColor: [240, 240, 240] } },
-          `${used.endCustCountryCode || '+91'} ${used.endCustContact || ''}`,
-          { content: '*MAN HOURS>=9 HRS (YES /NO)', styles: { fillColor: [240, 240, 240] } },
-          used.manHoursMoreThan9 || ''
-        ],
-        [
-          { content: 'END CUST. PERSON', styles: { fillColor: [240, 240, 240] } },
-          used.endCustPerson || '',
-          { content: '*BILLING DAYS (HRS <=9 HRS =1, HRS >9 HRS =2', styles: { fillColor: [240, 240, 240] } },
-          used.billingDays || ''
-        ],
-        [
-          { content: '*ENGG NAME', styles: { fillColor: [240, 240, 240] } },
-          used.enggName || '',
-          { content: '*SITE START DATE (DD-MM-YY)', styles: { fillColor: [240, 240, 240] } },
-          used.siteStartDate || ''
-        ],
-        [
-          { content: '*SITE LOCATION', styles: { fillColor: [240, 240, 240] } },
-          used.siteLocation || '',
-          { content: '*SITE END DATE (DD-MM-YY)', styles: { fillColor: [240, 240, 240] } },
-          used.siteEndDate || ''
-        ],
-        [
-          { content: '*PROJECT NAME', styles: { fillColor: [240, 240, 240] } },
-          used.projectName || '',
-          { content: '*PROJECT NO', styles: { fillColor: [240, 240, 240] } },
-          used.projectNo || ''
-        ],
-      ]
-
-      autoTable(doc, {
-        startY: y,
-        head: [],
-        body: detailsTable,
-        theme: 'grid',
-        styles: { fontSize: 8, cellPadding: 2, overflow: 'linebreak' },
-        columnStyles: {
-          0: { cellWidth: 45, halign: 'left' },
-          1: { cellWidth: 45, halign: 'left' },
-          2: { cellWidth: 45, halign: 'left' },
-          3: { cellWidth: 45, halign: 'left' },
-        },
-      })
-
-      y = doc.lastAutoTable.finalY + 6
-
-      // ===== Section A: Observations =====
-      doc.setFontSize(9)
-      doc.setFont(undefined, 'bold')
-      doc.text("*A) OBSERVATION OR PRE-SITE REPORT BEFORE IMPLEMENTING ANY SOLUTIONS ON REACHING SITE", 10, y)
-      y += 4
-      doc.setFontSize(8)
-      doc.setFont(undefined, 'normal')
-      doc.text('[GENERAL/ELECT. / PLC/VFD/AUTOMATION SW./MECH. ETC]', 10, y)
-      y += 6
-
-      const obsLines = (used.observationNotes || '')
-        .split('\n')
-        .filter(line => line.trim())
-        .map((line, idx) => [
-          { content: `${String.fromCharCode(97 + idx)})`, styles: { halign: 'center' } },
-          line
-        ])
-
-      if (obsLines.length === 0) {
-        obsLines.push(['', ''])
-      }
-
-      autoTable(doc, {
-        startY: y,
-        head: [['S. N.', 'DESCRIPTION OF OBSERVATIONS']],
-        body: obsLines,
-        theme: 'grid',
-        styles: { fontSize: 8, cellPadding: 2 },
-        headStyles: { fillColor: [220, 220, 220], textColor: 0, fontSize: 8 },
-        columnStyles: {
-          0: { cellWidth: 15, halign: 'center' },
-          1: { cellWidth: 175, halign: 'left', overflow: 'linebreak' },
-        },
+      const updating = editingMomId && !asNew
+      const res = await fetch(updating ? `${momEndpoint}/${editingMomId}` : momEndpoint, {
+        method: updating ? 'PUT' : 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(momData),
       })
-
-      y = doc.lastAutoTable.finalY + 6
-
-      // ===== Section B: Solutions =====
-      doc.setFontSize(9)
-      doc.setFont(undefined, 'bold')
-      doc.text("*B) SOLUTIONS IMPLEMENTED/SUGGESTIONS, BY VA ENGG. ON SITE [GENERAL/PLC]", 10, y)
-      y += 6
-
-      const solLines = (used.solutionNotes || '')
-        .split('\n')
-        .filter(line => line.trim())
-        .map((line, idx) => [
-          { content: `${String.fromCharCode(97 + idx)})`, styles: { halign: 'center' } },
-          line
-        ])
-
-      if (solLines.length === 0) {
-        solLines.push(['', ''])
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to save MoM')
       }
+      setEditingMomId(data.id)
+      setSavedMom(data.mom)
+      setMomStatus({ type: 'success', message: data.message || 'MoM saved successfully' })
+      fetchSavedMoms()
+      return data.id
+    } catch (err) {
+      setMomStatus({ type: 'error', message: err.message })
+      return null
+    } finally {
+      setSavingMom(false)
+    }
+  }
 
-      autoTable(doc, {
-        startY: y,
-        head: [['S. N.', 'DESCRIPTION OF OBSERVATIONS']],
-        body: solLines,
-        theme: 'grid',
-        styles: { fontSize: 8, cellPadding: 2 },
-        headStyles: { fillColor: [220, 220, 220], textColor: 0, fontSize: 8 },
-        columnStyles: {
-          0: { cellWidth: 15, halign: 'center' },
-          1: { cellWidth: 175, halign: 'left', overflow: 'linebreak' },
-        },
+  const loadSaved = (saved) => {
+    const { id, userId: _userId, username: _username, createdAt: _createdAt, savedAt: _savedAt, lockedAt: _lockedAt, ...fields } = saved
+    setMomData((prev) => {
+      const next = { ...prev }
+      Object.keys(fields).forEach((key) => {
+        next[key] = fields[key] ?? ''
       })
+      return next
+    })
+    setEditingMomId(id)
+    setMomStatus(null)
+  }
 
-      y = doc.lastAutoTable.finalY + 6
-
-      // ===== Conclusion with Table Format =====
-      doc.setFontSize(9)
-      doc.setFont(undefined, 'bold')
-      doc.text('*CONCLUSION', 10, y)
-      y += 6
-
-      // Create a table for conclusion with 2 columns
-      const conLines = doc.splitTextToSize(used.conclusion || '', 180)
-      
-      // Create table rows for conclusion
-      const conTableData = conLines.map((line, idx) => [
-        { content: idx === 0 ? 'DESCRIPTION' : '', styles: { fillColor: [240, 240, 240] } },
-        line
-      ])
-
-      if (conTableData.length === 0) {
-        conTableData.push(['DESCRIPTION', ''])
-      }
-
-      autoTable(doc, {
-        startY: y,
-        head: [['', '']],
-        body: conTableData,
-        theme: 'grid',
-        styles: { fontSize: 8, cellPadding: 2 },
-        headStyles: { fillColor: [220, 220, 220], textColor: 0, fontSize: 8 },
-        columnStyles: {
-          0: { cellWidth: 45, halign: 'left', fillColor: [240, 240, 240] },
-          1: { cellWidth: 145, halign: 'left', overflow: 'linebreak' },
-        },
+  const deleteSaved = async (id) => {
+    if (!window.confirm('Delete this MoM?')) return
+    try {
+      const res = await fetch(`${momEndpoint}/${id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
       })
-
-      y = doc.lastAutoTable.finalY + 10
-
-      // ===== Signature Section =====
-      doc.setFontSize(9)
-      doc.setFont(undefined, 'bold')
-      doc.text('AUTHORISED SIGNATORIES', 10, y)
-      doc.text('AUTHORISED SIGNATORIES', pageWidth / 2, y)
-      y += 4
-
-      doc.setFontSize(8)
-      doc.setFont(undefined, 'normal')
-      doc.text('*FOR M/S VICKHARDTH AUTOMATION', 10, y)
-      doc.text(`*CUSTOMER NAME FOR ${used.customerName || ''}`, pageWidth / 2, y)
-      y += 4
-      doc.text(`END CUST. NAME FOR ${used.endCustName || ''}`, pageWidth / 2, y)
-
-      // Clean filename
-      const cleanFilename = filename.trim()
-      const finalFilename = cleanFilename.endsWith('.pdf') ? cleanFilename : `${cleanFilename}.pdf`
-      
-      // Save the PDF
-      try {
-        let pdfBlob
-        try {
-          const arrayBuf = doc.output('arraybuffer')
-          pdfBlob = new Blob([arrayBuf], { type: 'application/pdf' })
-        } catch (oErr) {
-          try {
-            pdfBlob = doc.output('blob')
-          } catch (oErr2) {
-            pdfBlob = null
-          }
-        }
-
-        if (pdfBlob) {
-          const url = URL.createObjectURL(pdfBlob)
-          const a = document.createElement('a')
-          a.href = url
-          a.download = finalFilename
-          document.body.appendChild(a)
-          a.click()
-          document.body.removeChild(a)
-          URL.revokeObjectURL(url)
-        } else {
-          try {
-            doc.save(finalFilename)
-          } catch (saveErr) {
-            downloadMoM(data)
-          }
-        }
-      } catch (finalErr) {
-        console.error('Unexpected error during PDF generation/download', finalErr)
-        downloadMoM(data)
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.message || 'Unable to delete MoM')
       }
+      if (editingMomId === id) setEditingMomId(null)
+      setSavedMoms((s) => s.filter((r) => r.id !== id))
     } catch (err) {
-      console.warn('PDF generation failed, falling back to .txt', err)
-      downloadMoM(data)
+      setMomStatus({ type: 'error', message: err.message })
     }
   }
 
-  const saveCurrentMom = () => {
-    const entry = { id: Date.now(), savedAt: new Date().toISOString(), ...momData }
-    setSavedMoms((s) => [entry, ...s])
-  }
-
-  const deleteSaved = (id) => {
-    setSavedMoms((s) => s.filter((r) => r.id !== id))
-  }
-
   const renderPreviewGridRow = (row, idx) => (
     <>
       <div key={`${idx}-0`} style={{ background: '#f0f0f0', padding: '0.5rem', fontWeight: 'bold' }}>{row[0]}</div>
@@ -1204,14 +895,9 @@ export default function CreateMoM() {
     <section className="vh-form-shell">
       <header className="vh-form-header" style={{ display: 'flex', alignItems: 'center', gap: '1rem', padding: '1rem' }}>
         <div style={{ flexShrink: 0 }}>
-          <img 
-            src={COMPANY.logo} 
-            alt="Vickhardth Automation Logo" 
-            style={{ width: '60px', height: '60px', objectFit: 'contain' }}
-            onError={(e) => {
-              e.target.style.display = 'none'
-            }}
-          />
+          {letterhead?.hasLogo && (
+            <img src={LETTERHEAD_LOGO_URL} alt="Company Logo" style={{ width: '60px', height: '60px', objectFit: 'contain' }} />
+          )}
         </div>
         <div style={{ flex: 1 }}>
           <p className="vh-form-label">Create MoM</p>
@@ -1235,6 +921,7 @@ export default function CreateMoM() {
           <button
             type="button"
             onClick={() => prefillFromReportsForDate(selectedDate)}
+            disabled={locked}
             style={{ marginLeft: '1rem', padding: '0.5rem 1rem', background: '#007bff', color: 'white', border: 'none', borderRadius: 4, cursor: 'pointer' }}
           >
             Refresh Data
@@ -1245,22 +932,26 @@ export default function CreateMoM() {
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1.5rem' }}>
           {/* Left Column */}
           <div>
-            <fieldset style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4 }}>
+            <fieldset disabled={locked} style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4 }}>
               <legend>Customer Details</legend>
               <div style={{ marginBottom: '0.75rem' }}>
                 <label>Customer Name:</label>
-                <input 
-                  value={momData.customerName} 
-                  onChange={(e) => handleChange('customerName', e.target.value)} 
-                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }} 
+                <CustomerPicker
+                  value={momData.customerName}
+                  onChange={handleCustomerText('customer', 'customerName')}
+                  onSelect={handleCustomerSelect('customer', 'customerName')}
+                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
                 />
               </div>
               <div style={{ marginBottom: '0.75rem' }}>
                 <label>Customer Person:</label>
-                <input 
-                  value={momData.customerPerson} 
-                  onChange={(e) => handleChange('customerPerson', e.target.value)} 
-                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }} 
+                <ContactPersonInput
+                  id="mom-customer-contacts"
+                  value={momData.customerPerson}
+                  contacts={knownContacts.customer}
+                  onChange={(e) => handleChange('customerPerson', e.target.value)}
+                  onSelect={handleContactSelect('custContact', 'custCountryCode')}
+                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
                 />
               </div>
               <div style={{ marginBottom: '0.75rem' }}>
@@ -1271,7 +962,7 @@ export default function CreateMoM() {
                     onChange={(e) => handleChange('custCountryCode', e.target.value)}
                     style={countryCodeSelectStyles}
                   >
-                    {countryCodes.map((country) => (
+                    {COUNTRY_CODES.map((country) => (
                       <option key={country.code} value={country.code}>
                         {country.flag} {country.code} ({country.country})
                       </option>
@@ -1287,13 +978,17 @@ export default function CreateMoM() {
                     placeholder="Phone number"
                   />
                 </div>
+                {phoneError(momData.custCountryCode, momData.custContact) && (
+                  <small style={{ color: '#c0392b' }}>{phoneError(momData.custCountryCode, momData.custContact)}</small>
+                )}
               </div>
               <div style={{ marginBottom: '0.75rem' }}>
                 <label>End Cust Name:</label>
-                <input 
-                  value={momData.endCustName} 
-                  onChange={(e) => handleChange('endCustName', e.target.value)} 
-                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }} 
+                <CustomerPicker
+                  value={momData.endCustName}
+                  onChange={handleCustomerText('endCustomer', 'endCustName')}
+                  onSelect={handleCustomerSelect('endCustomer', 'endCustName')}
+                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
                 />
               </div>
               <div style={{ marginBottom: '0.75rem' }}>
@@ -1304,7 +999,7 @@ export default function CreateMoM() {
                     onChange={(e) => handleChange('endCustCountryCode', e.target.value)}
                     style={countryCodeSelectStyles}
                   >
-                    {countryCodes.map((country) => (
+                    {COUNTRY_CODES.map((country) => (
                       <option key={`end-${country.code}`} value={country.code}>
                         {country.flag} {country.code} ({country.country})
                       </option>
@@ -1320,13 +1015,19 @@ export default function CreateMoM() {
                     placeholder="Phone number"
                   />
                 </div>
+                {phoneError(momData.endCustCountryCode, momData.endCustContact) && (
+                  <small style={{ color: '#c0392b' }}>{phoneError(momData.endCustCountryCode, momData.endCustContact)}</small>
+                )}
               </div>
               <div style={{ marginBottom: '0.75rem' }}>
                 <label>End Cust Person:</label>
-                <input 
-                  value={momData.endCustPerson} 
-                  onChange={(e) => handleChange('endCustPerson', e.target.value)} 
-                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }} 
+                <ContactPersonInput
+                  id="mom-end-customer-contacts"
+                  value={momData.endCustPerson}
+                  contacts={knownContacts.endCustomer}
+                  onChange={(e) => handleChange('endCustPerson', e.target.value)}
+                  onSelect={handleContactSelect('endCustContact', 'endCustCountryCode')}
+                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
                 />
               </div>
             </fieldset>
@@ -1334,7 +1035,7 @@ export default function CreateMoM() {
 
           {/* Right Column */}
           <div>
-            <fieldset style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4 }}>
+            <fieldset disabled={locked} style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4 }}>
               <legend>Visit Details</legend>
               <div style={{ marginBottom: '0.75rem' }}>
                 <label>Engg Name:</label>
@@ -1519,10 +1220,12 @@ export default function CreateMoM() {
               </div>
               <div style={{ marginBottom: '0.75rem' }}>
                 <label>Project No:</label>
-                <input 
-                  value={momData.projectNo} 
-                  onChange={(e) => handleChange('projectNo', e.target.value)} 
-                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }} 
+                <ProjectPicker
+                  value={momData.projectNo}
+                  onChange={(e) => handleChange('projectNo', e.target.value)}
+                  onSelect={handleProjectSelect}
+                  placeholder="Search project number, name or customer"
+                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
                 />
               </div>
             </fieldset>
@@ -1530,7 +1233,7 @@ export default function CreateMoM() {
         </div>
 
         {/* Observations */}
-        <fieldset style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4, marginBottom: '1.5rem' }}>
+        <fieldset disabled={locked} style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4, marginBottom: '1.5rem' }}>
           <legend>A) OBSERVATION OR PRE-SITE REPORT BEFORE IMPLEMENTING ANY SOLUTIONS ON REACHING SITE [GENERAL/ELECT. / PLC/VFD/AUTOMATION SW./MECH. ETC]</legend>
           <textarea
             value={momData.observationNotes}
@@ -1542,7 +1245,7 @@ export default function CreateMoM() {
         </fieldset>
 
         {/* Solutions */}
-        <fieldset style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4, marginBottom: '1.5rem' }}>
+        <fieldset disabled={locked} style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4, marginBottom: '1.5rem' }}>
           <legend>B) SOLUTIONS IMPLEMENTED/SUGGESTIONS, BY VA ENGG. ON SITE [GENERAL/PLC]</legend>
           <textarea
             value={momData.solutionNotes}
@@ -1554,7 +1257,7 @@ export default function CreateMoM() {
         </fieldset>
 
         {/* Conclusion */}
-        <fieldset style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4, marginBottom: '1.5rem' }}>
+        <fieldset disabled={locked} style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4, marginBottom: '1.5rem' }}>
           <legend>CONCLUSION</legend>
           <textarea
             value={momData.conclusion}
@@ -1565,48 +1268,85 @@ export default function CreateMoM() {
           />
         </fieldset>
 
+        {momStatus && (
+          <div className={`vh-alert ${momStatus.type}`} style={{ marginBottom: '1rem' }}>
+            <p>{momStatus.message}</p>
+          </div>
+        )}
+
         {/* Actions: Save, Preview, Download */}
         <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'center', marginBottom: '1rem' }}>
           <button
             type="button"
-            onClick={saveCurrentMom}
+            onClick={() => saveCurrentMom()}
+            disabled={savingMom || locked}
             style={{ padding: '0.6rem 1.25rem', background: '#0069d9', color: 'white', border: 'none', borderRadius: 4, cursor: 'pointer', fontSize: '0.95rem' }}
           >
-            Save MoM (Preview)
-          </button>
-          <button
-            type="button"
-            onClick={() => downloadMoM()}
-            style={{ padding: '0.75rem 1.5rem', background: '#28a745', color: 'white', border: 'none', borderRadius: 4, cursor: 'pointer', fontSize: '1rem' }}
-          >
-            Download TXT
+            {savingMom ? 'Saving…' : editingMomId ? `Update MoM #${editingMomId}` : 'Save MoM'}
           </button>
+          {editingMomId && (
+            <button
+              type="button"
+              onClick={() => saveCurrentMom(true)}
+              disabled={savingMom}
+              style={{ padding: '0.6rem 1.25rem', background: '#6c757d', color: 'white', border: 'none', borderRadius: 4, cursor: 'pointer', fontSize: '0.95rem' }}
+            >
+              Save as New
+            </button>
+          )}
           <button
             type="button"
             onClick={() => downloadPdf()}
+            disabled={savingMom || downloadingPdf}
             style={{ padding: '0.75rem 1.5rem', background: '#dc3545', color: 'white', border: 'none', borderRadius: 4, cursor: 'pointer', fontSize: '1rem' }}
           >
-            Download PDF
+            {downloadingPdf ? 'Preparing PDF…' : locked ? 'Download PDF' : 'Save & Download PDF'}
           </button>
         </div>
 
+        {/* Signatures: the MoM is valid once the engineer and the customer representative sign */}
+        <fieldset style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4, marginBottom: '1.5rem' }}>
+          <legend>SIGNATURES</legend>
+          {locked && (
+            <p style={{ margin: '0 0 0.75rem', color: '#8a6d00', fontSize: '0.9rem' }}>
+              This MoM has been signed and can no longer be edited. Use "Save as New" to start a revised copy.
+            </p>
+          )}
+          {savedMom ? (
+            <MomSignatures
+              mom={savedMom}
+              onSigned={(mom) => {
+                setSavedMom(mom)
+                fetchSavedMoms()
+              }}
+            />
+          ) : (
+            <p style={{ margin: 0, color: '#777' }}>Save the MoM to collect the engineer's and customer's signatures.</p>
+          )}
+        </fieldset>
+
+        {/* Send to customer: email the PDF or share a read-only link */}
+        {editingMomId && (
+          <fieldset style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: 4, marginBottom: '1.5rem' }}>
+            <legend>SEND TO CUSTOMER</legend>
+            <MomSharing momId={editingMomId} />
+          </fieldset>
+        )}
+
         {/* Live Preview with Logo */}
         <div style={{ border: '1px solid #e0e0e0', borderRadius: 8, padding: '1rem', background: '#fcfcff', marginBottom: '1rem' }}>
           <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '1rem' }}>
-            <img 
-              src={COMPANY.logo} 
-              alt="Company Logo" 
-              style={{ width: '50px', height: '50px', objectFit: 'contain' }}
-              onError={(e) => {
-                e.target.style.display = 'none'
-              }}
-            />
-            <div>
-              <div style={{ fontWeight: 800, color: '#092544', fontSize: '1.2rem' }}>{COMPANY.name}</div>
-              <div style={{ color: '#6b6b6b', fontSize: '0.9rem' }}>{COMPANY.subtitle}</div>
-              <div style={{ color: '#6b6b6b', fontSize: '0.8rem' }}>{COMPANY.contact}</div>
-              <div style={{ color: '#6b6b6b', fontSize: '0.8rem' }}>{COMPANY.email}</div>
-            </div>
+            {letterhead?.hasLogo && (
+              <img src={LETTERHEAD_LOGO_URL} alt="Company Logo" style={{ width: '50px', height: '50px', objectFit: 'contain' }} />
+            )}
+            {letterhead && (
+              <div>
+                <div style={{ fontWeight: 800, color: '#092544', fontSize: '1.2rem' }}>{letterhead.name}</div>
+                <div style={{ color: '#6b6b6b', fontSize: '0.9rem' }}>{letterhead.subtitle}</div>
+                <div style={{ color: '#6b6b6b', fontSize: '0.8rem' }}>{letterhead.contact}</div>
+                <div style={{ color: '#6b6b6b', fontSize: '0.8rem' }}>{letterhead.email}</div>
+              </div>
+            )}
           </div>
 
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '1px', background: '#e0e0e0', marginBottom: '1rem' }}>
@@ -1716,12 +1456,13 @@ export default function CreateMoM() {
         <div style={{ marginBottom: '1.5rem' }}>
           <h3 style={{ margin: '0 0 0.5rem 0' }}>Saved MoMs</h3>
           {savedMoms.length === 0 ? (
-            <div style={{ color: '#777' }}>No saved MoMs yet — click "Save MoM (Preview)" to store a copy.</div>
+            <div style={{ color: '#777' }}>No saved MoMs yet — click "Save MoM" to store it on the server.</div>
           ) : (
             <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white', border: '1px solid #eee' }}>
               <thead>
                 <tr style={{ background: '#f7f9fc' }}>
                   <th style={{ textAlign: 'left', padding: '0.5rem' }}>Saved At</th>
+                  <th style={{ textAlign: 'left', padding: '0.5rem' }}>MoM Date</th>
                   <th style={{ textAlign: 'left', padding: '0.5rem' }}>Customer</th>
                   <th style={{ textAlign: 'left', padding: '0.5rem' }}>Project</th>
                   <th style={{ padding: '0.5rem' }}></th>
@@ -1731,18 +1472,18 @@ export default function CreateMoM() {
                 {savedMoms.map((s) => (
                   <tr key={s.id}>
                     <td style={{ padding: '0.5rem' }}>{new Date(s.savedAt).toLocaleString()}</td>
+                    <td style={{ padding: '0.5rem' }}>{s.momDate}</td>
                     <td style={{ padding: '0.5rem' }}>{s.customerName}</td>
-                    <td style={{ padding: '0.5rem' }}>{s.projectName}</td>
+                    <td style={{ padding: '0.5rem' }}>
+                      {s.projectName}
+                      {s.lockedAt && <span style={{ marginLeft: 6, color: '#2e7d32', fontSize: '0.8rem' }}>✔ Signed</span>}
+                    </td>
                     <td style={{ padding: '0.5rem', textAlign: 'right' }}>
-                      <button 
-                        onClick={() => downloadPdf(s)} 
-                        style={{ marginRight: 8 }}
-                      >
+                      <button onClick={() => downloadPdf(s.id)} disabled={downloadingPdf} style={{ marginRight: 8 }}>
                         PDF
                       </button>
-                      <button onClick={() => downloadMoM(s)} style={{ marginRight: 8 }}>TXT</button>
-                      <button onClick={() => setMomData(s)} style={{ marginRight: 8 }}>Load</button>
-                      <button onClick={() => deleteSaved(s.id)} style={{ color: '#c00' }}>Delete</button>
+                      <button onClick={() => loadSaved(s)} style={{ marginRight: 8 }}>Load</button>
+                      <button onClick={() => deleteSaved(s.id)} disabled={Boolean(s.lockedAt)} style={{ color: '#c00' }}>Delete</button>
                     </td>
                   </tr>
                 ))}
@@ -1754,178 +1495,6 @@ export default function CreateMoM() {
 
       {/* NEW: Calendar Popup */}
       {showCalendar && <CalendarPopup />}
-
-      {/* PDF Filename Modal */}
-      {showPdfModal && (
-        <div style={{
-          position: 'fixed',
-          top: 0,
-          left: 0,
-          right: 0,
-          bottom: 0,
-          backgroundColor: 'rgba(0, 0, 0, 0.5)',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          zIndex: 1000,
-          padding: '1rem'
-        }}>
-          <div style={{
-            background: 'white',
-            borderRadius: '8px',
-            padding: '2rem',
-            maxWidth: '500px',
-            width: '100%',
-            boxShadow: '0 10px 30px rgba(0,0,0,0.3)',
-            animation: 'fadeIn 0.3s ease-out'
-          }}>
-            <h3 style={{ margin: '0 0 1rem 0', color: '#092544' }}>
-              Customize PDF Filename
-            </h3>
-            
-            <div style={{ marginBottom: '1.5rem' }}>
-              <label style={{ display: 'block', marginBottom: '0.5rem', fontWeight: '500' }}>
-                Enter filename for the PDF:
-              </label>
-              <div style={{ position: 'relative' }}>
-                <input
-                  type="text"
-                  value={pdfFilename}
-                  onChange={handlePdfFilenameChange}
-                  style={{
-                    width: '100%',
-                    padding: '0.75rem 3.5rem 0.75rem 0.75rem',
-                    border: '2px solid #ddd',
-                    borderRadius: '4px',
-                    fontSize: '1rem',
-                    outline: 'none',
-                    transition: 'border-color 0.2s'
-                  }}
-                  onFocus={(e) => e.target.style.borderColor = '#007bff'}
-                  onBlur={(e) => e.target.style.borderColor = '#ddd'}
-                  autoFocus
-                />
-                <span style={{
-                  position: 'absolute',
-                  right: '0.75rem',
-                  top: '50%',
-                  transform: 'translateY(-50%)',
-                  color: '#666',
-                  fontFamily: 'monospace',
-                  fontSize: '0.9rem'
-                }}>.pdf</span>
-              </div>
-              
-              <div style={{ marginTop: '0.75rem' }}>
-                <div style={{ fontSize: '0.9rem', color: '#666', marginBottom: '0.25rem' }}>
-                  Preview: <code style={{ 
-                    backgroundColor: '#f0f8ff', 
-                    padding: '0.25rem 0.5rem', 
-                    borderRadius: '3px',
-                    fontFamily: 'monospace'
-                  }}>
-                    {pdfFilename.trim() ? `${pdfFilename.trim()}.pdf` : 'Enter a filename'}
-                  </code>
-                </div>
-                <div style={{ fontSize: '0.8rem', color: '#888', marginTop: '0.5rem' }}>
-                  <div>• Don't include .pdf extension, it will be added automatically</div>
-                  <div>• Invalid characters (&lt; &gt; : " / \ | ? *) will be replaced with underscore</div>
-                </div>
-              </div>
-            </div>
-            
-            <div style={{ marginBottom: '1.5rem' }}>
-              <div style={{ fontSize: '0.9rem', fontWeight: '500', marginBottom: '0.5rem' }}>
-                Suggested filename:
-              </div>
-              <div style={{ 
-                display: 'flex', 
-                alignItems: 'center', 
-                gap: '0.75rem',
-                padding: '0.75rem',
-                backgroundColor: '#f8f9fa',
-                borderRadius: '4px'
-              }}>
-                <code style={{ 
-                  flex: 1, 
-                  fontFamily: 'monospace',
-                  fontSize: '0.85rem',
-                  color: '#333',
-                  overflow: 'hidden',
-                  textOverflow: 'ellipsis',
-                  whiteSpace: 'nowrap'
-                }}>
-                  {generatePdfFilename(selectedMomForPdf || momData)}
-                </code>
-                <button
-                  type="button"
-                  onClick={useDefaultFilename}
-                  style={{
-                    padding: '0.4rem 0.75rem',
-                    backgroundColor: '#e3f2fd',
-                    color: '#1976d2',
-                    border: 'none',
-                    borderRadius: '4px',
-                    cursor: 'pointer',
-                    fontSize: '0.85rem',
-                    fontWeight: '500'
-                  }}
-                >
-                  Use This
-                </button>
-              </div>
-            </div>
-            
-            <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end' }}>
-              <button
-                type="button"
-                onClick={cancelPdfDownload}
-                style={{
-                  padding: '0.75rem 1.5rem',
-                  backgroundColor: '#f5f5f5',
-                  color: '#666',
-                  border: 'none',
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  fontSize: '1rem',
-                  fontWeight: '500'
-                }}
-              >
-                Cancel
-              </button>
-              <button
-                type="button"
-                onClick={confirmPdfDownload}
-                style={{
-                  padding: '0.75rem 1.5rem',
-                  backgroundColor: '#dc3545',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  fontSize: '1rem',
-                  fontWeight: '500'
-                }}
-              >
-                Download PDF
-              </button>
-            </div>
-          </div>
-          
-          <style>{`
-            @keyframes fadeIn {
-              from {
-                opacity: 0;
-                transform: translateY(-20px);
-              }
-              to {
-                opacity: 1;
-                transform: translateY(0);
-              }
-            }
-          `}</style>
-        </div>
-      )}
     </section>
   )
 }
\ No newline at end of file
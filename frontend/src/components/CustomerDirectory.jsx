@@ -0,0 +1,246 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+import { COUNTRY_CODES, phoneError } from '../utils/phone'
+
+const thStyle = { padding: '0.6rem', border: '1px solid #e8eef4' }
+const tdStyle = { padding: '0.6rem', border: '1px solid #eef3f7' }
+
+const emptyContact = () => ({ name: '', country_code: '+91', phone: '', email: '' })
+
+// Customers and their contact people. Corrections made here show on every report, MoM and
+// project linked to the contact.
+function CustomerDirectory() {
+  const { token, user } = useAuth()
+  const [customers, setCustomers] = useState([])
+  const [search, setSearch] = useState('')
+  const [editing, setEditing] = useState(null) // { customerId, contactId (null when adding), ...fields }
+  const [alert, setAlert] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const canManage = (user?.permissions || []).includes('customers.manage')
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/customers') ?? 'http://localhost:5000/api/customers',
+    []
+  )
+
+  const fetchCustomers = useCallback(async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({ limit: '100' })
+      if (search.trim()) params.set('q', search.trim())
+      const res = await fetch(`${endpoint}?${params}`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to fetch customers')
+      }
+      setCustomers(data.customers || [])
+    } catch (err) {
+      console.error('Failed to fetch customers', err)
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setLoading(false)
+    }
+  }, [endpoint, search, token])
+
+  useEffect(() => {
+    if (!token) return
+    const timer = setTimeout(fetchCustomers, 250)
+    return () => clearTimeout(timer)
+  }, [token, fetchCustomers])
+
+  const send = async (path, method, body) => {
+    setAlert(null)
+    const res = await fetch(`${endpoint}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    })
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      throw new Error(data.message || 'Unable to save changes')
+    }
+    setAlert({ type: 'success', message: data.message })
+    fetchCustomers()
+  }
+
+  const handleRename = async (customer) => {
+    const name = window.prompt('New customer name', customer.name)
+    if (!name || name.trim() === customer.name) return
+    try {
+      await send(`/${customer.id}`, 'PATCH', { name: name.trim() })
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    }
+  }
+
+  const handleDeleteContact = async (contact) => {
+    if (!window.confirm(`Remove ${contact.name} from this customer's contacts?`)) return
+    try {
+      await send(`/contacts/${contact.id}`, 'DELETE')
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    }
+  }
+
+  const handleContactSave = async (event) => {
+    event.preventDefault()
+    const invalidPhone = phoneError(editing.country_code, editing.phone)
+    if (invalidPhone) {
+      setAlert({ type: 'error', message: invalidPhone })
+      return
+    }
+    setSaving(true)
+    try {
+      const { customerId, contactId, ...fields } = editing
+      await send(contactId ? `/contacts/${contactId}` : `/${customerId}/contacts`, contactId ? 'PATCH' : 'POST', fields)
+      setEditing(null)
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const contactForm = (
+    <form onSubmit={handleContactSave} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+      <input
+        placeholder="Name"
+        value={editing?.name || ''}
+        onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+        required
+      />
+      <select value={editing?.country_code || '+91'} onChange={(e) => setEditing((prev) => ({ ...prev, country_code: e.target.value }))}>
+        {COUNTRY_CODES.map((country) => (
+          <option key={country.code} value={country.code}>
+            {country.flag} {country.code}
+          </option>
+        ))}
+      </select>
+      <input
+        type="tel"
+        placeholder="Phone"
+        value={editing?.phone || ''}
+        onChange={(e) => setEditing((prev) => ({ ...prev, phone: e.target.value.replace(/\D/g, '') }))}
+      />
+      <input
+        type="email"
+        placeholder="Email"
+        value={editing?.email || ''}
+        onChange={(e) => setEditing((prev) => ({ ...prev, email: e.target.value }))}
+      />
+      <button type="submit" disabled={saving}>
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+      <button type="button" onClick={() => setEditing(null)} style={{ background: '#f1f1f1', color: '#333' }}>
+        Cancel
+      </button>
+    </form>
+  )
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">Projects</p>
+          <h2>Customers</h2>
+          <p>
+            Customers and contact people offered on the daily target and MoM forms. Correcting a number here updates every
+            report, MoM and project that names the contact.
+          </p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      <input
+        type="search"
+        placeholder="Search customer, contact person or number"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        style={{ width: '100%', padding: '0.5rem', marginBottom: '1rem' }}
+      />
+
+      {loading ? (
+        <p>Loading customers...</p>
+      ) : customers.length === 0 ? (
+        <p style={{ color: '#666' }}>No customers found. Customers are added as they are entered on reports.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f5f8fb', textAlign: 'left' }}>
+                <th style={thStyle}>Customer</th>
+                <th style={thStyle}>Contact people</th>
+              </tr>
+            </thead>
+            <tbody>
+              {customers.map((customer) => (
+                <tr key={customer.id}>
+                  <td style={{ ...tdStyle, verticalAlign: 'top' }}>
+                    <strong>{customer.name}</strong>
+                    {canManage && (
+                      <div>
+                        <button type="button" onClick={() => handleRename(customer)} style={{ marginTop: '0.5rem' }}>
+                          Rename
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                  <td style={tdStyle}>
+                    {customer.contacts.map((contact) =>
+                      editing?.contactId === contact.id ? (
+                        <div key={contact.id}>{contactForm}</div>
+                      ) : (
+                        <div key={contact.id} style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginBottom: '0.4rem' }}>
+                          <span style={{ minWidth: '10rem' }}>{contact.name}</span>
+                          <span style={{ color: '#666' }}>{contact.phone ? `${contact.country_code} ${contact.phone}` : '-'}</span>
+                          <span style={{ color: '#666' }}>{contact.email || ''}</span>
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setEditing({
+                                customerId: customer.id,
+                                contactId: contact.id,
+                                name: contact.name,
+                                country_code: contact.country_code,
+                                phone: contact.phone || '',
+                                email: contact.email || '',
+                              })
+                            }
+                          >
+                            Edit
+                          </button>
+                          {canManage && (
+                            <button type="button" onClick={() => handleDeleteContact(contact)} style={{ background: '#dc3545', color: 'white' }}>
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      )
+                    )}
+                    {editing?.customerId === customer.id && !editing.contactId ? (
+                      contactForm
+                    ) : (
+                      <button type="button" onClick={() => setEditing({ customerId: customer.id, contactId: null, ...emptyContact() })}>
+                        Add contact
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default CustomerDirectory
@@ -0,0 +1,22 @@
+import SearchInput from './SearchInput'
+
+// Customer name field that searches the customer master as you type. Picking a suggestion calls
+// onSelect with the customer and its contact people, so the form can offer them for the person field.
+function CustomerPicker(props) {
+  return (
+    <SearchInput
+      {...props}
+      resource="customers"
+      renderSuggestion={(customer) => (
+        <>
+          <strong style={{ color: '#092544' }}>{customer.name}</strong>
+          <div style={{ fontSize: '0.8rem', color: '#666' }}>
+            {customer.contacts.map((contact) => contact.name).join(', ') || 'No contact people yet'}
+          </div>
+        </>
+      )}
+    />
+  )
+}
+
+export default CustomerPicker
@@ -1,6 +1,15 @@
-import { useMemo, useState, useEffect } from 'react'
+import { useCallback, useMemo, useState, useEffect } from 'react'
 import './OnboardingForm.css'
 import { useAuth } from './AuthContext'
+import ProjectPicker from './ProjectPicker'
+import CustomerPicker from './CustomerPicker'
+import ContactPersonInput from './ContactPersonInput'
+import { COUNTRY_CODES, phoneError } from '../utils/phone'
+import { formatCoordinates, reverseGeocode } from '../utils/geocode'
+import { openFile } from '../utils/files'
+import { uploadAttachments } from '../utils/attachments'
+import AttachmentPicker from './AttachmentPicker'
+import AttachmentGallery from './AttachmentGallery'
 
 const getIndianTime = () => {
   // Get current local time (assuming user's PC is set to IST)
@@ -24,10 +33,13 @@ const defaultPayload = () => {
     customerName: '',
     customerPerson: '',
     customerContact: '',
+    customerCountryCode: '+91',
     endCustomerName: '',
     endCustomerPerson: '',
     endCustomerContact: '',
+    endCustomerCountryCode: '+91',
     projectNo: '',
+    projectId: '', // set when a project is picked from the project master
     locationType: '', // 'site', 'office', 'leave'
     siteLocation: '',
     locationLat: '',
@@ -47,9 +59,30 @@ const defaultPayload = () => {
     siteEndDate: '',
     incharge: '',
     remark: '',
+    leaveType: 'casual', // used when locationType is 'leave' and no leave application covers the date
   }
 }
 
+const digits = (value) => (value ?? '').toString().replace(/\D/g, '')
+
+// Form values with a picked project's number, customers, site dates and in-charge filled in
+const withProject = (prev, project) => ({
+  ...prev,
+  projectNo: project.project_no,
+  projectId: project.id,
+  customerName: project.customer_name || prev.customerName,
+  customerPerson: project.customer_person || prev.customerPerson,
+  customerContact: digits(project.customer_contact) || prev.customerContact,
+  customerCountryCode: project.customer_contact ? project.customer_country_code : prev.customerCountryCode,
+  endCustomerName: project.end_customer_name || prev.endCustomerName,
+  endCustomerPerson: project.end_customer_person || prev.endCustomerPerson,
+  endCustomerContact: digits(project.end_customer_contact) || prev.endCustomerContact,
+  endCustomerCountryCode: project.end_customer_contact ? project.end_customer_country_code : prev.endCustomerCountryCode,
+  siteStartDate: project.start_date || prev.siteStartDate,
+  siteEndDate: project.end_date || prev.siteEndDate,
+  incharge: prev.incharge || project.incharge_name || '',
+})
+
 function DailyTargetForm() {
   const { token } = useAuth()
   const [formData, setFormData] = useState(defaultPayload)
@@ -61,12 +94,135 @@ function DailyTargetForm() {
   const [isEditMode, setIsEditMode] = useState(false)
   const [locationName, setLocationName] = useState('')
   const [fetchingLocation, setFetchingLocation] = useState(false)
+  // Contact people on file for the picked customer and end customer
+  const [knownContacts, setKnownContacts] = useState({ customer: [], endCustomer: [] })
+  // Deployment covering the report date, when the form was prefilled from it
+  const [assignment, setAssignment] = useState(null)
+  const [attendance, setAttendance] = useState(null)
+  const [checkingIn, setCheckingIn] = useState(false)
+  // Photos and documents chosen in the form, uploaded once the report is saved
+  const [pendingAttachments, setPendingAttachments] = useState([])
 
   const endpoint = useMemo(
     () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/daily-target') ?? 'http://localhost:5000/api/daily-target',
     []
   )
 
+  const deploymentsEndpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/deployments') ?? 'http://localhost:5000/api/deployments',
+    []
+  )
+
+  const siteCheckinsEndpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/site-checkins') ?? 'http://localhost:5000/api/site-checkins',
+    []
+  )
+
+  const leaveEndpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/leave') ?? 'http://localhost:5000/api/leave',
+    []
+  )
+
+  // The backend refuses a work report on a day of approved leave; offer to ask for the leave to be cancelled
+  const offerLeaveCancellation = async (errorData) => {
+    if (errorData.leaveStatus === 'cancellation_requested') {
+      setAlert({ type: 'error', message: 'You are on approved leave on this date and its cancellation is awaiting approval. Submit the report once it is cancelled.' })
+      return
+    }
+    if (!window.confirm(`${errorData.message}\n\nRequest cancellation of this leave now?`)) {
+      setAlert({ type: 'error', message: errorData.message })
+      return
+    }
+    try {
+      const res = await fetch(`${leaveEndpoint}/request-cancellation/${errorData.leaveId}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: `Worked on ${formData.reportDate}; submitting a daily report` }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to request leave cancellation')
+      }
+      setAlert({ type: 'success', message: `${data.message} Submit the report again once it is approved.` })
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    }
+  }
+
+
+  // Prefill project and site from the deployment covering the report date, unless the engineer
+  // has already entered a project
+  useEffect(() => {
+    if (!token || isEditMode || !formData.reportDate) return
+    let cancelled = false
+    const fetchAssignment = async () => {
+      try {
+        const res = await fetch(`${deploymentsEndpoint}/today?date=${formData.reportDate}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        })
+        const data = await res.json().catch(() => ({}))
+        const deployment = res.ok ? data.deployment : null
+        if (cancelled) return
+        setAssignment(deployment)
+        if (!deployment) return
+        setFormData((prev) => {
+          if (prev.projectNo) return prev
+          return {
+            ...(deployment.project ? withProject(prev, deployment.project) : prev),
+            locationType: prev.locationType || 'site',
+            siteStartDate: deployment.start_date,
+            siteEndDate: deployment.end_date,
+          }
+        })
+      } catch (err) {
+        console.error('Failed to fetch deployment', err)
+      }
+    }
+    fetchAssignment()
+    return () => {
+      cancelled = true
+    }
+  }, [token, deploymentsEndpoint, formData.reportDate, isEditMode])
+
+  // Site reports take their in and out times from the day's check-ins. A report edited without
+  // any check-ins (filed before check-ins existed) keeps its typed times.
+  const applyAttendance = useCallback(
+    (data) => {
+      setAttendance(data)
+      if (isEditMode && !data.events.length) return
+      setFormData((prev) => ({
+        ...prev,
+        inTime: data.inTime || '',
+        outTime: data.outTime || (data.checkedIn ? prev.outTime : ''),
+        locationLat: prev.locationLat || (data.position ? String(data.position.lat) : ''),
+        locationLng: prev.locationLng || (data.position ? String(data.position.lng) : ''),
+      }))
+    },
+    [isEditMode]
+  )
+
+  useEffect(() => {
+    if (!token || formData.locationType !== 'site' || !formData.reportDate) {
+      setAttendance(null)
+      return
+    }
+    let cancelled = false
+    const fetchAttendance = async () => {
+      try {
+        const res = await fetch(`${siteCheckinsEndpoint}?date=${formData.reportDate}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        })
+        const data = await res.json().catch(() => ({}))
+        if (!cancelled && res.ok) applyAttendance(data)
+      } catch (err) {
+        console.error('Failed to fetch check-ins', err)
+      }
+    }
+    fetchAttendance()
+    return () => {
+      cancelled = true
+    }
+  }, [token, siteCheckinsEndpoint, formData.locationType, formData.reportDate, applyAttendance])
 
   // Get user's location when site location is selected
   useEffect(() => {
@@ -90,6 +246,7 @@ function DailyTargetForm() {
           endCustomerPerson: '',
           endCustomerContact: '',
           projectNo: '',
+          projectId: '',
           siteLocation: '',
           locationLat: '',
           locationLng: '',
@@ -141,202 +298,13 @@ function DailyTargetForm() {
     }
   }, [formData.locationType])
 
-  // Reverse geocode coordinates to get readable address with better accuracy
-  const reverseGeocode = async (lat, lng) => {
+  // Readable address for the coordinates, looked up by the backend
+  const lookupAddress = async (lat, lng) => {
+    setFetchingLocation(true)
     try {
-      setFetchingLocation(true)
-      
-      // Try multiple geocoding services for better accuracy
-      let bestAddress = null
-      let addresses = []
-      
-      // Method 1: Try Google Maps Geocoding API first (most accurate for Indian addresses)
-      const googleApiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY
-      if (googleApiKey) {
-        try {
-          const response = await fetch(
-            `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&key=${googleApiKey}&language=en&region=in&result_type=street_address|premise|subpremise|neighborhood|locality|sublocality`
-          )
-          
-          if (response.ok) {
-            const data = await response.json()
-            if (data && data.status === 'OK' && data.results && data.results.length > 0) {
-              // Try to find the most specific result
-              let specificResult = data.results.find(r => 
-                r.types.includes('street_address') || 
-                r.types.includes('premise') || 
-                r.types.includes('subpremise')
-              )
-              
-              // If not found, try neighborhood or sublocality (for places like "M Phulenagar")
-              if (!specificResult) {
-                specificResult = data.results.find(r => 
-                  r.types.includes('neighborhood') || 
-                  r.types.includes('sublocality') ||
-                  r.types.includes('sublocality_level_1')
-                )
-              }
-              
-              // Fallback to locality
-              if (!specificResult) {
-                specificResult = data.results.find(r => r.types.includes('locality'))
-              }
-              
-              // Final fallback to first result
-              if (!specificResult) {
-                specificResult = data.results[0]
-              }
-              
-              if (specificResult && specificResult.formatted_address) {
-                // Google Maps API result is most accurate, use it immediately
-                bestAddress = specificResult.formatted_address
-                setLocationName(bestAddress)
-                return bestAddress
-              }
-            }
-          }
-        } catch (error) {
-          console.warn('Google Geocoding API failed:', error)
-        }
-      }
-      
-      // Method 2: Try OpenStreetMap Nominatim with multiple zoom levels and different parameters
-      const zoomLevels = [18, 16, 14, 12] // Try most detailed first
-      for (const zoom of zoomLevels) {
-        try {
-          // Try with different parameters
-          const urls = [
-            `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=${zoom}&addressdetails=1&extratags=1&namedetails=1&accept-language=en`,
-            `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=${zoom}&addressdetails=1&extratags=1&accept-language=en-IN`,
-          ]
-          
-          for (const url of urls) {
-            const response = await fetch(url, {
-              headers: {
-                'User-Agent': 'Vickhardth Site Pulse App',
-                'Accept-Language': 'en,en-IN',
-              },
-            })
-            
-            if (response.ok) {
-              const data = await response.json()
-              if (data) {
-                // Try to extract the most specific address
-                if (data.address) {
-                  const addr = data.address
-                  let addressParts = []
-                  
-              // Prioritize most specific location identifiers for Indian addresses
-              // Order matters - most specific first
-              
-              // 1. Locality/Neighbourhood (most specific - like "M Phulenagar")
-              if (addr.locality) addressParts.push(addr.locality)
-              else if (addr.neighbourhood) addressParts.push(addr.neighbourhood)
-              else if (addr.suburb) addressParts.push(addr.suburb)
-              else if (addr.quarter) addressParts.push(addr.quarter)
-              else if (addr.residential) addressParts.push(addr.residential)
-              else if (addr.hamlet) addressParts.push(addr.hamlet)
-              
-              // 2. Park/Place name (like "Jijamata Park")
-              if (addr.leisure) addressParts.push(addr.leisure)
-              if (addr.amenity) addressParts.push(addr.amenity)
-              if (addr.place) addressParts.push(addr.place)
-              
-              // 3. Road/Street
-              if (addr.road) addressParts.push(addr.road)
-              else if (addr.street) addressParts.push(addr.street)
-              else if (addr.pedestrian) addressParts.push(addr.pedestrian)
-              else if (addr.footway) addressParts.push(addr.footway)
-              else if (addr.path) addressParts.push(addr.path)
-              
-              // 4. City/Town (like "Chinchwad")
-              if (addr.city) addressParts.push(addr.city)
-              else if (addr.town) addressParts.push(addr.town)
-              else if (addr.village) addressParts.push(addr.village)
-              else if (addr.municipality) addressParts.push(addr.municipality)
-              
-              // 5. Larger area (like "Pimpri-Chinchwad")
-              if (addr.city_district) addressParts.push(addr.city_district)
-              
-              // 6. District/County
-              if (addr.district) addressParts.push(addr.district)
-              else if (addr.county) addressParts.push(addr.county)
-              
-              // 7. Postcode
-              if (addr.postcode) addressParts.push(addr.postcode)
-              
-              // 8. State
-              if (addr.state) addressParts.push(addr.state)
-                  
-                  if (addressParts.length > 0) {
-                    const constructedAddress = addressParts.join(', ')
-                    addresses.push(constructedAddress)
-                  }
-                }
-                
-                // Also collect display_name as alternative
-                if (data.display_name) {
-                  addresses.push(data.display_name)
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.warn(`Nominatim API failed for zoom ${zoom}:`, error)
-          continue
-        }
-      }
-      
-      // Method 3: Try MapBox if available (optional)
-      const mapboxToken = import.meta.env.VITE_MAPBOX_TOKEN
-      if (mapboxToken && !bestAddress) {
-        try {
-          const response = await fetch(
-            `https://api.mapbox.com/geocoding/v5/mapbox.places/${lng},${lat}.json?access_token=${mapboxToken}&types=address,poi,neighborhood,locality`
-          )
-          
-          if (response.ok) {
-            const data = await response.json()
-            if (data && data.features && data.features.length > 0) {
-              const feature = data.features[0]
-              if (feature.place_name) {
-                addresses.push(feature.place_name)
-              }
-            }
-          }
-        } catch (error) {
-          console.warn('MapBox API failed:', error)
-        }
-      }
-      
-      // Find the best address - prioritize addresses that contain more specific terms
-      if (addresses.length > 0) {
-        // Score addresses based on specificity (prefer addresses with more components)
-        const scoredAddresses = addresses.map(addr => ({
-          address: addr,
-          score: addr.split(',').length + (addr.match(/park|nagar|chinchwad|pimpri/i) ? 10 : 0)
-        }))
-        
-        // Sort by score (highest first)
-        scoredAddresses.sort((a, b) => b.score - a.score)
-        bestAddress = scoredAddresses[0].address
-      }
-      
-      // If we got an address, use it
-      if (bestAddress) {
-        setLocationName(bestAddress)
-        return bestAddress
-      }
-      
-      // Final fallback: coordinates
-      const formattedCoords = `${lat.toFixed(6)}, ${lng.toFixed(6)}`
-      setLocationName(formattedCoords)
-      return formattedCoords
-    } catch (error) {
-      console.error('Reverse geocoding error:', error)
-      const fallback = `${lat.toFixed(6)}, ${lng.toFixed(6)}`
-      setLocationName(fallback)
-      return fallback
+      const address = await reverseGeocode(lat, lng, token)
+      setLocationName(address)
+      return address
     } finally {
       setFetchingLocation(false)
     }
@@ -362,16 +330,16 @@ function DailyTargetForm() {
             ...prev,
             locationLat: lat.toString(),
             locationLng: lng.toString(),
-            siteLocation: `${lat.toFixed(6)}, ${lng.toFixed(6)}`, // Set coordinates as fallback
+            siteLocation: formatCoordinates(lat, lng), // Set coordinates as fallback
           }))
           
           setLocationAccess(true)
           
           // Get readable address (this will update siteLocation if successful)
-          const address = await reverseGeocode(lat, lng)
+          const address = await lookupAddress(lat, lng)
           
           // Update with the address if we got one
-          if (address && address !== `${lat.toFixed(6)}, ${lng.toFixed(6)}`) {
+          if (address && address !== formatCoordinates(lat, lng)) {
             setFormData((prev) => ({
               ...prev,
               siteLocation: address,
@@ -411,6 +379,80 @@ function DailyTargetForm() {
     )
   }
 
+  // Check in or out at the device's current position; the backend checks it against the site fence
+  const handleSiteCheck = (event) => {
+    if (!navigator.geolocation) {
+      setAlert({ type: 'error', message: 'Geolocation is not supported by your browser' })
+      return
+    }
+    setCheckingIn(true)
+    setAlert(null)
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        try {
+          const res = await fetch(`${siteCheckinsEndpoint}/${event}`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              latitude: position.coords.latitude,
+              longitude: position.coords.longitude,
+              accuracy: position.coords.accuracy,
+              projectId: formData.projectId || null,
+            }),
+          })
+          const data = await res.json().catch(() => ({}))
+          if (!res.ok) {
+            throw new Error(data.message || `Unable to ${event.replace('-', ' ')}`)
+          }
+          if (data.attendance && data.checkin.report_date === formData.reportDate) {
+            applyAttendance(data.attendance)
+          }
+          setAlert({ type: data.checkin.outside_fence ? 'error' : 'success', message: data.message })
+        } catch (err) {
+          setAlert({ type: 'error', message: err.message })
+        } finally {
+          setCheckingIn(false)
+        }
+      },
+      () => {
+        setCheckingIn(false)
+        setAlert({ type: 'error', message: 'Your location is needed to check in or out. Please allow location access.' })
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: 15000,
+        maximumAge: 0
+      }
+    )
+  }
+
+  // Typing in the project field drops the link to a previously picked project
+  const handleProjectText = (event) => {
+    const { value } = event.target
+    setFormData((prev) => ({ ...prev, projectNo: value, projectId: '' }))
+  }
+
+  const handleProjectSelect = (project) => {
+    setFormData((prev) => withProject(prev, project))
+  }
+
+  // `role` is 'customer' or 'endCustomer', the prefix of the form fields it fills
+  const handleCustomerSelect = (role) => (customer) => {
+    setKnownContacts((prev) => ({ ...prev, [role]: customer.contacts }))
+    setFormData((prev) => ({ ...prev, [`${role}Name`]: customer.name }))
+  }
+
+  // A retyped customer name no longer matches the picked customer's contact people
+  const handleCustomerText = (role) => (event) => {
+    setKnownContacts((prev) => ({ ...prev, [role]: [] }))
+    handleChange(event)
+  }
+
+  const handleContactSelect = (role) => (contact) => {
+    if (!contact.phone) return
+    setFormData((prev) => ({ ...prev, [`${role}Contact`]: contact.phone, [`${role}CountryCode`]: contact.country_code }))
+  }
+
   const handleChange = (event) => {
     const { name, value, type, files } = event.target
 
@@ -463,7 +505,7 @@ function DailyTargetForm() {
     setAlert(null)
 
     // Validate PDF upload for site location (skip for edits with existing location data)
-    if (formData.locationType === 'site' && !locationAccess && !(isEditMode && formData.locationLat && formData.locationLng)) {
+    if (formData.locationType === 'site' && !siteLocated) {
       setAlert({ type: 'error', message: 'Please allow location access to upload MOM report' })
       setSubmitting(false)
       return
@@ -476,13 +518,15 @@ function DailyTargetForm() {
     } else {
       // For office/site locations, require all work-related fields
       const requiredFields = [
-        'reportDate', 'inTime', 'outTime', 'customerName', 'customerPerson', 'customerContact',
+        'reportDate', 'customerName', 'customerPerson', 'customerContact',
         'endCustomerName', 'endCustomerPerson', 'endCustomerContact', 'projectNo', 'locationType',
         'dailyTargetPlanned', 'dailyTargetAchieved', 'incharge'
       ]
 
       if (formData.locationType === 'site') {
         requiredFields.push('siteStartDate')
+      } else {
+        requiredFields.push('inTime', 'outTime')
       }
 
       const missingFields = requiredFields.filter(field => !formData[field])
@@ -492,6 +536,15 @@ function DailyTargetForm() {
         setSubmitting(false)
         return
       }
+
+      const invalidPhone =
+        phoneError(formData.customerCountryCode, formData.customerContact) ||
+        phoneError(formData.endCustomerCountryCode, formData.endCustomerContact)
+      if (invalidPhone) {
+        setAlert({ type: 'error', message: invalidPhone })
+        setSubmitting(false)
+        return
+      }
     }
 
     try {
@@ -517,23 +570,50 @@ function DailyTargetForm() {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({ message: 'Unable to save daily target report. Please retry.' }))
+        if (errorData.onLeave) {
+          await offerLeaveCancellation(errorData)
+          return
+        }
         throw new Error(errorData.message || 'Unable to save daily target report. Please retry.')
       }
 
       const responseData = await response.json()
+      const reportId = isEditMode ? submittedData.id : responseData.id
+
+      // The report is saved either way; a failed upload can be retried from the submitted view
+      let attachmentError = null
+      if (pendingAttachments.length > 0 && formData.locationType !== 'leave') {
+        try {
+          await uploadAttachments('daily', reportId, pendingAttachments, token)
+          setPendingAttachments([])
+        } catch (error) {
+          attachmentError = error.message
+        }
+      }
 
       // Store submitted data to show on page
       const submittedFormData = {
         ...formData,
-        id: isEditMode ? submittedData.id : responseData.id,
+        id: reportId,
         submittedAt: isEditMode ? submittedData.submittedAt : new Date().toISOString(),
         momReportName: formData.momReport ? formData.momReport.name : (isEditMode ? submittedData.momReportName : null),
+        momFileId: responseData.momFileId ?? null,
         locationName: locationName || formData.siteLocation || '',
       }
       setSubmittedData(submittedFormData)
       setIsEditMode(false)
       
-      setAlert({ type: 'success', message: isEditMode ? 'Report updated successfully!' : 'Daily target report saved successfully! You can now view and edit it below.' })
+      setAlert(attachmentError ? {
+        type: 'error',
+        message: `Report saved, but the attachments were not uploaded: ${attachmentError}. Add them again from the report below.`,
+      } : {
+        type: 'success',
+        message: isEditMode
+          ? 'Report updated successfully!'
+          : responseData.leaveApplicationId && formData.locationType === 'leave'
+            ? `${responseData.message}. You can follow it under Leave.`
+            : 'Daily target report saved successfully! You can now view and edit it below.',
+      })
       
       // Reset form for new entry
       const newFormData = defaultPayload()
@@ -555,7 +635,13 @@ function DailyTargetForm() {
     }
   }
 
-  const canUploadPDF = formData.locationType === 'site' && locationAccess
+  // A site report needs the engineer's position: from Get Location, a check-in, or the report being edited
+  const siteLocated =
+    locationAccess || Boolean(attendance?.inTime) || (isEditMode && Boolean(formData.locationLat && formData.locationLng))
+  // Site in and out times come from check-ins; out time may be typed only while still checked in
+  const timesFromCheckins = formData.locationType === 'site' && !(isEditMode && attendance && !attendance.events.length)
+
+  const canUploadPDF = formData.locationType === 'site' && (locationAccess || Boolean(attendance?.inTime))
 
   return (
     <section className="vh-form-shell">
@@ -595,6 +681,7 @@ function DailyTargetForm() {
                   const editData = { ...submittedData }
                   // Remove the momReportName as we'll need to re-upload if changed
                   delete editData.momReportName
+                  delete editData.momFileId
                   delete editData.id
 
                   delete editData.submittedAt
@@ -616,8 +703,8 @@ function DailyTargetForm() {
                       const lat = parseFloat(editData.locationLat)
                       const lng = parseFloat(editData.locationLng)
                       if (!isNaN(lat) && !isNaN(lng)) {
-                        reverseGeocode(lat, lng).then((address) => {
-                          if (address && address !== `${lat.toFixed(6)}, ${lng.toFixed(6)}`) {
+                        lookupAddress(lat, lng).then((address) => {
+                          if (address && address !== formatCoordinates(lat, lng)) {
                             setFormData((prev) => ({
                               ...prev,
                               siteLocation: address,
@@ -682,7 +769,7 @@ function DailyTargetForm() {
                 </div>
                 <div><strong>Customer Name:</strong> {submittedData.customerName || 'N/A'}</div>
                 <div><strong>Customer Person:</strong> {submittedData.customerPerson || 'N/A'}</div>
-                <div><strong>Customer Contact:</strong> {submittedData.customerContact || 'N/A'}</div>
+                <div><strong>Customer Contact:</strong> {submittedData.customerContact ? `${submittedData.customerCountryCode} ${submittedData.customerContact}` : 'N/A'}</div>
               </>
             )}
 
@@ -693,7 +780,7 @@ function DailyTargetForm() {
                 </div>
                 <div><strong>End Customer Name:</strong> {submittedData.endCustomerName || 'N/A'}</div>
                 <div><strong>End Customer Person:</strong> {submittedData.endCustomerPerson || 'N/A'}</div>
-                <div><strong>End Customer Contact:</strong> {submittedData.endCustomerContact || 'N/A'}</div>
+                <div><strong>End Customer Contact:</strong> {submittedData.endCustomerContact ? `${submittedData.endCustomerCountryCode} ${submittedData.endCustomerContact}` : 'N/A'}</div>
 
                 <div className="vh-span-2" style={{ gridColumn: 'span 2', borderTop: '1px solid #d5e0f2', paddingTop: '0.5rem', marginTop: '0.5rem' }}>
                   <strong>Project & Location:</strong>
@@ -719,6 +806,24 @@ function DailyTargetForm() {
                 {submittedData.momReportName && (
                   <div className="vh-span-2" style={{ gridColumn: 'span 2' }}>
                     <strong>MOM Report:</strong> {submittedData.momReportName}
+                    {submittedData.momFileId && (
+                      <button
+                        type="button"
+                        onClick={() => openFile(submittedData.momFileId, token).catch((err) => setAlert({ type: 'error', message: err.message }))}
+                        style={{
+                          marginLeft: '0.5rem',
+                          padding: '0.25rem 0.75rem',
+                          background: '#2ad1ff',
+                          color: 'white',
+                          border: 'none',
+                          borderRadius: '8px',
+                          cursor: 'pointer',
+                          fontSize: '0.85rem',
+                        }}
+                      >
+                        Open
+                      </button>
+                    )}
                   </div>
                 )}
 
@@ -814,6 +919,13 @@ function DailyTargetForm() {
                 </p>
               </div>
             )}
+
+            {submittedData.locationType !== 'leave' && (
+              <div className="vh-span-2" style={{ gridColumn: 'span 2', borderTop: '1px solid #d5e0f2', paddingTop: '0.5rem', marginTop: '0.5rem' }}>
+                <strong style={{ display: 'block', marginBottom: '0.5rem' }}>Photos & Documents:</strong>
+                <AttachmentGallery reportType="daily" reportId={submittedData.id} canEdit />
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -847,6 +959,20 @@ function DailyTargetForm() {
             </select>
           </label>
 
+          {formData.locationType === 'leave' && (
+            <label className="vh-span-2">
+              <span>Leave Type</span>
+              <select name="leaveType" value={formData.leaveType} onChange={handleChange}>
+                <option value="casual">Casual Leave</option>
+                <option value="sick">Sick Leave</option>
+                <option value="paid">Paid Leave</option>
+              </select>
+              <small style={{ color: '#666', display: 'block', marginTop: '0.25rem' }}>
+                A leave application is submitted for this date unless you already applied for it
+              </small>
+            </label>
+          )}
+
           {formData.locationType !== 'leave' && (
             <>
               <label>
@@ -857,23 +983,26 @@ function DailyTargetForm() {
                     name="inTime"
                     value={formData.inTime}
                     onChange={handleChange}
-                    style={{ flex: 1 }}
+                    readOnly={timesFromCheckins}
+                    style={{ flex: 1, background: timesFromCheckins ? '#f5f5f5' : undefined }}
                   />
-                  <button
-                    type="button"
-                    onClick={handleInTimeAuto}
-                    style={{
-                      padding: '0.5rem 1rem',
-                      background: '#2ad1ff',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '8px',
-                      cursor: 'pointer',
-                      fontSize: '0.85rem',
-                    }}
-                  >
-                    Auto
-                  </button>
+                  {!timesFromCheckins && (
+                    <button
+                      type="button"
+                      onClick={handleInTimeAuto}
+                      style={{
+                        padding: '0.5rem 1rem',
+                        background: '#2ad1ff',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '8px',
+                        cursor: 'pointer',
+                        fontSize: '0.85rem',
+                      }}
+                    >
+                      Auto
+                    </button>
+                  )}
                 </div>
               </label>
 
@@ -885,107 +1014,199 @@ function DailyTargetForm() {
                     name="outTime"
                     value={formData.outTime}
                     onChange={handleChange}
-                    style={{ flex: 1 }}
+                    readOnly={timesFromCheckins && !attendance?.checkedIn}
+                    style={{ flex: 1, background: timesFromCheckins && !attendance?.checkedIn ? '#f5f5f5' : undefined }}
                   />
-                  <button
-                    type="button"
-                    onClick={handleOutTimeAuto}
-                    style={{
-                      padding: '0.5rem 1rem',
-                      background: '#2ad1ff',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '8px',
-                      cursor: 'pointer',
-                      fontSize: '0.85rem',
-                    }}
-                  >
-                    Auto
-                  </button>
+                  {!(timesFromCheckins && !attendance?.checkedIn) && (
+                    <button
+                      type="button"
+                      onClick={handleOutTimeAuto}
+                      style={{
+                        padding: '0.5rem 1rem',
+                        background: '#2ad1ff',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '8px',
+                        cursor: 'pointer',
+                        fontSize: '0.85rem',
+                      }}
+                    >
+                      Auto
+                    </button>
+                  )}
                 </div>
+                {timesFromCheckins && attendance?.checkedIn && (
+                  <small style={{ color: '#8892aa', display: 'block', marginTop: '0.25rem' }}>
+                    Taken from your check-out; enter it only if you cannot check out from the site
+                  </small>
+                )}
               </label>
 
               <label className="vh-span-2">
                 <span>Customer Name</span>
-                <input
-                  type="text"
+                <CustomerPicker
                   name="customerName"
-                  placeholder="Enter customer name"
+                  placeholder="Search or enter customer name"
                   value={formData.customerName}
-                  onChange={handleChange}
+                  onChange={handleCustomerText('customer')}
+                  onSelect={handleCustomerSelect('customer')}
                 />
               </label>
 
               <label className="vh-span-2">
                 <span>Customer Person</span>
-                <input
+                <ContactPersonInput
+                  id="customer-contacts"
                   type="text"
                   name="customerPerson"
                   placeholder="Enter customer contact person name"
                   value={formData.customerPerson}
+                  contacts={knownContacts.customer}
                   onChange={handleChange}
+                  onSelect={handleContactSelect('customer')}
                 />
               </label>
 
               <label className="vh-span-2">
                 <span>Customer Contact No.</span>
-                <input
-                  type="tel"
-                  name="customerContact"
-                  placeholder="Enter customer contact number"
-                  value={formData.customerContact}
-                  onChange={handleChange}
-                />
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <select name="customerCountryCode" value={formData.customerCountryCode} onChange={handleChange} style={{ maxWidth: '9rem' }}>
+                    {COUNTRY_CODES.map((country) => (
+                      <option key={country.code} value={country.code}>
+                        {country.flag} {country.code} ({country.country})
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="tel"
+                    name="customerContact"
+                    placeholder="Enter customer contact number"
+                    value={formData.customerContact}
+                    onChange={handleChange}
+                    style={{ flex: 1 }}
+                  />
+                </div>
+                {phoneError(formData.customerCountryCode, formData.customerContact) && (
+                  <small style={{ color: '#c0392b' }}>{phoneError(formData.customerCountryCode, formData.customerContact)}</small>
+                )}
               </label>
 
               <label className="vh-span-2">
                 <span>End Customer Name</span>
-                <input
-                  type="text"
+                <CustomerPicker
                   name="endCustomerName"
-                  placeholder="Enter end customer name"
+                  placeholder="Search or enter end customer name"
                   value={formData.endCustomerName}
-                  onChange={handleChange}
+                  onChange={handleCustomerText('endCustomer')}
+                  onSelect={handleCustomerSelect('endCustomer')}
                 />
               </label>
 
               <label className="vh-span-2">
                 <span>End Customer Person</span>
-                <input
+                <ContactPersonInput
+                  id="endCustomer-contacts"
                   type="text"
                   name="endCustomerPerson"
                   placeholder="Enter end customer contact person name"
                   value={formData.endCustomerPerson}
+                  contacts={knownContacts.endCustomer}
                   onChange={handleChange}
+                  onSelect={handleContactSelect('endCustomer')}
                 />
               </label>
 
               <label className="vh-span-2">
                 <span>End Customer Contact No.</span>
-                <input
-                  type="tel"
-                  name="endCustomerContact"
-                  placeholder="Enter end customer contact number"
-                  value={formData.endCustomerContact}
-                  onChange={handleChange}
-                />
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <select name="endCustomerCountryCode" value={formData.endCustomerCountryCode} onChange={handleChange} style={{ maxWidth: '9rem' }}>
+                    {COUNTRY_CODES.map((country) => (
+                      <option key={country.code} value={country.code}>
+                        {country.flag} {country.code} ({country.country})
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="tel"
+                    name="endCustomerContact"
+                    placeholder="Enter end customer contact number"
+                    value={formData.endCustomerContact}
+                    onChange={handleChange}
+                    style={{ flex: 1 }}
+                  />
+                </div>
+                {phoneError(formData.endCustomerCountryCode, formData.endCustomerContact) && (
+                  <small style={{ color: '#c0392b' }}>{phoneError(formData.endCustomerCountryCode, formData.endCustomerContact)}</small>
+                )}
               </label>
 
               <label className="vh-span-2">
                 <span>Project No. / Project Name</span>
-                <input
-                  type="text"
+                <ProjectPicker
                   name="projectNo"
-                  placeholder="Eg. VH-Metro Phase 2 / VH-OPS-0215"
+                  placeholder="Search project number, name or customer"
                   value={formData.projectNo}
-                  onChange={handleChange}
+                  onChange={handleProjectText}
+                  onSelect={handleProjectSelect}
                 />
+                {assignment && (
+                  <small style={{ color: '#666' }}>
+                    Deployed to {assignment.project_no || assignment.site_name}
+                    {assignment.project_no && assignment.site_name ? ` at ${assignment.site_name}` : ''} from{' '}
+                    {assignment.start_date} to {assignment.end_date}
+                  </small>
+                )}
               </label>
             </>
           )}
 
           {formData.locationType === 'site' && (
             <>
+              <div className="vh-span-2">
+                <span className="vh-form-label">Site Attendance</span>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginTop: '0.25rem' }}>
+                  <button
+                    type="button"
+                    onClick={() => handleSiteCheck(attendance?.checkedIn ? 'check-out' : 'check-in')}
+                    disabled={checkingIn || !attendance}
+                    style={{
+                      padding: '0.5rem 1rem',
+                      background: attendance?.checkedIn ? '#ff7a7a' : '#06c167',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '8px',
+                      cursor: checkingIn ? 'not-allowed' : 'pointer',
+                      fontSize: '0.85rem',
+                      opacity: checkingIn ? 0.7 : 1,
+                    }}
+                  >
+                    {checkingIn ? '⏳ Locating...' : attendance?.checkedIn ? 'Check Out' : 'Check In'}
+                  </button>
+                  <small style={{ color: '#8892aa' }}>
+                    {attendance?.checkedIn
+                      ? `Checked in since ${attendance.inTime}`
+                      : attendance?.events.length
+                        ? `Checked out at ${attendance.outTime}`
+                        : 'Check in when you reach the site; your in and out times are taken from here'}
+                  </small>
+                </div>
+                {attendance?.events.length > 0 && (
+                  <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem', fontSize: '0.85rem' }}>
+                    {attendance.events.map((entry) => (
+                      <li key={entry.id} style={{ color: entry.outside_fence ? '#ff7a7a' : undefined }}>
+                        {entry.event === 'check_in' ? 'Check-in' : 'Check-out'} at {entry.time}
+                        {entry.project_no ? ` (${entry.project_no})` : ''}
+                        {entry.outside_fence
+                          ? ` ⚠️ ${entry.distance_m} m from the site, outside its ${entry.fence_radius_m} m radius`
+                          : entry.distance_m != null
+                            ? ` ✓ ${entry.distance_m} m from the site`
+                            : ''}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
               <label className="vh-span-2">
                 <span>Site Location (Auto-detected)</span>
                 <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
@@ -1208,6 +1429,16 @@ function DailyTargetForm() {
             </label>
           )}
 
+          {formData.locationType && formData.locationType !== 'leave' && (
+            <div className="vh-span-2">
+              <span style={{ display: 'block', fontWeight: 600, fontSize: '0.9rem', color: '#092544', marginBottom: '0.4rem' }}>Photos & Documents</span>
+              <AttachmentPicker items={pendingAttachments} onChange={setPendingAttachments} disabled={submitting} />
+              <small style={{ color: '#666', display: 'block', marginTop: '0.25rem' }}>
+                Site photos, short videos and documents as evidence of the work. They are uploaded when the report is saved.
+              </small>
+            </div>
+          )}
+
           <label className="vh-span-2">
             <span>Remark</span>
             <textarea
@@ -1221,7 +1452,7 @@ function DailyTargetForm() {
         </div>
 
         <div className="vh-form-actions">
-          <button type="button" onClick={handleSubmit} disabled={submitting || (formData.locationType === 'site' && !locationAccess && !(isEditMode && formData.locationLat && formData.locationLng))}>
+          <button type="button" onClick={handleSubmit} disabled={submitting || (formData.locationType === 'site' && !siteLocated)}>
             {submitting ? 'Saving…' : isEditMode ? 'Update Report' : 'Submit Report'}
           </button>
           {isEditMode && (
@@ -1256,6 +1487,7 @@ function DailyTargetForm() {
               setLocationError('')
               setSubmittedData(null)
               setIsEditMode(false)
+              setPendingAttachments([])
               // Reset file input
               const fileInput = document.querySelector('input[name="momReport"]')
               if (fileInput) {
@@ -0,0 +1,378 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+import ProjectPicker from './ProjectPicker'
+
+const thStyle = { padding: '0.4rem', border: '1px solid #e8eef4', fontSize: '0.75rem', whiteSpace: 'nowrap' }
+const tdStyle = { padding: 0, border: '1px solid #eef3f7', height: '2.25rem', minWidth: '2rem', cursor: 'default' }
+
+const CELL_COLOURS = {
+  deployed: '#d6e9fb',
+  leave: '#fff3cd',
+  conflict: '#f8d7da',
+}
+
+const toKey = (date) => date.toISOString().slice(0, 10)
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return toKey(date)
+}
+
+// Monday of the week `dateKey` falls in
+const weekStart = (dateKey) => {
+  const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay()
+  return addDays(dateKey, -((day + 6) % 7))
+}
+
+const emptyDeployment = () => ({
+  userId: '',
+  projectNo: '',
+  projectId: '',
+  siteName: '',
+  startDate: '',
+  endDate: '',
+  notes: '',
+})
+
+// Who is deployed where: a row per engineer and a column per day, with approved leave shown
+// alongside. Team leaders assign their engineers to projects or sites from here.
+function DeploymentPlanner() {
+  const { token, user } = useAuth()
+  const [from, setFrom] = useState(() => weekStart(toKey(new Date())))
+  const [weeks, setWeeks] = useState(4)
+  const [planner, setPlanner] = useState({ engineers: [], deployments: [], leaves: [] })
+  const [form, setForm] = useState(emptyDeployment)
+  const [editing, setEditing] = useState(null) // deployment being edited, null when creating
+  const [alert, setAlert] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const canManage = (user?.permissions || []).includes('deployments.manage')
+  const to = addDays(from, weeks * 7 - 1)
+  const days = useMemo(() => Array.from({ length: weeks * 7 }, (_, i) => addDays(from, i)), [from, weeks])
+  const assignable = planner.engineers.filter((engineer) => engineer.can_assign)
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/deployments') ?? 'http://localhost:5000/api/deployments',
+    []
+  )
+
+  const fetchPlanner = useCallback(async () => {
+    try {
+      setLoading(true)
+      const res = await fetch(`${endpoint}?from=${from}&to=${to}`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to fetch deployments')
+      }
+      setPlanner(data)
+    } catch (err) {
+      console.error('Failed to fetch deployments', err)
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setLoading(false)
+    }
+  }, [endpoint, from, to, token])
+
+  useEffect(() => {
+    if (!token) return
+    fetchPlanner()
+  }, [token, fetchPlanner])
+
+  // What an engineer is doing on a day: { deployment, leave }
+  const dayStatus = (engineerId, day) => ({
+    deployment: planner.deployments.find((d) => d.user_id === engineerId && d.start_date <= day && d.end_date >= day),
+    leave: planner.leaves.find((l) => l.user_id === engineerId && l.start_date <= day && l.end_date >= day),
+  })
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleProjectText = (event) => {
+    const { value } = event.target
+    setForm((prev) => ({ ...prev, projectNo: value, projectId: '' }))
+  }
+
+  const handleProjectSelect = (project) => {
+    setForm((prev) => ({
+      ...prev,
+      projectNo: project.project_no,
+      projectId: project.id,
+      siteName: prev.siteName || project.site_address || '',
+    }))
+  }
+
+  const resetForm = () => {
+    setEditing(null)
+    setForm(emptyDeployment())
+  }
+
+  const startEdit = (deployment) => {
+    setEditing(deployment)
+    setForm({
+      userId: deployment.user_id,
+      projectNo: deployment.project_no || '',
+      projectId: deployment.project_id || '',
+      siteName: deployment.site_name || '',
+      startDate: deployment.start_date,
+      endDate: deployment.end_date,
+      notes: deployment.notes || '',
+    })
+    setAlert(null)
+  }
+
+  // Clicking a free day starts a one-week assignment for that engineer from that day
+  const startNew = (engineer, day) => {
+    setEditing(null)
+    setForm({ ...emptyDeployment(), userId: engineer.id, startDate: day, endDate: addDays(day, 6) })
+    setAlert(null)
+  }
+
+  const save = async (ignoreLeave = false) => {
+    setSaving(true)
+    setAlert(null)
+    try {
+      if (form.projectNo && !form.projectId) {
+        throw new Error('Pick the project from the suggestions, or clear it and enter a site')
+      }
+      const { projectNo: _projectNo, ...fields } = form
+      const res = await fetch(editing ? `${endpoint}/${editing.id}` : endpoint, {
+        method: editing ? 'PATCH' : 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...fields, projectId: fields.projectId || null, ignoreLeave }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (res.status === 409 && data.leaveConflicts) {
+        if (window.confirm(`${data.message}.\n\nDeploy anyway?`)) {
+          await save(true)
+        } else {
+          setAlert({ type: 'error', message: data.message })
+        }
+        return
+      }
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to save deployment')
+      }
+      setAlert({ type: 'success', message: data.message })
+      resetForm()
+      fetchPlanner()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    save()
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove ${editing.username}'s deployment to ${editing.project_no || editing.site_name}?`)) return
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/${editing.id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to remove deployment')
+      }
+      setAlert({ type: 'success', message: data.message })
+      resetForm()
+      fetchPlanner()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    }
+  }
+
+  const conflicts = planner.deployments.filter((d) => d.leave_conflicts?.length > 0)
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">Projects</p>
+          <h2>Deployment planner</h2>
+          <p>
+            Which engineer is at which project or site, day by day. Report forms prefill the project and site from the
+            assignment for the report date.
+          </p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="vh-alert error">
+          <p>
+            Deployed while on approved leave:{' '}
+            {conflicts
+              .map((d) => `${d.username} (${d.leave_conflicts.map((l) => `${l.start_date} to ${l.end_date}`).join(', ')})`)
+              .join('; ')}
+          </p>
+        </div>
+      )}
+
+      {canManage && assignable.length > 0 && (
+        <form className="vh-form" onSubmit={handleSubmit} style={{ marginBottom: '1.5rem' }}>
+          <h3 style={{ margin: 0, color: '#092544' }}>
+            {editing ? `Edit ${editing.username}'s deployment` : 'Deploy an engineer'}
+          </h3>
+          <div className="vh-grid">
+            <label>
+              <span>Engineer *</span>
+              <select name="userId" value={form.userId} onChange={handleChange} required>
+                <option value="">Select engineer</option>
+                {assignable.map((engineer) => (
+                  <option key={engineer.id} value={engineer.id}>
+                    {engineer.username}
+                    {engineer.employee_id ? ` (${engineer.employee_id})` : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span>Project</span>
+              <ProjectPicker
+                name="projectNo"
+                value={form.projectNo}
+                onChange={handleProjectText}
+                onSelect={handleProjectSelect}
+                placeholder="Search project number or name"
+              />
+            </label>
+            <label className="vh-span-2">
+              <span>Site{form.projectId ? '' : ' *'}</span>
+              <input
+                type="text"
+                name="siteName"
+                value={form.siteName}
+                onChange={handleChange}
+                required={!form.projectId}
+                placeholder="Defaults to the project's site address"
+              />
+            </label>
+            <label>
+              <span>From *</span>
+              <input type="date" name="startDate" value={form.startDate} onChange={handleChange} required />
+            </label>
+            <label>
+              <span>To *</span>
+              <input type="date" name="endDate" value={form.endDate} min={form.startDate} onChange={handleChange} required />
+            </label>
+            <label className="vh-span-2">
+              <span>Notes</span>
+              <input type="text" name="notes" value={form.notes} onChange={handleChange} maxLength={500} />
+            </label>
+          </div>
+          <div className="vh-form-actions">
+            {editing && (
+              <>
+                <button type="button" onClick={handleDelete} style={{ background: '#dc3545', color: 'white' }}>
+                  Remove
+                </button>
+                <button type="button" onClick={resetForm} style={{ background: '#f1f1f1', color: '#333' }}>
+                  Cancel
+                </button>
+              </>
+            )}
+            <button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : editing ? 'Save changes' : 'Deploy'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap' }}>
+        <button type="button" onClick={() => setFrom(addDays(from, -7))}>
+          ‹ Previous week
+        </button>
+        <button type="button" onClick={() => setFrom(weekStart(toKey(new Date())))}>
+          This week
+        </button>
+        <button type="button" onClick={() => setFrom(addDays(from, 7))}>
+          Next week ›
+        </button>
+        <select value={weeks} onChange={(e) => setWeeks(Number(e.target.value))} style={{ padding: '0.5rem' }}>
+          <option value={2}>2 weeks</option>
+          <option value={4}>4 weeks</option>
+          <option value={8}>8 weeks</option>
+        </select>
+        <span style={{ color: '#666' }}>
+          {from} to {to}
+        </span>
+        <span style={{ marginLeft: 'auto', fontSize: '0.85rem', color: '#666' }}>
+          <span style={{ background: CELL_COLOURS.deployed, padding: '0 0.5rem' }}>Deployed</span>{' '}
+          <span style={{ background: CELL_COLOURS.leave, padding: '0 0.5rem' }}>On leave</span>{' '}
+          <span style={{ background: CELL_COLOURS.conflict, padding: '0 0.5rem' }}>Deployed on leave</span>
+        </span>
+      </div>
+
+      {loading ? (
+        <p>Loading deployments...</p>
+      ) : planner.engineers.length === 0 ? (
+        <p style={{ color: '#666' }}>No engineers to show.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f5f8fb' }}>
+                <th style={{ ...thStyle, textAlign: 'left', position: 'sticky', left: 0, background: '#f5f8fb' }}>Engineer</th>
+                {days.map((day) => (
+                  <th key={day} style={{ ...thStyle, color: new Date(`${day}T00:00:00Z`).getUTCDay() === 0 ? '#c0392b' : undefined }}>
+                    {new Date(`${day}T00:00:00Z`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', timeZone: 'UTC' })}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {planner.engineers.map((engineer) => (
+                <tr key={engineer.id}>
+                  <td style={{ ...tdStyle, padding: '0.4rem', whiteSpace: 'nowrap', position: 'sticky', left: 0, background: 'white' }}>
+                    <strong>{engineer.username}</strong>
+                    <div style={{ fontSize: '0.75rem', color: '#666' }}>{engineer.role}</div>
+                  </td>
+                  {days.map((day) => {
+                    const { deployment, leave } = dayStatus(engineer.id, day)
+                    const colour = deployment && leave ? CELL_COLOURS.conflict : deployment ? CELL_COLOURS.deployed : leave ? CELL_COLOURS.leave : undefined
+                    const label = deployment ? deployment.project_no || deployment.site_name : leave ? 'Leave' : ''
+                    const showLabel = label && (day === from || (deployment ? deployment.start_date : leave.start_date) === day)
+                    const clickable = engineer.can_assign && (deployment || !leave)
+                    return (
+                      <td
+                        key={day}
+                        title={
+                          deployment
+                            ? `${deployment.project_no || ''} ${deployment.site_name || ''} (${deployment.start_date} to ${deployment.end_date})`.trim()
+                            : leave
+                              ? `On ${leave.leave_type} leave`
+                              : undefined
+                        }
+                        onClick={clickable ? () => (deployment ? startEdit(deployment) : startNew(engineer, day)) : undefined}
+                        style={{ ...tdStyle, background: colour, cursor: clickable ? 'pointer' : 'default' }}
+                      >
+                        {showLabel && (
+                          <span style={{ fontSize: '0.7rem', padding: '0 0.25rem', whiteSpace: 'nowrap' }}>{label}</span>
+                        )}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default DeploymentPlanner
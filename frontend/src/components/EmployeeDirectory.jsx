@@ -0,0 +1,114 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+
+const thStyle = { padding: '0.6rem', border: '1px solid #e8eef4' }
+const tdStyle = { padding: '0.6rem', border: '1px solid #eef3f7' }
+
+function EmployeeDirectory() {
+  const { token } = useAuth()
+  const [employees, setEmployees] = useState([])
+  const [search, setSearch] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [alert, setAlert] = useState(null)
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/users') ?? 'http://localhost:5000/api/users',
+    []
+  )
+
+  const fetchDirectory = useCallback(async () => {
+    try {
+      setLoading(true)
+      const query = search.trim() ? `?q=${encodeURIComponent(search.trim())}` : ''
+      const res = await fetch(`${endpoint}/directory${query}`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to fetch directory')
+      }
+      setEmployees(data.employees || [])
+      setAlert(null)
+    } catch (err) {
+      console.error('Failed to fetch directory', err)
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setLoading(false)
+    }
+  }, [endpoint, search, token])
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (!token) return
+    const timer = setTimeout(fetchDirectory, 300)
+    return () => clearTimeout(timer)
+  }, [token, fetchDirectory])
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">People</p>
+          <h2>Employee directory</h2>
+          <p>Find colleagues by name, employee ID, role, site or manager.</p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search the directory..."
+        style={{ width: '100%', padding: '0.6rem 0.75rem', marginBottom: '1rem', borderRadius: '8px', border: '1px solid #d6e0ea' }}
+      />
+
+      {loading && employees.length === 0 ? (
+        <p style={{ textAlign: 'center', color: '#666' }}>⏳ Loading directory...</p>
+      ) : employees.length === 0 ? (
+        <p style={{ textAlign: 'center', color: '#999' }}>No employees match your search.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white' }}>
+            <thead>
+              <tr style={{ background: '#f3f6f9' }}>
+                <th style={thStyle}>Name</th>
+                <th style={thStyle}>Role</th>
+                <th style={thStyle}>Reports To</th>
+                <th style={thStyle}>Contact</th>
+                <th style={thStyle}>Site</th>
+              </tr>
+            </thead>
+            <tbody>
+              {employees.map((e) => (
+                <tr key={e.id}>
+                  <td style={tdStyle}>
+                    {e.username}
+                    <small style={{ display: 'block', color: '#666' }}>{e.employee_id || 'N/A'}</small>
+                  </td>
+                  <td style={tdStyle}>{e.role || '-'}</td>
+                  <td style={tdStyle}>{e.manager_name || '-'}</td>
+                  <td style={tdStyle}>
+                    {e.email ? <a href={`mailto:${e.email}`}>{e.email}</a> : '-'}
+                    {e.mobile && (
+                      <small style={{ display: 'block' }}>
+                        <a href={`tel:${e.mobile.replace(/[\s-]/g, '')}`}>{e.mobile}</a>
+                      </small>
+                    )}
+                  </td>
+                  <td style={tdStyle}>{e.site_assignment || <span style={{ color: '#999' }}>Not assigned</span>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default EmployeeDirectory
@@ -1,6 +1,8 @@
 import { useMemo, useState, useEffect } from 'react'
 import './OnboardingForm.css'
 import { useAuth } from './AuthContext'
+import ProjectPicker from './ProjectPicker'
+import AttachmentGallery from './AttachmentGallery'
 
 // Format date for backend (ensure YYYY-MM-DD format)
 const formatDateForBackend = (dateValue) => {
@@ -75,6 +77,7 @@ const defaultPayload = () => {
     reportDate: date,
     locationType: '',
     projectName: '',
+    projectId: '', // set when a project is picked, or carried over from the daily target
     dailyTarget: '',
     hourlyEntries: generateTimePeriods().map(period => ({
       ...createHourlyEntry(),
@@ -133,6 +136,11 @@ function HourlyReportForm() {
     []
   )
 
+  const deploymentsEndpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/deployments') ?? 'http://localhost:5000/api/deployments',
+    []
+  )
+
   const dailyTargetsEndpoint = useMemo(
     () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/hourly-report/daily-targets') ?? 'http://localhost:5000/api/hourly-report/daily-targets',
     []
@@ -140,6 +148,24 @@ function HourlyReportForm() {
 
   // Auto-fetch daily targets when date changes
   useEffect(() => {
+    // No daily target yet: take the project and site from the deployment covering the report date
+    const prefillFromDeployment = async () => {
+      const response = await fetch(`${deploymentsEndpoint}/today?date=${formData.reportDate}`, {
+        headers: {
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+      })
+      if (!response.ok) return
+      const { deployment } = await response.json()
+      if (!deployment) return
+      setFormData(prev => prev.projectName ? prev : {
+        ...prev,
+        projectName: deployment.project_no || deployment.site_name || '',
+        projectId: deployment.project_id || '',
+        locationType: prev.locationType || 'site'
+      })
+    }
+
     const fetchDailyTargets = async () => {
       if (!formData.reportDate) return
 
@@ -160,8 +186,11 @@ function HourlyReportForm() {
             setFormData(prev => ({
               ...prev,
               projectName: targets[0].project_no,
+              projectId: targets[0].project_id || '',
               dailyTarget: targets[0].daily_target_planned
             }))
+          } else if (targets.length === 0 && !formData.projectName) {
+            await prefillFromDeployment()
           }
         }
       } catch (error) {
@@ -192,13 +221,23 @@ function HourlyReportForm() {
     }
 
     fetchExistingReports()
-  }, [formData.reportDate, dailyTargetsEndpoint, token, formData.projectName, formData.dailyTarget, endpoint])
+  }, [formData.reportDate, dailyTargetsEndpoint, deploymentsEndpoint, token, formData.projectName, formData.dailyTarget, endpoint])
 
   const handleChange = (event) => {
     const { name, value } = event.target
     setFormData((prev) => ({ ...prev, [name]: value }))
   }
 
+  // Typing in the project field drops the link to a previously picked project
+  const handleProjectText = (event) => {
+    const { value } = event.target
+    setFormData((prev) => ({ ...prev, projectName: value, projectId: '' }))
+  }
+
+  const handleProjectSelect = (project) => {
+    setFormData((prev) => ({ ...prev, projectName: project.project_no, projectId: project.id }))
+  }
+
   const handleHourlyEntryChange = (index, field, value) => {
     setFormData((prev) => ({
       ...prev,
@@ -217,6 +256,7 @@ function HourlyReportForm() {
         ...prev,
         locationType: selectedTarget.location_type || '',
         projectName: selectedTarget.project_no,
+        projectId: selectedTarget.project_id || '',
         dailyTarget: selectedTarget.daily_target_planned
       }))
     }
@@ -290,6 +330,7 @@ function HourlyReportForm() {
           locationType: formData.locationType,
           timePeriod: entry.timePeriod,
           projectName: formData.projectName,
+          projectId: formData.projectId || null,
           dailyTarget: formData.dailyTarget,
           hourlyActivity: entry.hourlyActivity,
           problemFacedByEngineerHourly: entry.problemFacedByEngineerHourly,
@@ -421,6 +462,10 @@ function HourlyReportForm() {
                       <p style={{ margin: '0.25rem 0' }}><strong>Resolved:</strong> {report.problem_resolved_or_not}</p>
                     )}
                   </div>
+                  <div style={{ marginTop: '0.75rem', paddingTop: '0.5rem', borderTop: '1px solid #d5e0f2' }}>
+                    <strong style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.9rem', color: '#4a5972' }}>Photos & Documents:</strong>
+                    <AttachmentGallery reportType="hourly" reportId={report.id} canEdit={isEditable} />
+                  </div>
                 </div>
               )
             })}
@@ -700,12 +745,12 @@ function HourlyReportForm() {
 
           <label className="vh-span-2">
             <span>Project Name / Project No.</span>
-            <input
-              type="text"
+            <ProjectPicker
               name="projectName"
               placeholder="Will be auto-filled from daily target report"
               value={formData.projectName}
-              onChange={handleChange}
+              onChange={handleProjectText}
+              onSelect={handleProjectSelect}
               required
             />
           </label>
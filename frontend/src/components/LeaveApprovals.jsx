@@ -0,0 +1,194 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+
+function LeaveApprovals() {
+  const { token } = useAuth()
+  const [applications, setApplications] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [processingId, setProcessingId] = useState(null)
+  const [comments, setComments] = useState({})
+  const [alert, setAlert] = useState(null)
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/leave') ?? 'http://localhost:5000/api/leave',
+    []
+  )
+
+  const fetchApprovals = useCallback(async () => {
+    try {
+      setLoading(true)
+      const res = await fetch(`${endpoint}/approvals`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ([]))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to fetch leave approvals')
+      }
+      setApplications(Array.isArray(data) ? data : [])
+    } catch (err) {
+      console.error('Failed to fetch leave approvals', err)
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setLoading(false)
+    }
+  }, [endpoint, token])
+
+  useEffect(() => {
+    if (!token) return
+    fetchApprovals()
+  }, [token, fetchApprovals])
+
+  // Cancellation requests for approved leave go to their own endpoint
+  const handleDecision = async (application, status) => {
+    const { id } = application
+    const isCancellation = application.status === 'cancellation_requested'
+    if (status === 'rejected' && !window.confirm(isCancellation ? 'Reject this cancellation request?' : 'Reject this leave application?')) return
+    setProcessingId(id)
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/${isCancellation ? 'cancellation' : 'approve'}/${id}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status, comment: comments[id] || '' }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to process leave request')
+      }
+      setAlert({ type: 'success', message: data.message || `Leave application ${status}` })
+      setApplications((prev) => prev.filter((a) => a.id !== id))
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  // Working days stored at apply time (weekly offs and holidays already excluded)
+  const leaveDays = (application) => {
+    if (application.leave_days === null || application.leave_days === undefined) return '-'
+    const days = Number(application.leave_days)
+    if (application.half_day) return `${days} (${application.half_day === 'first_half' ? 'first half' : 'second half'})`
+    return days
+  }
+
+  const formatDate = (d) => {
+    if (!d) return 'N/A'
+    try {
+      return new Date(d).toLocaleDateString('en-IN')
+    } catch {
+      return d
+    }
+  }
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">Leave</p>
+          <h2>Leave approvals</h2>
+          <p>Approve or reject leave applications and cancellation requests waiting on you. Long leaves go to the manager after the team leader approves.</p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p style={{ textAlign: 'center', color: '#666' }}>⏳ Loading pending applications...</p>
+      ) : applications.length === 0 ? (
+        <p style={{ textAlign: 'center', color: '#999' }}>No pending leave applications.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white' }}>
+            <thead>
+              <tr style={{ background: '#f3f6f9' }}>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Employee</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Type</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>From</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>To</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Days</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Reason</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Applied On</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Approval</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Comment</th>
+                <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {applications.map((a) => (
+                <tr key={a.id}>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>
+                    {a.username}
+                    <small style={{ display: 'block', color: '#666' }}>{a.employee_id || 'N/A'} · {a.user_role || '-'}</small>
+                  </td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7', textTransform: 'capitalize' }}>
+                    {a.leave_type}
+                    {a.status === 'cancellation_requested' && (
+                      <small style={{ display: 'block', color: '#a35200', fontWeight: 600, textTransform: 'none' }}>Cancellation request</small>
+                    )}
+                  </td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.start_date)}</td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.end_date)}</td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{leaveDays(a)}</td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>
+                    {String(a.reason || '').substring(0, 120)}
+                    {a.cancellation_reason && (
+                      <small style={{ display: 'block', color: '#a35200' }}>Cancel: {a.cancellation_reason}</small>
+                    )}
+                  </td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(a.created_at)}</td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>
+                    {a.status === 'cancellation_requested' ? 'Approved, cancellation pending' : `Level ${a.approval_level || 1} of ${a.required_levels || 1}`}
+                    {(a.approval_steps || []).map((step, idx) => (
+                      <small key={idx} style={{ display: 'block', color: '#666' }}>
+                        {step.kind === 'cancellation' ? 'Cancellation' : `L${step.level}`} {step.action} by {step.approver_name || 'N/A'}{step.comment ? `: ${step.comment}` : ''}
+                      </small>
+                    ))}
+                  </td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>
+                    <input
+                      type="text"
+                      value={comments[a.id] || ''}
+                      onChange={(e) => setComments((prev) => ({ ...prev, [a.id]: e.target.value }))}
+                      placeholder="Optional"
+                      style={{ width: '100%', minWidth: '120px', padding: '0.4rem' }}
+                    />
+                  </td>
+                  <td style={{ padding: '0.6rem', border: '1px solid #eef3f7', whiteSpace: 'nowrap' }}>
+                    <button
+                      type="button"
+                      onClick={() => handleDecision(a, 'approved')}
+                      disabled={processingId === a.id}
+                      style={{ padding: '0.4rem 0.75rem', marginRight: '0.5rem', background: '#28a745', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer' }}
+                    >
+                      Approve
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDecision(a, 'rejected')}
+                      disabled={processingId === a.id}
+                      style={{ padding: '0.4rem 0.75rem', background: '#dc3545', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer' }}
+                    >
+                      Reject
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'center', marginTop: '1rem' }}>
+        <button type="button" onClick={fetchApprovals} style={{ padding: '0.5rem 0.75rem', borderRadius: '6px', border: '1px solid #e0e0e0', background: '#fff' }}>
+          Refresh
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default LeaveApprovals
@@ -0,0 +1,404 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+
+const LEAVE_TYPES = [
+  { value: 'casual', label: 'Casual Leave' },
+  { value: 'sick', label: 'Sick Leave' },
+  { value: 'paid', label: 'Paid Leave' },
+]
+
+const HALF_DAY_OPTIONS = [
+  { value: '', label: 'Full day' },
+  { value: 'first_half', label: 'First half' },
+  { value: 'second_half', label: 'Second half' },
+]
+
+const STATUS_STYLES = {
+  pending: { background: '#fff3cd', color: '#856404', border: '1px solid #ffe08a' },
+  approved: { background: '#e6f7ec', color: '#1e7e34', border: '1px solid #bdecbc' },
+  rejected: { background: '#fff4f4', color: '#c0392b', border: '1px solid #ffb4b4' },
+  cancelled: { background: '#f1f3f5', color: '#555', border: '1px solid #d5dbe1' },
+  cancellation_requested: { background: '#fdf0e6', color: '#a35200', border: '1px solid #f5c79b' },
+}
+
+const defaultLeaveForm = () => {
+  const today = new Date().toISOString().slice(0, 10)
+  return {
+    leave_type: 'casual',
+    start_date: today,
+    end_date: today,
+    half_day: '',
+    reason: '',
+  }
+}
+
+export function LeaveStatusBadge({ status }) {
+  const key = (status || '').toLowerCase()
+  const style = STATUS_STYLES[key] || { background: '#eee', color: '#333', border: '1px solid #ddd' }
+  return (
+    <span style={{ ...style, padding: '0.2rem 0.6rem', borderRadius: '999px', fontSize: '0.8rem', fontWeight: 600, textTransform: 'capitalize' }}>
+      {key ? key.replace(/_/g, ' ') : 'unknown'}
+    </span>
+  )
+}
+
+function LeaveManagement() {
+  const { token } = useAuth()
+  const [formData, setFormData] = useState(defaultLeaveForm)
+  const [balance, setBalance] = useState(null)
+  const [history, setHistory] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+  const [loadingHistory, setLoadingHistory] = useState(false)
+  const [alert, setAlert] = useState(null)
+  const [dayCount, setDayCount] = useState(null)
+  const [cancellingId, setCancellingId] = useState(null)
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/leave') ?? 'http://localhost:5000/api/leave',
+    []
+  )
+
+  const fetchBalance = useCallback(async () => {
+    try {
+      const res = await fetch(`${endpoint}/balance`, { headers: { Authorization: `Bearer ${token}` } })
+      if (!res.ok) return
+      const data = await res.json()
+      setBalance(data)
+    } catch (err) {
+      console.error('Failed to fetch leave balance', err)
+    }
+  }, [endpoint, token])
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoadingHistory(true)
+      const res = await fetch(`${endpoint}/history`, { headers: { Authorization: `Bearer ${token}` } })
+      if (!res.ok) return
+      const data = await res.json()
+      setHistory(Array.isArray(data) ? data : [])
+    } catch (err) {
+      console.error('Failed to fetch leave history', err)
+    } finally {
+      setLoadingHistory(false)
+    }
+  }, [endpoint, token])
+
+  useEffect(() => {
+    if (!token) return
+    fetchBalance()
+    fetchHistory()
+  }, [token, fetchBalance, fetchHistory])
+
+  // Ask the backend for the working-day count so weekly offs and holidays match what gets charged
+  useEffect(() => {
+    if (!token || !formData.start_date || !formData.end_date || formData.start_date > formData.end_date) {
+      setDayCount(null)
+      return
+    }
+    const params = new URLSearchParams({ start_date: formData.start_date, end_date: formData.end_date })
+    if (formData.half_day) params.set('half_day', formData.half_day)
+
+    let cancelled = false
+    fetch(`${endpoint}/calculate?${params}`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!cancelled) setDayCount(data)
+      })
+      .catch((err) => console.error('Failed to calculate leave days', err))
+    return () => {
+      cancelled = true
+    }
+  }, [endpoint, token, formData.start_date, formData.end_date, formData.half_day])
+
+  const requestedDays = dayCount ? dayCount.days : 0
+  const isSingleDay = formData.start_date === formData.end_date
+
+  const availableForType = balance ? balance[`available_${formData.leave_type}`] ?? 0 : null
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setFormData((prev) => {
+      const next = { ...prev, [name]: value }
+      // Keep the range valid when the start date moves past the end date
+      if (name === 'start_date' && next.end_date < value) {
+        next.end_date = value
+      }
+      // Half days only apply to a single date
+      if (next.start_date !== next.end_date) {
+        next.half_day = ''
+      }
+      return next
+    })
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setAlert(null)
+
+    if (!formData.reason.trim()) {
+      setAlert({ type: 'error', message: 'Please enter a reason for the leave.' })
+      return
+    }
+    if (formData.start_date > formData.end_date) {
+      setAlert({ type: 'error', message: 'Start date cannot be after end date.' })
+      return
+    }
+    if (dayCount && dayCount.days === 0) {
+      setAlert({ type: 'error', message: 'The selected dates fall entirely on weekly offs or holidays.' })
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const res = await fetch(`${endpoint}/apply`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...formData, half_day: formData.half_day || null }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to submit leave application')
+      }
+      setAlert({ type: 'success', message: data.message || 'Leave application submitted successfully' })
+      setFormData(defaultLeaveForm())
+      fetchBalance()
+      fetchHistory()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  // Pending applications are withdrawn straight away; approved ones need the manager to agree
+  const handleCancel = async (leave) => {
+    const isApproved = leave.status === 'approved'
+    const reason = window.prompt(
+      isApproved ? 'Reason for cancelling this approved leave (your manager will review it):' : 'Reason for withdrawing this application (optional):'
+    )
+    if (reason === null) return
+    if (isApproved && !reason.trim()) {
+      setAlert({ type: 'error', message: 'A reason is required to cancel an approved leave.' })
+      return
+    }
+
+    setCancellingId(leave.id)
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/${isApproved ? 'request-cancellation' : 'cancel'}/${leave.id}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: reason.trim() }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to cancel leave')
+      }
+      setAlert({ type: 'success', message: data.message })
+      fetchBalance()
+      fetchHistory()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setCancellingId(null)
+    }
+  }
+
+  const formatDate = (d) => {
+    if (!d) return 'N/A'
+    try {
+      return new Date(d).toLocaleDateString('en-IN')
+    } catch {
+      return d
+    }
+  }
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">Leave</p>
+          <h2>Apply for leave</h2>
+          <p>Check your remaining balance, apply for leave and follow the status of your applications.</p>
+        </div>
+      </header>
+
+      {balance && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+          {LEAVE_TYPES.map((type) => (
+            <div
+              key={type.value}
+              style={{
+                background: formData.leave_type === type.value ? '#f0f9ff' : 'white',
+                border: formData.leave_type === type.value ? '1px solid #2ad1ff' : '1px solid #d5e0f2',
+                borderRadius: '12px',
+                padding: '1rem',
+              }}
+            >
+              <p style={{ margin: 0, fontSize: '0.85rem', color: '#666' }}>{type.label}</p>
+              <p style={{ margin: '0.25rem 0', fontSize: '1.75rem', fontWeight: 700, color: '#092544' }}>
+                {balance[`available_${type.value}`] ?? 0}
+              </p>
+              <p style={{ margin: 0, fontSize: '0.8rem', color: '#8892aa' }}>
+                Used {balance[`used_${type.value}`] ?? 0} of {balance[`total_${type.value}`] ?? 0} ({balance.year})
+              </p>
+              {(balance[`carried_${type.value}`] > 0 || balance[`accrual_${type.value}`] === 'monthly') && (
+                <p style={{ margin: '0.25rem 0 0', fontSize: '0.75rem', color: '#8892aa' }}>
+                  {balance[`accrual_${type.value}`] === 'monthly' && `Accrues monthly, ${balance[`entitlement_${type.value}`]} this year. `}
+                  {balance[`carried_${type.value}`] > 0 && `Includes ${balance[`carried_${type.value}`]} carried forward.`}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      <form className="vh-form" onSubmit={handleSubmit}>
+        <div className="vh-grid">
+          <label>
+            <span>Leave Type *</span>
+            <select name="leave_type" value={formData.leave_type} onChange={handleChange}>
+              {LEAVE_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            <span>Days Requested</span>
+            <input type="text" value={dayCount ? requestedDays : '-'} readOnly />
+            {dayCount && dayCount.excludedDates.length > 0 && (
+              <small style={{ color: '#666', display: 'block', marginTop: '0.25rem' }}>
+                Not counted:{' '}
+                {dayCount.excludedDates
+                  .map((d) => `${formatDate(d.date)} (${d.reason === 'holiday' ? d.name || 'Holiday' : 'Weekly off'})`)
+                  .join(', ')}
+              </small>
+            )}
+            {availableForType !== null && requestedDays > availableForType && (
+              <small style={{ color: '#c0392b', display: 'block', marginTop: '0.25rem' }}>
+                Only {availableForType} day(s) of this leave type available
+              </small>
+            )}
+          </label>
+
+          <label>
+            <span>Start Date *</span>
+            <input type="date" name="start_date" value={formData.start_date} onChange={handleChange} required />
+          </label>
+
+          <label>
+            <span>End Date *</span>
+            <input type="date" name="end_date" value={formData.end_date} min={formData.start_date} onChange={handleChange} required />
+          </label>
+
+          <label>
+            <span>Duration</span>
+            <select name="half_day" value={formData.half_day} onChange={handleChange} disabled={!isSingleDay}>
+              {HALF_DAY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="vh-span-2">
+            <span>Reason *</span>
+            <textarea name="reason" rows={3} value={formData.reason} onChange={handleChange} required />
+          </label>
+        </div>
+
+        <div className="vh-form-actions">
+          <button type="submit" disabled={submitting}>
+            {submitting ? 'Submitting…' : 'Apply for Leave'}
+          </button>
+        </div>
+      </form>
+
+      <div style={{ marginTop: '2rem' }}>
+        <h3 style={{ color: '#092544', marginBottom: '1rem' }}>My Leave History</h3>
+        {loadingHistory ? (
+          <p style={{ textAlign: 'center', color: '#666' }}>⏳ Loading leave history...</p>
+        ) : history.length === 0 ? (
+          <p style={{ textAlign: 'center', color: '#999' }}>No leave applications yet.</p>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white' }}>
+              <thead>
+                <tr style={{ background: '#f3f6f9' }}>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Type</th>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>From</th>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>To</th>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Days</th>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Reason</th>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Status</th>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Approval Trail</th>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}>Applied On</th>
+                  <th style={{ padding: '0.6rem', border: '1px solid #e8eef4' }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((leave) => (
+                  <tr key={leave.id}>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7', textTransform: 'capitalize' }}>{leave.leave_type}</td>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(leave.start_date)}</td>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(leave.end_date)}</td>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>
+                      {leave.leave_days !== null && leave.leave_days !== undefined ? Number(leave.leave_days) : '-'}
+                      {leave.half_day && <small style={{ display: 'block', color: '#666' }}>{leave.half_day === 'first_half' ? 'First half' : 'Second half'}</small>}
+                    </td>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{String(leave.reason || '').substring(0, 120)}</td>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}><LeaveStatusBadge status={leave.status} /></td>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7', fontSize: '0.85rem' }}>
+                      {(leave.approval_steps || []).map((step, idx) => (
+                        <div key={idx}>
+                          {step.kind === 'cancellation' ? 'Cancellation' : `Level ${step.level}`} {step.action} by {step.approver_name || 'N/A'} on {formatDate(step.acted_at)}
+                          {step.comment && <em style={{ color: '#666' }}> — {step.comment}</em>}
+                        </div>
+                      ))}
+                      {leave.status === 'cancellation_requested' && (
+                        <div style={{ color: '#a35200' }}>
+                          Cancellation awaiting {leave.current_approver_name || 'manager'}
+                        </div>
+                      )}
+                      {leave.cancellation_reason && (
+                        <div style={{ color: '#666' }}>Cancellation reason: {leave.cancellation_reason}</div>
+                      )}
+                      {leave.status === 'pending' && (
+                        <div style={{ color: '#856404' }}>
+                          Awaiting level {leave.approval_level || 1} of {leave.required_levels || 1}
+                          {leave.current_approver_name ? ` (${leave.current_approver_name})` : ''}
+                        </div>
+                      )}
+                    </td>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7' }}>{formatDate(leave.created_at)}</td>
+                    <td style={{ padding: '0.6rem', border: '1px solid #eef3f7', whiteSpace: 'nowrap' }}>
+                      {(leave.status === 'pending' || leave.status === 'approved') && (
+                        <button
+                          type="button"
+                          onClick={() => handleCancel(leave)}
+                          disabled={cancellingId === leave.id}
+                          style={{ padding: '0.4rem 0.75rem', background: '#fff', color: '#c0392b', border: '1px solid #ffb4b4', borderRadius: '6px', cursor: 'pointer' }}
+                        >
+                          {leave.status === 'pending' ? 'Withdraw' : 'Request Cancellation'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default LeaveManagement
@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useState } from 'react'
+import { useAuth } from './AuthContext'
+import { createMomShareLink, fetchMomSharing, revokeMomShareLink, sendMom } from '../utils/mom'
+
+const LINK_DAYS = [1, 3, 7, 14, 30]
+
+const EVENT_LABELS = {
+  emailed: (e) => `Emailed to ${e.recipients}${e.username ? ` by ${e.username}` : ''}`,
+  link_created: (e) => `Share link #${e.shareLinkId} created${e.username ? ` by ${e.username}` : ''}`,
+  link_viewed: (e) => `Share link #${e.shareLinkId} opened${e.ipAddress ? ` from ${e.ipAddress}` : ''}`,
+  link_revoked: (e) => `Share link #${e.shareLinkId} withdrawn${e.username ? ` by ${e.username}` : ''}`,
+}
+
+const sectionStyle = { border: '1px solid #d5e0f2', borderRadius: 8, padding: '0.75rem', background: 'white' }
+
+// Send a saved MoM to the customer by email or as a read-only link that needs no login, and see
+// when it was sent and opened
+function MomSharing({ momId }) {
+  const { token } = useAuth()
+  const [sharing, setSharing] = useState(null)
+  const [to, setTo] = useState('')
+  const [note, setNote] = useState('')
+  const [days, setDays] = useState(7)
+  const [newLink, setNewLink] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [status, setStatus] = useState(null)
+
+  const load = useCallback(
+    () =>
+      fetchMomSharing(momId, token)
+        .then((data) => {
+          setSharing(data)
+          return data
+        })
+        .catch((err) => setStatus({ type: 'error', message: err.message })),
+    [momId, token]
+  )
+
+  useEffect(() => {
+    if (!token || !momId) return
+    setNewLink(null)
+    load().then((data) => data && setTo(data.recipients.map((r) => r.email).join(', ')))
+  }, [momId, token, load])
+
+  // Run an action, show its outcome and refresh the links and history
+  const run = async (action, success) => {
+    setBusy(true)
+    setStatus(null)
+    try {
+      const result = await action()
+      setStatus({ type: 'success', message: typeof success === 'function' ? success(result) : success })
+      await load()
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSend = () => {
+    const recipients = to.split(',').map((address) => address.trim()).filter(Boolean)
+    run(() => sendMom(momId, { to: recipients, note }, token), (data) => data.message)
+  }
+
+  const handleCreateLink = () =>
+    run(async () => setNewLink(await createMomShareLink(momId, days, token)), 'Share link created. Copy it now; it is not shown again.')
+
+  const handleRevoke = (link) => {
+    if (!window.confirm(`Withdraw share link #${link.id}? Anyone holding it will no longer be able to open the MoM.`)) return
+    run(() => revokeMomShareLink(momId, link.id, token), `Share link #${link.id} withdrawn`)
+  }
+
+  const copyLink = () =>
+    navigator.clipboard
+      ?.writeText(newLink.url)
+      .then(() => setStatus({ type: 'success', message: 'Link copied' }))
+      .catch(() => {})
+
+  return (
+    <div style={{ display: 'grid', gap: '1rem' }}>
+      {status && (
+        <div className={`vh-alert ${status.type}`}>
+          <p>{status.message}</p>
+        </div>
+      )}
+
+      <div style={sectionStyle}>
+        <strong style={{ display: 'block', marginBottom: '0.5rem', color: '#092544' }}>Send to customer</strong>
+        <label style={{ display: 'block', fontSize: '0.85rem' }}>
+          To (comma separated)
+          <input
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            placeholder="customer@example.com"
+            style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem', boxSizing: 'border-box' }}
+          />
+        </label>
+        {sharing && sharing.recipients.length === 0 && (
+          <small style={{ color: '#8892aa' }}>No email address is on file for the customer contacts.</small>
+        )}
+        <label style={{ display: 'block', fontSize: '0.85rem', marginTop: '0.5rem' }}>
+          Note (optional)
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            maxLength={2000}
+            style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem', boxSizing: 'border-box' }}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={handleSend}
+          disabled={busy || !to.trim()}
+          style={{ marginTop: '0.5rem', padding: '0.5rem 1rem', background: '#0069d9', color: 'white', border: 'none', borderRadius: 4, cursor: 'pointer' }}
+        >
+          {busy ? 'Working…' : 'Email PDF'}
+        </button>
+      </div>
+
+      <div style={sectionStyle}>
+        <strong style={{ display: 'block', marginBottom: '0.5rem', color: '#092544' }}>Share link</strong>
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+          <span style={{ fontSize: '0.85rem' }}>Valid for</span>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} disabled={busy}>
+            {LINK_DAYS.map((d) => (
+              <option key={d} value={d}>
+                {d} day{d === 1 ? '' : 's'}
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={handleCreateLink} disabled={busy}>
+            Create link
+          </button>
+        </div>
+        {newLink && (
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            <input readOnly value={newLink.url} onFocus={(e) => e.target.select()} style={{ flex: 1, padding: '0.4rem' }} />
+            <button type="button" onClick={copyLink}>
+              Copy
+            </button>
+          </div>
+        )}
+        {sharing?.links.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '0.75rem', fontSize: '0.85rem' }}>
+            <thead>
+              <tr style={{ background: '#f7f9fc' }}>
+                <th style={{ textAlign: 'left', padding: '0.4rem' }}>Link</th>
+                <th style={{ textAlign: 'left', padding: '0.4rem' }}>Expires</th>
+                <th style={{ textAlign: 'left', padding: '0.4rem' }}>Views</th>
+                <th style={{ padding: '0.4rem' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sharing.links.map((link) => (
+                <tr key={link.id}>
+                  <td style={{ padding: '0.4rem' }}>
+                    #{link.id}
+                    {link.createdByName && <span style={{ color: '#8892aa' }}> by {link.createdByName}</span>}
+                  </td>
+                  <td style={{ padding: '0.4rem' }}>
+                    {link.revokedAt ? 'Withdrawn' : `${new Date(link.expiresAt).toLocaleString()}${link.active ? '' : ' (expired)'}`}
+                  </td>
+                  <td style={{ padding: '0.4rem' }}>
+                    {link.views}
+                    {link.lastViewedAt && <span style={{ color: '#8892aa' }}> · last {new Date(link.lastViewedAt).toLocaleString()}</span>}
+                  </td>
+                  <td style={{ padding: '0.4rem', textAlign: 'right' }}>
+                    {link.active && (
+                      <button type="button" onClick={() => handleRevoke(link)} disabled={busy} style={{ color: '#c00' }}>
+                        Withdraw
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <strong style={{ display: 'block', marginBottom: '0.5rem', color: '#092544' }}>History</strong>
+        {!sharing || sharing.events.length === 0 ? (
+          <p style={{ margin: 0, color: '#8892aa', fontSize: '0.85rem' }}>Not sent or shared yet.</p>
+        ) : (
+          <ul style={{ margin: 0, paddingLeft: '1.1rem', fontSize: '0.85rem' }}>
+            {sharing.events.map((e) => (
+              <li key={e.id}>
+                <span style={{ color: '#8892aa' }}>{new Date(e.createdAt).toLocaleString()}</span> — {EVENT_LABELS[e.event]?.(e) ?? e.event}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MomSharing
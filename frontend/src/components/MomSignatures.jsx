@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react'
+import { useAuth } from './AuthContext'
+import SignaturePad from './SignaturePad'
+import { fetchFileUrl } from '../utils/files'
+import { formatCoordinates } from '../utils/geocode'
+import { getSigningPosition, signMom } from '../utils/mom'
+
+// A signature already on the MoM: the drawn image (fetched with the token), who signed, when and
+// where
+function SignedBlock({ title, signature }) {
+  const { token } = useAuth()
+  const [imageUrl, setImageUrl] = useState(null)
+
+  useEffect(() => {
+    let url = null
+    let cancelled = false
+    fetchFileUrl(signature.fileId, token)
+      .then((objectUrl) => {
+        url = objectUrl
+        if (cancelled) URL.revokeObjectURL(objectUrl)
+        else setImageUrl(objectUrl)
+      })
+      .catch(() => {})
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [signature.fileId, token])
+
+  return (
+    <div style={{ border: '1px solid #c8e6c9', borderRadius: 8, padding: '0.75rem', background: '#f5fbf5' }}>
+      <strong style={{ display: 'block', marginBottom: '0.5rem', color: '#092544' }}>{title}</strong>
+      <div style={{ height: '90px', display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'white', borderRadius: 6 }}>
+        {imageUrl && <img src={imageUrl} alt={`Signature of ${signature.signerName}`} style={{ maxWidth: '100%', maxHeight: '100%' }} />}
+      </div>
+      <div style={{ marginTop: '0.5rem', fontWeight: 600 }}>{signature.signerName}</div>
+      <small style={{ display: 'block', color: '#4a5972' }}>Signed {new Date(signature.signedAt).toLocaleString()}</small>
+      {signature.latitude != null && (
+        <small style={{ display: 'block', color: '#4a5972' }}>
+          at {formatCoordinates(signature.latitude, signature.longitude)}
+          {signature.accuracy != null && ` (±${Math.round(signature.accuracy)} m)`}
+        </small>
+      )}
+    </div>
+  )
+}
+
+// Engineer and customer signatures for a saved MoM. Signing locks the MoM, so the first
+// signature asks for confirmation. `onSigned` receives the MoM as saved after each signature.
+function MomSignatures({ mom, onSigned }) {
+  const { token } = useAuth()
+  const [error, setError] = useState('')
+
+  const signers = [
+    { role: 'engineer', title: 'Engineer', defaultName: mom.enggName || '' },
+    { role: 'customer', title: `Customer representative${mom.customerName ? ` (${mom.customerName})` : ''}`, defaultName: mom.customerPerson || '' },
+  ]
+
+  const handleSign = (role) => async ({ signerName, image }) => {
+    if (!mom.lockedAt && !window.confirm('Once signed, this MoM can no longer be edited. Sign it now?')) return
+    setError('')
+    try {
+      const position = await getSigningPosition()
+      onSigned(await signMom(mom.id, { role, signerName, image, position }, token))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div>
+      {error && <p style={{ color: '#c62828', margin: '0 0 0.5rem', fontSize: '0.85rem' }}>{error}</p>}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1rem' }}>
+        {signers.map(({ role, title, defaultName }) => {
+          const signature = mom.signatures?.find((s) => s.role === role)
+          return signature ? (
+            <SignedBlock key={role} title={title} signature={signature} />
+          ) : (
+            <SignaturePad key={`${role}-${defaultName}`} title={title} defaultName={defaultName} onSign={handleSign(role)} />
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default MomSignatures
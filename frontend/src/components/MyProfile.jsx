@@ -0,0 +1,138 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+
+const profileForm = (profile) => ({
+  email: profile?.email || '',
+  mobile: profile?.mobile || '',
+  dob: profile?.dob || '',
+})
+
+function MyProfile() {
+  const { token } = useAuth()
+  const [profile, setProfile] = useState(null)
+  const [formData, setFormData] = useState(profileForm(null))
+  const [alert, setAlert] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/users') ?? 'http://localhost:5000/api/users',
+    []
+  )
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      setLoading(true)
+      const res = await fetch(`${endpoint}/me`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to fetch profile')
+      }
+      setProfile(data)
+      setFormData(profileForm(data))
+    } catch (err) {
+      console.error('Failed to fetch profile', err)
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setLoading(false)
+    }
+  }, [endpoint, token])
+
+  useEffect(() => {
+    if (!token) return
+    fetchProfile()
+  }, [token, fetchProfile])
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setFormData((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setSaving(true)
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/me`, {
+        method: 'PATCH',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to update profile')
+      }
+      setProfile(data.profile)
+      setFormData(profileForm(data.profile))
+      setAlert({ type: 'success', message: data.message || 'Profile updated successfully' })
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">Account</p>
+          <h2>My profile</h2>
+          <p>Keep your contact details up to date. Ask an administrator to change your role, manager or employee details.</p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      {loading && <p style={{ textAlign: 'center', color: '#666' }}>⏳ Loading profile...</p>}
+
+      {profile && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+          {[
+            ['Name', profile.username],
+            ['Employee ID', profile.employee_id || 'N/A'],
+            ['Role', profile.role || '-'],
+            ['Reports To', profile.manager_name || '-'],
+            ['Joining Date', profile.joining_date || '-'],
+            ['Site', profile.site_assignment || 'Not assigned'],
+          ].map(([label, value]) => (
+            <div key={label} style={{ background: '#f8fafc', border: '1px solid #e8eef4', borderRadius: '8px', padding: '0.75rem 1rem' }}>
+              <small style={{ display: 'block', color: '#666' }}>{label}</small>
+              <strong>{value}</strong>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form className="vh-form" onSubmit={handleSubmit}>
+        <div className="vh-grid">
+          <label>
+            <span>Email *</span>
+            <input type="email" name="email" value={formData.email} onChange={handleChange} required />
+          </label>
+          <label>
+            <span>Mobile</span>
+            <input type="tel" name="mobile" value={formData.mobile} onChange={handleChange} placeholder="+91 98765 43210" />
+          </label>
+          <label>
+            <span>Date of Birth</span>
+            <input type="date" name="dob" value={formData.dob} onChange={handleChange} max={new Date().toISOString().slice(0, 10)} />
+          </label>
+        </div>
+
+        <div className="vh-form-actions">
+          <button type="submit" disabled={saving || !profile}>
+            {saving ? 'Saving…' : 'Save profile'}
+          </button>
+        </div>
+      </form>
+    </section>
+  )
+}
+
+export default MyProfile
@@ -0,0 +1,320 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+
+const thStyle = { padding: '0.6rem', border: '1px solid #e8eef4' }
+const tdStyle = { padding: '0.6rem', border: '1px solid #eef3f7' }
+
+const emptyTransfer = { userId: '', toManagerId: '', effectiveDate: new Date().toISOString().slice(0, 10), reason: '' }
+
+const flatten = (nodes) => nodes.flatMap((node) => [node, ...flatten(node.children)])
+
+const countReports = (node) => node.children.reduce((total, child) => total + 1 + countReports(child), 0)
+
+function OrgNode({ node, depth, collapsed, onToggle }) {
+  const isCollapsed = collapsed.has(node.id)
+  const hasChildren = node.children.length > 0
+
+  return (
+    <li style={{ listStyle: 'none', margin: '0.25rem 0' }}>
+      <div
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          background: depth === 0 ? '#f0f9ff' : 'white',
+          border: '1px solid #d5e0f2',
+          borderRadius: '8px',
+          padding: '0.4rem 0.75rem',
+        }}
+      >
+        <button
+          type="button"
+          onClick={() => onToggle(node.id)}
+          disabled={!hasChildren}
+          aria-label={isCollapsed ? 'Expand' : 'Collapse'}
+          style={{ width: '1.5rem', padding: 0, border: 'none', background: 'none', cursor: hasChildren ? 'pointer' : 'default' }}
+        >
+          {hasChildren ? (isCollapsed ? '▸' : '▾') : '•'}
+        </button>
+        <strong style={{ color: '#092544' }}>{node.username}</strong>
+        <span style={{ fontSize: '0.85rem', color: '#666' }}>
+          {node.role || '-'}
+          {node.employee_id && ` · ${node.employee_id}`}
+          {node.site_assignment && ` · ${node.site_assignment}`}
+        </span>
+        {hasChildren && <small style={{ color: '#999' }}>({countReports(node)} below)</small>}
+      </div>
+      {hasChildren && !isCollapsed && (
+        <ul style={{ margin: 0, paddingLeft: '1.75rem', borderLeft: '1px dashed #d5e0f2' }}>
+          {node.children.map((child) => (
+            <OrgNode key={child.id} node={child} depth={depth + 1} collapsed={collapsed} onToggle={onToggle} />
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+// Collapsible reporting tree. `root="me"` shows only the signed-in user's branch; `embedded` drops the
+// page header and transfer tools so it can sit inside another page, and hides itself when there are no reports.
+function OrgChart({ root, embedded = false }) {
+  const { token, user } = useAuth()
+  const [tree, setTree] = useState([])
+  const [cycles, setCycles] = useState([])
+  const [collapsed, setCollapsed] = useState(new Set())
+  const [transfers, setTransfers] = useState([])
+  const [transferForm, setTransferForm] = useState(emptyTransfer)
+  const [alert, setAlert] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const canManage = !embedded && (user?.permissions || []).includes('users.manage')
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/org') ?? 'http://localhost:5000/api/org',
+    []
+  )
+
+  const people = useMemo(() => flatten(tree).sort((a, b) => a.username.localeCompare(b.username)), [tree])
+
+  const fetchTree = useCallback(async () => {
+    try {
+      setLoading(true)
+      const query = root ? `?root=${encodeURIComponent(root)}` : ''
+      const res = await fetch(`${endpoint}/tree${query}`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to load organisation chart')
+      }
+      setTree(data.tree || [])
+      setCycles(data.cycles || [])
+    } catch (err) {
+      console.error('Failed to fetch org tree', err)
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setLoading(false)
+    }
+  }, [endpoint, root, token])
+
+  const fetchTransfers = useCallback(async () => {
+    try {
+      const res = await fetch(`${endpoint}/transfers`, { headers: { Authorization: `Bearer ${token}` } })
+      if (!res.ok) return
+      const data = await res.json()
+      setTransfers(data.transfers || [])
+    } catch (err) {
+      console.error('Failed to fetch transfers', err)
+    }
+  }, [endpoint, token])
+
+  useEffect(() => {
+    if (!token) return
+    fetchTree()
+    if (canManage) fetchTransfers()
+  }, [token, canManage, fetchTree, fetchTransfers])
+
+  const toggle = (id) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  const handleTransferChange = (event) => {
+    const { name, value } = event.target
+    setTransferForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleTransferSubmit = async (event) => {
+    event.preventDefault()
+    setSaving(true)
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/transfers`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...transferForm,
+          userId: Number(transferForm.userId),
+          toManagerId: Number(transferForm.toManagerId),
+        }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to create transfer')
+      }
+      setAlert({ type: 'success', message: data.message })
+      setTransferForm(emptyTransfer)
+      fetchTree()
+      fetchTransfers()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const cancelTransfer = async (id) => {
+    if (!window.confirm('Cancel this scheduled transfer?')) return
+    try {
+      const res = await fetch(`${endpoint}/transfers/${id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to cancel transfer')
+      }
+      setAlert({ type: 'success', message: data.message })
+      fetchTransfers()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    }
+  }
+
+  const chart = (
+    <ul style={{ margin: 0, padding: 0 }}>
+      {tree.map((node) => (
+        <OrgNode key={node.id} node={node} depth={0} collapsed={collapsed} onToggle={toggle} />
+      ))}
+    </ul>
+  )
+
+  if (embedded) {
+    if (tree.every((node) => node.children.length === 0)) return null
+    return (
+      <div style={{ background: '#f9fbff', border: '1px solid #d5e0f2', borderRadius: '12px', padding: '1rem', marginBottom: '1.5rem' }}>
+        <h3 style={{ margin: '0 0 1rem 0', color: '#092544' }}>{root === 'me' ? 'Your Team' : 'Organization Structure'}</h3>
+        {chart}
+      </div>
+    )
+  }
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">People</p>
+          <h2>Org chart</h2>
+          <p>Who reports to whom across the organisation. Click a name's arrow to expand or collapse their team.</p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      {cycles.length > 0 && (
+        <div className="vh-alert error">
+          <p>
+            ⚠️ Reporting loops found:{' '}
+            {cycles.map((cycle) => cycle.map((member) => member.username).join(' → ')).join('; ')}. Move one of these
+            employees to a different manager to fix the chart.
+          </p>
+        </div>
+      )}
+
+      {loading && tree.length === 0 ? (
+        <p style={{ textAlign: 'center', color: '#666' }}>⏳ Loading org chart...</p>
+      ) : tree.length === 0 ? (
+        <p style={{ textAlign: 'center', color: '#999' }}>No employees to show.</p>
+      ) : (
+        <div style={{ overflowX: 'auto', marginBottom: '1.5rem' }}>{chart}</div>
+      )}
+
+      {canManage && (
+        <>
+          <h3 style={{ color: '#092544' }}>Transfer an employee</h3>
+          <form className="vh-form" onSubmit={handleTransferSubmit}>
+            <div className="vh-grid">
+              <label>
+                <span>Employee *</span>
+                <select name="userId" value={transferForm.userId} onChange={handleTransferChange} required>
+                  <option value="">Select employee</option>
+                  {people.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.username} {p.employee_id ? `(${p.employee_id})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                <span>New Manager *</span>
+                <select name="toManagerId" value={transferForm.toManagerId} onChange={handleTransferChange} required>
+                  <option value="">Select manager</option>
+                  {people
+                    .filter((p) => String(p.id) !== transferForm.userId)
+                    .map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.username} ({p.role || '-'})
+                      </option>
+                    ))}
+                </select>
+              </label>
+              <label>
+                <span>Effective Date *</span>
+                <input type="date" name="effectiveDate" value={transferForm.effectiveDate} onChange={handleTransferChange} required />
+              </label>
+              <label>
+                <span>Reason</span>
+                <input type="text" name="reason" value={transferForm.reason} onChange={handleTransferChange} placeholder="e.g. Team restructure" />
+              </label>
+            </div>
+            <div className="vh-form-actions">
+              <button type="submit" disabled={saving}>
+                {saving ? 'Saving…' : 'Transfer'}
+              </button>
+            </div>
+          </form>
+
+          <h3 style={{ color: '#092544', marginTop: '1.5rem' }}>Transfers</h3>
+          {transfers.length === 0 ? (
+            <p style={{ color: '#999' }}>No transfers yet.</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white' }}>
+                <thead>
+                  <tr style={{ background: '#f3f6f9' }}>
+                    <th style={thStyle}>Employee</th>
+                    <th style={thStyle}>From</th>
+                    <th style={thStyle}>To</th>
+                    <th style={thStyle}>Effective</th>
+                    <th style={thStyle}>Reason</th>
+                    <th style={thStyle}>Status</th>
+                    <th style={thStyle}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {transfers.map((t) => (
+                    <tr key={t.id}>
+                      <td style={tdStyle}>{t.username}</td>
+                      <td style={tdStyle}>{t.from_manager_name || '-'}</td>
+                      <td style={tdStyle}>{t.to_manager_name || '-'}</td>
+                      <td style={tdStyle}>{t.effective_date}</td>
+                      <td style={tdStyle}>{t.reason || '-'}</td>
+                      <td style={tdStyle}>{t.status}</td>
+                      <td style={tdStyle}>
+                        {t.status === 'scheduled' && (
+                          <button type="button" onClick={() => cancelTransfer(t.id)}>
+                            Cancel
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  )
+}
+
+export default OrgChart
@@ -0,0 +1,441 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+import { COUNTRY_CODES, phoneError } from '../utils/phone'
+
+const thStyle = { padding: '0.6rem', border: '1px solid #e8eef4' }
+const tdStyle = { padding: '0.6rem', border: '1px solid #eef3f7' }
+
+// Form fields, named as the API expects them
+const PROJECT_FIELDS = [
+  { name: 'project_no', label: 'Project No. *', type: 'text', required: true },
+  { name: 'name', label: 'Project Name *', type: 'text', required: true },
+  { name: 'customer_name', label: 'Customer Name', type: 'text' },
+  { name: 'customer_person', label: 'Customer Person', type: 'text' },
+  { name: 'customer_contact', label: 'Customer Contact No.', type: 'tel', countryCode: 'customer_country_code' },
+  { name: 'end_customer_name', label: 'End Customer Name', type: 'text' },
+  { name: 'end_customer_person', label: 'End Customer Person', type: 'text' },
+  { name: 'end_customer_contact', label: 'End Customer Contact No.', type: 'tel', countryCode: 'end_customer_country_code' },
+  { name: 'site_address', label: 'Site Address', type: 'text', wide: true },
+  { name: 'location_lat', label: 'Site Latitude', type: 'number' },
+  { name: 'location_lng', label: 'Site Longitude', type: 'number' },
+  { name: 'geofence_radius_m', label: 'Check-in Radius (m)', type: 'number' },
+  { name: 'start_date', label: 'Start Date', type: 'date' },
+  { name: 'end_date', label: 'End Date', type: 'date' },
+]
+
+const emptyProject = () => ({
+  ...Object.fromEntries(PROJECT_FIELDS.map((field) => [field.name, ''])),
+  customer_country_code: '+91',
+  end_customer_country_code: '+91',
+  incharge_id: '',
+  status: 'active',
+})
+
+const SOURCE_LABELS = {
+  'daily_target_reports.project_no': 'Daily targets',
+  'hourly_reports.project_name': 'Hourly reports',
+  'site_activity.project_name': 'Site activity',
+  'moms.project_no': 'MoM project no.',
+  'moms.project_name': 'MoM project name',
+}
+
+function ProjectManagement() {
+  const { token, user } = useAuth()
+  const [projects, setProjects] = useState([])
+  const [search, setSearch] = useState('')
+  const [statusFilter, setStatusFilter] = useState('active')
+  const [people, setPeople] = useState([])
+  const [form, setForm] = useState(emptyProject)
+  const [editing, setEditing] = useState(null) // project being edited, null when creating
+  const [unmatched, setUnmatched] = useState([])
+  const [reconcileTargets, setReconcileTargets] = useState({})
+  const [alert, setAlert] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const canManage = (user?.permissions || []).includes('projects.manage')
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/projects') ?? 'http://localhost:5000/api/projects',
+    []
+  )
+
+  const usersEndpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/users') ?? 'http://localhost:5000/api/users',
+    []
+  )
+
+  const fetchProjects = useCallback(async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({ status: statusFilter, limit: '100' })
+      if (search.trim()) params.set('q', search.trim())
+      const res = await fetch(`${endpoint}?${params}`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to fetch projects')
+      }
+      setProjects(data.projects || [])
+    } catch (err) {
+      console.error('Failed to fetch projects', err)
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setLoading(false)
+    }
+  }, [endpoint, search, statusFilter, token])
+
+  const fetchPeople = useCallback(async () => {
+    try {
+      const res = await fetch(`${usersEndpoint}/directory`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (res.ok) setPeople(data.employees || [])
+    } catch (err) {
+      console.error('Failed to fetch people', err)
+    }
+  }, [token, usersEndpoint])
+
+  const fetchUnmatched = useCallback(async () => {
+    try {
+      const res = await fetch(`${endpoint}/unmatched`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (res.ok) setUnmatched(data.unmatched || [])
+    } catch (err) {
+      console.error('Failed to fetch unmatched project names', err)
+    }
+  }, [endpoint, token])
+
+  useEffect(() => {
+    if (!token) return
+    const timer = setTimeout(fetchProjects, 250)
+    return () => clearTimeout(timer)
+  }, [token, fetchProjects])
+
+  useEffect(() => {
+    if (!token || !canManage) return
+    fetchPeople()
+    fetchUnmatched()
+  }, [token, canManage, fetchPeople, fetchUnmatched])
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const startEdit = (project) => {
+    setEditing(project)
+    setForm(Object.fromEntries(Object.keys(emptyProject()).map((key) => [key, project[key] ?? ''])))
+    setAlert(null)
+  }
+
+  const resetForm = () => {
+    setEditing(null)
+    setForm(emptyProject())
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setSaving(true)
+    setAlert(null)
+    try {
+      // On edit send only what changed, so a closed project can be reopened without touching the rest
+      const body = editing
+        ? Object.fromEntries(Object.entries(form).filter(([key, value]) => String(editing[key] ?? '') !== String(value)))
+        : form
+      if (Object.keys(body).length === 0) {
+        resetForm()
+        return
+      }
+      const res = await fetch(editing ? `${endpoint}/${editing.id}` : endpoint, {
+        method: editing ? 'PATCH' : 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to save project')
+      }
+      setAlert({ type: 'success', message: data.message })
+      resetForm()
+      fetchProjects()
+      fetchUnmatched()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete project ${project.project_no}?`)) return
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/${project.id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to delete project')
+      }
+      setAlert({ type: 'success', message: data.message })
+      if (editing?.id === project.id) resetForm()
+      fetchProjects()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    }
+  }
+
+  const handleReconcile = async (entry) => {
+    const projectId = reconcileTargets[entry.value]
+    if (!projectId) return
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/reconcile`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ value: entry.value, projectId }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to link reports')
+      }
+      setAlert({ type: 'success', message: `"${entry.value}": ${data.message}` })
+      fetchUnmatched()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    }
+  }
+
+  // Start a new project from a value engineers have been typing
+  const createFromValue = (entry) => {
+    resetForm()
+    setForm((prev) => ({ ...prev, project_no: entry.value, name: entry.value }))
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">Projects</p>
+          <h2>Project master</h2>
+          <p>
+            Project numbers, customers and sites that the report and MoM forms pick from.
+            {canManage && ' Link project names typed on older reports to the right project below.'}
+          </p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      {canManage && (
+        <form className="vh-form" onSubmit={handleSubmit} style={{ marginBottom: '1.5rem' }}>
+          <h3 style={{ margin: 0, color: '#092544' }}>{editing ? `Edit ${editing.project_no}` : 'New project'}</h3>
+          <div className="vh-grid">
+            {PROJECT_FIELDS.map((field) =>
+              field.countryCode ? (
+                <label key={field.name}>
+                  <span>{field.label}</span>
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <select name={field.countryCode} value={form[field.countryCode]} onChange={handleChange} style={{ maxWidth: '7rem' }}>
+                      {COUNTRY_CODES.map((country) => (
+                        <option key={country.code} value={country.code}>
+                          {country.flag} {country.code}
+                        </option>
+                      ))}
+                    </select>
+                    <input type="tel" name={field.name} value={form[field.name]} onChange={handleChange} style={{ flex: 1 }} />
+                  </div>
+                  {phoneError(form[field.countryCode], form[field.name]) && (
+                    <small style={{ color: '#c0392b' }}>{phoneError(form[field.countryCode], form[field.name])}</small>
+                  )}
+                </label>
+              ) : (
+                <label key={field.name} className={field.wide ? 'vh-span-2' : undefined}>
+                  <span>{field.label}</span>
+                  <input
+                    type={field.type}
+                    name={field.name}
+                    value={form[field.name]}
+                    onChange={handleChange}
+                    required={field.required}
+                    step={field.type === 'number' ? 'any' : undefined}
+                  />
+                </label>
+              )
+            )}
+            <label>
+              <span>Project In-charge</span>
+              <select name="incharge_id" value={form.incharge_id} onChange={handleChange}>
+                <option value="">Not assigned</option>
+                {people.map((person) => (
+                  <option key={person.id} value={person.id}>
+                    {person.username}
+                    {person.employee_id ? ` (${person.employee_id})` : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span>Status</span>
+              <select name="status" value={form.status} onChange={handleChange}>
+                <option value="active">Active</option>
+                <option value="closed">Closed</option>
+              </select>
+            </label>
+          </div>
+          <div className="vh-form-actions">
+            {editing && (
+              <button type="button" onClick={resetForm} style={{ background: '#f1f1f1', color: '#333' }}>
+                Cancel
+              </button>
+            )}
+            <button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : editing ? 'Save changes' : 'Create project'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ display: 'flex', gap: '0.75rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
+        <input
+          type="search"
+          placeholder="Search number, name, customer or site"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={{ flex: 1, minWidth: '16rem', padding: '0.5rem' }}
+        />
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={{ padding: '0.5rem' }}>
+          <option value="active">Active</option>
+          <option value="closed">Closed</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <p>Loading projects...</p>
+      ) : projects.length === 0 ? (
+        <p style={{ color: '#666' }}>No projects found.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f5f8fb', textAlign: 'left' }}>
+                <th style={thStyle}>Project No.</th>
+                <th style={thStyle}>Name</th>
+                <th style={thStyle}>Customer</th>
+                <th style={thStyle}>End Customer</th>
+                <th style={thStyle}>Site</th>
+                <th style={thStyle}>Dates</th>
+                <th style={thStyle}>In-charge</th>
+                <th style={thStyle}>Status</th>
+                {canManage && <th style={thStyle}>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {projects.map((project) => (
+                <tr key={project.id}>
+                  <td style={tdStyle}><strong>{project.project_no}</strong></td>
+                  <td style={tdStyle}>{project.name}</td>
+                  <td style={tdStyle}>
+                    {project.customer_name || '-'}
+                    {project.customer_person && (
+                      <div style={{ fontSize: '0.8rem', color: '#666' }}>
+                        {project.customer_person} {project.customer_contact && `${project.customer_country_code} ${project.customer_contact}`}
+                      </div>
+                    )}
+                  </td>
+                  <td style={tdStyle}>{project.end_customer_name || '-'}</td>
+                  <td style={tdStyle}>{project.site_address || '-'}</td>
+                  <td style={tdStyle}>
+                    {project.start_date || '-'} → {project.end_date || '-'}
+                  </td>
+                  <td style={tdStyle}>{project.incharge_name || '-'}</td>
+                  <td style={tdStyle}>{project.status === 'active' ? 'Active' : 'Closed'}</td>
+                  {canManage && (
+                    <td style={tdStyle}>
+                      <button type="button" onClick={() => startEdit(project)} style={{ marginRight: '0.5rem' }}>
+                        Edit
+                      </button>
+                      <button type="button" onClick={() => handleDelete(project)} style={{ background: '#dc3545', color: 'white' }}>
+                        Delete
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {canManage && (
+        <div style={{ marginTop: '2rem' }}>
+          <h3 style={{ color: '#092544' }}>Unmatched report values</h3>
+          <p style={{ color: '#666', marginTop: 0 }}>
+            Project names typed on reports that do not match any project. Link each one to a project, or create a project from it.
+          </p>
+          {unmatched.length === 0 ? (
+            <p style={{ color: '#666' }}>Every report is linked to a project.</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ background: '#f5f8fb', textAlign: 'left' }}>
+                    <th style={thStyle}>Typed value</th>
+                    <th style={thStyle}>Used on</th>
+                    <th style={thStyle}>Link to project</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {unmatched.map((entry) => (
+                    <tr key={entry.value}>
+                      <td style={tdStyle}><strong>{entry.value}</strong></td>
+                      <td style={tdStyle}>
+                        {Object.entries(entry.sources)
+                          .map(([source, count]) => `${SOURCE_LABELS[source] || source}: ${count}`)
+                          .join(', ')}
+                      </td>
+                      <td style={tdStyle}>
+                        <select
+                          value={reconcileTargets[entry.value] || ''}
+                          onChange={(e) => setReconcileTargets((prev) => ({ ...prev, [entry.value]: e.target.value }))}
+                          style={{ padding: '0.4rem', marginRight: '0.5rem' }}
+                        >
+                          <option value="">Choose project</option>
+                          {projects.map((project) => (
+                            <option key={project.id} value={project.id}>
+                              {project.project_no} · {project.name}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => handleReconcile(entry)}
+                          disabled={!reconcileTargets[entry.value]}
+                          style={{ marginRight: '0.5rem' }}
+                        >
+                          Link
+                        </button>
+                        <button type="button" onClick={() => createFromValue(entry)}>
+                          New project
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default ProjectManagement
@@ -0,0 +1,25 @@
+import SearchInput from './SearchInput'
+
+// Project number field that searches the project master as you type. Free text is still allowed
+// (the backend links it to a project when it matches a number or name); picking a suggestion calls
+// onSelect with the full project so the form can fill in customer and site details.
+function ProjectPicker({ includeClosed = false, ...props }) {
+  return (
+    <SearchInput
+      {...props}
+      resource="projects"
+      params={includeClosed ? { status: 'all' } : undefined}
+      renderSuggestion={(project) => (
+        <>
+          <strong style={{ color: '#092544' }}>{project.project_no}</strong> · {project.name}
+          {project.status === 'closed' && <small style={{ color: '#999' }}> (closed)</small>}
+          <div style={{ fontSize: '0.8rem', color: '#666' }}>
+            {[project.customer_name, project.site_address].filter(Boolean).join(' · ') || '-'}
+          </div>
+        </>
+      )}
+    />
+  )
+}
+
+export default ProjectPicker
@@ -0,0 +1,119 @@
+import { useMemo, useState, useEffect } from 'react'
+import { useAuth } from './AuthContext'
+
+// Text input with a dropdown of matches from a searchable API list (`/api/<resource>?q=`).
+// Free text is still allowed; picking a suggestion calls onSelect with the full record.
+function SearchInput({
+  resource,
+  resultKey = resource,
+  params,
+  renderSuggestion,
+  name,
+  value,
+  onChange,
+  onSelect,
+  placeholder,
+  required = false,
+  style,
+}) {
+  const { token } = useAuth()
+  const [suggestions, setSuggestions] = useState([])
+  const [open, setOpen] = useState(false)
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', `/api/${resource}`) ?? `http://localhost:5000/api/${resource}`,
+    [resource]
+  )
+  const query = new URLSearchParams({ limit: '10', ...params, q: (value || '').trim() }).toString()
+
+  useEffect(() => {
+    if (!open || !token) return undefined
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${endpoint}?${query}`, {
+          headers: { Authorization: `Bearer ${token}` },
+          signal: controller.signal,
+        })
+        if (!res.ok) return
+        const data = await res.json()
+        setSuggestions(data[resultKey] || [])
+      } catch (err) {
+        if (err.name !== 'AbortError') setSuggestions([])
+      }
+    }, 250)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [query, open, token, endpoint, resultKey])
+
+  const pick = (item) => {
+    setOpen(false)
+    onSelect(item)
+  }
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <input
+        type="text"
+        name={name}
+        value={value}
+        placeholder={placeholder}
+        required={required}
+        autoComplete="off"
+        style={style}
+        onChange={(event) => {
+          setOpen(true)
+          onChange(event)
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+      />
+      {open && suggestions.length > 0 && (
+        <ul
+          style={{
+            position: 'absolute',
+            zIndex: 10,
+            left: 0,
+            right: 0,
+            margin: '0.25rem 0 0',
+            padding: 0,
+            listStyle: 'none',
+            background: 'white',
+            border: '1px solid #d5e0f2',
+            borderRadius: '8px',
+            boxShadow: '0 6px 18px rgba(9, 37, 68, 0.12)',
+            maxHeight: '16rem',
+            overflowY: 'auto',
+          }}
+        >
+          {suggestions.map((item) => (
+            <li key={item.id}>
+              <button
+                type="button"
+                // Keep focus in the input so the list is still open when the click lands
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => pick(item)}
+                style={{
+                  display: 'block',
+                  width: '100%',
+                  textAlign: 'left',
+                  padding: '0.5rem 0.75rem',
+                  border: 'none',
+                  borderBottom: '1px solid #eef3f7',
+                  background: 'none',
+                  cursor: 'pointer',
+                }}
+              >
+                {renderSuggestion(item)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SearchInput
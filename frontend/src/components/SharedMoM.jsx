@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react'
+import { fetchSharedMom, saveBlob } from '../utils/mom'
+import logo from '../assets/logo.jpeg'
+
+// Read-only view of a MoM opened from a share link (?momShare=<token>); needs no login
+function SharedMoM({ shareToken }) {
+  const [pdf, setPdf] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let url = null
+    let cancelled = false
+    fetchSharedMom(shareToken)
+      .then(({ blob, filename }) => {
+        if (cancelled) return
+        url = URL.createObjectURL(blob)
+        setPdf({ blob, filename, url })
+      })
+      .catch((err) => !cancelled && setError(err.message))
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [shareToken])
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', background: '#f3f6f9' }}>
+      <header style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.75rem 1rem', background: '#092544', color: 'white' }}>
+        <img src={logo} alt="" style={{ width: '36px', height: '36px', objectFit: 'contain', background: 'white', borderRadius: 4 }} />
+        <strong style={{ flex: 1 }}>Minutes of Meeting</strong>
+        {pdf && (
+          <button
+            type="button"
+            onClick={() => saveBlob(pdf.blob, pdf.filename)}
+            style={{ padding: '0.4rem 0.9rem', background: '#2ad1ff', color: 'white', border: 'none', borderRadius: 6, cursor: 'pointer' }}
+          >
+            Download PDF
+          </button>
+        )}
+      </header>
+      {error ? (
+        <p style={{ margin: '2rem auto', color: '#c62828' }}>{error}</p>
+      ) : pdf ? (
+        <iframe title={pdf.filename} src={pdf.url} style={{ flex: 1, width: '100%', border: 'none' }} />
+      ) : (
+        <p style={{ margin: '2rem auto', color: '#8892aa' }}>Opening the MoM…</p>
+      )}
+    </div>
+  )
+}
+
+export default SharedMoM
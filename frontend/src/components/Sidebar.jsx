@@ -11,6 +11,12 @@ import logo from '../assets/logo.jpeg' // Adjust the path based on your project
 function Sidebar({ currentPage, onPageChange }) {
   const { user } = useAuth()
   // CreateMoM is a separate page; Sidebar only navigates to it
+  const role = (user?.role || '').toLowerCase()
+  // Sessions saved before permissions were sent at login fall back to the role name
+  const canApproveLeave = user?.permissions
+    ? user.permissions.includes('leave.approve') || user.permissions.includes('leave.approve_final')
+    : role.includes('manager') || role.includes('team leader')
+  const canManageUsers = !!user?.permissions?.includes('users.manage')
 
   return (
     <aside className="vh-sidebar">
@@ -49,6 +55,33 @@ function Sidebar({ currentPage, onPageChange }) {
               Daily Target Report
             </button>
           </li>
+          <li>
+            <button
+              className={currentPage === 'projects' ? 'active' : ''}
+              onClick={() => onPageChange('projects')}
+              type="button"
+            >
+              Projects
+            </button>
+          </li>
+          <li>
+            <button
+              className={currentPage === 'customers' ? 'active' : ''}
+              onClick={() => onPageChange('customers')}
+              type="button"
+            >
+              Customers
+            </button>
+          </li>
+          <li>
+            <button
+              className={currentPage === 'deployments' ? 'active' : ''}
+              onClick={() => onPageChange('deployments')}
+              type="button"
+            >
+              Deployments
+            </button>
+          </li>
         </ul>
       </nav>
 
@@ -72,6 +105,58 @@ function Sidebar({ currentPage, onPageChange }) {
             </ul>
           </nav>
 
+          {/* People panel */}
+          <nav className="vh-nav">
+            <h2>People</h2>
+            <ul className="vh-nav-links">
+              <li>
+                <button
+                  className={currentPage === 'directory' ? 'active' : ''}
+                  onClick={() => onPageChange('directory')}
+                  type="button"
+                >
+                  Employee Directory
+                </button>
+              </li>
+              <li>
+                <button
+                  className={currentPage === 'org-chart' ? 'active' : ''}
+                  onClick={() => onPageChange('org-chart')}
+                  type="button"
+                >
+                  Org Chart
+                </button>
+              </li>
+            </ul>
+          </nav>
+
+          {/* Leave panel */}
+          <nav className="vh-nav">
+            <h2>Leave</h2>
+            <ul className="vh-nav-links">
+              <li>
+                <button
+                  className={currentPage === 'leave' ? 'active' : ''}
+                  onClick={() => onPageChange('leave')}
+                  type="button"
+                >
+                  Apply / My Leaves
+                </button>
+              </li>
+              {canApproveLeave && (
+                <li>
+                  <button
+                    className={currentPage === 'leave-approvals' ? 'active' : ''}
+                    onClick={() => onPageChange('leave-approvals')}
+                    type="button"
+                  >
+                    Leave Approvals
+                  </button>
+                </li>
+              )}
+            </ul>
+          </nav>
+
           {/* Create MoM panel */}
           <section className="vh-nav" style={{ marginTop: '1rem' }}>
             <h2>Create MoM</h2>
@@ -81,6 +166,49 @@ function Sidebar({ currentPage, onPageChange }) {
               </li>
             </ul>
           </section>
+
+          {/* Admin panel */}
+          {canManageUsers && (
+            <nav className="vh-nav">
+              <h2>Admin</h2>
+              <ul className="vh-nav-links">
+                <li>
+                  <button
+                    className={currentPage === 'users' ? 'active' : ''}
+                    onClick={() => onPageChange('users')}
+                    type="button"
+                  >
+                    User Management
+                  </button>
+                </li>
+              </ul>
+            </nav>
+          )}
+
+          {/* Account panel */}
+          <nav className="vh-nav">
+            <h2>Account</h2>
+            <ul className="vh-nav-links">
+              <li>
+                <button
+                  className={currentPage === 'profile' ? 'active' : ''}
+                  onClick={() => onPageChange('profile')}
+                  type="button"
+                >
+                  My Profile
+                </button>
+              </li>
+              <li>
+                <button
+                  className={currentPage === 'change-password' ? 'active' : ''}
+                  onClick={() => onPageChange('change-password')}
+                  type="button"
+                >
+                  Change Password
+                </button>
+              </li>
+            </ul>
+          </nav>
         </>
       )}
     </aside>
@@ -0,0 +1,111 @@
+import { useRef, useState } from 'react'
+
+const PAD_WIDTH = 600
+const PAD_HEIGHT = 200
+
+// A signature drawn with a finger, stylus or mouse, with the signer's name. `onSign` receives
+// { signerName, image } (image is a PNG blob) and may return a promise; the pad stays busy until
+// it settles.
+function SignaturePad({ title, defaultName = '', disabled = false, onSign }) {
+  const canvasRef = useRef(null)
+  const drawingRef = useRef(false)
+  const [signerName, setSignerName] = useState(defaultName)
+  const [hasInk, setHasInk] = useState(false)
+  const [signing, setSigning] = useState(false)
+
+  // The canvas is drawn at a fixed size and scaled by CSS, so pointer positions are scaled back
+  const pointFor = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    return {
+      x: ((e.clientX - rect.left) * PAD_WIDTH) / rect.width,
+      y: ((e.clientY - rect.top) * PAD_HEIGHT) / rect.height,
+    }
+  }
+
+  const handlePointerDown = (e) => {
+    if (disabled || signing) return
+    e.preventDefault()
+    canvasRef.current.setPointerCapture(e.pointerId)
+    const ctx = canvasRef.current.getContext('2d')
+    const { x, y } = pointFor(e)
+    ctx.lineWidth = 2.5
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+    ctx.strokeStyle = '#0b1f3a'
+    ctx.beginPath()
+    ctx.moveTo(x, y)
+    drawingRef.current = true
+  }
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return
+    const ctx = canvasRef.current.getContext('2d')
+    const { x, y } = pointFor(e)
+    ctx.lineTo(x, y)
+    ctx.stroke()
+    setHasInk(true)
+  }
+
+  const handlePointerUp = () => {
+    drawingRef.current = false
+  }
+
+  const clear = () => {
+    canvasRef.current.getContext('2d').clearRect(0, 0, PAD_WIDTH, PAD_HEIGHT)
+    setHasInk(false)
+  }
+
+  const handleSign = async () => {
+    setSigning(true)
+    try {
+      const image = await new Promise((resolve) => canvasRef.current.toBlob(resolve, 'image/png'))
+      await onSign({ signerName: signerName.trim(), image })
+    } finally {
+      setSigning(false)
+    }
+  }
+
+  const busy = disabled || signing
+
+  return (
+    <div style={{ border: '1px solid #d5e0f2', borderRadius: 8, padding: '0.75rem', background: 'white' }}>
+      <strong style={{ display: 'block', marginBottom: '0.5rem', color: '#092544' }}>{title}</strong>
+      <input
+        value={signerName}
+        onChange={(e) => setSignerName(e.target.value)}
+        placeholder="Signer name"
+        maxLength={120}
+        disabled={busy}
+        style={{ width: '100%', padding: '0.5rem', marginBottom: '0.5rem', boxSizing: 'border-box' }}
+      />
+      <canvas
+        ref={canvasRef}
+        width={PAD_WIDTH}
+        height={PAD_HEIGHT}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{ width: '100%', aspectRatio: `${PAD_WIDTH} / ${PAD_HEIGHT}`, border: '1px dashed #9aa5b1', borderRadius: 6, background: '#fafcff', touchAction: 'none', cursor: busy ? 'not-allowed' : 'crosshair' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '0.5rem' }}>
+        <small style={{ color: '#8892aa' }}>Sign inside the box</small>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button type="button" onClick={clear} disabled={busy || !hasInk}>
+            Clear
+          </button>
+          <button
+            type="button"
+            onClick={handleSign}
+            disabled={busy || !hasInk || !signerName.trim()}
+            style={{ padding: '0.4rem 0.9rem', background: '#28a745', color: 'white', border: 'none', borderRadius: 4, cursor: 'pointer' }}
+          >
+            {signing ? 'Signing…' : 'Sign'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SignaturePad
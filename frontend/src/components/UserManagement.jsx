@@ -0,0 +1,410 @@
+import { useCallback, useMemo, useState, useEffect } from 'react'
+import './OnboardingForm.css'
+import { useAuth } from './AuthContext'
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All users' },
+  { value: 'pending', label: 'Pending approval' },
+  { value: 'active', label: 'Active' },
+  { value: 'inactive', label: 'Deactivated' },
+]
+
+const STATUS_COLORS = {
+  active: { background: '#e6f6ea', color: '#1e7e34' },
+  pending: { background: '#fff4e0', color: '#a35200' },
+  inactive: { background: '#f1f1f1', color: '#666' },
+}
+
+const defaultInviteForm = () => ({
+  username: '',
+  email: '',
+  role: '',
+  managerId: '',
+  joining_date: '',
+})
+
+// Profile fields an administrator can correct for any user
+const PROFILE_FIELDS = [
+  { name: 'email', label: 'Email', type: 'email' },
+  { name: 'mobile', label: 'Mobile', type: 'tel' },
+  { name: 'employee_id', label: 'Employee ID', type: 'text' },
+  { name: 'site_assignment', label: 'Site Assignment', type: 'text' },
+  { name: 'dob', label: 'Date of Birth', type: 'date' },
+  { name: 'joining_date', label: 'Joining Date', type: 'date' },
+]
+
+const thStyle = { padding: '0.6rem', border: '1px solid #e8eef4' }
+const tdStyle = { padding: '0.6rem', border: '1px solid #eef3f7' }
+const actionButton = (background) => ({
+  padding: '0.4rem 0.75rem',
+  marginRight: '0.5rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+})
+
+function UserManagement() {
+  const { token } = useAuth()
+  const [users, setUsers] = useState([])
+  const [roles, setRoles] = useState([])
+  const [statusFilter, setStatusFilter] = useState('')
+  const [edits, setEdits] = useState({})
+  const [inviteForm, setInviteForm] = useState(defaultInviteForm)
+  const [loading, setLoading] = useState(false)
+  const [processingId, setProcessingId] = useState(null)
+  const [inviting, setInviting] = useState(false)
+  const [alert, setAlert] = useState(null)
+  const [profile, setProfile] = useState(null) // user whose profile is open in the editor
+  const [profileOriginal, setProfileOriginal] = useState(null)
+  const [savingProfile, setSavingProfile] = useState(false)
+
+  const endpoint = useMemo(
+    () => import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/users') ?? 'http://localhost:5000/api/users',
+    []
+  )
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true)
+      const query = statusFilter ? `?status=${statusFilter}` : ''
+      const res = await fetch(`${endpoint}${query}`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to fetch users')
+      }
+      setUsers(data.users || [])
+      setEdits({})
+    } catch (err) {
+      console.error('Failed to fetch users', err)
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setLoading(false)
+    }
+  }, [endpoint, statusFilter, token])
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      const res = await fetch(`${endpoint}/roles`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (res.ok) setRoles(data.roles || [])
+    } catch (err) {
+      console.error('Failed to fetch roles', err)
+    }
+  }, [endpoint, token])
+
+  useEffect(() => {
+    if (!token) return
+    fetchRoles()
+  }, [token, fetchRoles])
+
+  useEffect(() => {
+    if (!token) return
+    fetchUsers()
+  }, [token, fetchUsers])
+
+  // Active users can be picked as reporting managers
+  const managerOptions = users.filter((u) => u.status === 'active')
+
+  const editFor = (user) => edits[user.id] || { role: user.role || '', managerId: user.managerId || '' }
+
+  const setEdit = (user, field, value) => {
+    setEdits((prev) => ({ ...prev, [user.id]: { ...editFor(user), [field]: value } }))
+  }
+
+  const postAction = async (user, path, body) => {
+    setProcessingId(user.id)
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/${user.id}${path}`, {
+        method: path ? 'POST' : 'PUT',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to update user')
+      }
+      setAlert({ type: 'success', message: `${user.username}: ${data.message}` })
+      fetchUsers()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const handleSave = (user) => {
+    const { role, managerId } = editFor(user)
+    postAction(user, '', { role, managerId: managerId || null })
+  }
+
+  const handleApprove = (user) => {
+    const { role, managerId } = editFor(user)
+    postAction(user, '/approve', { role, managerId: managerId || null })
+  }
+
+  const handleDeactivate = (user) => {
+    const question = user.status === 'pending'
+      ? `Reject the registration of ${user.username}?`
+      : `Deactivate ${user.username}? They will be signed out everywhere.`
+    if (!window.confirm(question)) return
+    postAction(user, '/deactivate')
+  }
+
+  const openProfile = async (user) => {
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/${user.id}`, { headers: { Authorization: `Bearer ${token}` } })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to fetch user')
+      }
+      setProfile(data)
+      setProfileOriginal(data)
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    }
+  }
+
+  const handleProfileSave = async (event) => {
+    event.preventDefault()
+    setSavingProfile(true)
+    setAlert(null)
+    try {
+      // Send only what changed, so incomplete legacy records can still be corrected field by field
+      const changed = PROFILE_FIELDS.filter((f) => (profile[f.name] || '') !== (profileOriginal[f.name] || ''))
+      if (changed.length === 0) {
+        setProfile(null)
+        return
+      }
+      const body = Object.fromEntries(changed.map((f) => [f.name, profile[f.name] || '']))
+      const res = await fetch(`${endpoint}/${profile.id}`, {
+        method: 'PATCH',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to update user')
+      }
+      setAlert({ type: 'success', message: `${profile.username}: ${data.message}` })
+      setProfile(null)
+      fetchUsers()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setSavingProfile(false)
+    }
+  }
+
+  const handleInviteChange = (event) => {
+    const { name, value } = event.target
+    setInviteForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleInvite = async (event) => {
+    event.preventDefault()
+    setInviting(true)
+    setAlert(null)
+    try {
+      const res = await fetch(`${endpoint}/invite`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...inviteForm, managerId: inviteForm.managerId || null }),
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        throw new Error(data.message || 'Unable to invite user')
+      }
+      setAlert({ type: 'success', message: `Invitation sent to ${inviteForm.email}` })
+      setInviteForm(defaultInviteForm())
+      fetchUsers()
+    } catch (err) {
+      setAlert({ type: 'error', message: err.message })
+    } finally {
+      setInviting(false)
+    }
+  }
+
+  return (
+    <section className="vh-form-shell">
+      <header className="vh-form-header">
+        <div>
+          <p className="vh-form-label">Admin</p>
+          <h2>User management</h2>
+          <p>Invite people, approve self-registrations, assign roles and reporting managers, and deactivate accounts.</p>
+        </div>
+      </header>
+
+      {alert && (
+        <div className={`vh-alert ${alert.type}`}>
+          <p>{alert.message}</p>
+        </div>
+      )}
+
+      <form className="vh-form" onSubmit={handleInvite} style={{ marginBottom: '1.5rem' }}>
+        <div className="vh-grid">
+          <label>
+            <span>Username *</span>
+            <input type="text" name="username" value={inviteForm.username} onChange={handleInviteChange} required />
+          </label>
+          <label>
+            <span>Email *</span>
+            <input type="email" name="email" value={inviteForm.email} onChange={handleInviteChange} required />
+          </label>
+          <label>
+            <span>Role *</span>
+            <select name="role" value={inviteForm.role} onChange={handleInviteChange} required>
+              <option value="">-- Select role --</option>
+              {roles.map((role) => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>Reports To</span>
+            <select name="managerId" value={inviteForm.managerId} onChange={handleInviteChange}>
+              <option value="">-- No manager --</option>
+              {managerOptions.map((u) => (
+                <option key={u.id} value={u.id}>{u.username} ({u.role || 'No role'})</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>Joining Date</span>
+            <input type="date" name="joining_date" value={inviteForm.joining_date} onChange={handleInviteChange} />
+          </label>
+        </div>
+        <div className="vh-form-actions">
+          <button type="submit" disabled={inviting}>
+            {inviting ? 'Sending…' : 'Send invitation'}
+          </button>
+        </div>
+      </form>
+
+      {profile && (
+        <form className="vh-form" onSubmit={handleProfileSave} style={{ marginBottom: '1.5rem', padding: '1rem', border: '1px solid #e8eef4', borderRadius: '8px' }}>
+          <h3 style={{ marginTop: 0 }}>Edit profile: {profile.username}</h3>
+          <div className="vh-grid">
+            {PROFILE_FIELDS.map((field) => (
+              <label key={field.name}>
+                <span>{field.label}</span>
+                <input
+                  type={field.type}
+                  value={profile[field.name] || ''}
+                  onChange={(e) => setProfile((prev) => ({ ...prev, [field.name]: e.target.value }))}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="vh-form-actions">
+            <button type="submit" disabled={savingProfile}>
+              {savingProfile ? 'Saving…' : 'Save profile'}
+            </button>
+            <button type="button" className="ghost" onClick={() => setProfile(null)} disabled={savingProfile}>
+              Close
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
+        <label htmlFor="user-status-filter" style={{ fontWeight: 600 }}>Show</label>
+        <select id="user-status-filter" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          {STATUS_FILTERS.map((f) => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <p style={{ textAlign: 'center', color: '#666' }}>⏳ Loading users...</p>
+      ) : users.length === 0 ? (
+        <p style={{ textAlign: 'center', color: '#999' }}>No users found.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white' }}>
+            <thead>
+              <tr style={{ background: '#f3f6f9' }}>
+                <th style={thStyle}>User</th>
+                <th style={thStyle}>Status</th>
+                <th style={thStyle}>Role</th>
+                <th style={thStyle}>Reports To</th>
+                <th style={thStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((u) => {
+                const edit = editFor(u)
+                const busy = processingId === u.id
+                return (
+                  <tr key={u.id}>
+                    <td style={tdStyle}>
+                      {u.username}
+                      <small style={{ display: 'block', color: '#666' }}>{u.employeeId || 'N/A'} · {u.email || '-'}</small>
+                    </td>
+                    <td style={tdStyle}>
+                      <span style={{ ...STATUS_COLORS[u.status], padding: '0.2rem 0.6rem', borderRadius: '999px', fontSize: '0.8rem', fontWeight: 600, textTransform: 'capitalize' }}>
+                        {u.status}
+                      </span>
+                    </td>
+                    <td style={tdStyle}>
+                      <select value={edit.role} onChange={(e) => setEdit(u, 'role', e.target.value)} disabled={u.status === 'inactive'}>
+                        {!roles.includes(edit.role) && <option value={edit.role}>{edit.role || '-- Select role --'}</option>}
+                        {roles.map((role) => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td style={tdStyle}>
+                      <select value={edit.managerId} onChange={(e) => setEdit(u, 'managerId', e.target.value)} disabled={u.status === 'inactive'}>
+                        <option value="">-- No manager --</option>
+                        {managerOptions.filter((m) => m.id !== u.id).map((m) => (
+                          <option key={m.id} value={m.id}>{m.username}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td style={{ ...tdStyle, whiteSpace: 'nowrap' }}>
+                      <button type="button" onClick={() => openProfile(u)} disabled={busy} style={actionButton('#6c757d')}>
+                        Edit
+                      </button>
+                      {u.status === 'pending' && (
+                        <button type="button" onClick={() => handleApprove(u)} disabled={busy} style={actionButton('#28a745')}>
+                          Approve
+                        </button>
+                      )}
+                      {u.status === 'active' && (
+                        <button type="button" onClick={() => handleSave(u)} disabled={busy || !edits[u.id]} style={actionButton('#0d6efd')}>
+                          Save
+                        </button>
+                      )}
+                      {u.status === 'inactive' ? (
+                        <button type="button" onClick={() => postAction(u, '/reactivate')} disabled={busy} style={actionButton('#28a745')}>
+                          Reactivate
+                        </button>
+                      ) : (
+                        <button type="button" onClick={() => handleDeactivate(u)} disabled={busy} style={actionButton('#dc3545')}>
+                          {u.status === 'pending' ? 'Reject' : 'Deactivate'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'center', marginTop: '1rem' }}>
+        <button type="button" onClick={fetchUsers} style={{ padding: '0.5rem 0.75rem', borderRadius: '6px', border: '1px solid #e0e0e0', background: '#fff' }}>
+          Refresh
+        </button>
+      </div>
+    </section>
+  )
+}
+
+export default UserManagement
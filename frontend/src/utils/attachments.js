@@ -0,0 +1,101 @@
+// Photo, video and document evidence on daily and hourly reports (/api/attachments). The server
+// decides a file's type from its content; the browser only adds a small JPEG thumbnail for
+// photos and videos so galleries do not have to download the originals.
+const ATTACHMENTS_ENDPOINT =
+  import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/attachments') ?? 'http://localhost:5000/api/attachments'
+
+// What the file picker offers; anything else is refused by the server
+export const ATTACHMENT_ACCEPT = 'image/*,video/*,.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx'
+
+// Shown in place of a thumbnail, by attachment kind
+export const ATTACHMENT_ICONS = { image: '🖼️', video: '🎬', document: '📄' }
+
+const THUMBNAIL_SIZE = 320
+
+// Draw `source` (an image or a video frame) scaled to fit THUMBNAIL_SIZE and encode it as JPEG
+function drawThumbnail(source, width, height) {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * scale))
+  canvas.height = Math.max(1, Math.round(height * scale))
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height)
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.7))
+}
+
+// A JPEG thumbnail of a photo or video, or null when the browser cannot decode it (HEIC photos
+// in most browsers, unusual video codecs); those are shown with an icon instead
+export async function makeThumbnail(file) {
+  const isImage = file.type.startsWith('image/')
+  if (!isImage && !file.type.startsWith('video/')) return null
+  const url = URL.createObjectURL(file)
+  try {
+    if (isImage) {
+      const img = new Image()
+      img.src = url
+      await img.decode()
+      return await drawThumbnail(img, img.naturalWidth, img.naturalHeight)
+    }
+    const video = document.createElement('video')
+    video.muted = true
+    video.preload = 'auto'
+    video.src = url
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve
+      video.onerror = reject
+    })
+    // A frame just after the start, as the first is often black
+    video.currentTime = Math.min(1, video.duration / 2 || 0)
+    await new Promise((resolve, reject) => {
+      video.onseeked = resolve
+      video.onerror = reject
+    })
+    return await drawThumbnail(video, video.videoWidth, video.videoHeight)
+  } catch {
+    return null
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : {})
+
+async function readResponse(res, fallback) {
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.message || fallback)
+  return data
+}
+
+// Attachments of one or more reports of the same type, oldest first
+export async function fetchAttachments(reportType, reportIds, token) {
+  const ids = [].concat(reportIds).join(',')
+  const res = await fetch(`${ATTACHMENTS_ENDPOINT}?reportType=${reportType}&reportIds=${ids}`, {
+    headers: authHeaders(token),
+  })
+  return (await readResponse(res, 'Unable to load attachments')).attachments
+}
+
+// Upload `items` ({ file, caption }) to a report, with thumbnails made here. Resolves to the
+// new attachments.
+export async function uploadAttachments(reportType, reportId, items, token) {
+  const form = new FormData()
+  const thumbnails = await Promise.all(items.map(({ file }) => makeThumbnail(file)))
+  items.forEach(({ file, caption }, i) => {
+    form.append('files', file)
+    form.append('captions', caption || '')
+    if (thumbnails[i]) {
+      form.append('thumbnails', thumbnails[i], 'thumbnail.jpg')
+      form.append('thumbnailFor', String(i))
+    }
+  })
+  const res = await fetch(`${ATTACHMENTS_ENDPOINT}/${reportType}/${reportId}`, {
+    method: 'POST',
+    headers: authHeaders(token),
+    body: form,
+  })
+  return (await readResponse(res, 'Unable to upload attachments')).attachments
+}
+
+export async function removeAttachment(id, token) {
+  const res = await fetch(`${ATTACHMENTS_ENDPOINT}/${id}`, { method: 'DELETE', headers: authHeaders(token) })
+  await readResponse(res, 'Unable to remove the attachment')
+}
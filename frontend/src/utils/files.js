@@ -0,0 +1,40 @@
+// Uploaded files are served by /api/files/:id, which needs the bearer token, so they are fetched
+// and handed to the browser as a blob rather than linked directly
+const FILES_ENDPOINT =
+  import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/files') ?? 'http://localhost:5000/api/files'
+
+async function fetchFile(fileId, token) {
+  const res = await fetch(`${FILES_ENDPOINT}/${fileId}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  })
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    throw new Error(data.message || 'Unable to open the file')
+  }
+  return res.blob()
+}
+
+// An object URL for a stored file, e.g. a thumbnail to show in an <img>. The caller revokes it
+// with URL.revokeObjectURL once it is no longer shown.
+export async function fetchFileUrl(fileId, token) {
+  return URL.createObjectURL(await fetchFile(fileId, token))
+}
+
+// Open a stored file in a new tab. The tab is opened before the download starts, so popup
+// blockers treat it as part of the click.
+export async function openFile(fileId, token) {
+  const tab = window.open('', '_blank')
+  try {
+    const url = URL.createObjectURL(await fetchFile(fileId, token))
+    if (tab) {
+      tab.location.href = url
+    } else {
+      window.location.assign(url)
+    }
+    // The tab has loaded the blob by then; release it
+    setTimeout(() => URL.revokeObjectURL(url), 60000)
+  } catch (error) {
+    tab?.close()
+    throw error
+  }
+}
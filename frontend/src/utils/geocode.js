@@ -0,0 +1,23 @@
+// Reverse geocoding goes through the backend (/api/geo/reverse), which holds the provider keys
+// and caches results, so every form shows the same address for the same place.
+const GEO_ENDPOINT =
+  import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/geo') ?? 'http://localhost:5000/api/geo'
+
+export const formatCoordinates = (lat, lng) => `${Number(lat).toFixed(6)}, ${Number(lng).toFixed(6)}`
+
+// Address for the coordinates; falls back to the coordinates themselves when the lookup fails
+export async function reverseGeocode(lat, lng, token) {
+  try {
+    const res = await fetch(`${GEO_ENDPOINT}/reverse?lat=${lat}&lng=${lng}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    })
+    const data = await res.json().catch(() => ({}))
+    if (res.ok && data.address) {
+      return data.address
+    }
+    console.warn('Reverse geocoding failed:', data.message || res.status)
+  } catch (error) {
+    console.warn('Reverse geocoding failed:', error)
+  }
+  return formatCoordinates(lat, lng)
+}
@@ -0,0 +1,138 @@
+// MoM documents are rendered by the server (/api/mom/:id/pdf) from one template, so every copy
+// looks the same and carries the same file name
+export const MOM_ENDPOINT =
+  import.meta.env.VITE_API_URL?.replace('/api/activity', '/api/mom') ?? 'http://localhost:5000/api/mom'
+
+export const LETTERHEAD_LOGO_URL = `${MOM_ENDPOINT}/letterhead/logo`
+
+// The company block shown above the MoM preview, or null when it cannot be loaded
+export async function fetchLetterhead(token) {
+  const res = await fetch(`${MOM_ENDPOINT}/letterhead`, { headers: { Authorization: `Bearer ${token}` } })
+  if (!res.ok) return null
+  return (await res.json()).letterhead
+}
+
+// A saved MoM with its signatures
+export async function fetchMom(id, token) {
+  const res = await fetch(`${MOM_ENDPOINT}/${id}`, { headers: { Authorization: `Bearer ${token}` } })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.message || 'Unable to load the MoM')
+  return data.mom
+}
+
+// The file name the server gave a PDF response
+const filenameOf = (res, fallback) => res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] ?? fallback
+
+// Hand a downloaded file to the browser as a download
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+// Download a saved MoM as PDF under the name the server gives it
+export async function downloadMomPdf(id, token) {
+  const res = await fetch(`${MOM_ENDPOINT}/${id}/pdf?download=1`, {
+    headers: { Authorization: `Bearer ${token}` },
+  })
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    throw new Error(data.message || 'Unable to download the MoM PDF')
+  }
+  saveBlob(await res.blob(), filenameOf(res, `MoM-${id}.pdf`))
+}
+
+// Where the device is, for recording where a MoM was signed. Resolves to null when the position
+// cannot be had, since a signature is still valid without it.
+export function getSigningPosition() {
+  if (!navigator.geolocation) return Promise.resolve(null)
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    )
+  })
+}
+
+// Sign MoM `id` as `role` (engineer or customer) with the PNG `image` drawn on the signature pad.
+// Resolves to the MoM as saved, now locked against edits.
+export async function signMom(id, { role, signerName, image, position }, token) {
+  const form = new FormData()
+  form.append('role', role)
+  form.append('signerName', signerName)
+  form.append('signature', image, 'signature.png')
+  if (position) {
+    form.append('latitude', position.latitude)
+    form.append('longitude', position.longitude)
+    form.append('accuracy', position.accuracy)
+  }
+  const res = await fetch(`${MOM_ENDPOINT}/${id}/signatures`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form,
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.message || 'Unable to sign the MoM')
+  return data.mom
+}
+
+// Contacts the MoM can be emailed to, its share links and what has happened to it:
+// { recipients, links, events }
+export async function fetchMomSharing(id, token) {
+  const res = await fetch(`${MOM_ENDPOINT}/${id}/sharing`, { headers: { Authorization: `Bearer ${token}` } })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.message || 'Unable to load sharing details')
+  return data
+}
+
+// Email the MoM PDF to `to` (a list of addresses) with an optional note from the sender
+export async function sendMom(id, { to, note }, token) {
+  const res = await fetch(`${MOM_ENDPOINT}/${id}/send`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ to, note }),
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.message || 'Unable to send the MoM')
+  return data
+}
+
+// A read-only link opening the MoM without a login for `days` days; resolves to
+// { id, url, expiresAt }. The link cannot be shown again later.
+export async function createMomShareLink(id, days, token) {
+  const res = await fetch(`${MOM_ENDPOINT}/${id}/share-links`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ days }),
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.message || 'Unable to create a share link')
+  return data.link
+}
+
+export async function revokeMomShareLink(id, linkId, token) {
+  const res = await fetch(`${MOM_ENDPOINT}/${id}/share-links/${linkId}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${token}` },
+  })
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    throw new Error(data.message || 'Unable to revoke the share link')
+  }
+}
+
+// The MoM behind a share link, for the login-free viewer: { blob, filename }
+export async function fetchSharedMom(shareToken) {
+  const res = await fetch(`${MOM_ENDPOINT}/shared/${encodeURIComponent(shareToken)}`)
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    throw new Error(data.message || 'Unable to open the MoM')
+  }
+  return { blob: await res.blob(), filename: filenameOf(res, 'MoM.pdf') }
+}
@@ -0,0 +1,33 @@
+// Country codes offered next to phone numbers, with the number of national digits each expects.
+// The backend validates against the same lengths (backend/src/utils/phone.js).
+export const COUNTRY_CODES = [
+  { code: '+91', country: 'India', flag: '🇮🇳', digits: [10, 10] },
+  { code: '+1', country: 'USA/Canada', flag: '🇺🇸', digits: [10, 10] },
+  { code: '+44', country: 'UK', flag: '🇬🇧', digits: [9, 10] },
+  { code: '+61', country: 'Australia', flag: '🇦🇺', digits: [9, 9] },
+  { code: '+971', country: 'UAE', flag: '🇦🇪', digits: [8, 9] },
+  { code: '+65', country: 'Singapore', flag: '🇸🇬', digits: [8, 8] },
+  { code: '+60', country: 'Malaysia', flag: '🇲🇾', digits: [9, 10] },
+  { code: '+92', country: 'Pakistan', flag: '🇵🇰', digits: [10, 10] },
+  { code: '+880', country: 'Bangladesh', flag: '🇧🇩', digits: [10, 10] },
+  { code: '+94', country: 'Sri Lanka', flag: '🇱🇰', digits: [9, 9] },
+  { code: '+86', country: 'China', flag: '🇨🇳', digits: [10, 11] },
+  { code: '+81', country: 'Japan', flag: '🇯🇵', digits: [9, 10] },
+  { code: '+82', country: 'South Korea', flag: '🇰🇷', digits: [9, 10] },
+  { code: '+33', country: 'France', flag: '🇫🇷', digits: [9, 9] },
+  { code: '+49', country: 'Germany', flag: '🇩🇪', digits: [10, 11] },
+  { code: '+7', country: 'Russia', flag: '🇷🇺', digits: [10, 10] },
+  { code: '+27', country: 'South Africa', flag: '🇿🇦', digits: [9, 9] },
+]
+
+// Message explaining why `number` is not a valid number for `code`, or '' when it is (or is empty).
+// A leading trunk 0 is allowed, as the backend strips it.
+export const phoneError = (code, number) => {
+  const digits = String(number || '').replace(/\D/g, '').replace(/^0+(?=\d{8})/, '')
+  if (!digits) return ''
+  const entry = COUNTRY_CODES.find((c) => c.code === code)
+  if (!entry) return `Unsupported country code ${code}`
+  const [min, max] = entry.digits
+  if (digits.length >= min && digits.length <= max) return ''
+  return `Enter ${min === max ? min : `${min} to ${max}`} digits for ${entry.country} (${code})`
+}